@@ -0,0 +1,146 @@
+/**
+ * Behaviour profile for one posting account, built from its recent posts:
+ * how predictable the gaps between posts are, when in the day it posts, how
+ * often it repeats itself and across how many platforms. The features are
+ * combined into a 0-100 bot likelihood.
+ */
+const { signText, estimateJaccard, bandKeys } = require('./text-similarity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bounds (ms) of the log-spaced buckets inter-post gaps are sorted into
+const INTERVAL_BUCKETS = [10e3, 60e3, 5 * 60e3, 15 * 60e3, 60 * 60e3, 6 * 60 * 60e3, DAY_MS, Infinity];
+
+// Share of the bot likelihood given to each feature
+const BOT_WEIGHTS = {
+    postingRate: 0.2,
+    timing: 0.2,
+    regularity: 0.15,
+    duplicates: 0.25,
+    roundTheClock: 0.1,
+    platformSpread: 0.1
+};
+
+// Below these sample sizes a feature says nothing and contributes zero
+const MIN_INTERVALS = 5;
+const MIN_POSTS_FOR_HOURS = 24;
+
+// Posts in a day at which the posting-rate feature is at full strength
+const FULL_RATE_POSTS = 50;
+// Similarity at which two of the account's posts count as the same message
+const DUPLICATE_THRESHOLD = 0.8;
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Shannon entropy of a histogram, scaled so 1 means evenly spread over every bin
+const normalisedEntropy = (counts) => {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total === 0 || counts.length < 2) return 0;
+    const entropy = counts.reduce((sum, count) => {
+        if (count === 0) return sum;
+        const p = count / total;
+        return sum - p * Math.log(p);
+    }, 0);
+    return entropy / Math.log(counts.length);
+};
+
+// Share of posts with a near-identical sibling, found through LSH band buckets
+const nearDuplicateRatio = (contents) => {
+    const signatures = contents.map(content => signText(content));
+    const duplicated = new Set();
+    const buckets = new Map();
+
+    signatures.forEach((signature, index) => {
+        if (!signature) return;
+        bandKeys(signature).forEach(key => {
+            const members = buckets.get(key) || [];
+            members.forEach(other => {
+                if (duplicated.has(index) && duplicated.has(other)) return;
+                if (estimateJaccard(signature, signatures[other]) >= DUPLICATE_THRESHOLD) {
+                    duplicated.add(index);
+                    duplicated.add(other);
+                }
+            });
+            members.push(index);
+            buckets.set(key, members);
+        });
+    });
+
+    return contents.length > 0 ? duplicated.size / contents.length : 0;
+};
+
+/**
+ * posts: [{ content, timestamp, platform }] for one account, any order.
+ * Returns { botLikelihood, features, components, indicators }.
+ */
+const profileAccount = (posts, now = new Date()) => {
+    const sorted = posts
+        .map(post => ({ ...post, time: new Date(post.timestamp).getTime() }))
+        .filter(post => Number.isFinite(post.time))
+        .sort((a, b) => a.time - b.time);
+
+    const intervals = sorted.slice(1).map((post, index) => post.time - sorted[index].time);
+    const intervalHistogram = INTERVAL_BUCKETS.map(() => 0);
+    intervals.forEach(interval => {
+        intervalHistogram[INTERVAL_BUCKETS.findIndex(limit => interval < limit)]++;
+    });
+
+    const mean = intervals.reduce((sum, value) => sum + value, 0) / (intervals.length || 1);
+    const deviation = Math.sqrt(intervals.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (intervals.length || 1));
+
+    const hourHistogram = new Array(24).fill(0);
+    sorted.forEach(post => hourHistogram[new Date(post.time).getUTCHours()]++);
+
+    const platforms = [...new Set(sorted.map(post => post.platform || 'unknown'))];
+
+    const hasIntervals = intervals.length >= MIN_INTERVALS;
+    const features = {
+        postCount: sorted.length,
+        postsLast24h: sorted.filter(post => now.getTime() - post.time <= DAY_MS).length,
+        // Low entropy: the account posts at the same gap over and over
+        intervalEntropy: hasIntervals ? round3(normalisedEntropy(intervalHistogram)) : null,
+        // Goh-Barabasi burstiness: -1 perfectly periodic, 0 random, towards 1 bursty
+        burstiness: hasIntervals && deviation + mean > 0 ? round3((deviation - mean) / (deviation + mean)) : null,
+        hourEntropy: sorted.length > 0 ? round3(normalisedEntropy(hourHistogram)) : null,
+        hourDistribution: hourHistogram,
+        nearDuplicateRatio: round3(nearDuplicateRatio(sorted.map(post => post.content || ''))),
+        platforms,
+        firstSeen: sorted.length > 0 ? new Date(sorted[0].time) : null,
+        lastSeen: sorted.length > 0 ? new Date(sorted[sorted.length - 1].time) : null
+    };
+
+    const components = {
+        postingRate: clamp01(features.postsLast24h / FULL_RATE_POSTS),
+        timing: hasIntervals ? 1 - features.intervalEntropy : 0,
+        regularity: features.burstiness !== null ? clamp01(-features.burstiness) : 0,
+        duplicates: sorted.length > 1 ? features.nearDuplicateRatio : 0,
+        // People sleep; an even spread over all 24 hours is unusual
+        roundTheClock: sorted.length >= MIN_POSTS_FOR_HOURS ? clamp01((features.hourEntropy - 0.75) / 0.25) : 0,
+        platformSpread: clamp01((platforms.length - 1) / 3)
+    };
+    Object.keys(components).forEach(key => {
+        components[key] = round3(components[key]);
+    });
+
+    const indicators = [];
+    if (features.postsLast24h > FULL_RATE_POSTS) indicators.push('high_posting_rate');
+    if (hasIntervals && components.timing >= 0.7) indicators.push('fixed_posting_interval');
+    if (components.regularity >= 0.7) indicators.push('periodic_posting');
+    if (components.duplicates >= 0.7) indicators.push('repetitive_content');
+    if (components.roundTheClock >= 0.8) indicators.push('round_the_clock');
+    if (platforms.length >= 3) indicators.push('multi_platform');
+
+    return {
+        botLikelihood: Math.round(100 * Object.entries(BOT_WEIGHTS)
+            .reduce((sum, [key, weight]) => sum + weight * components[key], 0)),
+        features,
+        components,
+        indicators
+    };
+};
+
+module.exports = {
+    BOT_WEIGHTS,
+    profileAccount
+};
@@ -6,6 +6,149 @@
  * @author Security Intelligence Team
  */
 
+/*
+ * Escaping template layer for everything rendered through innerHTML. Values
+ * interpolated into html`...` are escaped unless they are html fragments
+ * themselves; arrays render item by item, and null, undefined and false
+ * render as nothing. Post text, account ids and everything else that comes
+ * from the server therefore always ends up as text, never as markup.
+ */
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+    
+    toString() {
+        return this.markup;
+    }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+const escapeHTML = (value) => String(value).replace(/[&<>"'`]/g, character => HTML_ESCAPES[character]);
+
+const renderHTML = (value) => {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHTML) return value.markup;
+    if (Array.isArray(value)) return value.map(renderHTML).join('');
+    return escapeHTML(value);
+};
+
+const html = (strings, ...values) => new SafeHTML(strings.reduce((markup, string, index) => markup + renderHTML(values[index - 1]) + string));
+
+// Like Array#join for a mix of fragments and text
+const joinHTML = (items, separator) => new SafeHTML(items.map(renderHTML).join(renderHTML(separator)));
+
+// Dashboard panels loadDashboardData can refresh; events pass only the ones they change
+const DASHBOARD_PANELS = ['summary', 'trends', 'network', 'campaigns', 'accounts', 'alerts', 'alert-rules', 'feedback'];
+// Panels a newly saved analysis changes; campaigns and alerts follow their own real-time events
+const DETECTION_PANELS = ['summary', 'trends', 'network'];
+
+// Background sync tag the service worker answers by asking the page to send queued analyses
+const OUTBOX_SYNC_TAG = 'analysis-outbox';
+// A queued analysis claimed longer ago than this was left by a tab that closed mid-send
+const OUTBOX_CLAIM_MS = 2 * 60 * 1000;
+
+// Idempotency key sent with a queued analysis, so the server stores it once however often it is sent
+const newSubmissionKey = () => (crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+
+/**
+ * Analyses submitted while offline, kept in IndexedDB until they can be sent
+ */
+class AnalysisOutbox {
+    constructor() {
+        this.dbPromise = null;
+    }
+    
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open('detector-outbox', 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('analyses', { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call retry when IndexedDB is unavailable (private windows, blocked storage)
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+    
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('analyses', mode);
+            const request = operation(transaction.objectStore('analyses'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    add(item) {
+        return this.run('readwrite', store => store.add(item));
+    }
+    
+    list() {
+        return this.run('readonly', store => store.getAll());
+    }
+    
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+    
+    /**
+     * Claim the user's oldest queued analysis that no tab is sending. Finding and
+     * marking it happen in one readwrite transaction, and IndexedDB runs those one
+     * at a time, so two tabs never claim the same item. Resolves null when none is left.
+     */
+    async claimNext(username) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('analyses', 'readwrite');
+            const now = Date.now();
+            let claimed = null;
+            
+            transaction.objectStore('analyses').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                
+                const item = cursor.value;
+                const unclaimed = !item.claimedAt || now - item.claimedAt >= OUTBOX_CLAIM_MS;
+                if (item.username === username && unclaimed) {
+                    // Items queued before keys were added get one now, kept for every later attempt
+                    claimed = { ...item, key: item.key || newSubmissionKey(), claimedAt: now };
+                    cursor.update(claimed);
+                } else {
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve(claimed);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // Give a claimed item back so the next flush, in any tab, sends it
+    async release(id) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('analyses', 'readwrite');
+            const store = transaction.objectStore('analyses');
+            store.get(id).onsuccess = (event) => {
+                const item = event.target.result;
+                if (item) store.put({ ...item, claimedAt: null });
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
 class AntiIndiaCampaignDetector {
     constructor() {
         this.apiUrl = '/api';
@@ -14,6 +157,26 @@ class AntiIndiaCampaignDetector {
         this.chartInstances = {};
         this.analysisHistory = [];
         this.websocket = null;
+        this.session = this.loadSession();
+        this.refreshPromise = null;
+        this.activeBatches = new Map();
+        this.batchPollInterval = null;
+        this.pendingMappings = [];
+        this.selectedAccount = null;
+        this.selectedWebhook = null;
+        this.webhooks = [];
+        this.connectors = [];
+        this.connectorTypes = [];
+        this.auditLog = null;
+        this.archive = null;
+        this.archiveObserver = null;
+        this.outbox = new AnalysisOutbox();
+        this.connectionLost = false;
+        this.flushingOutbox = false;
+        this.waitingWorker = null;
+        this.reloadOnUpdate = false;
+        // Panels the server answered 503 for: it runs without MongoDB and does not offer them
+        this.unavailablePanels = new Set();
         
         this.init();
     }
@@ -25,10 +188,16 @@ class AntiIndiaCampaignDetector {
         try {
             this.showLoadingScreen();
             await this.initializeComponents();
-            await this.loadDashboardData();
             this.setupEventListeners();
-            this.setupRealTimeMonitoring();
-            await this.delay(2000); // Simulate initialization time
+            this.registerServiceWorker();
+            
+            if (!await this.restoreSession()) {
+                this.hideLoadingScreen();
+                this.showLoginScreen();
+                return;
+            }
+            
+            await this.startSession();
             this.hideLoadingScreen();
             this.showToast('System initialized successfully', 'success');
         } catch (error) {
@@ -71,10 +240,227 @@ class AntiIndiaCampaignDetector {
         this.updateSystemStatus('online');
     }
     
+    /**
+     * Load dashboard data and live updates for the signed-in user
+     */
+    async startSession() {
+        this.updateUserBadge();
+        await this.loadDashboardData();
+        this.setupRealTimeMonitoring();
+        this.resumeBatches();
+        this.searchAnalyses();
+        this.updateConnectionStatus();
+        this.flushOutbox();
+    }
+    
+    /**
+     * Read persisted tokens for this browser tab
+     */
+    loadSession() {
+        try {
+            return JSON.parse(sessionStorage.getItem('detector.session')) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    saveSession(session) {
+        this.session = session;
+        if (session) {
+            sessionStorage.setItem('detector.session', JSON.stringify(session));
+        } else {
+            sessionStorage.removeItem('detector.session');
+        }
+    }
+    
+    /**
+     * Check that stored tokens still belong to an active account
+     */
+    async restoreSession() {
+        if (!this.session) return false;
+        
+        try {
+            const response = await this.makeRequest('/auth/me');
+            this.saveSession({ ...this.session, user: response.user });
+            return true;
+        } catch (error) {
+            // Offline: carry on with the saved session and whatever the service worker has cached
+            if (error.offline && this.session?.user) return true;
+            this.saveSession(null);
+            return false;
+        }
+    }
+    
+    /**
+     * Exchange the refresh token for a new token pair, sharing one in-flight request
+     */
+    async refreshSession() {
+        if (!this.session?.refreshToken) return false;
+        
+        if (!this.refreshPromise) {
+            this.refreshPromise = fetch(`${this.apiUrl}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: this.session.refreshToken })
+            })
+                .then(async (response) => {
+                    if (!response.ok) return false;
+                    const data = await response.json();
+                    this.saveSession({
+                        accessToken: data.accessToken,
+                        refreshToken: data.refreshToken,
+                        user: data.user
+                    });
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        
+        return this.refreshPromise;
+    }
+    
+    /**
+     * True when the access token expires within the given margin
+     */
+    isAccessTokenExpiring(marginSeconds = 30) {
+        if (!this.session?.accessToken) return true;
+        
+        try {
+            const payload = JSON.parse(atob(this.session.accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.exp * 1000 - Date.now() < marginSeconds * 1000;
+        } catch (error) {
+            return true;
+        }
+    }
+    
+    async login(event) {
+        event.preventDefault();
+        
+        const username = document.getElementById('login-username');
+        const password = document.getElementById('login-password');
+        const submit = document.getElementById('login-submit');
+        const errorBox = document.getElementById('login-error');
+        
+        submit.disabled = true;
+        errorBox.classList.add('hidden');
+        
+        try {
+            const response = await fetch(`${this.apiUrl}/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: username.value.trim(), password: password.value })
+            });
+            const data = await response.json().catch(() => ({}));
+            
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            
+            this.saveSession({
+                accessToken: data.accessToken,
+                refreshToken: data.refreshToken,
+                user: data.user
+            });
+            this.clearApiCache();
+            password.value = '';
+            this.hideLoginScreen();
+            await this.startSession();
+            this.showToast(`Signed in as ${data.user.username}`, 'success');
+            
+        } catch (error) {
+            errorBox.textContent = error.message;
+            errorBox.classList.remove('hidden');
+        } finally {
+            submit.disabled = false;
+        }
+    }
+    
+    async logout() {
+        try {
+            await this.makeRequest('/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        
+        this.endSession();
+        this.showToast('Signed out', 'info');
+    }
+    
+    /**
+     * Drop local credentials and return to the login screen
+     */
+    endSession() {
+        this.saveSession(null);
+        this.clearApiCache();
+        
+        if (this.websocket) {
+            this.websocket.close();
+            this.websocket = null;
+        }
+        
+        this.analysisHistory = [];
+        this.stopBatchTracking();
+        this.resetArchive();
+        this.closeAnalysisDrawer();
+        this.updateUserBadge();
+        this.showLoginScreen();
+    }
+    
+    showLoginScreen() {
+        const loginScreen = document.getElementById('login-screen');
+        if (loginScreen) {
+            loginScreen.classList.remove('hidden');
+            document.getElementById('login-username')?.focus();
+        }
+    }
+    
+    hideLoginScreen() {
+        const loginScreen = document.getElementById('login-screen');
+        if (loginScreen) {
+            loginScreen.classList.add('hidden');
+        }
+    }
+    
+    updateUserBadge() {
+        const badge = document.getElementById('user-badge');
+        if (!badge) return;
+        
+        const user = this.session?.user;
+        badge.classList.toggle('hidden', !user);
+        this.updateElement('current-user', user ? user.username : '');
+        this.updateElement('current-role', user ? user.role : '');
+        
+        // Sections marked with data-min-role only show for sufficiently privileged users
+        document.querySelectorAll('[data-min-role]').forEach(element => {
+            element.classList.toggle('hidden', !this.hasRole(element.dataset.minRole));
+        });
+    }
+    
+    hasRole(requiredRole) {
+        const roles = ['analyst', 'reviewer', 'admin'];
+        const role = this.session?.user?.role;
+        return roles.indexOf(role) >= roles.indexOf(requiredRole) && roles.includes(role);
+    }
+    
     /**
      * Setup event listeners
      */
     setupEventListeners() {
+        // Login and logout
+        const loginForm = document.getElementById('login-form');
+        if (loginForm) {
+            loginForm.addEventListener('submit', (e) => this.login(e));
+        }
+        
+        const logoutBtn = document.getElementById('logout-btn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => this.logout());
+        }
+        
+
         // Analysis button
         const analyzeBtn = document.getElementById('analyze-btn');
         if (analyzeBtn) {
@@ -86,6 +472,104 @@ class AntiIndiaCampaignDetector {
         if (batchAnalyzeBtn) {
             batchAnalyzeBtn.addEventListener('click', () => this.openBatchModal());
         }
+        document.getElementById('batch-modal-close')?.addEventListener('click', () => this.closeBatchModal());
+        document.getElementById('alert-close')?.addEventListener('click', () => this.hideAlert());
+        
+        document.getElementById('refresh-campaigns')?.addEventListener('click', () => this.refreshCampaigns());
+        
+        // Account profiles: lookup form, and account chips anywhere in the network section
+        document.getElementById('account-lookup')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const userId = document.getElementById('account-lookup-input')?.value.trim();
+            if (userId) this.loadAccountProfile(userId);
+        });
+        document.querySelector('.network-analysis')?.addEventListener('click', (e) => {
+            const accountLink = e.target.closest('[data-account]');
+            const campaignExport = e.target.closest('[data-campaign-export]');
+            if (accountLink) {
+                this.loadAccountProfile(accountLink.dataset.account);
+            } else if (campaignExport) {
+                const campaignId = campaignExport.closest('[data-campaign-id]').dataset.campaignId;
+                this.downloadExport(`/campaigns/${campaignId}/export?format=${campaignExport.dataset.campaignExport}`, campaignExport);
+            } else if (e.target.closest('[data-account-list]')) {
+                this.loadAccounts();
+            }
+        });
+        
+        // Fired alerts: status filter and acknowledge/snooze actions
+        document.getElementById('alert-status-filter')?.addEventListener('change', () => this.loadAlerts());
+        document.getElementById('alert-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-alert-action]');
+            if (!button) return;
+            const alertId = button.closest('[data-alert-id]').dataset.alertId;
+            if (button.dataset.alertAction === 'acknowledge') {
+                this.acknowledgeAlert(alertId, button);
+            } else {
+                this.snoozeAlert(alertId, parseInt(button.dataset.snoozeMinutes, 10), button);
+            }
+        });
+        
+        // Webhook subscriptions, their deliveries and the dead-letter log
+        document.getElementById('webhook-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createWebhook(e.target);
+        });
+        document.getElementById('webhook-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-webhook-action]');
+            if (button) {
+                this.handleWebhookAction(button.closest('[data-webhook-id]').dataset.webhookId, button.dataset.webhookAction, button);
+            }
+        });
+        document.getElementById('webhook-deliveries')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-replay-id]');
+            if (button) this.replayDelivery(button.dataset.replayId, button);
+        });
+        document.getElementById('show-dead-letters')?.addEventListener('click', () => this.loadDeadLetters());
+        
+        // Ingestion connectors: one form both adds and edits
+        document.getElementById('connector-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveConnector(e.target);
+        });
+        document.getElementById('connector-form')?.addEventListener('reset', () => {
+            setTimeout(() => this.resetConnectorForm());
+        });
+        document.getElementById('connector-type')?.addEventListener('change', () => this.showConnectorExample());
+        document.getElementById('connector-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-connector-action]');
+            if (button) {
+                this.handleConnectorAction(button.closest('[data-connector-id]').dataset.connectorId, button.dataset.connectorAction, button);
+            }
+        });
+        
+        // Audit log: filters page through the trail, verify walks the whole hash chain
+        document.getElementById('audit-filters')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.searchAuditLog();
+        });
+        document.getElementById('audit-more')?.addEventListener('click', () => this.loadMoreAuditEntries());
+        document.getElementById('audit-verify')?.addEventListener('click', (e) => this.verifyAuditLog(e.currentTarget));
+        
+        // Column mapping step for CSV/TSV uploads
+        const mappingDelimiter = document.getElementById('mapping-delimiter');
+        if (mappingDelimiter) {
+            mappingDelimiter.addEventListener('change', (e) => {
+                if (this.pendingMappings.length === 0) return;
+                this.pendingMappings[0].delimiter = e.target.value === 'tab' ? '\t' : e.target.value;
+                this.renderColumnMapping();
+            });
+        }
+        
+        document.getElementById('column-mapping')?.addEventListener('change', (e) => {
+            if (e.target.matches('[data-mapping-field]')) this.updateMappingPreview();
+        });
+        document.getElementById('mapping-submit')?.addEventListener('click', () => this.submitMapping());
+        document.getElementById('mapping-skip')?.addEventListener('click', () => this.skipMapping());
+        
+        const batchCancelBtn = document.getElementById('batch-cancel-btn');
+        if (batchCancelBtn) {
+            batchCancelBtn.addEventListener('click', () => this.cancelBatches());
+        }
         
         // Clear button
         const clearBtn = document.getElementById('clear-btn');
@@ -102,12 +586,99 @@ class AntiIndiaCampaignDetector {
         // Dashboard controls
         const timeframeSelect = document.getElementById('timeframe-select');
         if (timeframeSelect) {
-            timeframeSelect.addEventListener('change', () => this.loadDashboardData());
+            timeframeSelect.addEventListener('change', () => this.loadDashboardData(['summary', 'trends']));
         }
         
         const platformFilter = document.getElementById('platform-filter');
         if (platformFilter) {
-            platformFilter.addEventListener('change', () => this.loadDashboardData());
+            platformFilter.addEventListener('change', () => this.loadDashboardData(['summary', 'trends']));
+        }
+        
+        // Triage queue filter and review actions
+        const reviewStatusFilter = document.getElementById('review-status-filter');
+        if (reviewStatusFilter) {
+            reviewStatusFilter.addEventListener('change', () => this.loadDashboardData(['summary']));
+        }
+        
+        const analysisResults = document.getElementById('analysis-results');
+        if (analysisResults) {
+            analysisResults.addEventListener('click', (e) => this.handleResultAction(e));
+        }
+        
+        // Analysis archive: search form, infinite scroll and the detail drawer
+        const archiveFilters = document.getElementById('archive-filters');
+        if (archiveFilters) {
+            archiveFilters.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.searchAnalyses();
+            });
+        }
+        
+        document.getElementById('archive-export')?.addEventListener('click', (e) => this.exportArchive(e.currentTarget));
+        
+        const archiveResults = document.getElementById('archive-results');
+        if (archiveResults) {
+            archiveResults.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-analysis-id]');
+                if (item) {
+                    this.openAnalysisDrawer(item.dataset.analysisId);
+                }
+            });
+            archiveResults.addEventListener('keydown', (e) => {
+                const item = e.target.closest('[data-analysis-id]');
+                if (item && e.key === 'Enter') {
+                    this.openAnalysisDrawer(item.dataset.analysisId);
+                }
+            });
+        }
+        
+        const archiveSentinel = document.getElementById('archive-sentinel');
+        if (archiveSentinel && 'IntersectionObserver' in window) {
+            this.archiveObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMoreAnalyses();
+                }
+            }, { rootMargin: '200px' });
+            this.archiveObserver.observe(archiveSentinel);
+        }
+        
+        const drawerBody = document.getElementById('analysis-drawer-body');
+        if (drawerBody) {
+            drawerBody.addEventListener('click', (e) => this.handleResultAction(e));
+        }
+        
+        const drawerClose = document.getElementById('analysis-drawer-close');
+        if (drawerClose) {
+            drawerClose.addEventListener('click', () => this.closeAnalysisDrawer());
+        }
+        
+        // Training feedback queue and model approvals
+        const trainingQueue = document.getElementById('training-queue');
+        if (trainingQueue) {
+            trainingQueue.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-queue-decision]');
+                if (button) {
+                    const item = button.closest('[data-example-id]');
+                    this.decideTrainingItem(item.dataset.exampleId, button.dataset.queueDecision, button.dataset.label);
+                }
+            });
+        }
+        
+        const modelApprovals = document.getElementById('model-approvals');
+        if (modelApprovals) {
+            modelApprovals.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-model-decision]');
+                if (button) {
+                    const item = button.closest('[data-model-id]');
+                    this.decideModel(item.dataset.modelId, button.dataset.modelDecision);
+                }
+            });
+        }
+        
+        const recentDetections = document.getElementById('recent-detections');
+        if (recentDetections) {
+            recentDetections.addEventListener('click', (e) => this.handleTriageClick(e));
+            recentDetections.addEventListener('submit', (e) => this.handleTriageSubmit(e));
         }
         
         // Refresh buttons
@@ -139,6 +710,7 @@ class AntiIndiaCampaignDetector {
             if (e.key === 'Escape') {
                 this.closeBatchModal();
                 this.hideAlert();
+                this.closeAnalysisDrawer();
             }
         });
         
@@ -155,6 +727,15 @@ class AntiIndiaCampaignDetector {
                 this.resumeRealTimeMonitoring();
             }
         });
+        
+        // Queued analyses go out as soon as the browser is back online
+        window.addEventListener('online', () => {
+            this.updateConnectionStatus();
+            this.flushOutbox();
+        });
+        window.addEventListener('offline', () => this.updateConnectionStatus());
+        
+        document.getElementById('update-reload')?.addEventListener('click', () => this.applyUpdate());
     }
     
     /**
@@ -173,25 +754,24 @@ class AntiIndiaCampaignDetector {
             return;
         }
         
+        // Prepare request data
+        const requestData = {
+            content: contentInput.value.trim(),
+            metadata: {
+                platform: platformSelect?.value || 'unknown',
+                userId: userIdInput?.value || null,
+                hashtags: hashtagsInput?.value 
+                    ? hashtagsInput.value.split(' ').filter(tag => tag.startsWith('#'))
+                    : [],
+                timestamp: new Date().toISOString()
+            }
+        };
+        
         try {
             // Show loading state
             analyzeBtn.disabled = true;
             analyzeBtn.innerHTML = '<span class="spinner"></span> Analyzing...';
             
-            // Prepare request data
-            const requestData = {
-                content: contentInput.value.trim(),
-                metadata: {
-                    platform: platformSelect?.value || 'unknown',
-                    userId: userIdInput?.value || null,
-                    hashtags: hashtagsInput?.value 
-                        ? hashtagsInput.value.split(' ').filter(tag => tag.startsWith('#'))
-                        : [],
-                    timestamp: new Date().toISOString(),
-                    networkData: await this.gatherNetworkData(userIdInput?.value)
-                }
-            };
-            
             // Make API request with timeout
             const response = await this.makeRequest('/analyze', {
                 method: 'POST',
@@ -204,18 +784,17 @@ class AntiIndiaCampaignDetector {
                 this.analysisHistory.push(response.analysis);
                 this.showToast('Content analyzed successfully', 'success');
                 
-                // Show alert for high-risk content
-                if (response.analysis.riskLevel === 'HIGH') {
-                    this.showAlert('High-risk anti-India campaign detected!', 'error');
-                }
-                
                 // Update dashboard
-                this.loadDashboardData();
+                this.loadDashboardData(DETECTION_PANELS);
             } else {
                 throw new Error(response.error || 'Analysis failed');
             }
             
         } catch (error) {
+            if (error.offline) {
+                await this.queueAnalysis(requestData);
+                return;
+            }
             console.error('Analysis error:', error);
             this.showToast(`Analysis failed: ${error.message}`, 'error');
         } finally {
@@ -237,6 +816,7 @@ class AntiIndiaCampaignDetector {
         // Create results HTML
         const resultsHTML = this.generateResultsHTML(analysis);
         analysisResults.innerHTML = resultsHTML;
+        this.applyBarWidths(analysisResults);
         
         // Show results section with animation
         resultsSection.classList.remove('hidden');
@@ -255,7 +835,7 @@ class AntiIndiaCampaignDetector {
         const riskColor = this.getRiskColor(analysis.riskLevel);
         const riskIcon = this.getRiskIcon(analysis.riskLevel);
         
-        return `
+        return html`
             <div class="result-card">
                 <div class="result-header">
                     <div class="risk-assessment">
@@ -266,20 +846,48 @@ class AntiIndiaCampaignDetector {
                     </div>
                     <div class="analysis-timestamp">
                         ${this.formatTimestamp(analysis.timestamp)}
+                        ${analysis.language ? html`
+                            <span class="analysis-language" title="Analysed by the ${analysis.pipeline} pipeline">
+                                ${this.formatLanguageName(analysis.language)}
+                            </span>
+                        ` : ''}
                     </div>
                 </div>
                 
                 <div class="content-preview">
-                    "${this.truncateText(analysis.content, 200)}"
+                    "${analysis.signals ? this.highlightMatches(analysis.content, analysis.signals) : this.truncateText(analysis.content, 200)}"
                 </div>
                 
-                ${analysis.flags.length > 0 ? `
+                ${analysis.signals ? html`
+                    <div class="signal-breakdown">
+                        <h5>Score Breakdown:</h5>
+                        ${analysis.signals.map(signal => html`
+                            <div class="signal-row">
+                                <div class="signal-header">
+                                    <span class="signal-name">${this.formatFlagName(signal.name)}</span>
+                                    <span class="signal-contribution">+${signal.contribution.toFixed(1)}</span>
+                                </div>
+                                <div class="signal-bar">
+                                    <div class="signal-bar-fill" data-bar-width="${signal.weight}">
+                                        <div class="signal-bar-value" data-bar-width="${signal.value}"></div>
+                                    </div>
+                                </div>
+                                <div class="signal-detail">
+                                    Strength ${this.formatPercent(signal.value)} × weight ${this.formatPercent(signal.weight)}
+                                    ${this.describeSignalEvidence(signal) ? html` • ${this.describeSignalEvidence(signal)}` : ''}
+                                </div>
+                            </div>
+                        `)}
+                    </div>
+                ` : ''}
+                
+                ${analysis.flags.length > 0 ? html`
                     <div class="flags-section">
                         <h5>Security Flags Detected:</h5>
                         <div class="flags-list">
-                            ${analysis.flags.map(flag => `
+                            ${analysis.flags.map(flag => html`
                                 <span class="flag-item">${this.formatFlagName(flag)}</span>
-                            `).join('')}
+                            `)}
                         </div>
                     </div>
                 ` : ''}
@@ -295,12 +903,12 @@ class AntiIndiaCampaignDetector {
                         </div>
                     </div>
                     <div class="sentiment-words">
-                        ${analysis.sentiment.positive.length > 0 ? `
+                        ${analysis.sentiment.positive.length > 0 ? html`
                             <div class="positive-words">
                                 Positive: ${analysis.sentiment.positive.join(', ')}
                             </div>
                         ` : ''}
-                        ${analysis.sentiment.negative.length > 0 ? `
+                        ${analysis.sentiment.negative.length > 0 ? html`
                             <div class="negative-words">
                                 Negative: ${analysis.sentiment.negative.join(', ')}
                             </div>
@@ -308,67 +916,377 @@ class AntiIndiaCampaignDetector {
                     </div>
                 </div>
                 
-                ${Object.keys(analysis.networkAnalysis).length > 0 ? `
+                ${Object.keys(analysis.networkAnalysis).length > 0 ? html`
                     <div class="network-analysis-section">
                         <h5>Network Analysis:</h5>
                         <div class="network-indicators">
                             ${analysis.networkAnalysis.indicators ? 
-                                analysis.networkAnalysis.indicators.map(indicator => `
+                                analysis.networkAnalysis.indicators.map(indicator => html`
                                     <span class="network-indicator">${this.formatIndicatorName(indicator)}</span>
-                                `).join('') : ''
+                                `) : ''
                             }
                         </div>
                         <div class="network-score">
                             Network Risk: <strong>${analysis.networkAnalysis.score || 0}/100</strong>
                         </div>
+                        ${analysis.networkAnalysis.features ? html`
+                            <div class="network-features">
+                                ${this.describeNetworkFeatures(analysis.networkAnalysis.features)}
+                            </div>
+                        ` : ''}
                     </div>
                 ` : ''}
                 
                 <div class="explanation-section">
                     <h5>Detection Explanation:</h5>
                     <ul class="explanation-list">
-                        ${analysis.explanation.map(explanation => `
+                        ${analysis.explanation.map(explanation => html`
                             <li>${explanation}</li>
-                        `).join('')}
+                        `)}
                     </ul>
                 </div>
                 
+                ${analysis.duplicateCount > 0 ? html`
+                    <div class="duplicate-section">
+                        <h5>Near-Duplicates:</h5>
+                        <div class="network-details">
+                            ${analysis.duplicateCount} stored post${analysis.duplicateCount === 1 ? '' : 's'} in its duplicate cluster
+                            ${analysis.duplicateCluster ? html` • ${analysis.duplicateCluster}` : ''}
+                        </div>
+                        ${analysis._id ? html`
+                            <button type="button" class="review-action" data-similar-id="${analysis._id}">Show similar posts</button>
+                        ` : ''}
+                        <div class="similar-posts"></div>
+                    </div>
+                ` : ''}
+                
                 <div class="platform-info">
                     <strong>Platform:</strong> ${analysis.platform.toUpperCase()}
                 </div>
+                
+                ${analysis._id && this.hasRole('reviewer') ? html`
+                    <div class="review-actions" data-analysis-id="${analysis._id}">
+                        <button type="button" class="review-action" data-promote-label="anti-india">Add to Training Data as Anti-India</button>
+                        <button type="button" class="review-action" data-promote-label="neutral">Add to Training Data as Neutral</button>
+                    </div>
+                ` : ''}
             </div>
         `;
     }
     
+    // Bars are sized here rather than with inline style attributes, which the CSP does not allow
+    applyBarWidths(container) {
+        container.querySelectorAll('[data-bar-width]').forEach(bar => {
+            const fraction = Math.min(Math.max(Number(bar.dataset.barWidth) || 0, 0), 1);
+            bar.style.width = `${fraction * 100}%`;
+        });
+    }
+    
     /**
-     * Load dashboard data from API
+     * Training promotion and near-duplicate buttons inside a rendered result
      */
-    async loadDashboardData() {
-        try {
-            const timeframe = document.getElementById('timeframe-select')?.value || '24h';
-            const platform = document.getElementById('platform-filter')?.value || 'all';
-            
-            const response = await this.makeRequest(`/dashboard?timeframe=${timeframe}&platform=${platform}`);
-            
-            if (response.success) {
-                this.updateDashboardMetrics(response.dashboard);
-                this.updateRecentDetections(response.dashboard.recentAnalyses);
-                this.updatePlatformStats(response.dashboard.platformStats);
-            }
-            
-            // Load network analysis
-            const networkResponse = await this.makeRequest('/network-analysis');
-            if (networkResponse.success) {
-                this.updateNetworkAnalysis(networkResponse.suspiciousNetworks);
-            }
-            
-        } catch (error) {
-            console.error('Dashboard loading error:', error);
-            this.showToast('Failed to load dashboard data', 'error');
+    handleResultAction(event) {
+        const promoteButton = event.target.closest('[data-promote-label]');
+        if (promoteButton) {
+            const analysisId = promoteButton.closest('[data-analysis-id]').dataset.analysisId;
+            this.promoteAnalysis(analysisId, promoteButton.dataset.promoteLabel);
+        }
+        
+        const similarButton = event.target.closest('[data-similar-id]');
+        if (similarButton) {
+            this.loadSimilarPosts(similarButton.dataset.similarId, similarButton);
         }
     }
     
-    /**
+    async loadSimilarPosts(analysisId, button) {
+        const container = button.parentElement.querySelector('.similar-posts');
+        button.disabled = true;
+        
+        try {
+            const response = await this.makeRequest(`/analyses/${analysisId}/similar`);
+            button.remove();
+            container.innerHTML = response.similar.length === 0
+                ? '<div class="loading-placeholder">No similar posts found</div>'
+                : html`${response.similar.map(post => html`
+                    <div class="campaign-post">
+                        <span class="risk-badge ${(post.riskLevel || 'minimal').toLowerCase()}">${this.formatPercent(post.similarity)} similar</span>
+                        ${this.truncateText(post.content, 140)}
+                        <div class="network-details">
+                            ${post.userId ? `${post.userId} • ` : ''}${this.formatPlatformName(post.platform)} • ${this.formatTimestamp(post.timestamp)}
+                        </div>
+                    </div>
+                `)}${response.total > response.similar.length
+                    ? html`<div class="loading-placeholder">Showing ${response.similar.length} of ${response.total}</div>`
+                    : ''}`;
+        } catch (error) {
+            console.error('Similar posts error:', error);
+            button.disabled = false;
+            this.showToast(`Could not load similar posts: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Start a fresh archive listing from the current filter form
+     */
+    searchAnalyses() {
+        const form = document.getElementById('archive-filters');
+        if (!form) return;
+        
+        const params = this.filterParams(form);
+        this.resetArchive();
+        this.archive = { params, page: 0, hasMore: true, loading: false };
+        this.loadMoreAnalyses();
+    }
+    
+    /**
+     * Query parameters from a filter form, leaving out empty fields
+     */
+    filterParams(form) {
+        const params = new URLSearchParams();
+        new FormData(form).forEach((value, key) => {
+            const text = String(value).trim();
+            if (!text) return;
+            // Date inputs are whole local days; "to" includes the day it names
+            if (key === 'from') params.set(key, new Date(`${text}T00:00:00`).toISOString());
+            else if (key === 'to') params.set(key, new Date(`${text}T23:59:59.999`).toISOString());
+            else params.set(key, text);
+        });
+        return params;
+    }
+    
+    /**
+     * Export everything matching the archive filters in the chosen format
+     */
+    exportArchive(button) {
+        const form = document.getElementById('archive-filters');
+        if (!form) return;
+        
+        const params = this.filterParams(form);
+        params.set('format', document.getElementById('archive-export-format')?.value || 'csv');
+        const tlp = document.getElementById('archive-export-tlp')?.value;
+        if (tlp) params.set('tlp', tlp);
+        this.downloadExport(`/analyses/export?${params}`, button);
+    }
+    
+    /**
+     * Fetch a server-side export and save it under the name the server gave it
+     */
+    async downloadExport(endpoint, button) {
+        button.disabled = true;
+        try {
+            const response = await this.makeRequest(endpoint, { timeout: 60000, raw: true });
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || 'export';
+            this.saveFile(await response.blob(), fileName);
+            
+            const total = parseInt(response.headers.get('X-Total-Count'), 10);
+            const exported = parseInt(response.headers.get('X-Exported-Count'), 10);
+            this.showToast(exported < total
+                ? `Exported the first ${exported} of ${total} analyses`
+                : `Exported ${exported} ${exported === 1 ? 'analysis' : 'analyses'}`, exported < total ? 'warning' : 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showToast(`Export failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    saveFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    resetArchive() {
+        this.archive = null;
+        
+        const results = document.getElementById('archive-results');
+        if (results) results.innerHTML = '';
+        this.updateElement('archive-count', '');
+        document.getElementById('archive-sentinel')?.classList.add('hidden');
+    }
+    
+    /**
+     * Append the next page of the archive listing
+     */
+    async loadMoreAnalyses() {
+        const archive = this.archive;
+        if (!archive || archive.loading || !archive.hasMore) return;
+        
+        archive.loading = true;
+        const results = document.getElementById('archive-results');
+        const sentinel = document.getElementById('archive-sentinel');
+        
+        try {
+            const params = new URLSearchParams(archive.params);
+            params.set('page', archive.page + 1);
+            const response = await this.makeRequest(`/analyses?${params}`);
+            
+            // A newer search replaced this one while the page was loading
+            if (this.archive !== archive) return;
+            
+            archive.page = response.page;
+            archive.hasMore = response.hasMore;
+            
+            if (response.total === 0) {
+                results.innerHTML = '<div class="loading-placeholder">No analyses match these filters</div>';
+            } else {
+                results.insertAdjacentHTML('beforeend', html`${response.analyses.map(analysis => this.generateArchiveItemHTML(analysis))}`);
+            }
+            this.updateElement('archive-count', `${response.total} ${response.total === 1 ? 'analysis' : 'analyses'}` +
+                (response.sort === 'relevance' ? ', best matches first' : ''));
+            
+        } catch (error) {
+            console.error('Analysis archive error:', error);
+            archive.hasMore = false;
+            this.showToast(`Could not load analyses: ${error.message}`, 'error');
+        } finally {
+            archive.loading = false;
+        }
+        
+        if (this.archive !== archive) return;
+        sentinel?.classList.toggle('hidden', !archive.hasMore);
+        
+        // The observer only fires on changes, so keep going while the sentinel stays in view
+        if (archive.hasMore && sentinel && sentinel.getBoundingClientRect().top < window.innerHeight + 200) {
+            this.loadMoreAnalyses();
+        }
+    }
+    
+    generateArchiveItemHTML(analysis) {
+        const status = analysis.review?.status || 'pending';
+        
+        return html`
+            <div class="detection-item" data-analysis-id="${analysis._id}" tabindex="0">
+                <div class="detection-content">
+                    <div class="detection-text">
+                        ${this.truncateText(analysis.content, 160)}
+                    </div>
+                    <div class="detection-meta">
+                        ${this.formatPlatformName(analysis.platform)} • 
+                        ${this.formatTimestamp(analysis.timestamp)}
+                        ${analysis.userId ? ` • ${analysis.userId}` : ''}
+                        ${analysis.language ? ` • ${this.formatLanguageName(analysis.language)}` : ''}
+                    </div>
+                    <div class="detection-review">
+                        <span class="review-status ${status}">${this.formatReviewStatus(status)}</span>
+                        ${analysis.flags.map(flag => html`<span class="flag-item">${this.formatFlagName(flag)}</span>`)}
+                    </div>
+                </div>
+                <div class="risk-badge ${analysis.riskLevel.toLowerCase()}">
+                    ${analysis.riskScore}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Show one stored analysis in full in the side drawer
+     */
+    async openAnalysisDrawer(analysisId) {
+        const drawer = document.getElementById('analysis-drawer');
+        const body = document.getElementById('analysis-drawer-body');
+        if (!drawer || !body || !analysisId) return;
+        
+        body.innerHTML = '<div class="loading-placeholder">Loading analysis...</div>';
+        drawer.classList.add('open');
+        drawer.setAttribute('aria-hidden', 'false');
+        
+        try {
+            const response = await this.makeRequest(`/analyses/${analysisId}`);
+            body.innerHTML = this.generateResultsHTML({
+                flags: [],
+                explanation: [],
+                networkAnalysis: {},
+                sentiment: { score: 0, comparative: 0, positive: [], negative: [] },
+                ...response.analysis
+            });
+            this.applyBarWidths(body);
+            document.getElementById('analysis-drawer-close')?.focus();
+        } catch (error) {
+            console.error('Analysis detail error:', error);
+            body.innerHTML = html`<div class="loading-placeholder">Could not load analysis: ${error.message}</div>`;
+        }
+    }
+    
+    closeAnalysisDrawer() {
+        const drawer = document.getElementById('analysis-drawer');
+        if (!drawer || !drawer.classList.contains('open')) return;
+        
+        drawer.classList.remove('open');
+        drawer.setAttribute('aria-hidden', 'true');
+    }
+    
+    /**
+     * Load dashboard data from API, either every panel or only the listed ones
+     */
+    async loadDashboardData(panels = DASHBOARD_PANELS) {
+        try {
+            const timeframe = document.getElementById('timeframe-select')?.value || '24h';
+            const platform = document.getElementById('platform-filter')?.value || 'all';
+            const reviewStatus = document.getElementById('review-status-filter')?.value || 'all';
+            
+            if (panels.includes('summary')) {
+                const response = await this.makeRequest(`/dashboard?timeframe=${timeframe}&platform=${platform}&reviewStatus=${reviewStatus}`);
+                if (response.success) {
+                    this.updateDashboardMetrics(response.dashboard);
+                    this.updateRecentDetections(response.dashboard.recentAnalyses);
+                    this.updatePlatformStats(response.dashboard.platformStats);
+                }
+            }
+            
+            if (panels.includes('trends')) {
+                const timeseriesResponse = await this.makeRequest(`/dashboard/timeseries?timeframe=${timeframe}&platform=${platform}`);
+                if (timeseriesResponse.success) {
+                    this.chartInstances.trend = { series: timeseriesResponse.series, interval: timeseriesResponse.interval };
+                    this.chartInstances.platformRisk = { platforms: timeseriesResponse.platforms };
+                    this.resizeCharts();
+                }
+            }
+            
+            if (panels.includes('network')) {
+                const networkResponse = await this.makeRequest('/network-analysis');
+                if (networkResponse.success) {
+                    this.updateNetworkAnalysis(networkResponse.suspiciousNetworks);
+                }
+            }
+            
+            if (panels.includes('campaigns')) await this.loadOptionalPanel('campaigns', () => this.loadCampaigns());
+            if (panels.includes('accounts') && !this.selectedAccount) await this.loadAccounts();
+            if (panels.includes('alerts')) await this.loadOptionalPanel('alerts', () => this.loadAlerts());
+            if (panels.includes('alert-rules')) await this.loadOptionalPanel('alert-rules', () => this.loadAlertRules());
+            if (panels.includes('feedback')) await this.loadOptionalPanel('feedback', () => this.loadFeedbackData());
+            
+        } catch (error) {
+            console.error('Dashboard loading error:', error);
+            this.showToast('Failed to load dashboard data', 'error');
+        }
+    }
+    
+    /**
+     * Load a panel the server may not offer; after a 503 it is skipped until reload
+     */
+    async loadOptionalPanel(panel, load) {
+        if (this.unavailablePanels.has(panel)) return;
+        
+        try {
+            await load();
+        } catch (error) {
+            if (error.status !== 503) throw error;
+            if (this.unavailablePanels.size === 0) {
+                this.showToast(error.message, 'info');
+            }
+            this.unavailablePanels.add(panel);
+        }
+    }
+    
+    /**
      * Update dashboard metrics
      */
     updateDashboardMetrics(dashboard) {
@@ -380,110 +1298,1175 @@ class AntiIndiaCampaignDetector {
         this.updateElement('medium-risk-count', summary.mediumRiskCount.toLocaleString());
         this.updateElement('low-risk-count', summary.lowRiskCount.toLocaleString());
         
-        // Update percentage changes (simulated for demo)
-        this.updateElement('high-risk-change', `${summary.riskDistribution.high}% of total`);
-        this.updateElement('medium-risk-change', `${summary.riskDistribution.medium}% of total`);
-        this.updateElement('low-risk-change', `${summary.riskDistribution.low}% of total`);
+        // Update percentage changes (simulated for demo)
+        this.updateElement('high-risk-change', `${summary.riskDistribution.high}% of total`);
+        this.updateElement('medium-risk-change', `${summary.riskDistribution.medium}% of total`);
+        this.updateElement('low-risk-change', `${summary.riskDistribution.low}% of total`);
+    }
+    
+    /**
+     * Update recent detections list
+     */
+    updateRecentDetections(detections) {
+        const container = document.getElementById('recent-detections');
+        if (!container) return;
+        
+        if (detections.length === 0) {
+            container.innerHTML = '<div class="loading-placeholder">No recent detections</div>';
+            return;
+        }
+        
+        const detectionsHTML = html`${detections.map(detection => this.generateDetectionHTML(detection))}`;
+        
+        container.innerHTML = detectionsHTML;
+    }
+    
+    /**
+     * Generate HTML for one triage queue entry
+     */
+    generateDetectionHTML(detection, extraClass = '') {
+        const review = detection.review || {};
+        const status = review.status || 'pending';
+        const actions = [
+            { status: 'confirmed', label: 'Confirm' },
+            { status: 'false_positive', label: 'False Positive' },
+            { status: 'escalated', label: 'Escalate' },
+            { status: 'resolved', label: 'Resolve' }
+        ].filter(action => action.status !== status);
+        
+        return html`
+            <div class="detection-item ${extraClass}" data-analysis-id="${detection._id || ''}">
+                <div class="detection-content">
+                    <div class="detection-text">
+                        ${this.truncateText(detection.content, 100)}
+                    </div>
+                    <div class="detection-meta">
+                        ${detection.platform.toUpperCase()} • 
+                        ${this.formatTimestamp(detection.timestamp)} • 
+                        Risk: ${detection.riskLevel}
+                    </div>
+                    <div class="detection-review">
+                        <span class="review-status ${status}">${this.formatReviewStatus(status)}</span>
+                        ${review.reviewer ? html`<span>by ${review.reviewer} • ${this.formatTimestamp(review.reviewedAt)}</span>` : ''}
+                        ${review.note ? html`<span class="review-note">"${review.note}"</span>` : ''}
+                    </div>
+                    ${detection._id && this.hasRole('reviewer') ? html`
+                        <div class="review-actions">
+                            ${actions.map(action => html`
+                                <button type="button" class="review-action" data-review-status="${action.status}">${action.label}</button>
+                            `)}
+                            <button type="button" class="review-action" data-promote-label="anti-india">Train as Anti-India</button>
+                            <button type="button" class="review-action" data-promote-label="neutral">Train as Neutral</button>
+                        </div>
+                        <form class="review-form hidden">
+                            <input type="text" name="note" maxlength="2000" placeholder="Review note (optional)">
+                            <button type="submit" class="review-action">Save</button>
+                            <button type="button" class="review-action" data-review-cancel>Cancel</button>
+                        </form>
+                    ` : ''}
+                </div>
+                <div class="risk-badge ${detection.riskLevel.toLowerCase()}">
+                    ${detection.riskScore}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Handle review buttons inside the triage queue
+     */
+    handleTriageClick(event) {
+        const item = event.target.closest('.detection-item');
+        if (!item) return;
+        
+        const form = item.querySelector('.review-form');
+        const actionButton = event.target.closest('[data-review-status]');
+        const promoteButton = event.target.closest('[data-promote-label]');
+        
+        if (promoteButton) {
+            this.promoteAnalysis(item.dataset.analysisId, promoteButton.dataset.promoteLabel);
+        } else if (actionButton && form) {
+            form.dataset.status = actionButton.dataset.reviewStatus;
+            form.querySelector('button[type="submit"]').textContent = `Save as ${actionButton.textContent.trim()}`;
+            form.classList.remove('hidden');
+            form.querySelector('input').focus();
+        } else if (event.target.closest('[data-review-cancel]') && form) {
+            form.classList.add('hidden');
+        }
+    }
+    
+    async handleTriageSubmit(event) {
+        const form = event.target.closest('.review-form');
+        if (!form) return;
+        
+        event.preventDefault();
+        const item = form.closest('.detection-item');
+        await this.reviewDetection(item.dataset.analysisId, form.dataset.status, form.elements.note.value);
+    }
+    
+    /**
+     * Record a review verdict for a detection
+     */
+    async reviewDetection(analysisId, status, note = '') {
+        try {
+            const response = await this.makeRequest(`/analyses/${analysisId}/review`, {
+                method: 'PATCH',
+                body: JSON.stringify({ status, note })
+            });
+            
+            if (response.success) {
+                this.applyReviewUpdate(response.analysis);
+                this.showToast(`Detection marked as ${this.formatReviewStatus(status)}`, 'success');
+            } else {
+                throw new Error(response.error || 'Review failed');
+            }
+        } catch (error) {
+            console.error('Review error:', error);
+            this.showToast(`Review failed: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Re-render or drop a queue entry after its review state changed
+     */
+    applyReviewUpdate(detection) {
+        const container = document.getElementById('recent-detections');
+        const item = container?.querySelector(`[data-analysis-id="${detection._id}"]`);
+        if (!item) return;
+        
+        const filter = document.getElementById('review-status-filter')?.value || 'all';
+        if (filter !== 'all' && filter !== detection.review?.status) {
+            item.remove();
+            return;
+        }
+        
+        item.outerHTML = this.generateDetectionHTML(detection);
+    }
+    
+    formatReviewStatus(status) {
+        const labels = {
+            pending: 'Pending Review',
+            confirmed: 'Confirmed',
+            false_positive: 'False Positive',
+            escalated: 'Escalated',
+            resolved: 'Resolved'
+        };
+        return labels[status] || status;
+    }
+    
+    /**
+     * Update platform statistics
+     */
+    updatePlatformStats(platformStats) {
+        const container = document.getElementById('platform-stats');
+        if (!container) return;
+        
+        if (platformStats.length === 0) {
+            container.innerHTML = '<div class="loading-placeholder">No platform data available</div>';
+            return;
+        }
+        
+        const statsHTML = html`${platformStats.map(stat => html`
+            <div class="platform-stat">
+                <div class="platform-name">
+                    ${this.formatPlatformName(stat._id)}
+                </div>
+                <div class="platform-metrics">
+                    <span class="platform-count">${stat.count}</span>
+                    <span class="platform-risk">
+                        Avg Risk: ${stat.avgRisk ? stat.avgRisk.toFixed(1) : '0'}
+                    </span>
+                </div>
+            </div>
+        `)}`;
+        
+        container.innerHTML = statsHTML;
+    }
+    
+    /**
+     * Update network analysis section
+     */
+    updateNetworkAnalysis(suspiciousNetworks) {
+        const container = document.getElementById('suspicious-networks');
+        if (!container) return;
+        
+        if (suspiciousNetworks.length === 0) {
+            container.innerHTML = '<div class="loading-placeholder">No suspicious networks detected</div>';
+            return;
+        }
+        
+        const networksHTML = html`${suspiciousNetworks.slice(0, 5).map((network, index) => html`
+            <div class="network-item">
+                <div class="network-header">
+                    <strong>User: ${network._id || 'Unknown'}</strong>
+                    <span class="network-risk">Risk: ${network.totalRisk}</span>
+                </div>
+                <div class="network-details">
+                    Posts: ${network.posts.length} | 
+                    Indicators: ${network.indicators.flat().join(', ') || 'None'}
+                </div>
+            </div>
+        `)}`;
+        
+        container.innerHTML = networksHTML;
+    }
+    
+    async loadCampaigns() {
+        const response = await this.makeRequest('/campaigns?limit=10');
+        if (response.success) {
+            this.updateCoordinatedCampaigns(response.campaigns, response.total);
+        }
+    }
+    
+    async loadAlerts() {
+        const status = document.getElementById('alert-status-filter')?.value ?? 'active';
+        const response = await this.makeRequest(`/alerts?status=${status}&limit=20`);
+        if (response.success) {
+            this.updateAlertList(response.alerts, response.total);
+        }
+    }
+    
+    /**
+     * Render fired alerts with their trigger history, delivery failures and actions
+     */
+    updateAlertList(alerts, total) {
+        const container = document.getElementById('alert-list');
+        if (!container) return;
+        
+        if (alerts.length === 0) {
+            container.innerHTML = '<div class="loading-placeholder">No alerts</div>';
+            return;
+        }
+        
+        container.innerHTML = alerts.map(alert => {
+            // A snooze that has run out shows as open until the rule triggers again
+            const snoozed = alert.status === 'snoozed' && new Date(alert.snoozedUntil) > new Date();
+            const state = alert.status === 'acknowledged' ? 'acknowledged' : snoozed ? 'snoozed' : 'open';
+            const failures = (alert.notifications || []).filter(notification => notification.error);
+            
+            return html`
+                <div class="network-item alert-item ${alert.severity}" data-alert-id="${alert._id}">
+                    <div class="network-header">
+                        <strong>${alert.ruleName}</strong>
+                        <span class="alert-state ${state}">${this.formatFlagName(state)}</span>
+                    </div>
+                    <div class="alert-message-text">${alert.message}</div>
+                    <div class="network-details">
+                        First ${this.formatTimestamp(alert.firstTriggeredAt)} • Last ${this.formatTimestamp(alert.lastTriggeredAt)} •
+                        ${alert.occurrences} trigger${alert.occurrences === 1 ? '' : 's'}
+                        ${snoozed ? ` • Snoozed until ${new Date(alert.snoozedUntil).toLocaleString()}${alert.snoozedBy ? ` by ${alert.snoozedBy}` : ''}` : ''}
+                        ${alert.acknowledgedBy ? ` • Acknowledged by ${alert.acknowledgedBy} ${this.formatTimestamp(alert.acknowledgedAt)}` : ''}
+                    </div>
+                    ${failures.length > 0 ? html`
+                        <div class="network-details alert-delivery-failed" title="${failures.map(failure => `${failure.channel}: ${failure.error}`).join('\n')}">
+                            ${failures.length} failed deliver${failures.length === 1 ? 'y' : 'ies'}
+                        </div>
+                    ` : ''}
+                    ${state !== 'acknowledged' ? html`
+                        <div class="review-actions">
+                            <button type="button" class="review-action" data-alert-action="acknowledge">Acknowledge</button>
+                            <button type="button" class="review-action" data-alert-action="snooze" data-snooze-minutes="60">Snooze 1h</button>
+                            <button type="button" class="review-action" data-alert-action="snooze" data-snooze-minutes="1440">Snooze 24h</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('') + (total > alerts.length
+            ? html`<div class="loading-placeholder">Showing ${alerts.length} of ${total} alerts</div>`
+            : '');
+    }
+    
+    async loadAlertRules() {
+        const response = await this.makeRequest('/alert-rules');
+        if (response.success) {
+            this.updateAlertRules(response.rules);
+        }
+    }
+    
+    /**
+     * Summarise each rule: what it matches, how often it must match, and where it notifies
+     */
+    updateAlertRules(rules) {
+        const container = document.getElementById('alert-rules');
+        if (!container) return;
+        
+        if (rules.length === 0) {
+            container.innerHTML = '<div class="loading-placeholder">No alert rules configured</div>';
+            return;
+        }
+        
+        container.innerHTML = rules.map(rule => {
+            const conditions = rule.conditions || {};
+            const matches = [
+                conditions.riskLevels?.length ? `${conditions.riskLevels.join('/')} risk` : '',
+                conditions.platforms?.length ? `on ${conditions.platforms.map(platform => this.formatPlatformName(platform)).join(', ')}` : '',
+                conditions.flags?.length ? `flagged ${conditions.flags.map(flag => this.formatFlagName(flag)).join(', ')}` : '',
+                conditions.lexicons?.length ? `hitting ${conditions.lexicons.join(', ')}` : '',
+                typeof conditions.minRiskScore === 'number' ? `scoring ${conditions.minRiskScore}+` : ''
+            ].filter(Boolean).join(' ') || 'any analysis';
+            
+            return html`
+                <div class="network-item alert-item ${rule.severity}">
+                    <div class="network-header">
+                        <strong>${rule.name}</strong>
+                        <span class="alert-state ${rule.active ? 'open' : ''}">${rule.active ? this.formatFlagName(rule.severity) : 'Disabled'}</span>
+                    </div>
+                    <div class="network-details">
+                        ${rule.threshold.count} × ${matches} within ${rule.threshold.windowMinutes} min •
+                        cooldown ${rule.cooldownMinutes} min
+                    </div>
+                    <div class="network-details">
+                        ${rule.channels.length > 0 ? rule.channels.map(channel => channel.type).join(', ') : 'No channels'}
+                        ${rule.lastFiredAt ? ` • Last fired ${this.formatTimestamp(rule.lastFiredAt)}` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    async acknowledgeAlert(alertId, button) {
+        button.disabled = true;
+        
+        try {
+            await this.makeRequest(`/alerts/${alertId}/acknowledge`, { method: 'POST' });
+            this.showToast('Alert acknowledged', 'success');
+            await this.loadAlerts();
+        } catch (error) {
+            console.error('Alert acknowledge error:', error);
+            button.disabled = false;
+            this.showToast(`Could not acknowledge alert: ${error.message}`, 'error');
+        }
+    }
+    
+    async snoozeAlert(alertId, minutes, button) {
+        button.disabled = true;
+        
+        try {
+            await this.makeRequest(`/alerts/${alertId}/snooze`, {
+                method: 'POST',
+                body: JSON.stringify({ minutes })
+            });
+            this.showToast(`Alert snoozed for ${minutes >= 60 ? `${minutes / 60}h` : `${minutes}m`}`, 'success');
+            await this.loadAlerts();
+        } catch (error) {
+            console.error('Alert snooze error:', error);
+            button.disabled = false;
+            this.showToast(`Could not snooze alert: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Render clustered campaigns: accounts involved, a representative post and the coordination score
+     */
+    updateCoordinatedCampaigns(campaigns, total) {
+        const container = document.getElementById('coordinated-campaigns');
+        if (!container) return;
+        
+        if (campaigns.length === 0) {
+            container.innerHTML = '<div class="loading-placeholder">No coordinated campaigns detected</div>';
+            return;
+        }
+        
+        const scoreLevel = (score) => score >= 80 ? 'high' : score >= 50 ? 'medium' : score >= 25 ? 'low' : 'minimal';
+        
+        container.innerHTML = campaigns.map(campaign => {
+            const post = campaign.representativePosts[0];
+            const breakdown = campaign.scoreBreakdown || {};
+            return html`
+                <div class="network-item campaign-item">
+                    <div class="network-header">
+                        <strong>${campaign.hashtags.length > 0 ? campaign.hashtags.slice(0, 3).map(tag => `#${tag}`).join(' ') : 'Shared messaging'}</strong>
+                        <span class="risk-badge ${scoreLevel(campaign.coordinationScore)}" title="Text ${this.formatPercent(breakdown.textSimilarity)}, timing ${this.formatPercent(breakdown.synchrony)}, spread ${this.formatPercent(breakdown.accountSpread)}, risk ${this.formatPercent(breakdown.risk)}">
+                            Score ${campaign.coordinationScore}
+                        </span>
+                    </div>
+                    <div class="network-details">
+                        ${campaign.accountCount} accounts • ${campaign.postCount} posts •
+                        ${campaign.platforms.map(platform => this.formatPlatformName(platform)).join(', ')}
+                    </div>
+                    <div class="network-details">
+                        First seen ${this.formatTimestamp(campaign.firstSeen)} • Last seen ${this.formatTimestamp(campaign.lastSeen)}
+                    </div>
+                    ${post ? html`
+                        <div class="campaign-post">"${this.truncateText(post.content, 140)}" (${post.userId})</div>
+                    ` : ''}
+                    <div class="campaign-accounts">
+                        ${campaign.accounts.slice(0, 6).map(account => html`<button type="button" class="network-indicator account-link" data-account="${account}">${account}</button>`)}
+                        ${campaign.accountCount > 6 ? html`<span class="network-indicator">+${campaign.accountCount - 6} more</span>` : ''}
+                    </div>
+                    <div class="review-actions" data-campaign-id="${campaign._id}">
+                        <button type="button" class="review-action" data-campaign-export="stix">Export STIX</button>
+                        <button type="button" class="review-action" data-campaign-export="report">Incident Report</button>
+                    </div>
+                </div>
+            `;
+        }).join('') + (total > campaigns.length
+            ? html`<div class="loading-placeholder">Showing ${campaigns.length} of ${total} campaigns</div>`
+            : '');
+    }
+    
+    async refreshCampaigns() {
+        try {
+            this.showToast('Re-clustering recent posts...', 'info');
+            const response = await this.makeRequest('/campaigns/refresh', { method: 'POST' });
+            this.showToast(`${response.count} coordinated campaigns found`, 'success');
+            await this.loadCampaigns();
+        } catch (error) {
+            console.error('Campaign refresh error:', error);
+            this.showToast(`Campaign refresh failed: ${error.message}`, 'error');
+        }
+    }
+    
+    async loadAccounts() {
+        this.selectedAccount = null;
+        const response = await this.makeRequest('/accounts?limit=10');
+        if (response.success) {
+            this.updateAccountList(response.accounts);
+        }
+    }
+    
+    updateAccountList(accounts) {
+        const container = document.getElementById('account-profile');
+        if (!container) return;
+        
+        if (accounts.length === 0) {
+            container.innerHTML = '<div class="loading-placeholder">No account profiles yet</div>';
+            return;
+        }
+        
+        container.innerHTML = accounts.map(account => html`
+            <div class="network-item">
+                <div class="network-header">
+                    <button type="button" class="account-link" data-account="${account.userId}">${account.userId}</button>
+                    <span class="risk-badge ${this.botScoreLevel(account.botProfile.score)}">Bot ${account.botProfile.score}</span>
+                </div>
+                <div class="network-details">
+                    ${account.botProfile.features.postCount} posts • ${account.botProfile.indicators.map(indicator => this.formatIndicatorName(indicator)).join(', ') || 'No bot indicators'}
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    async loadAccountProfile(userId) {
+        try {
+            const response = await this.makeRequest(`/accounts/${encodeURIComponent(userId)}`);
+            if (response.success) {
+                this.selectedAccount = userId;
+                this.renderAccountProfile(response);
+            }
+        } catch (error) {
+            console.error('Account profile error:', error);
+            this.showToast(`Could not load account ${userId}: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Bot likelihood with the features behind it, the account's posting hours,
+     * its recent analyses and any campaigns it was clustered into
+     */
+    renderAccountProfile({ account, recentAnalyses, campaigns }) {
+        const container = document.getElementById('account-profile');
+        if (!container) return;
+        
+        const profile = account.botProfile;
+        const { features, components } = profile;
+        const componentLabels = {
+            postingRate: 'Posting rate',
+            timing: 'Fixed interval',
+            regularity: 'Periodic timing',
+            duplicates: 'Repeated content',
+            roundTheClock: 'Round the clock',
+            platformSpread: 'Platform spread'
+        };
+        
+        const peak = Math.max(...features.hourDistribution, 1);
+        const hourBars = features.hourDistribution.map((count, hour) => {
+            const height = (count / peak) * 40;
+            return html`<rect class="hour-bar" x="${hour * 10}" y="${40 - height}" width="8" height="${height}"><title>${hour}:00 UTC: ${count} posts</title></rect>`;
+        });
+        
+        container.innerHTML = html`
+            <div class="network-item account-profile">
+                <div class="network-header">
+                    <strong>${account.userId}</strong>
+                    <span class="risk-badge ${this.botScoreLevel(profile.score)}">Bot likelihood ${profile.score}</span>
+                </div>
+                <div class="network-details">
+                    ${features.postCount} posts on ${features.platforms.map(platform => this.formatPlatformName(platform)).join(', ')} •
+                    ${features.postsLast24h} in 24h${features.firstSeen ? ` • since ${this.formatTimestamp(features.firstSeen)}` : ''}
+                </div>
+                <div class="campaign-accounts">
+                    ${profile.indicators.map(indicator => html`<span class="network-indicator">${this.formatIndicatorName(indicator)}</span>`)}
+                </div>
+                <table class="account-components">
+                    ${Object.entries(componentLabels).map(([key, label]) => html`
+                        <tr><td>${label}</td><td>${this.formatPercent(components[key])}</td></tr>
+                    `)}
+                </table>
+                <div class="network-details">Posting hours (UTC)</div>
+                <svg class="hour-chart" width="240" height="40" viewBox="0 0 240 40" role="img" aria-label="Posts by hour of day">${hourBars}</svg>
+                ${campaigns.length > 0 ? html`
+                    <div class="network-details">
+                        In campaigns: ${campaigns.map(campaign => `${campaign.hashtags.slice(0, 2).map(tag => `#${tag}`).join(' ') || 'shared messaging'} (score ${campaign.coordinationScore})`).join(', ')}
+                    </div>
+                ` : ''}
+                ${recentAnalyses.map(analysis => html`
+                    <div class="campaign-post">
+                        <span class="risk-badge ${(analysis.riskLevel || 'minimal').toLowerCase()}">${analysis.riskScore}</span>
+                        ${this.truncateText(analysis.content, 100)}
+                    </div>
+                `)}
+                <button type="button" class="account-link" data-account-list>← Top accounts</button>
+            </div>
+        `;
+    }
+    
+    botScoreLevel(score) {
+        return score >= 80 ? 'high' : score >= 60 ? 'medium' : score >= 30 ? 'low' : 'minimal';
+    }
+    
+    /**
+     * Load the training feedback queue and models awaiting approval
+     */
+    async loadFeedbackData() {
+        // The audit log is kept on every storage backend, so it loads before the MongoDB-only panels
+        if (this.hasRole('admin') && !this.auditLog) await this.searchAuditLog();
+        
+        if (this.hasRole('reviewer')) {
+            const queueResponse = await this.makeRequest('/training/queue');
+            if (queueResponse.success) {
+                this.updateTrainingQueue(queueResponse.items, queueResponse.total);
+            }
+        }
+        
+        if (this.hasRole('admin')) {
+            const modelsResponse = await this.makeRequest('/models?approval=pending');
+            if (modelsResponse.success) {
+                this.updateModelApprovals(modelsResponse.models);
+            }
+            
+            await this.loadWebhooks();
+            await (this.selectedWebhook ? this.loadWebhookDeliveries() : this.loadDeadLetters());
+            await this.loadConnectors();
+        }
+    }
+    
+    updateTrainingQueue(items, total) {
+        const container = document.getElementById('training-queue');
+        if (!container) return;
+        
+        if (items.length === 0) {
+            container.innerHTML = '<div class="loading-placeholder">No labelled items waiting for review</div>';
+            return;
+        }
+        
+        const otherLabel = (label) => label === 'anti-india' ? 'neutral' : 'anti-india';
+        
+        container.innerHTML = items.map(item => html`
+            <div class="queue-item" data-example-id="${item._id}">
+                <div class="detection-text">${this.truncateText(item.text, 140)}</div>
+                <div class="queue-item-meta">
+                    <span class="label-badge ${item.label}">${this.formatLabel(item.label)}</span>
+                    ${item.previousLabel ? ` • was ${this.formatLabel(item.previousLabel)}` : ''}
+                    • ${this.formatFlagName(item.source)} by ${item.createdBy || 'unknown'}
+                    • ${this.formatTimestamp(item.updatedAt)}
+                </div>
+                <div class="review-actions">
+                    <button type="button" class="review-action" data-queue-decision="approve">Approve</button>
+                    <button type="button" class="review-action" data-queue-decision="approve" data-label="${otherLabel(item.label)}">
+                        Approve as ${this.formatLabel(otherLabel(item.label))}
+                    </button>
+                    <button type="button" class="review-action" data-queue-decision="reject">Reject</button>
+                </div>
+            </div>
+        `).join('') + (total > items.length
+            ? html`<div class="loading-placeholder">Showing ${items.length} of ${total} pending items</div>`
+            : '');
+    }
+    
+    updateModelApprovals(models) {
+        const container = document.getElementById('model-approvals');
+        if (!container) return;
+        
+        if (models.length === 0) {
+            container.innerHTML = '<div class="loading-placeholder">No retrained models awaiting approval</div>';
+            return;
+        }
+        
+        const metricNames = ['accuracy', 'precision', 'recall', 'f1'];
+        
+        container.innerHTML = models.map(model => html`
+            <div class="model-approval" data-model-id="${model._id}">
+                <strong>${model.version}</strong>
+                <div class="model-approval-meta">
+                    ${this.formatFlagName(model.trigger || 'manual')} • ${model.algorithm} •
+                    ${model.metrics?.trainSize || 0} train / ${model.metrics?.testSize || 0} hold-out •
+                    ${this.formatTimestamp(model.completedAt || model.createdAt)}
+                </div>
+                <table class="metrics-comparison">
+                    <thead>
+                        <tr><th>Metric</th><th>Before (${model.baselineVersion || 'none'})</th><th>After</th><th>Change</th></tr>
+                    </thead>
+                    <tbody>
+                        ${metricNames.map(name => {
+                            const before = model.baselineMetrics?.[name];
+                            const after = model.metrics?.[name];
+                            const delta = before !== undefined && after !== undefined ? after - before : null;
+                            return html`
+                                <tr>
+                                    <td>${this.formatFlagName(name)}</td>
+                                    <td>${this.formatPercent(before)}</td>
+                                    <td>${this.formatPercent(after)}</td>
+                                    <td class="metric-delta ${delta > 0 ? 'up' : delta < 0 ? 'down' : ''}">
+                                        ${delta === null ? '-' : `${delta > 0 ? '+' : ''}${(delta * 100).toFixed(1)} pts`}
+                                    </td>
+                                </tr>
+                            `;
+                        })}
+                    </tbody>
+                </table>
+                <div class="review-actions">
+                    <button type="button" class="review-action" data-model-decision="activate">Approve &amp; Activate</button>
+                    <button type="button" class="review-action" data-model-decision="reject">Reject</button>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    async loadWebhooks() {
+        const response = await this.makeRequest('/webhooks');
+        if (response.success) {
+            this.webhooks = response.subscriptions;
+            this.updateWebhookList(response.subscriptions);
+        }
+    }
+    
+    updateWebhookList(subscriptions) {
+        const container = document.getElementById('webhook-list');
+        if (!container) return;
+        
+        if (subscriptions.length === 0) {
+            container.innerHTML = '<div class="loading-placeholder">No webhook subscriptions</div>';
+            return;
+        }
+        
+        container.innerHTML = subscriptions.map(subscription => {
+            const deliveries = subscription.deliveries || {};
+            return html`
+                <div class="network-item" data-webhook-id="${subscription._id}">
+                    <div class="network-header">
+                        <strong>${subscription.name}</strong>
+                        <span class="alert-state ${subscription.active ? 'open' : ''}">${subscription.active ? 'Active' : 'Disabled'}</span>
+                    </div>
+                    <div class="network-details">${subscription.url}</div>
+                    <div class="network-details">
+                        ${subscription.events.join(', ')} •
+                        ${subscription.minRiskLevel === 'MINIMAL' ? 'any risk' : `${subscription.minRiskLevel} risk and above`}
+                    </div>
+                    <div class="network-details">
+                        ${deliveries.delivered || 0} delivered • ${(deliveries.pending || 0) + (deliveries.sending || 0)} pending •
+                        ${deliveries.dead || 0} dead-lettered
+                    </div>
+                    <div class="review-actions">
+                        <button type="button" class="review-action" data-webhook-action="deliveries">Deliveries</button>
+                        <button type="button" class="review-action" data-webhook-action="toggle">${subscription.active ? 'Disable' : 'Enable'}</button>
+                        <button type="button" class="review-action" data-webhook-action="rotate">Rotate Secret</button>
+                        <button type="button" class="review-action" data-webhook-action="delete">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    async createWebhook(form) {
+        const data = new FormData(form);
+        const events = data.getAll('events');
+        if (events.length === 0) {
+            this.showToast('Choose at least one event', 'warning');
+            return;
+        }
+        
+        try {
+            const response = await this.makeRequest('/webhooks', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: data.get('name').trim(),
+                    url: data.get('url').trim(),
+                    events,
+                    minRiskLevel: data.get('minRiskLevel')
+                })
+            });
+            form.reset();
+            this.showWebhookSecret(response.subscription.name, response.secret);
+            this.showToast('Webhook added', 'success');
+            await this.loadWebhooks();
+        } catch (error) {
+            console.error('Webhook creation error:', error);
+            this.showToast(`Could not add webhook: ${error.message}`, 'error');
+        }
+    }
+    
+    // Secrets are only returned on creation and rotation, so keep this one on screen
+    showWebhookSecret(name, secret) {
+        const container = document.getElementById('webhook-secret');
+        if (!container) return;
+        
+        container.innerHTML = html`
+            Signing secret for <strong>${name}</strong>. Copy it now, it will not be shown again:
+            <code>${secret}</code>
+        `;
+        container.classList.remove('hidden');
+    }
+    
+    async handleWebhookAction(webhookId, action, button) {
+        const subscription = this.webhooks.find(candidate => candidate._id === webhookId);
+        if (!subscription) return;
+        
+        if (action === 'deliveries') {
+            this.selectedWebhook = subscription;
+            try {
+                await this.loadWebhookDeliveries();
+            } catch (error) {
+                console.error('Webhook deliveries error:', error);
+                this.showToast(`Could not load deliveries: ${error.message}`, 'error');
+            }
+            return;
+        }
+        if (action === 'delete' && !window.confirm(`Delete webhook ${subscription.name} and its delivery log?`)) return;
+        
+        button.disabled = true;
+        try {
+            if (action === 'toggle') {
+                await this.makeRequest(`/webhooks/${webhookId}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ active: !subscription.active })
+                });
+            } else if (action === 'rotate') {
+                const response = await this.makeRequest(`/webhooks/${webhookId}/rotate-secret`, { method: 'POST' });
+                this.showWebhookSecret(subscription.name, response.secret);
+            } else if (action === 'delete') {
+                await this.makeRequest(`/webhooks/${webhookId}`, { method: 'DELETE' });
+                if (this.selectedWebhook?._id === webhookId) await this.loadDeadLetters();
+            }
+            await this.loadWebhooks();
+        } catch (error) {
+            console.error('Webhook action error:', error);
+            button.disabled = false;
+            this.showToast(`Webhook update failed: ${error.message}`, 'error');
+        }
+    }
+    
+    async loadWebhookDeliveries() {
+        const subscription = this.selectedWebhook;
+        const response = await this.makeRequest(`/webhooks/${subscription._id}/deliveries?limit=20`);
+        this.updateElement('webhook-deliveries-title', `Deliveries: ${subscription.name}`);
+        this.updateWebhookDeliveries(response.deliveries, response.total);
+    }
+    
+    async loadDeadLetters() {
+        this.selectedWebhook = null;
+        const response = await this.makeRequest('/webhook-deliveries/dead?limit=20');
+        this.updateElement('webhook-deliveries-title', 'Dead-Letter Log');
+        this.updateWebhookDeliveries(response.deliveries, response.total);
+    }
+    
+    /**
+     * Render deliveries with their latest attempts; dead-lettered ones can be replayed
+     */
+    updateWebhookDeliveries(deliveries, total) {
+        const container = document.getElementById('webhook-deliveries');
+        if (!container) return;
+        
+        if (deliveries.length === 0) {
+            container.innerHTML = html`<div class="loading-placeholder">${this.selectedWebhook ? 'No deliveries yet' : 'No dead-lettered deliveries'}</div>`;
+            return;
+        }
+        
+        const statusLevel = { delivered: 'minimal', pending: 'medium', sending: 'medium', dead: 'high' };
+        
+        container.innerHTML = deliveries.map(delivery => html`
+            <div class="network-item">
+                <div class="network-header">
+                    <strong>${delivery.event}</strong>
+                    <span class="risk-badge ${statusLevel[delivery.status] || 'low'}">${this.formatFlagName(delivery.status)}</span>
+                </div>
+                <div class="network-details">
+                    ${delivery.subscriptionName ? `${delivery.subscriptionName} • ` : ''}
+                    Created ${this.formatTimestamp(delivery.createdAt)} • ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}
+                    ${delivery.status === 'pending' && delivery.attempts > 0 ? ` • next retry ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}` : ''}
+                    ${delivery.replayedBy ? ` • replayed by ${delivery.replayedBy}` : ''}
+                </div>
+                ${(delivery.attemptLog || []).length > 0 ? html`
+                    <ul class="webhook-attempts">
+                        ${delivery.attemptLog.slice(-5).reverse().map(attempt => html`
+                            <li>
+                                ${new Date(attempt.at).toLocaleString()} •
+                                ${attempt.statusCode ? `HTTP ${attempt.statusCode}` : 'no response'} •
+                                ${attempt.durationMs ?? '-'} ms
+                                ${attempt.error ? ` • ${attempt.error}` : ''}
+                            </li>
+                        `)}
+                    </ul>
+                ` : ''}
+                ${delivery.status === 'dead' ? html`
+                    <div class="review-actions">
+                        <button type="button" class="review-action" data-replay-id="${delivery._id}">Replay</button>
+                    </div>
+                ` : ''}
+            </div>
+        `).join('') + (total > deliveries.length
+            ? html`<div class="loading-placeholder">Showing ${deliveries.length} of ${total} deliveries</div>`
+            : '');
+    }
+    
+    async replayDelivery(deliveryId, button) {
+        button.disabled = true;
+        
+        try {
+            await this.makeRequest(`/webhook-deliveries/${deliveryId}/replay`, { method: 'POST' });
+            this.showToast('Delivery queued for replay', 'success');
+            await (this.selectedWebhook ? this.loadWebhookDeliveries() : this.loadDeadLetters());
+            await this.loadWebhooks();
+        } catch (error) {
+            console.error('Webhook replay error:', error);
+            button.disabled = false;
+            this.showToast(`Replay failed: ${error.message}`, 'error');
+        }
     }
     
-    /**
-     * Update recent detections list
-     */
-    updateRecentDetections(detections) {
-        const container = document.getElementById('recent-detections');
+    async loadConnectors() {
+        const response = await this.makeRequest('/connectors');
+        if (response.success) {
+            this.connectors = response.connectors;
+            if (this.connectorTypes.length === 0) {
+                this.connectorTypes = response.types;
+                this.updateConnectorTypes();
+            }
+            this.updateConnectorList(response.connectors);
+        }
+    }
+    
+    updateConnectorTypes() {
+        const select = document.getElementById('connector-type');
+        if (!select) return;
+        
+        select.innerHTML = this.connectorTypes.map(type => html`
+            <option value="${type.type}">${type.label}</option>
+        `).join('');
+        this.showConnectorExample();
+    }
+    
+    // Describe the chosen source type and offer its example settings as a starting point
+    showConnectorExample() {
+        const form = document.getElementById('connector-form');
+        const type = this.connectorTypes.find(candidate => candidate.type === form?.elements.type.value);
+        if (!type) return;
+        
+        this.updateElement('connector-type-help', type.description);
+        form.elements.config.placeholder = JSON.stringify(type.example, null, 2);
+    }
+    
+    updateConnectorList(connectors) {
+        const container = document.getElementById('connector-list');
         if (!container) return;
         
-        if (detections.length === 0) {
-            container.innerHTML = '<div class="loading-placeholder">No recent detections</div>';
+        if (connectors.length === 0) {
+            container.innerHTML = '<div class="loading-placeholder">No connectors configured</div>';
             return;
         }
         
-        const detectionsHTML = detections.map(detection => `
-            <div class="detection-item">
-                <div class="detection-content">
-                    <div class="detection-text">
-                        ${this.truncateText(detection.content, 100)}
+        const statusLevel = { succeeded: 'minimal', running: 'medium', idle: 'low', failed: 'high' };
+        const labels = new Map(this.connectorTypes.map(type => [type.type, type.label]));
+        
+        container.innerHTML = connectors.map(connector => {
+            const lastRun = connector.lastRun || {};
+            const totals = connector.totals || {};
+            return html`
+                <div class="network-item" data-connector-id="${connector._id}">
+                    <div class="network-header">
+                        <strong>${connector.name}</strong>
+                        <span class="risk-badge ${connector.active ? statusLevel[connector.status] || 'low' : 'low'}">
+                            ${connector.active ? this.formatFlagName(connector.status) : 'Paused'}
+                        </span>
                     </div>
-                    <div class="detection-meta">
-                        ${detection.platform.toUpperCase()} • 
-                        ${this.formatTimestamp(detection.timestamp)} • 
-                        Risk: ${detection.riskLevel}
+                    <div class="network-details">
+                        ${labels.get(connector.type) || connector.type} • every ${connector.intervalMinutes} min
+                        ${connector.active ? ` • next run ${new Date(connector.nextRunAt).toLocaleString()}` : ''}
+                    </div>
+                    ${lastRun.startedAt ? html`
+                        <div class="network-details">
+                            Last run ${this.formatTimestamp(lastRun.startedAt)}: ${lastRun.fetched || 0} fetched •
+                            ${lastRun.ingested || 0} analysed • ${lastRun.duplicates || 0} already seen • ${lastRun.failed || 0} failed
+                        </div>
+                    ` : ''}
+                    <div class="network-details">${totals.ingested || 0} analysed in ${totals.runs || 0} runs</div>
+                    ${lastRun.error ? html`<div class="connector-error">${lastRun.error}</div>` : ''}
+                    ${(lastRun.errors || []).length > 0 ? html`
+                        <ul class="webhook-attempts">
+                            ${lastRun.errors.slice(0, 5).map(entry => html`
+                                <li>${entry.sourceId}: ${entry.error}</li>
+                            `)}
+                        </ul>
+                    ` : ''}
+                    <div class="review-actions">
+                        <button type="button" class="review-action" data-connector-action="run" ${connector.active ? '' : 'disabled'}>Run Now</button>
+                        <button type="button" class="review-action" data-connector-action="edit">Edit</button>
+                        <button type="button" class="review-action" data-connector-action="toggle">${connector.active ? 'Pause' : 'Resume'}</button>
+                        <button type="button" class="review-action" data-connector-action="reset">Reset Cursor</button>
+                        <button type="button" class="review-action" data-connector-action="delete">Delete</button>
                     </div>
                 </div>
-                <div class="risk-badge ${detection.riskLevel.toLowerCase()}">
-                    ${detection.riskScore}
-                </div>
-            </div>
-        `).join('');
+            `;
+        }).join('');
+    }
+    
+    async saveConnector(form) {
+        const data = new FormData(form);
+        let config;
+        try {
+            config = JSON.parse(data.get('config').trim() || form.elements.config.placeholder);
+        } catch (error) {
+            this.showToast('Settings must be valid JSON', 'warning');
+            return;
+        }
         
-        container.innerHTML = detectionsHTML;
+        const connectorId = data.get('connectorId');
+        try {
+            await this.makeRequest(connectorId ? `/connectors/${connectorId}` : '/connectors', {
+                method: connectorId ? 'PUT' : 'POST',
+                body: JSON.stringify({
+                    name: data.get('name').trim(),
+                    type: data.get('type'),
+                    intervalMinutes: parseInt(data.get('intervalMinutes'), 10),
+                    config
+                })
+            });
+            form.reset();
+            this.showToast(connectorId ? 'Connector updated' : 'Connector added', 'success');
+            await this.loadConnectors();
+        } catch (error) {
+            console.error('Connector save error:', error);
+            this.showToast(`Could not save connector: ${error.message}`, 'error');
+        }
     }
     
-    /**
-     * Update platform statistics
-     */
-    updatePlatformStats(platformStats) {
-        const container = document.getElementById('platform-stats');
-        if (!container) return;
+    editConnector(connector) {
+        const form = document.getElementById('connector-form');
+        if (!form) return;
+        
+        form.elements.connectorId.value = connector._id;
+        form.elements.name.value = connector.name;
+        form.elements.type.value = connector.type;
+        form.elements.intervalMinutes.value = connector.intervalMinutes;
+        form.elements.config.value = JSON.stringify(connector.config, null, 2);
+        this.showConnectorExample();
+        this.updateElement('connector-submit', 'Save Connector');
+        document.getElementById('connector-cancel')?.classList.remove('hidden');
+        form.elements.name.focus();
+    }
+    
+    // Runs after the form's own reset, which clears the hidden id
+    resetConnectorForm() {
+        this.updateElement('connector-submit', 'Add Connector');
+        document.getElementById('connector-cancel')?.classList.add('hidden');
+        this.showConnectorExample();
+    }
+    
+    async handleConnectorAction(connectorId, action, button) {
+        const connector = this.connectors.find(candidate => candidate._id === connectorId);
+        if (!connector) return;
         
-        if (platformStats.length === 0) {
-            container.innerHTML = '<div class="loading-placeholder">No platform data available</div>';
+        if (action === 'edit') {
+            this.editConnector(connector);
             return;
         }
+        if (action === 'reset' && !window.confirm(`Re-read ${connector.name} from the start? Items already analysed are still skipped.`)) return;
+        if (action === 'delete' && !window.confirm(`Delete connector ${connector.name}? Its analyses are kept.`)) return;
         
-        const statsHTML = platformStats.map(stat => `
-            <div class="platform-stat">
-                <div class="platform-name">
-                    ${this.formatPlatformName(stat._id)}
-                </div>
-                <div class="platform-metrics">
-                    <span class="platform-count">${stat.count}</span>
-                    <span class="platform-risk">
-                        Avg Risk: ${stat.avgRisk ? stat.avgRisk.toFixed(1) : '0'}
-                    </span>
-                </div>
-            </div>
-        `).join('');
-        
-        container.innerHTML = statsHTML;
+        button.disabled = true;
+        try {
+            if (action === 'run') {
+                await this.makeRequest(`/connectors/${connectorId}/run`, { method: 'POST' });
+                this.showToast(`${connector.name} will run shortly`, 'info');
+            } else if (action === 'toggle') {
+                await this.makeRequest(`/connectors/${connectorId}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ active: !connector.active })
+                });
+            } else if (action === 'reset') {
+                await this.makeRequest(`/connectors/${connectorId}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ resetCursor: true })
+                });
+            } else if (action === 'delete') {
+                await this.makeRequest(`/connectors/${connectorId}`, { method: 'DELETE' });
+            }
+            await this.loadConnectors();
+        } catch (error) {
+            console.error('Connector action error:', error);
+            button.disabled = false;
+            this.showToast(`Connector update failed: ${error.message}`, 'error');
+        }
     }
     
     /**
-     * Update network analysis section
+     * Start a fresh audit listing from the current filter form
      */
-    updateNetworkAnalysis(suspiciousNetworks) {
-        const container = document.getElementById('suspicious-networks');
-        if (!container) return;
+    searchAuditLog() {
+        const form = document.getElementById('audit-filters');
+        if (!form) return;
+        
+        const params = this.filterParams(form);
+        const container = document.getElementById('audit-entries');
+        if (container) container.innerHTML = '';
+        this.auditLog = { params, page: 0, hasMore: true, loading: false };
+        return this.loadMoreAuditEntries();
+    }
+    
+    async loadMoreAuditEntries() {
+        const auditLog = this.auditLog;
+        if (!auditLog || auditLog.loading || !auditLog.hasMore) return;
         
-        if (suspiciousNetworks.length === 0) {
-            container.innerHTML = '<div class="loading-placeholder">No suspicious networks detected</div>';
-            return;
+        auditLog.loading = true;
+        const container = document.getElementById('audit-entries');
+        try {
+            const params = new URLSearchParams(auditLog.params);
+            params.set('page', auditLog.page + 1);
+            const response = await this.makeRequest(`/audit?${params}`);
+            if (this.auditLog !== auditLog) return;
+            
+            auditLog.page = response.page;
+            auditLog.hasMore = response.hasMore;
+            
+            if (response.total === 0) {
+                container.innerHTML = '<div class="loading-placeholder">No audit entries match these filters</div>';
+            } else {
+                container.insertAdjacentHTML('beforeend', html`${response.entries.map(entry => this.generateAuditEntryHTML(entry))}`);
+            }
+            this.updateElement('audit-count', `${response.total} ${response.total === 1 ? 'entry' : 'entries'}`);
+            
+        } catch (error) {
+            console.error('Audit log error:', error);
+            auditLog.hasMore = false;
+            this.showToast(`Could not load the audit log: ${error.message}`, 'error');
+        } finally {
+            auditLog.loading = false;
         }
         
-        const networksHTML = suspiciousNetworks.slice(0, 5).map((network, index) => `
-            <div class="network-item">
+        if (this.auditLog === auditLog) {
+            document.getElementById('audit-more')?.classList.toggle('hidden', !auditLog.hasMore);
+        }
+    }
+    
+    generateAuditEntryHTML(entry) {
+        const details = Object.entries(entry.details || {})
+            .map(([key, value]) => `${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+            .join(' • ');
+        
+        return html`
+            <div class="audit-entry">
                 <div class="network-header">
-                    <strong>User: ${network._id || 'Unknown'}</strong>
-                    <span class="network-risk">Risk: ${network.totalRisk}</span>
+                    <strong>${entry.action}</strong>
+                    <span>${new Date(entry.at).toLocaleString()}</span>
                 </div>
                 <div class="network-details">
-                    Posts: ${network.posts.length} | 
-                    Indicators: ${network.indicators.flat().join(', ') || 'None'}
+                    ${entry.actor || 'unknown user'}${entry.role ? ` (${entry.role})` : ''}
+                    ${entry.targetType ? ` • ${entry.targetType} ${entry.targetId || ''}` : ''}
+                    ${entry.ip ? ` • ${entry.ip}` : ''}
                 </div>
+                ${details ? html`<div class="network-details">${details}</div>` : ''}
+                <code>#${entry.seq} ${entry.hash.slice(0, 16)}</code>
             </div>
-        `).join('');
+        `;
+    }
+    
+    async verifyAuditLog(button) {
+        const container = document.getElementById('audit-verification');
+        if (!container) return;
         
-        container.innerHTML = networksHTML;
+        button.disabled = true;
+        try {
+            const result = await this.makeRequest('/audit/verify');
+            container.className = `audit-verification ${result.valid ? 'valid' : 'broken'}`;
+            container.innerHTML = result.valid
+                ? html`
+                    Chain intact: ${result.checked} entries checked.
+                    ${result.head ? html`Head is #${result.head.seq} <code>${result.head.hash}</code>; keep a copy outside this system to detect truncation.` : ''}
+                `
+                : html`Chain broken at entry #${result.brokenAt.seq}: ${result.brokenAt.problem}. ${result.checked} entries before it are intact.`;
+        } catch (error) {
+            console.error('Audit verification error:', error);
+            this.showToast(`Verification failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    /**
+     * Send an analysis to the training queue with the given label
+     */
+    async promoteAnalysis(analysisId, label) {
+        try {
+            const response = await this.makeRequest(`/analyses/${analysisId}/promote`, {
+                method: 'POST',
+                body: JSON.stringify({ label })
+            });
+            
+            this.showToast(response.queued
+                ? `Queued as ${this.formatLabel(label)} training example`
+                : 'Already in the training data with this label', 'success');
+            await this.loadFeedbackData();
+        } catch (error) {
+            console.error('Promote error:', error);
+            this.showToast(`Promotion failed: ${error.message}`, 'error');
+        }
+    }
+    
+    async decideTrainingItem(exampleId, decision, label) {
+        try {
+            await this.makeRequest(`/training/queue/${exampleId}/${decision}`, {
+                method: 'POST',
+                body: JSON.stringify(label ? { label } : {})
+            });
+            
+            this.showToast(decision === 'approve' ? 'Added to training data' : 'Training item rejected', 'success');
+            await this.loadFeedbackData();
+        } catch (error) {
+            console.error('Training queue error:', error);
+            this.showToast(`Update failed: ${error.message}`, 'error');
+        }
+    }
+    
+    async decideModel(modelId, decision) {
+        try {
+            const response = await this.makeRequest(`/models/${modelId}/${decision}`, { method: 'POST' });
+            
+            this.showToast(decision === 'activate'
+                ? `Model ${response.model.version} is now live`
+                : `Model ${response.model.version} rejected`, 'success');
+            await this.loadFeedbackData();
+        } catch (error) {
+            console.error('Model approval error:', error);
+            this.showToast(`Model update failed: ${error.message}`, 'error');
+        }
     }
     
     /**
      * Setup real-time monitoring
      */
-    setupRealTimeMonitoring() {
+    async setupRealTimeMonitoring() {
+        if (!this.session) return;
+        
+        // The server authenticates the upgrade with the access token
+        if (this.isAccessTokenExpiring() && !await this.refreshSession()) {
+            this.endSession();
+            return;
+        }
+        
         // WebSocket connection for real-time updates
         try {
             const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-            const wsUrl = `${protocol}//${window.location.host}/ws`;
+            const wsUrl = `${protocol}//${window.location.host}/ws?token=${encodeURIComponent(this.session.accessToken)}`;
             
             this.websocket = new WebSocket(wsUrl);
             
@@ -502,11 +2485,14 @@ class AntiIndiaCampaignDetector {
                 this.updateSystemStatus('error');
             };
             
+            const socket = this.websocket;
             this.websocket.onclose = () => {
                 console.log('WebSocket disconnected');
                 this.updateSystemStatus('offline');
-                // Attempt to reconnect after 5 seconds
-                setTimeout(() => this.setupRealTimeMonitoring(), 5000);
+                // Attempt to reconnect after 5 seconds unless signed out or replaced
+                if (this.session && this.websocket === socket) {
+                    setTimeout(() => this.setupRealTimeMonitoring(), 5000);
+                }
             };
             
         } catch (error) {
@@ -527,7 +2513,8 @@ class AntiIndiaCampaignDetector {
         this.pollingInterval = setInterval(async () => {
             if (this.isRealTimeEnabled) {
                 try {
-                    await this.loadDashboardData();
+                    // Without the socket, campaign and alert events never arrive, so poll those panels too
+                    await this.loadDashboardData([...DETECTION_PANELS, 'campaigns', 'alerts']);
                 } catch (error) {
                     console.error('Polling error:', error);
                 }
@@ -560,8 +2547,39 @@ class AntiIndiaCampaignDetector {
         switch (data.type) {
             case 'new_detection':
                 this.addNewDetection(data.detection);
-                if (data.detection.riskLevel === 'HIGH') {
-                    this.showAlert(`New high-risk detection: ${data.detection.platform}`, 'error');
+                break;
+            
+            case 'alert_fired':
+                this.showAlert(`${data.alert.ruleName}: ${data.alert.message}`, data.alert.severity === 'critical' ? 'error' : 'warning');
+                this.loadAlerts().catch(error => console.error('Alert loading error:', error));
+                break;
+            
+            case 'alert_updated':
+                this.loadAlerts().catch(error => console.error('Alert loading error:', error));
+                break;
+            
+            case 'detection_reviewed':
+                this.applyReviewUpdate(data.detection);
+                break;
+            
+            case 'batch_progress':
+                this.updateBatchProgress(data.batch);
+                break;
+            
+            case 'connector_run':
+                if (this.hasRole('admin')) {
+                    this.loadConnectors().catch(error => console.error('Connector loading error:', error));
+                }
+                break;
+            
+            case 'campaigns_updated':
+                this.loadCampaigns().catch(error => console.error('Campaign loading error:', error));
+                break;
+            
+            case 'model_pending_approval':
+                if (this.hasRole('admin')) {
+                    this.showToast(`Retrained model ${data.model.version} is waiting for approval`, 'info');
+                    this.loadFeedbackData();
                 }
                 break;
             
@@ -593,168 +2611,351 @@ class AntiIndiaCampaignDetector {
             uploadArea.classList.add('dragover');
         });
         
-        uploadArea.addEventListener('dragleave', () => {
-            uploadArea.classList.remove('dragover');
-        });
+        uploadArea.addEventListener('dragleave', () => {
+            uploadArea.classList.remove('dragover');
+        });
+        
+        uploadArea.addEventListener('drop', (e) => {
+            e.preventDefault();
+            uploadArea.classList.remove('dragover');
+            
+            const files = Array.from(e.dataTransfer.files);
+            this.handleFileUpload(files);
+        });
+        
+        // Click to upload
+        uploadArea.addEventListener('click', () => {
+            fileInput.click();
+        });
+        
+        fileInput.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            this.handleFileUpload(files);
+        });
+    }
+    
+    /**
+     * Upload files as server-side batch jobs. Processing continues on the
+     * server if the modal or the tab is closed; progress is tracked by job id.
+     * CSV and TSV files go through the column-mapping step first.
+     */
+    async handleFileUpload(files) {
+        if (files.length === 0) return;
+        
+        for (const file of files) {
+            if (file.size > 10 * 1024 * 1024) { // 10MB limit
+                this.showToast(`File ${file.name} is too large (max 10MB)`, 'warning');
+                continue;
+            }
+            
+            try {
+                const data = await this.readFile(file);
+                const format = this.detectBatchFormat(file);
+                
+                if (format === 'csv' || format === 'tsv') {
+                    this.pendingMappings.push({ file, data, format });
+                } else {
+                    await this.submitBatch(file.name, { format, data });
+                }
+            } catch (error) {
+                console.error(`Error reading file ${file.name}:`, error);
+                this.showToast(`Error processing ${file.name}: ${error.message}`, 'error');
+            }
+        }
+        
+        this.showNextMapping();
+    }
+    
+    async submitBatch(fileName, payload) {
+        try {
+            const response = await this.makeRequest('/batches', {
+                method: 'POST',
+                body: JSON.stringify({ fileName, ...payload })
+            });
+            
+            if (response.rejectedCount > 0) {
+                this.showToast(`${response.rejectedCount} rows in ${fileName} were skipped`, 'warning');
+            }
+            this.trackBatch(response.batch);
+            this.showToast(`${fileName}: ${response.batch.total} items queued. Processing continues on the server if you close this window.`, 'info');
+            
+        } catch (error) {
+            console.error(`Error uploading file ${fileName}:`, error);
+            this.showToast(`Error processing ${fileName}: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Column mapping for delimited files: pick the delimiter and which columns
+     * hold content, platform, userId, hashtags and timestamp, with a live preview.
+     * The server parses the file for the preview, the same way it parses the batch.
+     */
+    showNextMapping() {
+        const pending = this.pendingMappings[0];
+        document.getElementById('column-mapping')?.classList.toggle('hidden', !pending);
+        document.querySelector('.file-upload-section')?.classList.toggle('hidden', Boolean(pending));
+        if (!pending) return;
+        
+        this.updateElement('mapping-file-name', pending.file.name);
+        this.renderColumnMapping();
+    }
+    
+    async renderColumnMapping() {
+        const pending = this.pendingMappings[0];
+        let preview;
+        try {
+            // Without a delimiter the server detects one from the header row
+            preview = await this.makeRequest('/batches/preview', {
+                method: 'POST',
+                body: JSON.stringify({ format: pending.format, delimiter: pending.delimiter, data: pending.data }),
+                timeout: 30000
+            });
+        } catch (error) {
+            this.showToast(`Could not read ${pending.file.name}: ${error.message}`, 'error');
+            if (this.pendingMappings[0] === pending) this.skipMapping();
+            return;
+        }
+        // Another file's mapping was shown while this preview loaded
+        if (this.pendingMappings[0] !== pending) return;
+        
+        Object.assign(pending, {
+            delimiter: preview.delimiter,
+            headers: preview.headers,
+            rows: preview.rows,
+            total: preview.total
+        });
+        document.getElementById('mapping-delimiter').value = pending.delimiter === '\t' ? 'tab' : pending.delimiter;
+        
+        document.querySelectorAll('[data-mapping-field]').forEach(select => {
+            const selected = preview.suggested[select.dataset.mappingField];
+            
+            select.innerHTML = '<option value="">(not mapped)</option>' + pending.headers.map(column => html`
+                <option value="${column}" ${column === selected ? 'selected' : ''}>${column}</option>
+            `).join('');
+        });
+        
+        this.updateMappingPreview();
+    }
+    
+    readColumnMapping() {
+        const columns = {};
+        document.querySelectorAll('[data-mapping-field]').forEach(select => {
+            if (select.value) columns[select.dataset.mappingField] = select.value;
+        });
+        return columns;
+    }
+    
+    updateMappingPreview() {
+        const pending = this.pendingMappings[0];
+        const preview = document.getElementById('mapping-preview');
+        const submitButton = document.getElementById('mapping-submit');
+        if (!pending || !pending.headers || !preview) return;
+        
+        const columns = this.readColumnMapping();
+        const fieldsByColumn = {};
+        Object.entries(columns).forEach(([field, column]) => {
+            fieldsByColumn[column] = [...(fieldsByColumn[column] || []), field];
+        });
+        
+        preview.innerHTML = html`
+            <table class="mapping-table">
+                <thead>
+                    <tr>
+                        ${pending.headers.map(column => html`
+                            <th class="${fieldsByColumn[column] ? 'mapped' : ''}">
+                                ${column}
+                                ${(fieldsByColumn[column] || []).map(field => html`<span class="mapping-tag">${field}</span>`)}
+                            </th>
+                        `)}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${pending.rows.map(row => html`
+                        <tr>
+                            ${pending.headers.map((column, index) => html`
+                                <td class="${fieldsByColumn[column] ? 'mapped' : ''}">${this.truncateText(row.fields[index] || '', 60)}</td>
+                            `)}
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+            <p class="mapping-summary">Showing ${pending.rows.length} of ${pending.total} rows</p>
+        `;
+        
+        submitButton.disabled = !columns.content;
+        submitButton.textContent = columns.content
+            ? `Analyze ${pending.total} rows`
+            : 'Choose a content column';
+    }
+    
+    async submitMapping() {
+        const pending = this.pendingMappings.shift();
+        if (!pending) return;
+        
+        await this.submitBatch(pending.file.name, {
+            format: pending.format,
+            delimiter: pending.delimiter,
+            columns: this.readColumnMapping(),
+            data: pending.data
+        });
+        this.showNextMapping();
+    }
+    
+    skipMapping() {
+        const pending = this.pendingMappings.shift();
+        if (pending) this.showToast(`${pending.file.name} skipped`, 'info');
+        this.showNextMapping();
+    }
+    
+    detectBatchFormat(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (extension === 'ndjson') return 'jsonl';
+        return ['csv', 'tsv', 'json', 'jsonl'].includes(extension) ? extension : 'txt';
+    }
+    
+    /**
+     * Batch job tracking. Job ids are remembered per user so tracking resumes
+     * after a reload; progress arrives over the WebSocket with a slow poll as backup.
+     */
+    batchStorageKey() {
+        return `detector.batches.${this.session?.user?.username}`;
+    }
+    
+    saveActiveBatches() {
+        if (!this.session) return;
+        localStorage.setItem(this.batchStorageKey(), JSON.stringify([...this.activeBatches.keys()]));
+    }
+    
+    async resumeBatches() {
+        let batchIds = [];
+        try {
+            batchIds = JSON.parse(localStorage.getItem(this.batchStorageKey())) || [];
+        } catch (error) {
+            batchIds = [];
+        }
+        
+        for (const batchId of batchIds) {
+            try {
+                const response = await this.makeRequest(`/batches/${batchId}`);
+                this.trackBatch(response.batch);
+            } catch (error) {
+                console.error(`Batch ${batchId} could not be resumed:`, error);
+            }
+        }
+        this.saveActiveBatches();
+    }
+    
+    trackBatch(batch) {
+        this.activeBatches.set(batch._id, batch);
+        this.saveActiveBatches();
+        this.updateBatchProgress(batch);
+        
+        if (!this.batchPollInterval) {
+            this.batchPollInterval = setInterval(() => this.pollBatches(), 10000);
+        }
+    }
+    
+    async pollBatches() {
+        for (const batchId of [...this.activeBatches.keys()]) {
+            try {
+                const response = await this.makeRequest(`/batches/${batchId}`);
+                this.updateBatchProgress(response.batch);
+            } catch (error) {
+                console.error('Batch status error:', error);
+            }
+        }
+    }
+    
+    stopBatchTracking() {
+        clearInterval(this.batchPollInterval);
+        this.batchPollInterval = null;
+        this.activeBatches.clear();
+    }
+    
+    updateBatchProgress(batch) {
+        if (!this.activeBatches.has(batch._id)) return;
+        this.activeBatches.set(batch._id, { ...this.activeBatches.get(batch._id), ...batch });
         
-        uploadArea.addEventListener('drop', (e) => {
-            e.preventDefault();
-            uploadArea.classList.remove('dragover');
-            
-            const files = Array.from(e.dataTransfer.files);
-            this.handleFileUpload(files);
-        });
+        const batches = [...this.activeBatches.values()];
+        const total = batches.reduce((sum, item) => sum + item.total, 0);
+        const processed = batches.reduce((sum, item) => sum + item.processed, 0);
+        const progress = total > 0 ? (processed / total) * 100 : 100;
         
-        // Click to upload
-        uploadArea.addEventListener('click', () => {
-            fileInput.click();
-        });
+        const progressSection = document.getElementById('batch-progress');
+        if (progressSection) {
+            progressSection.classList.remove('hidden');
+            progressSection.querySelector('.progress-fill').style.width = `${progress}%`;
+            this.updateElement('progress-percentage', `${Math.round(progress)}% (${processed} of ${total} items)`);
+        }
         
-        fileInput.addEventListener('change', (e) => {
-            const files = Array.from(e.target.files);
-            this.handleFileUpload(files);
-        });
+        if (['completed', 'failed', 'cancelled'].includes(batch.status)) {
+            this.finishBatch(batch._id);
+        }
     }
     
-    /**
-     * Handle file upload for batch analysis
-     */
-    async handleFileUpload(files) {
-        if (files.length === 0) return;
+    async finishBatch(batchId) {
+        const batch = this.activeBatches.get(batchId);
+        this.activeBatches.delete(batchId);
+        this.saveActiveBatches();
+        
+        if (this.activeBatches.size === 0) {
+            clearInterval(this.batchPollInterval);
+            this.batchPollInterval = null;
+            document.getElementById('batch-progress')?.classList.add('hidden');
+        }
+        
+        const name = batch.fileName || 'Batch';
+        if (batch.status !== 'completed') {
+            this.showToast(`${name} ${batch.status}`, batch.status === 'failed' ? 'error' : 'warning');
+            return;
+        }
         
         try {
-            const progressSection = document.getElementById('batch-progress');
-            const progressFill = progressSection.querySelector('.progress-fill');
-            const progressText = document.getElementById('progress-percentage');
-            
-            progressSection.classList.remove('hidden');
-            
-            let totalFiles = files.length;
-            let processedFiles = 0;
-            
-            const results = [];
-            
-            for (const file of files) {
-                if (file.size > 10 * 1024 * 1024) { // 10MB limit
-                    this.showToast(`File ${file.name} is too large (max 10MB)`, 'warning');
-                    continue;
-                }
-                
-                try {
-                    const fileContent = await this.readFile(file);
-                    const parsedContent = this.parseFileContent(fileContent, file.type);
-                    
-                    for (const item of parsedContent) {
-                        const response = await this.makeRequest('/analyze', {
-                            method: 'POST',
-                            body: JSON.stringify({
-                                content: item.content,
-                                metadata: {
-                                    ...item.metadata,
-                                    source: 'batch_upload',
-                                    fileName: file.name
-                                }
-                            })
-                        });
-                        
-                        if (response.success) {
-                            results.push(response.analysis);
-                        }
-                    }
-                    
-                } catch (error) {
-                    console.error(`Error processing file ${file.name}:`, error);
-                    this.showToast(`Error processing ${file.name}`, 'error');
-                }
-                
-                processedFiles++;
-                const progress = (processedFiles / totalFiles) * 100;
-                progressFill.style.width = `${progress}%`;
-                progressText.textContent = `${Math.round(progress)}%`;
-            }
+            // Progress messages carry counters only; fetch the full job for the summary
+            const [status, results] = await Promise.all([
+                this.makeRequest(`/batches/${batchId}`),
+                this.makeRequest(`/batches/${batchId}/results?limit=5`)
+            ]);
             
-            // Display batch results
-            this.displayBatchResults(results);
+            this.displayBatchResults(status.batch, results.results);
             this.closeBatchModal();
-            this.showToast(`Batch analysis complete: ${results.length} items processed`, 'success');
-            
+            this.showToast(`Batch analysis complete: ${status.batch.succeeded} items processed` +
+                (status.batch.failed > 0 ? `, ${status.batch.failed} failed` : ''), 'success');
+            this.loadDashboardData(DETECTION_PANELS);
         } catch (error) {
-            console.error('Batch upload error:', error);
-            this.showToast('Batch analysis failed', 'error');
+            console.error('Batch results error:', error);
+            this.showToast(`${name} finished but its results could not be loaded`, 'error');
         }
     }
     
-    /**
-     * Parse file content based on type
-     */
-    parseFileContent(content, fileType) {
-        try {
-            if (fileType === 'application/json') {
-                const data = JSON.parse(content);
-                return Array.isArray(data) ? data : [data];
-            } else if (fileType === 'text/csv') {
-                return this.parseCSV(content);
-            } else {
-                // Treat as plain text, split by lines
-                return content.split('\n')
-                    .filter(line => line.trim().length > 0)
-                    .map(line => ({ content: line.trim(), metadata: {} }));
+    async cancelBatches() {
+        for (const batchId of [...this.activeBatches.keys()]) {
+            try {
+                const response = await this.makeRequest(`/batches/${batchId}`, { method: 'DELETE' });
+                this.updateBatchProgress(response.batch);
+            } catch (error) {
+                console.error('Batch cancel error:', error);
+                this.showToast(`Cancel failed: ${error.message}`, 'error');
             }
-        } catch (error) {
-            throw new Error(`Failed to parse file content: ${error.message}`);
         }
     }
     
-    /**
-     * Parse CSV content
-     */
-    parseCSV(csvContent) {
-        const lines = csvContent.split('\n');
-        const headers = lines[0].split(',').map(h => h.trim());
-        const contentIndex = headers.findIndex(h => 
-            h.toLowerCase().includes('content') || 
-            h.toLowerCase().includes('text') || 
-            h.toLowerCase().includes('message')
-        );
-        
-        if (contentIndex === -1) {
-            throw new Error('CSV file must have a content/text/message column');
-        }
-        
-        return lines.slice(1)
-            .filter(line => line.trim().length > 0)
-            .map(line => {
-                const values = line.split(',');
-                const metadata = {};
-                
-                headers.forEach((header, index) => {
-                    if (index !== contentIndex && values[index]) {
-                        metadata[header.toLowerCase()] = values[index].trim();
-                    }
-                });
-                
-                return {
-                    content: values[contentIndex] ? values[contentIndex].trim() : '',
-                    metadata
-                };
-            })
-            .filter(item => item.content.length > 0);
-    }
-    
     /**
      * Utility functions
      */
     
-    async makeRequest(endpoint, options = {}) {
+    async makeRequest(endpoint, options = {}, isRetry = false) {
         const defaultOptions = {
             method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-            },
             timeout: 10000
         };
         
         const config = { ...defaultOptions, ...options };
+        config.headers = {
+            'Content-Type': 'application/json',
+            ...(this.session?.accessToken ? { Authorization: `Bearer ${this.session.accessToken}` } : {}),
+            ...options.headers
+        };
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), config.timeout);
         
@@ -766,11 +2967,33 @@ class AntiIndiaCampaignDetector {
             
             clearTimeout(timeoutId);
             
+            // The service worker marks answers it gave without reaching the server
+            const offline = response.headers.has('X-Offline');
+            this.setConnectionLost(offline);
+            
+            // Expired access token: refresh once and replay the request
+            if (response.status === 401 && this.session) {
+                if (!isRetry && await this.refreshSession()) {
+                    return this.makeRequest(endpoint, options, true);
+                }
+                this.endSession();
+                throw new Error('Session expired, please sign in again');
+            }
+            
+            if (response.status === 403) {
+                throw new Error('You do not have permission for this action');
+            }
+            
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const data = await response.json().catch(() => ({}));
+                const failure = new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+                failure.status = response.status;
+                failure.offline = offline;
+                throw failure;
             }
             
-            return await response.json();
+            // raw hands back the response itself, for downloads
+            return options.raw ? response : await response.json();
         } catch (error) {
             clearTimeout(timeoutId);
             
@@ -778,10 +3001,209 @@ class AntiIndiaCampaignDetector {
                 throw new Error('Request timeout');
             }
             
+            // fetch only rejects with a TypeError when the network itself failed
+            if (error instanceof TypeError) {
+                this.setConnectionLost(true);
+                const failure = new Error('You are offline');
+                failure.offline = true;
+                throw failure;
+            }
+            
             throw error;
         }
     }
     
+    /**
+     * Offline support
+     */
+    
+    setConnectionLost(lost) {
+        if (this.connectionLost === lost) return;
+        
+        this.connectionLost = lost;
+        this.updateConnectionStatus();
+        if (!lost) {
+            this.flushOutbox();
+        }
+    }
+    
+    async pendingAnalyses() {
+        const username = this.session?.user?.username;
+        if (!username) return [];
+        
+        try {
+            const items = await this.outbox.list();
+            return items.filter(item => item.username === username);
+        } catch (error) {
+            console.error('Outbox error:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Show the offline banner while the server is unreachable or queued analyses wait
+     */
+    async updateConnectionStatus() {
+        const banner = document.getElementById('offline-banner');
+        if (!banner) return;
+        
+        const offline = this.connectionLost || !navigator.onLine;
+        const pending = (await this.pendingAnalyses()).length;
+        const queued = pending === 1 ? '1 queued analysis' : `${pending} queued analyses`;
+        
+        let message = '';
+        if (offline) {
+            message = pending > 0
+                ? `You are offline and the dashboard shows the data it last saved. ${queued} will be sent when the connection returns.`
+                : 'You are offline and the dashboard shows the data it last saved. New analyses are queued until the connection returns.';
+        } else if (pending > 0) {
+            message = `Sending ${queued}...`;
+        }
+        
+        this.updateElement('offline-message', message);
+        banner.classList.toggle('hidden', !message);
+    }
+    
+    async queueAnalysis(requestData) {
+        try {
+            await this.outbox.add({
+                username: this.session.user.username,
+                request: requestData,
+                key: newSubmissionKey(),
+                queuedAt: new Date().toISOString()
+            });
+            this.showToast('You are offline. The analysis is queued and will be sent when the connection returns.', 'warning');
+            
+            // Lets the browser wake the page to send it even if the tab stays idle
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.ready
+                    .then(registration => registration.sync?.register(OUTBOX_SYNC_TAG))
+                    .catch(() => {});
+            }
+        } catch (error) {
+            console.error('Outbox error:', error);
+            this.showToast('You are offline and the analysis could not be queued', 'error');
+        }
+        
+        this.updateConnectionStatus();
+    }
+    
+    /**
+     * Send the signed-in user's queued analyses in the order they were made.
+     * Other tabs may flush at the same time: each item is claimed before it is
+     * sent, and its idempotency key makes a repeated send return the first result.
+     */
+    async flushOutbox() {
+        if (this.flushingOutbox || !this.session || !navigator.onLine) return;
+        
+        this.flushingOutbox = true;
+        let sent = 0;
+        
+        try {
+            let item;
+            while ((item = await this.outbox.claimNext(this.session.user.username))) {
+                try {
+                    await this.makeRequest('/analyze', {
+                        method: 'POST',
+                        headers: { 'Idempotency-Key': item.key },
+                        // Posted when it was queued, not when the connection came back
+                        body: JSON.stringify({
+                            ...item.request,
+                            metadata: { ...item.request.metadata, timestamp: item.queuedAt }
+                        }),
+                        timeout: 30000
+                    });
+                    sent++;
+                } catch (error) {
+                    // The server will never accept these, so retrying would block the queue forever
+                    if (error.status !== 400 && error.status !== 413) {
+                        await this.outbox.release(item.id).catch(() => {});
+                        throw error;
+                    }
+                    this.showToast(`A queued analysis was rejected: ${error.message}`, 'error');
+                }
+                await this.outbox.remove(item.id);
+            }
+        } catch (error) {
+            if (!error.offline) {
+                console.error('Outbox error:', error);
+            }
+        } finally {
+            this.flushingOutbox = false;
+        }
+        
+        this.updateConnectionStatus();
+        if (sent > 0) {
+            this.showToast(`Sent ${sent} queued ${sent === 1 ? 'analysis' : 'analyses'}`, 'success');
+            this.loadDashboardData(DETECTION_PANELS);
+        }
+    }
+    
+    /**
+     * Drop API responses cached for the previous user
+     */
+    clearApiCache() {
+        navigator.serviceWorker?.controller?.postMessage({ type: 'CLEAR_API_CACHE' });
+    }
+    
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'ASSETS_UPDATED') {
+                this.showUpdatePrompt(null);
+            } else if (event.data?.type === 'FLUSH_OUTBOX') {
+                this.flushOutbox();
+            }
+        });
+        
+        // The new worker took over after the user accepted the update
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloadOnUpdate) {
+                window.location.reload();
+            }
+        });
+        
+        try {
+            const registration = await navigator.serviceWorker.register('/service-worker.js');
+            
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+        }
+    }
+    
+    /**
+     * Offer a reload, either to activate a waiting worker or to pick up refreshed files
+     */
+    showUpdatePrompt(worker) {
+        if (worker) {
+            this.waitingWorker = worker;
+        }
+        document.getElementById('update-banner')?.classList.remove('hidden');
+    }
+    
+    applyUpdate() {
+        if (this.waitingWorker) {
+            this.reloadOnUpdate = true;
+            this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        } else {
+            window.location.reload();
+        }
+    }
+    
         showToast(message, type = 'info') {
         const container = document.getElementById('toast-container');
         if (!container) return;
@@ -790,11 +3212,12 @@ class AntiIndiaCampaignDetector {
         toast.className = `toast ${type}`;
         
         const icon = this.getToastIcon(type);
-        toast.innerHTML = `
+        toast.innerHTML = html`
             <span class="toast-icon">${icon}</span>
             <span class="toast-message">${message}</span>
-            <button class="toast-close" onclick="this.parentElement.remove()">×</button>
+            <button class="toast-close">×</button>
         `;
+        toast.querySelector('.toast-close').addEventListener('click', () => toast.remove());
         
         container.appendChild(toast);
         
@@ -912,6 +3335,11 @@ class AntiIndiaCampaignDetector {
             modal.classList.remove('hidden');
             document.body.style.overflow = 'hidden'; // Prevent background scrolling
         }
+        
+        // Jobs keep running while the modal is closed
+        if (this.activeBatches.size > 0) {
+            document.getElementById('batch-progress')?.classList.remove('hidden');
+        }
     }
     
     closeBatchModal() {
@@ -931,27 +3359,9 @@ class AntiIndiaCampaignDetector {
         if (fileInput) {
             fileInput.value = ''; // Clear file input
         }
-    }
-    
-    async gatherNetworkData(userId) {
-        if (!userId) return null;
         
-        try {
-            // Simulate network data gathering
-            // In a real implementation, this would analyze posting patterns, connections, etc.
-            return {
-                simultaneousPosts: Math.floor(Math.random() * 20),
-                sharedContent: {
-                    suspiciousPercentage: Math.random()
-                },
-                accountAge: Math.floor(Math.random() * 365), // days
-                followersCount: Math.floor(Math.random() * 10000),
-                followingCount: Math.floor(Math.random() * 5000)
-            };
-        } catch (error) {
-            console.error('Network data gathering error:', error);
-            return null;
-        }
+        this.pendingMappings = [];
+        this.showNextMapping();
     }
     
     async refreshRecentDetections() {
@@ -961,7 +3371,7 @@ class AntiIndiaCampaignDetector {
         }
         
         try {
-            await this.loadDashboardData();
+            await this.loadDashboardData(['summary']);
             this.showToast('Recent detections refreshed', 'success');
         } catch (error) {
             this.showToast('Failed to refresh detections', 'error');
@@ -985,17 +3395,8 @@ class AntiIndiaCampaignDetector {
                 results: this.analysisHistory
             };
             
-            const jsonString = JSON.stringify(data, null, 2);
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `anti-india-detection-results-${Date.now()}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            this.saveFile(blob, `anti-india-detection-results-${Date.now()}.json`);
             
             this.showToast('Results exported successfully', 'success');
         } catch (error) {
@@ -1074,7 +3475,10 @@ Detected at: ${new Date(latestResult.timestamp).toLocaleString()}`;
         document.body.removeChild(textArea);
     }
     
-    displayBatchResults(results) {
+    /**
+     * Show a finished batch: risk counts for the whole job plus its top results
+     */
+    displayBatchResults(batch, results) {
         if (results.length === 0) return;
         
         const resultsSection = document.getElementById('results-section');
@@ -1083,12 +3487,12 @@ Detected at: ${new Date(latestResult.timestamp).toLocaleString()}`;
         if (!resultsSection || !analysisResults) return;
         
         // Generate batch results summary
-        const highRisk = results.filter(r => r.riskLevel === 'HIGH').length;
-        const mediumRisk = results.filter(r => r.riskLevel === 'MEDIUM').length;
-        const lowRisk = results.filter(r => r.riskLevel === 'LOW').length;
-        const minimal = results.filter(r => r.riskLevel === 'MINIMAL').length;
+        const highRisk = batch.riskLevels.HIGH;
+        const mediumRisk = batch.riskLevels.MEDIUM;
+        const lowRisk = batch.riskLevels.LOW;
+        const minimal = batch.riskLevels.MINIMAL;
         
-        const summaryHTML = `
+        const summaryHTML = html`
             <div class="batch-results-summary">
                 <h4>Batch Analysis Summary</h4>
                 <div class="batch-metrics">
@@ -1112,18 +3516,18 @@ Detected at: ${new Date(latestResult.timestamp).toLocaleString()}`;
             </div>
         `;
         
-        // Show top 5 highest risk results
-        const topResults = results
-            .sort((a, b) => b.riskScore - a.riskScore)
-            .slice(0, 5);
+        // Results arrive highest risk first
+        const resultsHTML = results.map(result => this.generateResultsHTML(result)).join('');
         
-        const resultsHTML = topResults.map(result => this.generateResultsHTML(result)).join('');
-        
-        analysisResults.innerHTML = summaryHTML + resultsHTML + `
+        analysisResults.innerHTML = summaryHTML + resultsHTML + html`
             <div class="batch-footer">
-                <p>Showing top 5 highest risk detections from ${results.length} analyzed items.</p>
+                <p>Showing top ${results.length} highest risk detections from ${batch.succeeded} analyzed items.</p>
+                ${batch.failed > 0 || batch.itemErrors.length > 0 ? html`
+                    <p>${batch.itemErrors.length} items could not be analyzed${batch.itemErrors.length > 0 ? ` (first error on line ${batch.itemErrors[0].line}: ${batch.itemErrors[0].error})` : ''}.</p>
+                ` : ''}
             </div>
         `;
+        this.applyBarWidths(analysisResults);
         
         // Show results section
         resultsSection.classList.remove('hidden');
@@ -1136,25 +3540,12 @@ Detected at: ${new Date(latestResult.timestamp).toLocaleString()}`;
         const container = document.getElementById('recent-detections');
         if (!container) return;
         
-        const detectionHTML = `
-            <div class="detection-item new-detection">
-                <div class="detection-content">
-                    <div class="detection-text">
-                        ${this.truncateText(detection.content, 100)}
-                    </div>
-                    <div class="detection-meta">
-                        ${detection.platform.toUpperCase()} • 
-                        ${this.formatTimestamp(detection.timestamp)} • 
-                        Risk: ${detection.riskLevel}
-                    </div>
-                </div>
-                <div class="risk-badge ${detection.riskLevel.toLowerCase()}">
-                    ${detection.riskScore}
-                </div>
-            </div>
-        `;
+        // New detections are unreviewed, so they only belong in the pending or unfiltered queue
+        const filter = document.getElementById('review-status-filter')?.value || 'all';
+        if (filter !== 'all' && filter !== 'pending') return;
         
-        container.insertAdjacentHTML('afterbegin', detectionHTML);
+        container.querySelector('.loading-placeholder')?.remove();
+        container.insertAdjacentHTML('afterbegin', this.generateDetectionHTML(detection, 'new-detection'));
         
         // Remove oldest if more than 10
         const items = container.querySelectorAll('.detection-item');
@@ -1181,10 +3572,130 @@ Detected at: ${new Date(latestResult.timestamp).toLocaleString()}`;
         }
     }
     
+    /**
+     * Charts are plain SVG sized to their container, so a resize redraws them
+     */
     resizeCharts() {
-        // Placeholder for chart resizing logic
-        // Would be implemented if charts were added
-        console.log('Resizing charts...');
+        if (this.chartInstances.trend) this.renderTrendChart();
+        if (this.chartInstances.platformRisk) this.renderPlatformRiskChart();
+    }
+    
+    /**
+     * Stacked area chart of detections per bucket, one layer per risk level
+     */
+    renderTrendChart() {
+        const container = document.getElementById('risk-trend-chart');
+        if (!container) return;
+        
+        const { series, interval } = this.chartInstances.trend;
+        if (series.every(bucket => bucket.total === 0)) {
+            container.innerHTML = '<div class="loading-placeholder">No detections in this timeframe</div>';
+            return;
+        }
+        
+        const width = Math.max(container.clientWidth - 32, 300);
+        const height = 220;
+        const padding = { top: 10, right: 10, bottom: 24, left: 36 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const maxTotal = Math.max(...series.map(bucket => bucket.total));
+        const step = series.length > 1 ? plotWidth / (series.length - 1) : 0;
+        const x = (index) => padding.left + (series.length > 1 ? index * step : plotWidth / 2);
+        const y = (value) => padding.top + plotHeight - (value / maxTotal) * plotHeight;
+        
+        // HIGH sits on the axis so the most important layer is easiest to read
+        const totals = series.map(() => 0);
+        const layers = ['HIGH', 'MEDIUM', 'LOW', 'MINIMAL'].map(level => {
+            const lower = totals.slice();
+            series.forEach((bucket, index) => { totals[index] += bucket[level]; });
+            const points = [
+                ...totals.map((value, index) => `${x(index)},${y(value)}`),
+                ...lower.map((value, index) => `${x(index)},${y(value)}`).reverse()
+            ];
+            return html`<polygon class="trend-layer ${level.toLowerCase()}" points="${points.join(' ')}"></polygon>`;
+        });
+        
+        const gridlines = [0, 0.5, 1].map(fraction => {
+            const value = Math.round(maxTotal * fraction);
+            return html`
+                <line class="chart-grid" x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}"></line>
+                <text x="${padding.left - 6}" y="${y(value) + 4}" text-anchor="end">${value}</text>
+            `;
+        });
+        
+        const labelEvery = Math.ceil(series.length / 6);
+        const labels = series
+            .map((bucket, index) => ({ bucket, index }))
+            .filter(({ index }) => index % labelEvery === 0)
+            .map(({ bucket, index }) => html`
+                <text x="${x(index)}" y="${height - 6}" text-anchor="middle">${this.formatBucketLabel(bucket.start, interval)}</text>
+            `);
+        
+        // Invisible columns give each bucket a hover highlight and tooltip
+        const hoverWidth = Math.max(step, 4);
+        const hovers = series.map((bucket, index) => html`
+            <rect class="trend-hover" x="${x(index) - hoverWidth / 2}" y="${padding.top}" width="${hoverWidth}" height="${plotHeight}">
+                <title>${this.formatBucketLabel(bucket.start, interval, true)}: ${bucket.total} detections (High ${bucket.HIGH}, Medium ${bucket.MEDIUM}, Low ${bucket.LOW}, Minimal ${bucket.MINIMAL})</title>
+            </rect>
+        `);
+        
+        container.innerHTML = html`
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Detections over time by risk level">
+                ${gridlines}
+                ${layers}
+                ${labels}
+                ${hovers}
+            </svg>
+        `;
+    }
+    
+    /**
+     * Horizontal bars of average risk score (0-100) per platform
+     */
+    renderPlatformRiskChart() {
+        const container = document.getElementById('platform-risk-chart');
+        if (!container) return;
+        
+        const { platforms } = this.chartInstances.platformRisk;
+        if (platforms.length === 0) {
+            container.innerHTML = '<div class="loading-placeholder">No platform data available</div>';
+            return;
+        }
+        
+        const width = Math.max(container.clientWidth - 32, 240);
+        const rowHeight = 30;
+        const labelWidth = 110;
+        const valueWidth = 70;
+        const barWidth = width - labelWidth - valueWidth;
+        const height = platforms.length * rowHeight;
+        
+        const rows = platforms.map((stat, index) => {
+            const top = index * rowHeight;
+            const level = stat.avgRisk >= 80 ? 'high' : stat.avgRisk >= 50 ? 'medium' : stat.avgRisk >= 25 ? 'low' : 'minimal';
+            return html`
+                <text x="0" y="${top + 19}">${this.formatPlatformName(stat.platform)}</text>
+                <rect class="platform-risk-track" x="${labelWidth}" y="${top + 8}" width="${barWidth}" height="14" rx="3"></rect>
+                <rect class="platform-risk-bar ${level}" x="${labelWidth}" y="${top + 8}" width="${(stat.avgRisk / 100) * barWidth}" height="14" rx="3">
+                    <title>${stat.count} analyses, average risk ${stat.avgRisk}</title>
+                </rect>
+                <text x="${width}" y="${top + 19}" text-anchor="end">${stat.avgRisk} (${stat.count})</text>
+            `;
+        });
+        
+        container.innerHTML = html`
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Average risk score by platform">
+                ${rows}
+            </svg>
+        `;
+    }
+    
+    formatBucketLabel(start, interval, detailed = false) {
+        const date = new Date(start);
+        if (interval === 'day') {
+            return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+        }
+        const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return detailed ? `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}` : time;
     }
     
     initializeTooltips() {
@@ -1244,6 +3755,103 @@ Detected at: ${new Date(latestResult.timestamp).toLocaleString()}`;
         return indicator.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
     }
     
+    describeNetworkFeatures(features) {
+        const parts = [
+            `${features.synchronizedAccounts} other accounts posting alike within 10 min`,
+            `${features.postsLast24h} posts in 24h`,
+            `${this.formatPercent(features.flaggedShare)} of ${features.historyPosts} recent posts flagged`
+        ];
+        if (features.medianIntervalMinutes !== null) {
+            parts.push(`median gap ${features.medianIntervalMinutes} min`);
+        }
+        if (features.cadenceRegularity !== null) {
+            parts.push(`cadence regularity ${this.formatPercent(features.cadenceRegularity)}`);
+        }
+        return parts.join(' · ');
+    }
+    
+    /**
+     * Wrap the keyword spans reported by the keywords signal in <mark> tags.
+     * Overlapping spans are merged so the markup stays well-formed.
+     */
+    highlightMatches(content, signals) {
+        const keywordSignal = signals.find(signal => signal.name === 'keywords');
+        const spans = (keywordSignal ? keywordSignal.evidence : [])
+            .flatMap(match => match.spans || [])
+            .sort((a, b) => a.start - b.start)
+            .reduce((merged, span) => {
+                const last = merged[merged.length - 1];
+                if (last && span.start <= last.end) {
+                    last.end = Math.max(last.end, span.end);
+                } else {
+                    merged.push({ start: span.start, end: span.end });
+                }
+                return merged;
+            }, []);
+        
+        const parts = [];
+        let position = 0;
+        spans.forEach(span => {
+            parts.push(content.slice(position, span.start));
+            parts.push(html`<mark class="match-highlight">${content.slice(span.start, span.end)}</mark>`);
+            position = span.end;
+        });
+        parts.push(content.slice(position));
+        return html`${parts}`;
+    }
+    
+    describeSignalEvidence(signal) {
+        if (!signal.evidence || signal.evidence.length === 0) return '';
+        
+        switch (signal.name) {
+            case 'keywords':
+                return `Matched: ${signal.evidence.map(match => match.term + this.describeMatchEvasion(match)).join(', ')}`;
+            case 'hashtags':
+                return `Hashtags: ${signal.evidence.map(match => match.tag +
+                    (match.matchedBy && match.matchedBy !== 'exact' ? ` (${match.term}${match.techniques.length > 0 ? `: ${match.techniques.map(technique => this.formatIndicatorName(technique)).join(', ')}` : ''})` : '')).join(', ')}`;
+            case 'classifier':
+                return `Model ${signal.evidence[0].modelVersion}: ${this.formatPercent(signal.evidence[0].probability)} anti-India`;
+            case 'sentiment':
+                return `Negative words: ${[...new Set(signal.evidence)].join(', ')}`;
+            case 'network':
+                return signal.evidence.map(indicator => this.formatIndicatorName(indicator)).join(', ');
+            case 'bot_behavior':
+                return signal.evidence.map(indicator => this.formatIndicatorName(indicator)).join(', ');
+            default:
+                return '';
+        }
+    }
+    
+    // How a keyword was disguised, e.g. ' (as "d3str0y 1ndia": Leetspeak)'
+    describeMatchEvasion(match) {
+        if (!match.matchedBy || match.matchedBy === 'exact') return '';
+        
+        const forms = [...new Set(match.spans.map(span => span.text))].map(text => `"${text}"`).join(', ');
+        const techniques = match.matchedBy === 'transliteration'
+            ? ['Transliteration']
+            : match.techniques.map(technique => this.formatIndicatorName(technique));
+        return ` (as ${forms}${techniques.length > 0 ? `: ${techniques.join(', ')}` : ''})`;
+    }
+    
+    formatLabel(label) {
+        return label === 'anti-india' ? 'Anti-India' : 'Neutral';
+    }
+    
+    formatPercent(value) {
+        return typeof value === 'number' ? `${(value * 100).toFixed(1)}%` : '-';
+    }
+    
+    formatLanguageName(code) {
+        const languageNames = {
+            en: 'English',
+            hi: 'Hindi',
+            ur: 'Urdu',
+            'hi-Latn': 'Roman Hindi/Urdu',
+            und: 'Undetermined'
+        };
+        return languageNames[code] || code;
+    }
+    
     formatPlatformName(platform) {
         const platformNames = {
             twitter: 'Twitter/X',
@@ -1299,10 +3907,13 @@ Detected at: ${new Date(latestResult.timestamp).toLocaleString()}`;
         if (this.pollingInterval) {
             clearInterval(this.pollingInterval);
         }
+        this.stopBatchTracking();
         
-        // Close WebSocket connection
+        // Close WebSocket connection without scheduling a reconnect
         if (this.websocket) {
-            this.websocket.close();
+            const socket = this.websocket;
+            this.websocket = null;
+            socket.close();
         }
         
         // Clear any pending timeouts
@@ -1312,19 +3923,6 @@ Detected at: ${new Date(latestResult.timestamp).toLocaleString()}`;
     }
 }
 
-// Global functions for HTML event handlers
-function hideAlert() {
-    if (window.detector) {
-        window.detector.hideAlert();
-    }
-}
-
-function closeBatchModal() {
-    if (window.detector) {
-        window.detector.closeBatchModal();
-    }
-}
-
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.detector = new AntiIndiaCampaignDetector();
@@ -1337,19 +3935,6 @@ window.addEventListener('beforeunload', () => {
     }
 });
 
-// Service Worker registration for PWA capabilities
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/service-worker.js')
-            .then((registration) => {
-                console.log('SW registered: ', registration);
-            })
-            .catch((registrationError) => {
-                console.log('SW registration failed: ', registrationError);
-            });
-    });
-}
-
 // Error handling for unhandled promise rejections
 window.addEventListener('unhandledrejection', (event) => {
     console.error('Unhandled promise rejection:', event.reason);
@@ -1366,3 +3951,7 @@ window.addEventListener('error', (event) => {
     }
 });
 
+// The test suite loads this file under jsdom; in the browser there is no module object
+if (typeof module !== 'undefined') {
+    module.exports = { AntiIndiaCampaignDetector, html };
+}
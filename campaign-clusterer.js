@@ -0,0 +1,283 @@
+/**
+ * Coordinated campaign clustering, run in a worker thread by server.js.
+ *
+ * Posts from different accounts are linked when their text is near-identical
+ * (MinHash similarity) or when they share hashtags within a short posting
+ * window. Connected groups spanning enough accounts become campaigns.
+ *
+ * workerData: {
+ *     posts: [{ id, userId, content, hashtags, timestamp, riskScore, platform }],
+ *     previous: [{ signature, analysisIds }],
+ *     options
+ * }
+ * Posts back: { campaigns } or { error }
+ */
+const { parentPort, workerData } = require('worker_threads');
+const { signText, estimateJaccard, bandKeys } = require('./text-similarity');
+
+// Share of the coordination score given to each kind of evidence
+const SCORE_WEIGHTS = {
+    textSimilarity: 0.35,
+    synchrony: 0.3,
+    accountSpread: 0.15,
+    risk: 0.2
+};
+
+// Accounts at which a campaign gets full marks for spread
+const FULL_SPREAD_ACCOUNTS = 20;
+
+// Candidate buckets larger than this (boilerplate text) are compared against one member only
+const MAX_BUCKET_PAIRS = 200;
+
+// How many later posts under a hashtag each post is compared with
+const MAX_HASHTAG_NEIGHBOURS = 50;
+
+class DisjointSet {
+    constructor(size) {
+        this.parent = Array.from({ length: size }, (_, index) => index);
+    }
+
+    find(index) {
+        while (this.parent[index] !== index) {
+            this.parent[index] = this.parent[this.parent[index]];
+            index = this.parent[index];
+        }
+        return index;
+    }
+
+    union(a, b) {
+        this.parent[this.find(a)] = this.find(b);
+    }
+}
+
+const linkNearDuplicates = (posts, signatures, sets, threshold) => {
+    const similarity = new Array(posts.length).fill(0);
+    const degree = new Array(posts.length).fill(0);
+    const buckets = new Map();
+    const compared = new Set();
+
+    signatures.forEach((signature, index) => {
+        if (!signature) return;
+        bandKeys(signature).forEach(key => {
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(index);
+        });
+    });
+
+    const compare = (a, b) => {
+        const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+        if (compared.has(key)) return;
+        compared.add(key);
+
+        const score = estimateJaccard(signatures[a], signatures[b]);
+        if (score < threshold) return;
+
+        sets.union(a, b);
+        if (posts[a].userId !== posts[b].userId) {
+            similarity[a] = Math.max(similarity[a], score);
+            similarity[b] = Math.max(similarity[b], score);
+            degree[a]++;
+            degree[b]++;
+        }
+    };
+
+    buckets.forEach(members => {
+        if (members.length < 2) return;
+        if (members.length > MAX_BUCKET_PAIRS) {
+            members.slice(1).forEach(member => compare(members[0], member));
+            return;
+        }
+        for (let i = 0; i < members.length; i++) {
+            for (let j = i + 1; j < members.length; j++) {
+                compare(members[i], members[j]);
+            }
+        }
+    });
+
+    return { similarity, degree };
+};
+
+const linkSharedHashtags = (posts, sets, { hashtagWindowMs, minSharedHashtags }) => {
+    const byHashtag = new Map();
+    posts.forEach((post, index) => {
+        new Set(post.hashtags).forEach(tag => {
+            if (!byHashtag.has(tag)) byHashtag.set(tag, []);
+            byHashtag.get(tag).push(index);
+        });
+    });
+
+    const sharedCounts = new Map();
+    byHashtag.forEach(members => {
+        members.sort((a, b) => posts[a].timestamp - posts[b].timestamp);
+        members.forEach((a, position) => {
+            const limit = Math.min(members.length, position + 1 + MAX_HASHTAG_NEIGHBOURS);
+            for (let next = position + 1; next < limit; next++) {
+                const b = members[next];
+                if (posts[b].timestamp - posts[a].timestamp > hashtagWindowMs) break;
+                if (posts[a].userId === posts[b].userId) continue;
+                const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+                sharedCounts.set(key, (sharedCounts.get(key) || 0) + 1);
+            }
+        });
+    });
+
+    sharedCounts.forEach((count, key) => {
+        if (count < minSharedHashtags) return;
+        const [a, b] = key.split(':').map(Number);
+        sets.union(a, b);
+    });
+};
+
+// Share of members with a post from another account in the group within the window
+const synchrony = (members, posts, windowMs) => {
+    const sorted = members.slice().sort((a, b) => posts[a].timestamp - posts[b].timestamp);
+    let synchronised = 0;
+
+    sorted.forEach((index, position) => {
+        const near = (step) => {
+            for (let other = position + step; other >= 0 && other < sorted.length; other += step) {
+                const candidate = posts[sorted[other]];
+                if (Math.abs(candidate.timestamp - posts[index].timestamp) > windowMs) return false;
+                if (candidate.userId !== posts[index].userId) return true;
+            }
+            return false;
+        };
+        if (near(-1) || near(1)) synchronised++;
+    });
+
+    return synchronised / members.length;
+};
+
+const topValues = (values, limit) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([value]) => value);
+};
+
+const describeCampaign = (members, posts, links, options) => {
+    const memberPosts = members.map(index => posts[index]);
+    const accounts = topValues(memberPosts.map(post => post.userId), Infinity);
+    const timestamps = memberPosts.map(post => post.timestamp);
+
+    const scoreBreakdown = {
+        textSimilarity: members.reduce((sum, index) => sum + links.similarity[index], 0) / members.length,
+        synchrony: synchrony(members, posts, options.syncWindowMs),
+        accountSpread: Math.min(1, Math.log(accounts.length) / Math.log(FULL_SPREAD_ACCOUNTS)),
+        risk: memberPosts.reduce((sum, post) => sum + (post.riskScore || 0), 0) / members.length / 100
+    };
+    Object.keys(scoreBreakdown).forEach(key => {
+        scoreBreakdown[key] = Math.round(scoreBreakdown[key] * 1000) / 1000;
+    });
+
+    const coordinationScore = Math.round(100 * Object.entries(SCORE_WEIGHTS)
+        .reduce((sum, [key, weight]) => sum + weight * scoreBreakdown[key], 0));
+
+    // Most-copied post first, then the riskiest distinct texts
+    const seenTexts = new Set();
+    const representativePosts = members
+        .slice()
+        .sort((a, b) => links.degree[b] - links.degree[a] || (posts[b].riskScore || 0) - (posts[a].riskScore || 0))
+        .filter(index => {
+            const text = posts[index].content.trim().toLowerCase();
+            if (seenTexts.has(text)) return false;
+            seenTexts.add(text);
+            return true;
+        })
+        .slice(0, 3)
+        .map(index => ({
+            analysisId: posts[index].id,
+            userId: posts[index].userId,
+            platform: posts[index].platform,
+            content: posts[index].content,
+            timestamp: new Date(posts[index].timestamp),
+            riskScore: posts[index].riskScore
+        }));
+
+    return {
+        accounts,
+        accountCount: accounts.length,
+        postCount: members.length,
+        analysisIds: memberPosts.slice(0, options.maxMembers).map(post => post.id),
+        representativePosts,
+        hashtags: topValues(memberPosts.flatMap(post => post.hashtags), 10),
+        platforms: topValues(memberPosts.map(post => post.platform || 'unknown'), Infinity),
+        firstSeen: new Date(Math.min(...timestamps)),
+        lastSeen: new Date(Math.max(...timestamps)),
+        coordinationScore,
+        scoreBreakdown
+    };
+};
+
+/**
+ * Give each campaign the signature of the previous run's campaign it shares the
+ * most posts with, so a campaign keeps its identity while old posts leave the
+ * window and new ones join. Each previous signature goes to one campaign at most;
+ * campaigns with no match are keyed by their earliest post not already used.
+ */
+const assignSignatures = (clusters, posts, previous) => {
+    const previousOf = new Map();
+    previous.forEach((campaign, index) => {
+        campaign.analysisIds.forEach(id => previousOf.set(String(id), index));
+    });
+
+    const overlaps = [];
+    clusters.forEach((cluster, index) => {
+        const shared = new Map();
+        cluster.members.forEach(member => {
+            const match = previousOf.get(posts[member].id);
+            if (match !== undefined) shared.set(match, (shared.get(match) || 0) + 1);
+        });
+        shared.forEach((count, match) => overlaps.push({ cluster: index, match, count }));
+    });
+
+    const used = new Set(previous.map(campaign => campaign.signature));
+    const taken = new Set();
+    overlaps
+        .sort((a, b) => b.count - a.count)
+        .forEach(({ cluster, match }) => {
+            if (clusters[cluster].campaign.signature || taken.has(match)) return;
+            clusters[cluster].campaign.signature = previous[match].signature;
+            taken.add(match);
+        });
+
+    clusters.forEach(({ members, campaign }) => {
+        if (campaign.signature) return;
+        const fresh = members
+            .slice()
+            .sort((a, b) => posts[a].timestamp - posts[b].timestamp)
+            .map(index => posts[index].id)
+            .find(id => !used.has(id));
+        campaign.signature = fresh || `${posts[members[0]].id}:${campaign.firstSeen.getTime()}`;
+        used.add(campaign.signature);
+    });
+};
+
+try {
+    const { posts, previous = [], options } = workerData;
+    const sets = new DisjointSet(posts.length);
+    const signatures = posts.map(post => signText(post.content));
+
+    const links = linkNearDuplicates(posts, signatures, sets, options.similarityThreshold);
+    linkSharedHashtags(posts, sets, options);
+
+    const groups = new Map();
+    posts.forEach((post, index) => {
+        const root = sets.find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(index);
+    });
+
+    const clusters = [...groups.values()]
+        .filter(members => new Set(members.map(index => posts[index].userId)).size >= options.minAccounts)
+        .map(members => ({ members, campaign: describeCampaign(members, posts, links, options) }))
+        .sort((a, b) => b.campaign.coordinationScore - a.campaign.coordinationScore)
+        .slice(0, options.maxCampaigns);
+    assignSignatures(clusters, posts, previous);
+
+    parentPort.postMessage({ campaigns: clusters.map(cluster => cluster.campaign) });
+} catch (error) {
+    parentPort.postMessage({ error: error.message || String(error) });
+}
@@ -0,0 +1,559 @@
+/**
+ * Source adapters for ingestion connectors. Each connector type reads its
+ * source and reports what it found since the cursor it left behind last run:
+ *
+ *   fetch(config, cursor, context) -> { items, cursor, errors, commit }
+ *
+ * items are { sourceId, content, metadata, url, publishedAt, cursor }, oldest
+ * first. sourceId must be stable across runs: the runner drops ids it has
+ * already ingested, so a source may safely return overlapping items. An item's
+ * cursor is the checkpoint to keep if the run stops after it; the result's
+ * cursor is the one to keep once every item is stored. commit(count), when
+ * present, is called after the first count items are stored.
+ *
+ * context carries { fileRoot, parseFile(data, fileName), timeoutMs, maxBytes }.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { escapeRegExp } = require('./regex-safety');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+
+// Files younger than this may still be being written
+const FILE_SETTLE_MS = 3000;
+// Partially transferred or hidden files are left alone
+const IGNORED_FILE = /^\.|\.(part|partial|tmp|crdownload)$/i;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Resolve a configured path and refuse anything outside the ingest root
+const resolveInside = (root, target) => {
+    const base = path.resolve(root);
+    const resolved = path.resolve(base, String(target || ''));
+    if (resolved !== base && !resolved.startsWith(base + path.sep)) {
+        throw new Error(`Path must be inside the ingest directory: ${target}`);
+    }
+    return resolved;
+};
+
+// "data.items.0.text" style lookup; arrays are indexed by number
+const getPath = (value, fieldPath) => {
+    if (!fieldPath) return value;
+    return String(fieldPath).split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+};
+
+const toDate = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    // Ten-digit numbers are Unix seconds, anything longer milliseconds
+    const date = typeof value === 'number' || /^\d+$/.test(value)
+        ? new Date(Number(value) < 1e11 ? Number(value) * 1000 : Number(value))
+        : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Unsigned integers written as digits, with leading zeros dropped
+const digitString = (value) => {
+    const text = typeof value === 'number' && Number.isSafeInteger(value) && value >= 0 ? String(value) : value;
+    return typeof text === 'string' && /^\d+$/.test(text) ? text.replace(/^0+(?=\d)/, '') : null;
+};
+
+/*
+ * Numbers compare numerically, and so do ids made of digits even when the source
+ * sends them as strings (since_id style APIs do, to keep 64-bit ids exact): a longer
+ * digit string is the larger number. Everything else (ISO dates, opaque ids)
+ * compares by code unit, not locale.
+ */
+const compareCursor = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+
+    const digitsA = digitString(a);
+    const digitsB = digitString(b);
+    if (digitsA !== null && digitsB !== null && digitsA.length !== digitsB.length) {
+        return digitsA.length - digitsB.length;
+    }
+
+    const left = digitsA !== null && digitsB !== null ? digitsA : String(a);
+    const right = digitsA !== null && digitsB !== null ? digitsB : String(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+const isHeaderMap = (value) => value === undefined ||
+    (value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(header => typeof header === 'string'));
+
+// Read a response body, giving up once it grows past maxBytes
+const readBody = async (response, maxBytes) => {
+    const declared = parseInt(response.headers.get('content-length'), 10);
+    if (declared > maxBytes) throw new Error(`Response is larger than ${maxBytes} bytes`);
+
+    if (!response.body) return '';
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > maxBytes) throw new Error(`Response is larger than ${maxBytes} bytes`);
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks.map(chunk => Buffer.from(chunk))).toString('utf8');
+};
+
+const httpGet = async (url, headers, context) => {
+    const response = await fetch(url, {
+        headers,
+        signal: AbortSignal.timeout(context.timeoutMs || DEFAULT_TIMEOUT_MS)
+    });
+    if (response.status === 304) return { response, notModified: true };
+    if (!response.ok) throw new Error(`HTTP ${response.status} from ${url}`);
+    return { response, text: await readBody(response, context.maxBytes || DEFAULT_MAX_BYTES) };
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// Element text with CDATA sections taken literally and everything else entity-decoded
+const xmlText = (raw) => raw
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map(part => (part.startsWith('<![CDATA[') ? part.slice(9, -3) : decodeEntities(part)))
+    .join('');
+
+// Feed bodies are usually HTML; keep their text and paragraph breaks
+const htmlToText = (html) => decodeEntities(html
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6]|blockquote)>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+
+const childText = (block, names) => {
+    for (const name of names) {
+        const match = block.match(new RegExp(`<${escapeRegExp(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeRegExp(name)}>`, 'i'));
+        if (match && match[1].trim()) return xmlText(match[1]).trim();
+    }
+    return '';
+};
+
+const attributes = (tag) => {
+    const found = {};
+    for (const [, name, doubleQuoted, singleQuoted] of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        found[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted);
+    }
+    return found;
+};
+
+// RSS has <link>url</link>; Atom has <link rel="alternate" href="url"/>
+const entryLink = (block) => {
+    const atomLinks = [...block.matchAll(/<link\b([^>]*?)\/?>/gi)]
+        .map(([, attributeText]) => attributes(attributeText))
+        .filter(link => link.href);
+    const alternate = atomLinks.find(link => !link.rel || link.rel === 'alternate');
+    return (alternate || atomLinks[0] || {}).href || childText(block, ['link']);
+};
+
+/**
+ * Items of an RSS 2.0, RSS 1.0 or Atom document as { sourceId, title, body,
+ * author, url, publishedAt }. A regular-expression reader rather than a full
+ * XML parser: feeds are flat enough, and malformed ones are common.
+ */
+const parseFeed = (xml) => {
+    const firstEntry = xml.search(/<(item|entry)\b/i);
+    const feedTitle = htmlToText(childText(firstEntry === -1 ? xml : xml.slice(0, firstEntry), ['title']));
+
+    return [...xml.matchAll(/<(item|entry)\b[^>]*>([\s\S]*?)<\/\1>/gi)].map(([, , block]) => {
+        const title = htmlToText(childText(block, ['title']));
+        const body = htmlToText(childText(block, ['content:encoded', 'content', 'description', 'summary']));
+        const url = entryLink(block);
+        const publishedAt = toDate(childText(block, ['pubDate', 'published', 'dc:date', 'updated']));
+        const id = childText(block, ['guid', 'id']) || url;
+
+        return {
+            sourceId: id || sha256(`${title}\n${body}`),
+            title,
+            body,
+            author: htmlToText(childText(block, ['author', 'dc:creator', 'name'])).split('\n')[0] || feedTitle,
+            url,
+            publishedAt
+        };
+    });
+};
+
+const rss = {
+    label: 'RSS / Atom feed',
+    description: 'Polls an RSS or Atom feed; conditional requests skip unchanged feeds.',
+    example: { url: 'https://news.example.org/feed.xml', platform: 'news' },
+
+    validate(config) {
+        if (!isHttpUrl(config.url)) return 'config.url must be an http(s) URL';
+        if (!isHeaderMap(config.headers)) return 'config.headers must map header names to strings';
+        return null;
+    },
+
+    async fetch(config, cursor, context) {
+        const state = cursor || {};
+        const headers = { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml', ...config.headers };
+        if (state.etag) headers['If-None-Match'] = state.etag;
+        if (state.lastModified) headers['If-Modified-Since'] = state.lastModified;
+
+        const { response, text, notModified } = await httpGet(config.url, headers, context);
+        if (notModified) return { items: [], cursor: state };
+
+        const since = state.publishedAt ? new Date(state.publishedAt) : null;
+        const entries = parseFeed(text)
+            // Dated entries older than the newest one already seen are skipped; undated ones rely on dedup
+            .filter(entry => !since || !entry.publishedAt || entry.publishedAt >= since)
+            .sort((a, b) => (a.publishedAt || 0) - (b.publishedAt || 0));
+
+        let newest = since;
+        const items = entries
+            .map(entry => {
+                if (entry.publishedAt && (!newest || entry.publishedAt > newest)) newest = entry.publishedAt;
+                const content = entry.body.startsWith(entry.title) ? entry.body : [entry.title, entry.body].filter(Boolean).join('\n\n');
+                return {
+                    sourceId: entry.sourceId,
+                    content,
+                    metadata: {
+                        platform: config.platform || 'rss',
+                        userId: entry.author || undefined,
+                        timestamp: entry.publishedAt ? entry.publishedAt.toISOString() : undefined
+                    },
+                    url: entry.url || undefined,
+                    publishedAt: entry.publishedAt || undefined,
+                    cursor: { publishedAt: newest ? newest.toISOString() : undefined }
+                };
+            })
+            .filter(item => item.content);
+
+        return {
+            items,
+            cursor: {
+                publishedAt: newest ? newest.toISOString() : undefined,
+                etag: response.headers.get('etag') || undefined,
+                lastModified: response.headers.get('last-modified') || undefined
+            }
+        };
+    }
+};
+
+const JSON_API_FIELDS = ['id', 'content', 'userId', 'hashtags', 'timestamp', 'url'];
+
+const jsonApi = {
+    label: 'JSON HTTP API',
+    description: 'Fetches a JSON endpoint and maps fields of each record; an optional cursor field is sent back as a query parameter.',
+    example: {
+        url: 'https://api.example.org/posts',
+        headers: { Authorization: 'Bearer <token>' },
+        itemsPath: 'data',
+        fields: { id: 'id', content: 'text', userId: 'author.handle', timestamp: 'created_at', hashtags: 'tags', url: 'permalink' },
+        cursorField: 'id',
+        cursorParam: 'since_id',
+        platform: 'twitter'
+    },
+
+    validate(config) {
+        if (!isHttpUrl(config.url)) return 'config.url must be an http(s) URL';
+        if (!isHeaderMap(config.headers)) return 'config.headers must map header names to strings';
+        const fields = config.fields;
+        if (!fields || typeof fields !== 'object' || !fields.id || !fields.content) {
+            return 'config.fields must name at least the id and content fields';
+        }
+        if (Object.keys(fields).some(field => !JSON_API_FIELDS.includes(field))) {
+            return `config.fields may only map: ${JSON_API_FIELDS.join(', ')}`;
+        }
+        if (config.cursorParam && !config.cursorField) return 'config.cursorParam needs a config.cursorField';
+        return null;
+    },
+
+    async fetch(config, cursor, context) {
+        const url = new URL(config.url);
+        if (config.cursorParam && cursor !== undefined && cursor !== null) {
+            url.searchParams.set(config.cursorParam, String(cursor));
+        }
+
+        const { text } = await httpGet(url, { Accept: 'application/json', ...config.headers }, context);
+        const records = getPath(JSON.parse(text), config.itemsPath);
+        if (!Array.isArray(records)) throw new Error(`No array at ${config.itemsPath || 'the top level'} of the response`);
+
+        const fields = config.fields;
+        const errors = [];
+        let entries = records.map((record, index) => {
+            const id = getPath(record, fields.id);
+            const content = getPath(record, fields.content);
+            if (id === undefined || id === null || id === '') {
+                errors.push({ sourceId: `#${index}`, error: 'Missing id' });
+                return null;
+            }
+            if (typeof content !== 'string' || !content.trim()) {
+                errors.push({ sourceId: String(id), error: 'Missing content' });
+                return null;
+            }
+            return { record, id: String(id), content: content.trim(), position: config.cursorField ? getPath(record, config.cursorField) : undefined };
+        }).filter(Boolean);
+
+        let newest = cursor ?? undefined;
+        if (config.cursorField) {
+            entries = entries
+                .filter(entry => entry.position !== undefined && entry.position !== null)
+                // Servers that ignore the cursor parameter still only yield newer records
+                .filter(entry => newest === undefined || compareCursor(entry.position, newest) >= 0)
+                .sort((a, b) => compareCursor(a.position, b.position));
+        }
+
+        const items = entries.map(({ record, id, content, position }) => {
+            if (position !== undefined && (newest === undefined || compareCursor(position, newest) > 0)) newest = position;
+            const timestamp = fields.timestamp ? toDate(getPath(record, fields.timestamp)) : null;
+            const hashtags = fields.hashtags ? getPath(record, fields.hashtags) : undefined;
+            const userId = fields.userId ? getPath(record, fields.userId) : undefined;
+            const link = fields.url ? getPath(record, fields.url) : undefined;
+
+            return {
+                sourceId: id,
+                content,
+                metadata: {
+                    platform: config.platform || 'api',
+                    userId: userId !== undefined && userId !== null ? String(userId) : undefined,
+                    timestamp: timestamp ? timestamp.toISOString() : undefined,
+                    hashtags: Array.isArray(hashtags) ? hashtags.map(String) : (typeof hashtags === 'string' ? hashtags.split(/[\s,;]+/).filter(Boolean) : undefined)
+                },
+                url: typeof link === 'string' ? link : undefined,
+                publishedAt: timestamp || undefined,
+                cursor: newest
+            };
+        });
+
+        return { items, cursor: newest, errors };
+    }
+};
+
+// Telegram Desktop stores text as a string or a list of strings and { type, text } entities
+const telegramText = (text) => (Array.isArray(text)
+    ? text.map(part => (typeof part === 'string' ? part : (part && part.text) || '')).join('')
+    : String(text || ''));
+
+const telegramHashtags = (message) => {
+    const entities = message.text_entities || (Array.isArray(message.text) ? message.text.filter(part => typeof part === 'object') : []);
+    return entities
+        .filter(entity => entity && entity.type === 'hashtag')
+        .map(entity => String(entity.text).replace(/^#/, ''));
+};
+
+/**
+ * Messages of a Telegram Desktop JSON export (a single chat, or a full export
+ * with chats.list) newer than the per-chat ids in cursor ({ [chatId]: lastId }).
+ */
+const parseTelegramExport = (data, cursor, platform) => {
+    const exported = typeof data === 'string' ? JSON.parse(data) : data;
+    const chats = Array.isArray(exported.messages) ? [exported] : ((exported.chats && exported.chats.list) || []);
+    if (chats.length === 0) throw new Error('Not a Telegram export: no messages or chats.list');
+
+    const state = { ...cursor };
+    const items = [];
+
+    chats.forEach(chat => {
+        const chatId = String(chat.id ?? chat.name ?? 'chat');
+        const lastSeen = state[chatId] || 0;
+
+        (chat.messages || [])
+            .filter(message => message.type === 'message' && Number(message.id) > lastSeen)
+            .sort((a, b) => a.id - b.id)
+            .forEach(message => {
+                const content = telegramText(message.text).trim();
+                state[chatId] = Number(message.id);
+                if (!content) return;
+
+                const publishedAt = toDate(message.date_unixtime) || toDate(message.date);
+                const hashtags = telegramHashtags(message);
+                items.push({
+                    sourceId: `${chatId}:${message.id}`,
+                    content,
+                    metadata: {
+                        platform: platform || 'telegram',
+                        userId: String(message.from_id || message.from || chat.name || chatId),
+                        timestamp: publishedAt ? publishedAt.toISOString() : undefined,
+                        hashtags: hashtags.length > 0 ? hashtags : undefined
+                    },
+                    publishedAt: publishedAt || undefined,
+                    cursor: { ...state }
+                });
+            });
+    });
+
+    return { items, cursor: state };
+};
+
+const isTelegramExport = (data) => {
+    try {
+        const parsed = JSON.parse(data);
+        return Boolean(parsed && (Array.isArray(parsed.messages) || (parsed.chats && Array.isArray(parsed.chats.list))));
+    } catch (error) {
+        return false;
+    }
+};
+
+const readLimitedFile = async (filePath, context) => {
+    const maxBytes = context.maxBytes || DEFAULT_MAX_BYTES;
+    const stats = await fs.promises.stat(filePath);
+    if (stats.size > maxBytes) throw new Error(`File is larger than ${maxBytes} bytes`);
+    return fs.promises.readFile(filePath, 'utf8');
+};
+
+const telegramExport = {
+    label: 'Telegram export',
+    description: 'Imports a Telegram Desktop JSON export (result.json) and re-reads it for messages newer than the last run.',
+    example: { path: 'telegram/result.json', platform: 'telegram' },
+
+    validate(config, context) {
+        if (typeof config.path !== 'string' || !config.path.trim()) return 'config.path is required';
+        try {
+            resolveInside(context.fileRoot, config.path);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    },
+
+    async fetch(config, cursor, context) {
+        const data = await readLimitedFile(resolveInside(context.fileRoot, config.path), context);
+        return parseTelegramExport(data, cursor, config.platform);
+    }
+};
+
+// Move a file into a subdirectory without overwriting an earlier file of the same name
+const moveInto = async (filePath, directory) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const name = path.basename(filePath);
+    const target = fs.existsSync(path.join(directory, name)) ? `${Date.now()}-${name}` : name;
+    await fs.promises.rename(filePath, path.join(directory, target));
+};
+
+const fileDrop = {
+    label: 'File drop directory',
+    description: 'Watches a directory for CSV, TSV, JSON, JSONL, text or Telegram export files; finished files move to processed/ or failed/.',
+    example: { directory: 'drop', platform: 'unknown' },
+
+    validate(config, context) {
+        if (typeof config.directory !== 'string' || !config.directory.trim()) return 'config.directory is required';
+        try {
+            resolveInside(context.fileRoot, config.directory);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    },
+
+    async fetch(config, cursor, context) {
+        const directory = resolveInside(context.fileRoot, config.directory);
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        const files = [];
+        for (const entry of entries) {
+            if (!entry.isFile() || IGNORED_FILE.test(entry.name)) continue;
+            const filePath = path.join(directory, entry.name);
+            const stats = await fs.promises.stat(filePath);
+            if (Date.now() - stats.mtimeMs >= FILE_SETTLE_MS) files.push({ filePath, name: entry.name, modifiedAt: stats.mtimeMs });
+        }
+        files.sort((a, b) => a.modifiedAt - b.modifiedAt);
+
+        const items = [];
+        const errors = [];
+        const processed = [];
+
+        for (const file of files) {
+            let fileItems;
+            try {
+                const data = await readLimitedFile(file.filePath, context);
+                // The hash keeps ids apart when a later file reuses a name
+                const prefix = `${file.name}:${sha256(data).slice(0, 16)}`;
+
+                if (/\.json$/i.test(file.name) && isTelegramExport(data)) {
+                    fileItems = parseTelegramExport(data, {}, config.platform).items
+                        .map(item => ({ ...item, sourceId: `${prefix}:${item.sourceId}`, cursor: undefined }));
+                } else {
+                    fileItems = context.parseFile(data, file.name)
+                        .filter(item => {
+                            if (item.error) errors.push({ sourceId: `${file.name}:${item.line}`, error: item.error });
+                            return !item.error;
+                        })
+                        .map(item => ({
+                            sourceId: `${prefix}:${item.line}`,
+                            content: item.content,
+                            metadata: { platform: config.platform, ...item.metadata }
+                        }));
+                }
+            } catch (error) {
+                errors.push({ sourceId: file.name, error: error.message });
+                processed.push({ ...file, failed: true, end: items.length });
+                continue;
+            }
+            items.push(...fileItems);
+            processed.push({ ...file, end: items.length });
+        }
+
+        return {
+            items,
+            cursor: cursor ?? null,
+            errors,
+            // A file is moved once all of its items are stored; unreadable ones go straight to failed/
+            async commit(count) {
+                for (const file of processed) {
+                    if (!file.failed && file.end > count) break;
+                    await moveInto(file.filePath, path.join(directory, file.failed ? 'failed' : 'processed'));
+                }
+            }
+        };
+    },
+
+    /**
+     * Call onChange shortly after files in the directory change, so drops are
+     * picked up without waiting for the schedule. Returns { close }.
+     */
+    watch(config, context, onChange) {
+        const directory = resolveInside(context.fileRoot, config.directory);
+        fs.mkdirSync(directory, { recursive: true });
+
+        let timer = null;
+        const watcher = fs.watch(directory, () => {
+            clearTimeout(timer);
+            timer = setTimeout(onChange, FILE_SETTLE_MS);
+        });
+        watcher.on('error', () => watcher.close());
+
+        return {
+            close() {
+                clearTimeout(timer);
+                watcher.close();
+            }
+        };
+    }
+};
+
+const CONNECTOR_TYPES = {
+    rss,
+    json_api: jsonApi,
+    telegram_export: telegramExport,
+    file_drop: fileDrop
+};
+
+module.exports = {
+    CONNECTOR_TYPES,
+    compareCursor,
+    parseFeed,
+    parseTelegramExport,
+    resolveInside
+};
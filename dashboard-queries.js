@@ -0,0 +1,84 @@
+/**
+ * The queries behind the dashboard's counters, trend chart, platform table and
+ * suspicious networks. Each takes an analysis store from storage.js, so the
+ * same pipelines run on every storage backend; tests/storage.test.js holds the
+ * backends to the same answers.
+ */
+
+// Risk level counts shared by the dashboard route and real-time metrics
+const dashboardSummary = async (store, filter) => {
+    const [totalAnalyses, highRiskCount, mediumRiskCount, lowRiskCount] = await Promise.all([
+        store.count(filter),
+        store.count({ ...filter, riskLevel: 'HIGH' }),
+        store.count({ ...filter, riskLevel: 'MEDIUM' }),
+        store.count({ ...filter, riskLevel: 'LOW' })
+    ]);
+
+    return {
+        totalAnalyses,
+        highRiskCount,
+        mediumRiskCount,
+        lowRiskCount,
+        riskDistribution: {
+            high: ((highRiskCount / totalAnalyses) * 100).toFixed(2),
+            medium: ((mediumRiskCount / totalAnalyses) * 100).toFixed(2),
+            low: ((lowRiskCount / totalAnalyses) * 100).toFixed(2)
+        }
+    };
+};
+
+// Analyses and average risk per platform, riskiest first
+const platformStats = (store, filter) => store.aggregate([
+    { $match: filter },
+    { $group: { _id: '$platform', count: { $sum: 1 }, avgRisk: { $avg: '$riskScore' } } },
+    { $sort: { avgRisk: -1 } }
+]);
+
+/**
+ * Analyses per risk level in buckets of bucketMs by post time, as
+ * { _id: { bucket, riskLevel }, count } with bucket the start in epoch ms (UTC).
+ * Empty buckets are left out.
+ */
+const riskCountsByBucket = (store, filter, bucketMs) => {
+    // Post time rounded down to the interval; works on MongoDB 4.0+
+    const timestampMs = { $toLong: '$postedAt' };
+    return store.aggregate([
+        { $match: filter },
+        {
+            $group: {
+                _id: {
+                    bucket: { $subtract: [timestampMs, { $mod: [timestampMs, bucketMs] }] },
+                    riskLevel: '$riskLevel'
+                },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+};
+
+// Accounts whose posts since the given time carry network indicators, by total risk
+const suspiciousNetworks = (store, since, limit = 20) => store.aggregate([
+    {
+        $match: {
+            'networkAnalysis.indicators': { $exists: true, $ne: [] },
+            timestamp: { $gte: since }
+        }
+    },
+    {
+        $group: {
+            _id: '$userId',
+            posts: { $push: '$content' },
+            totalRisk: { $sum: '$riskScore' },
+            indicators: { $push: '$networkAnalysis.indicators' }
+        }
+    },
+    { $sort: { totalRisk: -1 } },
+    { $limit: limit }
+]);
+
+module.exports = {
+    dashboardSummary,
+    platformStats,
+    riskCountsByBucket,
+    suspiciousNetworks
+};
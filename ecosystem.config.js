@@ -2,7 +2,8 @@ module.exports = {
   apps: [{
     name: 'anti-india-detector',
     script: 'server.js',
-    instances: 'max',
+    // The memory and file storage backends are private to one process
+    instances: (process.env.STORAGE_BACKEND || 'mongo') === 'mongo' ? 'max' : 1,
     exec_mode: 'cluster',
     env: {
       NODE_ENV: 'production',
@@ -0,0 +1,429 @@
+/**
+ * Export formats for stored analyses and campaigns. Every renderer takes the
+ * same context and returns the whole file as a string:
+ *
+ *   { analyses, campaign, total, filters, generatedAt, generatedBy, producer, tlp }
+ *
+ * analyses are plain stored analyses (no similarity signature); campaign is
+ * set when a single campaign is being exported. total is how many analyses
+ * matched before the export limit was applied.
+ */
+const crypto = require('crypto');
+
+// Namespace the STIX 2.1 spec fixes for deterministic cyber-observable ids
+const STIX_SCO_NAMESPACE = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+
+// The spec's predefined TLP marking definitions
+const TLP_MARKINGS = {
+    white: 'marking-definition--613f2e26-407d-48c7-9eca-b8e91df99dc9',
+    green: 'marking-definition--34098fce-860f-48ae-8e50-ebd3cc5e41da',
+    amber: 'marking-definition--f88d31f6-486f-44da-b317-01333bde0b82',
+    red: 'marking-definition--5e57c739-391a-4eb3-b6be-7d15ca92d5ed'
+};
+const TLP_MARKING_CREATED = '2017-01-20T00:00:00.000Z';
+
+// Fixed so the producer identity keeps one id and version across exports
+const IDENTITY_CREATED = '2024-01-01T00:00:00.000Z';
+
+// Platforms that have their own entry in the STIX account-type vocabulary
+const STIX_ACCOUNT_TYPES = { twitter: 'twitter', facebook: 'facebook' };
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : undefined);
+
+// When the post was made; analyses from before postedAt was stored only have the time they arrived
+const postedAt = (analysis) => analysis.postedAt || analysis.timestamp;
+
+const CSV_COLUMNS = [
+    ['id', analysis => analysis._id],
+    ['timestamp', analysis => isoDate(analysis.timestamp)],
+    ['postedAt', analysis => isoDate(postedAt(analysis))],
+    ['platform', analysis => analysis.platform],
+    ['userId', analysis => analysis.userId],
+    ['language', analysis => analysis.language],
+    ['riskLevel', analysis => analysis.riskLevel],
+    ['riskScore', analysis => analysis.riskScore],
+    ['flags', analysis => (analysis.flags || []).join(';')],
+    ['hashtags', analysis => (analysis.hashtags || []).join(';')],
+    ['reviewStatus', analysis => (analysis.review && analysis.review.status) || 'pending'],
+    ['reviewer', analysis => analysis.review && analysis.review.reviewer],
+    ['duplicateCluster', analysis => analysis.duplicateCluster],
+    ['sourceUrl', analysis => analysis.source && analysis.source.url],
+    ['content', analysis => analysis.content]
+];
+
+// UUIDv5 (RFC 4122 name-based, SHA-1)
+const uuidv5 = (namespace, name) => {
+    const hash = crypto.createHash('sha1')
+        .update(Buffer.from(namespace.replace(/-/g, ''), 'hex'))
+        .update(String(name), 'utf8')
+        .digest();
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    const hex = hash.subarray(0, 16).toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * JSON with object keys sorted, as the spec requires for observable id contributing
+ * properties; the audit trail hashes its entries with it too. Undefined is handled
+ * as JSON.stringify does: object keys holding it are left out, array items become null.
+ */
+const canonicalJSON = (value) => {
+    if (Array.isArray(value)) return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// Spreadsheet programs run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One row per analysis, UTF-8 with a byte order mark so spreadsheet programs
+ * pick the right encoding for Devanagari and Urdu text
+ */
+const toCsv = ({ analyses }) => '\uFEFF' + [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...analyses.map(analysis => CSV_COLUMNS.map(([, read]) => csvCell(read(analysis))).join(','))
+].join('\r\n') + '\r\n';
+
+const toJsonl = ({ analyses }) => analyses
+    .map(({ similarity, __v, ...analysis }) => JSON.stringify(analysis))
+    .join('\n') + (analyses.length > 0 ? '\n' : '');
+
+// Values inside a STIX pattern's single-quoted string literals
+const patternString = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+/**
+ * A STIX 2.1 bundle: one observed-data per analysis (the post as an artifact
+ * and its account as a user-account), an indicator for every account with a
+ * HIGH risk post, and the campaign when one is exported, which the account
+ * indicators point to. Ids are derived from the stored ids, so exporting the
+ * same data twice gives the same objects and partners can deduplicate them.
+ */
+const toStixBundle = ({ analyses, campaign, producer, tlp = 'amber' }) => {
+    const namespace = uuidv5(STIX_SCO_NAMESPACE, producer);
+    const sdoId = (type, key) => `${type}--${uuidv5(namespace, key)}`;
+    const scoId = (type, properties) => `${type}--${uuidv5(STIX_SCO_NAMESPACE, canonicalJSON(properties))}`;
+
+    const level = Object.hasOwn(TLP_MARKINGS, tlp) ? tlp : 'amber';
+    const marking = TLP_MARKINGS[level];
+    const identity = {
+        type: 'identity',
+        spec_version: '2.1',
+        id: sdoId('identity', 'producer'),
+        created: IDENTITY_CREATED,
+        modified: IDENTITY_CREATED,
+        name: producer,
+        identity_class: 'system'
+    };
+    const common = { spec_version: '2.1', created_by_ref: identity.id, object_marking_refs: [marking] };
+
+    const objects = [
+        {
+            type: 'marking-definition',
+            spec_version: '2.1',
+            id: marking,
+            created: TLP_MARKING_CREATED,
+            definition_type: 'tlp',
+            name: `TLP:${level.toUpperCase()}`,
+            definition: { tlp: level }
+        },
+        identity
+    ];
+    const observables = new Map();
+    const addObservable = (object) => {
+        if (!observables.has(object.id)) observables.set(object.id, object);
+        return object.id;
+    };
+
+    let campaignObject = null;
+    if (campaign) {
+        const hashtags = (campaign.hashtags || []).map(tag => `#${tag}`);
+        campaignObject = {
+            type: 'campaign',
+            ...common,
+            id: sdoId('campaign', `campaign:${campaign.signature || campaign._id}`),
+            created: isoDate(campaign.detectedAt || campaign.firstSeen),
+            modified: isoDate(campaign.updatedAt || campaign.detectedAt || campaign.firstSeen),
+            name: hashtags.length > 0 ? `Coordinated campaign ${hashtags.slice(0, 3).join(' ')}` : 'Coordinated campaign (shared messaging)',
+            description: `${campaign.accountCount} accounts posted ${campaign.postCount} coordinated posts on ` +
+                `${(campaign.platforms || []).join(', ') || 'unknown platforms'}. Coordination score ${campaign.coordinationScore}/100.`,
+            first_seen: isoDate(campaign.firstSeen),
+            last_seen: isoDate(campaign.lastSeen),
+            x_coordination_score: campaign.coordinationScore,
+            x_hashtags: campaign.hashtags || []
+        };
+        objects.push(campaignObject);
+    }
+
+    // Accounts with HIGH risk posts, by STIX account id
+    const flaggedAccounts = new Map();
+
+    analyses.forEach(analysis => {
+        const timestamp = isoDate(analysis.timestamp);
+        const observed = isoDate(postedAt(analysis));
+        const content = analysis.content || '';
+        const hashes = { 'SHA-256': crypto.createHash('sha256').update(content, 'utf8').digest('hex') };
+        const refs = [addObservable({
+            type: 'artifact',
+            spec_version: '2.1',
+            id: scoId('artifact', { hashes }),
+            mime_type: 'text/plain',
+            payload_bin: Buffer.from(content, 'utf8').toString('base64'),
+            hashes,
+            object_marking_refs: [marking]
+        })];
+
+        if (analysis.userId) {
+            const accountType = STIX_ACCOUNT_TYPES[analysis.platform] || analysis.platform || 'unknown';
+            const account = {
+                type: 'user-account',
+                spec_version: '2.1',
+                id: scoId('user-account', { account_type: accountType, user_id: analysis.userId }),
+                account_type: accountType,
+                user_id: analysis.userId,
+                object_marking_refs: [marking]
+            };
+            refs.push(addObservable(account));
+
+            if (analysis.riskLevel === 'HIGH') {
+                const flagged = flaggedAccounts.get(account.id) || { account, posts: 0, maxScore: 0, first: observed, last: observed };
+                flagged.posts++;
+                flagged.maxScore = Math.max(flagged.maxScore, analysis.riskScore || 0);
+                if (observed < flagged.first) flagged.first = observed;
+                if (observed > flagged.last) flagged.last = observed;
+                flaggedAccounts.set(account.id, flagged);
+            }
+        }
+
+        objects.push({
+            type: 'observed-data',
+            ...common,
+            id: sdoId('observed-data', `analysis:${analysis._id}`),
+            created: timestamp,
+            modified: timestamp,
+            first_observed: observed,
+            last_observed: observed,
+            number_observed: 1,
+            object_refs: refs,
+            x_platform: analysis.platform,
+            x_language: analysis.language,
+            x_risk_level: analysis.riskLevel,
+            x_risk_score: analysis.riskScore,
+            x_flags: analysis.flags || [],
+            x_hashtags: analysis.hashtags || [],
+            x_review_status: (analysis.review && analysis.review.status) || 'pending'
+        });
+    });
+
+    flaggedAccounts.forEach(({ account, posts, maxScore, first, last }) => {
+        const indicator = {
+            type: 'indicator',
+            ...common,
+            id: sdoId('indicator', `account:${account.account_type}:${account.user_id}`),
+            created: first,
+            modified: last,
+            name: `High-risk account ${account.user_id} on ${account.account_type}`,
+            description: `${posts} HIGH risk post${posts === 1 ? '' : 's'}, highest risk score ${maxScore}/100.`,
+            indicator_types: ['malicious-activity'],
+            pattern: `[user-account:account_type = ${patternString(account.account_type)} AND user-account:user_id = ${patternString(account.user_id)}]`,
+            pattern_type: 'stix',
+            valid_from: first
+        };
+        objects.push(indicator);
+
+        if (campaignObject) {
+            objects.push({
+                type: 'relationship',
+                ...common,
+                id: sdoId('relationship', `${indicator.id}:indicates:${campaignObject.id}`),
+                created: first,
+                modified: last,
+                relationship_type: 'indicates',
+                source_ref: indicator.id,
+                target_ref: campaignObject.id
+            });
+        }
+    });
+
+    return JSON.stringify({
+        type: 'bundle',
+        id: `bundle--${crypto.randomUUID()}`,
+        objects: [...objects, ...observables.values()]
+    }, null, 2);
+};
+
+// The same escapes as the dashboard's html template in app.js, which runs in the browser and cannot share this
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+const escapeHTML = (value) => String(value === undefined || value === null ? '' : value).replace(/[&<>"'`]/g, character => HTML_ESCAPES[character]);
+
+const countBy = (items, key) => {
+    const counts = new Map();
+    items.forEach(item => [].concat(key(item)).filter(value => value !== undefined && value !== null && value !== '')
+        .forEach(value => counts.set(value, (counts.get(value) || 0) + 1)));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+};
+
+const formatName = (name) => String(name).replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+
+const formatDate = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'n/a');
+
+const REPORT_STYLE = `
+body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #1a202c; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+h2 { font-size: 1.2rem; border-bottom: 2px solid #e2e8f0; padding-bottom: 0.25rem; margin-top: 2rem; }
+.tlp { display: inline-block; padding: 0.1rem 0.6rem; background: #1a202c; color: #ffc000; font-weight: 700; letter-spacing: 0.05em; }
+.meta { color: #4a5568; font-size: 0.9rem; }
+.stats { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 0.75rem; }
+.stat { border: 1px solid #e2e8f0; border-radius: 6px; padding: 0.75rem; }
+.stat strong { display: block; font-size: 1.4rem; }
+table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+.post { border: 1px solid #e2e8f0; border-left: 4px solid #e53e3e; border-radius: 4px; padding: 0.75rem; margin-bottom: 0.75rem; page-break-inside: avoid; }
+.post p { margin: 0 0 0.5rem; white-space: pre-wrap; word-break: break-word; }
+.HIGH { border-left-color: #e53e3e; } .MEDIUM { border-left-color: #d69e2e; } .LOW { border-left-color: #3182ce; } .MINIMAL { border-left-color: #38a169; }
+@media print { body { margin: 0; max-width: none; } h2 { page-break-after: avoid; } }
+`;
+
+const table = (headers, rows) => rows.length === 0 ? '<p class="meta">None.</p>' : `
+<table>
+<thead><tr>${headers.map(header => `<th>${escapeHTML(header)}</th>`).join('')}</tr></thead>
+<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+</table>`;
+
+const describeFilters = (filters) => {
+    const entries = Object.entries(filters || {}).filter(([, value]) => value !== undefined && value !== '');
+    return entries.length > 0 ? entries.map(([key, value]) => `${key}=${value}`).join(', ') : 'none';
+};
+
+// Highest risk first, one post per near-duplicate cluster
+const representativePosts = (analyses, count) => {
+    const seen = new Set();
+    return [...analyses]
+        .sort((a, b) => (b.riskScore || 0) - (a.riskScore || 0))
+        .filter(analysis => {
+            const key = analysis.duplicateCluster || analysis.contentHash || String(analysis._id);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, count);
+};
+
+/**
+ * A self-contained HTML incident report for printing or attaching to a case:
+ * summary figures, the signals and flags that drove the scores, the accounts
+ * and hashtags involved and the highest-risk distinct posts. It loads nothing
+ * and runs no script; its own CSP only allows the embedded stylesheet.
+ */
+const renderReport = ({ analyses, campaign, total, filters, generatedAt, generatedBy, producer, tlp = 'amber' }) => {
+    const timestamps = analyses.map(analysis => new Date(postedAt(analysis)).getTime()).filter(Number.isFinite);
+    const accounts = countBy(analyses, analysis => analysis.userId);
+    const averageScore = analyses.length > 0
+        ? Math.round(analyses.reduce((sum, analysis) => sum + (analysis.riskScore || 0), 0) / analyses.length)
+        : 0;
+
+    // Mean points each detector added to the score, over the posts where it fired
+    const signalTotals = new Map();
+    analyses.forEach(analysis => (analysis.signals || []).forEach(signal => {
+        if (!(signal.contribution > 0)) return;
+        const entry = signalTotals.get(signal.name) || { points: 0, posts: 0 };
+        entry.points += signal.contribution;
+        entry.posts++;
+        signalTotals.set(signal.name, entry);
+    }));
+    const topSignals = [...signalTotals.entries()]
+        .sort((a, b) => b[1].points - a[1].points)
+        .slice(0, 10)
+        .map(([name, { points, posts }]) => [formatName(name), posts, (points / posts).toFixed(1)]);
+
+    const maxScoreByAccount = new Map();
+    analyses.forEach(analysis => {
+        if (analysis.userId) maxScoreByAccount.set(analysis.userId, Math.max(maxScoreByAccount.get(analysis.userId) || 0, analysis.riskScore || 0));
+    });
+
+    const label = (Object.hasOwn(TLP_MARKINGS, tlp) ? tlp : 'amber').toUpperCase();
+    const title = campaign
+        ? `Incident report: coordinated campaign ${(campaign.hashtags || []).slice(0, 3).map(tag => `#${tag}`).join(' ')}`.trim()
+        : 'Incident report';
+    const stat = (name, value) => `<div class="stat"><strong>${escapeHTML(value)}</strong>${escapeHTML(name)}</div>`;
+    const styleHash = crypto.createHash('sha256').update(REPORT_STYLE, 'utf8').digest('base64');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'sha256-${styleHash}'">
+<title>${escapeHTML(title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<p><span class="tlp">TLP:${label}</span></p>
+<h1>${escapeHTML(title)}</h1>
+<p class="meta">Generated ${escapeHTML(formatDate(generatedAt))} by ${escapeHTML(generatedBy)} from ${escapeHTML(producer)}.
+Filters: ${escapeHTML(describeFilters(filters))}.
+${total > analyses.length ? `Covers the first ${analyses.length} of ${total} matching analyses.` : `Covers all ${analyses.length} matching analyses.`}</p>
+
+<h2>Summary</h2>
+<div class="stats">
+${stat('posts', analyses.length)}
+${stat('accounts', accounts.length)}
+${stat('average risk score', averageScore)}
+${stat('high risk posts', analyses.filter(analysis => analysis.riskLevel === 'HIGH').length)}
+${campaign ? stat('coordination score', campaign.coordinationScore) : ''}
+</div>
+<p class="meta">First post ${escapeHTML(formatDate(timestamps.length > 0 ? Math.min(...timestamps) : null))},
+last post ${escapeHTML(formatDate(timestamps.length > 0 ? Math.max(...timestamps) : null))}.</p>
+${table(['Risk level', 'Posts'], countBy(analyses, analysis => analysis.riskLevel))}
+${table(['Platform', 'Posts'], countBy(analyses, analysis => analysis.platform))}
+${table(['Language', 'Posts'], countBy(analyses, analysis => analysis.language))}
+${table(['Review status', 'Posts'], countBy(analyses, analysis => (analysis.review && analysis.review.status) || 'pending').map(([status, count]) => [formatName(status), count]))}
+
+<h2>Top signals</h2>
+${table(['Signal', 'Posts', 'Mean points added'], topSignals)}
+${table(['Flag', 'Posts'], countBy(analyses, analysis => analysis.flags || []).slice(0, 15).map(([flag, count]) => [formatName(flag), count]))}
+
+<h2>Accounts and hashtags</h2>
+${table(['Account', 'Posts', 'Highest risk score'], accounts.slice(0, 20).map(([account, count]) => [account, count, maxScoreByAccount.get(account)]))}
+${table(['Hashtag', 'Posts'], countBy(analyses, analysis => analysis.hashtags || []).slice(0, 20).map(([tag, count]) => [`#${tag}`, count]))}
+
+<h2>Representative posts</h2>
+${representativePosts(analyses, 10).map(analysis => `
+<div class="post ${escapeHTML(analysis.riskLevel)}">
+<p>${escapeHTML(analysis.content)}</p>
+<div class="meta">${escapeHTML([
+    analysis.userId,
+    analysis.platform,
+    formatDate(postedAt(analysis)),
+    `risk ${analysis.riskScore}/100 (${analysis.riskLevel})`,
+    (analysis.flags || []).map(formatName).join(', ')
+].filter(Boolean).join(' • '))}</div>
+</div>`).join('') || '<p class="meta">None.</p>'}
+</body>
+</html>
+`;
+};
+
+// Format name -> response type, file extension and renderer
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: toCsv },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl', render: toJsonl },
+    stix: { contentType: 'application/stix+json; version=2.1; charset=utf-8', extension: 'stix.json', render: toStixBundle },
+    report: { contentType: 'text/html; charset=utf-8', extension: 'html', render: renderReport }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    TLP_MARKINGS,
+    canonicalJSON
+};
@@ -0,0 +1,103 @@
+/**
+ * Background classifier training, run in a worker thread by server.js so a
+ * large dataset does not block request handling.
+ *
+ * workerData: { examples: [{ text, label }], algorithm, holdoutRatio, seed, baseline }
+ * where baseline is the live model ({ algorithm, serialized }) to score on the
+ * same hold-out split for a before/after comparison.
+ * Posts back: { serialized, metrics, baselineMetrics } or { error }
+ */
+const { parentPort, workerData } = require('worker_threads');
+const natural = require('natural');
+
+const POSITIVE_LABEL = 'anti-india';
+
+// Deterministic shuffle so a given dataset and seed always yield the same split
+const mulberry32 = (seed) => () => {
+    seed |= 0;
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const shuffle = (items, seed) => {
+    const random = mulberry32(seed);
+    const shuffled = items.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+const restoreClassifier = ({ algorithm, serialized }) => (algorithm === 'logistic_regression'
+    ? natural.LogisticRegressionClassifier.restore(JSON.parse(serialized))
+    : natural.BayesClassifier.restore(JSON.parse(serialized)));
+
+const createClassifier = (algorithm) => (algorithm === 'logistic_regression'
+    ? new natural.LogisticRegressionClassifier()
+    : new natural.BayesClassifier());
+
+// Training documents are only needed while fitting; dropping them keeps the stored model small
+const serialize = (classifier) => {
+    const snapshot = JSON.parse(JSON.stringify(classifier));
+    snapshot.docs = [];
+    snapshot.lastAdded = 0;
+    if (snapshot.classifier && snapshot.classifier.examples) {
+        snapshot.classifier.examples = {};
+    }
+    return JSON.stringify(snapshot);
+};
+
+const evaluate = (classifier, testSet) => {
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+    let correct = 0;
+
+    testSet.forEach(example => {
+        const predicted = classifier.classify(example.text.toLowerCase());
+        if (predicted === example.label) correct++;
+        if (predicted === POSITIVE_LABEL && example.label === POSITIVE_LABEL) truePositives++;
+        if (predicted === POSITIVE_LABEL && example.label !== POSITIVE_LABEL) falsePositives++;
+        if (predicted !== POSITIVE_LABEL && example.label === POSITIVE_LABEL) falseNegatives++;
+    });
+
+    const precision = truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : 0;
+    const recall = truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : 0;
+
+    return {
+        accuracy: testSet.length > 0 ? correct / testSet.length : 0,
+        precision,
+        recall,
+        f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+        truePositives,
+        falsePositives,
+        falseNegatives
+    };
+};
+
+try {
+    const { examples, algorithm, holdoutRatio, seed, baseline } = workerData;
+    const shuffled = shuffle(examples, seed);
+    const testSize = Math.max(1, Math.round(shuffled.length * holdoutRatio));
+    const testSet = shuffled.slice(0, testSize);
+    const trainSet = shuffled.slice(testSize);
+
+    const classifier = createClassifier(algorithm);
+    trainSet.forEach(example => classifier.addDocument(example.text.toLowerCase(), example.label));
+    classifier.train();
+
+    parentPort.postMessage({
+        serialized: serialize(classifier),
+        metrics: {
+            ...evaluate(classifier, testSet),
+            trainSize: trainSet.length,
+            testSize: testSet.length
+        },
+        baselineMetrics: baseline ? evaluate(restoreClassifier(baseline), testSet) : null
+    });
+} catch (error) {
+    parentPort.postMessage({ error: error.message || String(error) });
+}
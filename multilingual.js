@@ -0,0 +1,289 @@
+/**
+ * Language handling for posts in English, Hindi (Devanagari), Urdu (Nastaliq)
+ * and Roman-script Hindi/Urdu ("Hinglish"): Unicode normalisation with an
+ * offset map back to the original text, script-based language identification,
+ * a phonetic skeleton for matching terms across scripts, and sentiment
+ * lexicons for the languages the `sentiment` package does not cover.
+ */
+
+// Invisible characters used to split words past filters: soft hyphen, zero-width
+// spaces and joiners, bidi controls, word joiners and the BOM
+const INVISIBLE_CHARS = /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
+
+// A base character with its combining marks, normalised together
+const CLUSTER = /\P{M}\p{M}*|\p{M}+/gsu;
+
+/**
+ * NFKC-normalise text and strip invisible characters. starts/ends map each
+ * UTF-16 unit of the result to the range of the original text it came from,
+ * so matches found on the normalised text can be reported on the original.
+ */
+const normalizeText = (text) => {
+    const input = String(text || '');
+    let normalized = '';
+    const starts = [];
+    const ends = [];
+
+    for (const match of input.matchAll(CLUSTER)) {
+        const output = match[0].replace(INVISIBLE_CHARS, '').normalize('NFKC');
+        for (let i = 0; i < output.length; i++) {
+            starts.push(match.index);
+            ends.push(match.index + match[0].length);
+        }
+        normalized += output;
+    }
+
+    return { text: normalized, starts, ends };
+};
+
+// Original-text range of a [start, end) range of the normalised text
+const originalSpan = (normalized, start, end) => ({
+    start: normalized.starts[start],
+    end: normalized.ends[end - 1]
+});
+
+const SCRIPT_PATTERNS = {
+    latin: /\p{Script=Latin}/u,
+    devanagari: /\p{Script=Devanagari}/u,
+    arabic: /\p{Script=Arabic}/u
+};
+
+// Common Hindi/Urdu function words written in Latin script; words that are also
+// everyday English ("to", "main", "par") are left out
+const ROMAN_HINDI_URDU_MARKERS = new Set([
+    'hai', 'hain', 'hei', 'hy', 'nahi', 'nahin', 'nai', 'kya', 'kyun', 'kyunki', 'aur', 'ke', 'ki', 'ka', 'ko',
+    'mein', 'mai', 'se', 'bhi', 'ye', 'yeh', 'woh', 'wo', 'tha', 'thi', 'hum', 'tum', 'aap', 'apna',
+    'apne', 'kar', 'karo', 'karte', 'raha', 'rahe', 'rahi', 'gaya', 'gayi', 'liye', 'sab', 'jab', 'tak',
+    'bahut', 'zindabad', 'murdabad', 'desh', 'log', 'kuch', 'koi', 'hoga', 'lekin', 'magar', 'toh', 'ji', 'hamara'
+]);
+
+// Share of Latin words that must be Hindi/Urdu function words to call a post Roman Hindi/Urdu
+const ROMAN_MARKER_SHARE = 0.2;
+
+/**
+ * Language of a post from the scripts its letters are written in, and for
+ * Latin script, how many Hindi/Urdu function words it uses. Returns
+ * { code, script, confidence, scripts } where code is en, hi, ur, hi-Latn or und.
+ */
+const identifyLanguage = (text) => {
+    const counts = { latin: 0, devanagari: 0, arabic: 0 };
+    let letters = 0;
+    for (const char of text.match(/\p{L}/gu) || []) {
+        letters++;
+        const script = Object.keys(SCRIPT_PATTERNS).find(name => SCRIPT_PATTERNS[name].test(char));
+        if (script) counts[script]++;
+    }
+
+    const scripts = {};
+    Object.entries(counts).forEach(([name, count]) => {
+        if (count > 0) scripts[name] = Math.round((count / letters) * 1000) / 1000;
+    });
+
+    const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    if (count === 0) {
+        return { code: 'und', script: null, confidence: 0, scripts };
+    }
+    const share = Math.round((count / letters) * 1000) / 1000;
+
+    if (script === 'devanagari') return { code: 'hi', script, confidence: share, scripts };
+    if (script === 'arabic') return { code: 'ur', script, confidence: share, scripts };
+
+    const words = (text.toLowerCase().match(/\p{Script=Latin}+/gu) || []);
+    const markers = words.filter(word => ROMAN_HINDI_URDU_MARKERS.has(word)).length;
+    const markerShare = words.length > 0 ? markers / words.length : 0;
+    if (markers >= 2 && markerShare >= ROMAN_MARKER_SHARE) {
+        return { code: 'hi-Latn', script, confidence: Math.round(share * Math.min(1, markerShare * 2) * 1000) / 1000, scripts };
+    }
+    return { code: 'en', script, confidence: Math.round(share * (1 - markerShare) * 1000) / 1000, scripts };
+};
+
+/*
+ * Phonetic skeleton: the consonants of a word, folded so that the usual ways
+ * of writing one Hindi/Urdu word in Devanagari, Nastaliq and Latin letters
+ * agree. Vowels are dropped (romanisations disagree on them most), aspiration
+ * is ignored and z/j, w/v, q/k and ph/f are merged. "पाकिस्तान", "پاکستان" and
+ * "pakistan" all become "pkstn".
+ */
+const DEVANAGARI_CONSONANTS = {
+    'क': 'k', 'ख': 'k', 'ग': 'g', 'घ': 'g', 'ङ': 'n',
+    'च': 'c', 'छ': 'c', 'ज': 'j', 'झ': 'j', 'ञ': 'n',
+    'ट': 't', 'ठ': 't', 'ड': 'd', 'ढ': 'd', 'ण': 'n',
+    'त': 't', 'थ': 't', 'द': 'd', 'ध': 'd', 'न': 'n',
+    'प': 'p', 'फ': 'f', 'ब': 'b', 'भ': 'b', 'म': 'm',
+    'र': 'r', 'ल': 'l', 'व': 'v', 'श': 's', 'ष': 's', 'स': 's', 'ह': 'h',
+    // Anusvara and chandrabindu are nasal consonants in romanisation
+    '\u0902': 'n', '\u0901': 'n'
+};
+
+const ARABIC_CONSONANTS = {
+    'ب': 'b', 'پ': 'p', 'ت': 't', 'ٹ': 't', 'ث': 's', 'ج': 'j', 'چ': 'c', 'ح': 'h', 'خ': 'k',
+    'د': 'd', 'ڈ': 'd', 'ذ': 'j', 'ر': 'r', 'ڑ': 'r', 'ز': 'j', 'ژ': 'j', 'س': 's', 'ش': 's',
+    'ص': 's', 'ض': 'j', 'ط': 't', 'ظ': 'j', 'غ': 'g', 'ف': 'f', 'ق': 'k', 'ک': 'k', 'ك': 'k',
+    'گ': 'g', 'ل': 'l', 'م': 'm', 'ن': 'n', 'ں': 'n', 'ہ': 'h', 'ه': 'h'
+};
+
+const LATIN_FOLDS = { q: 'k', w: 'v', z: 'j', x: 'ks', c: 'k' };
+
+const latinSkeleton = (word) => word
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^a-z]/g, '')
+    .replace(/ph/g, 'f')
+    .replace(/ch/g, 'C')
+    .replace(/[qwzxc]/g, letter => LATIN_FOLDS[letter])
+    .replace(/C/g, 'c')
+    // Aspiration: the h in bh, dh, kh, sh... carries no separate consonant
+    .replace(/([bcdfgjklmnprstv])h/g, '$1')
+    .replace(/[aeiouy]/g, '');
+
+const devanagariSkeleton = (word) => [...word.normalize('NFD')]
+    .map(char => DEVANAGARI_CONSONANTS[char] || '')
+    .join('');
+
+const arabicSkeleton = (word) => {
+    const chars = [...word.normalize('NFC')];
+    return chars
+        .map((char, index) => {
+            // Waw is a consonant only at the start of a word, otherwise a vowel
+            if (char === 'و') return index === 0 ? 'v' : '';
+            // Word-final he marks a vowel ("zinda" زندہ)
+            if ((char === 'ہ' || char === 'ه') && index === chars.length - 1) return '';
+            return ARABIC_CONSONANTS[char] || '';
+        })
+        .join('');
+};
+
+const wordSkeleton = (word) => {
+    let skeleton;
+    if (SCRIPT_PATTERNS.devanagari.test(word)) skeleton = devanagariSkeleton(word);
+    else if (SCRIPT_PATTERNS.arabic.test(word)) skeleton = arabicSkeleton(word);
+    else skeleton = latinSkeleton(word);
+    // Doubled consonants ("gaddar") are written once
+    return skeleton.replace(/(.)\1+/g, '$1');
+};
+
+const WORD = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Word skeletons of a text with their offsets in it
+const skeletonWords = (text) => [...text.matchAll(WORD)]
+    .map(match => ({ skeleton: wordSkeleton(match[0]), start: match.index, end: match.index + match[0].length }))
+    .filter(word => word.skeleton.length > 0);
+
+// Skeletons shorter than this match too many unrelated words
+const MIN_SKELETON_LENGTH = 4;
+
+const termSkeleton = (term) => skeletonWords(term).map(word => word.skeleton).join('');
+
+/**
+ * Ranges of text whose words, joined, have the same skeleton as the term.
+ * Word boundaries are ignored inside a match so "zinda bad" matches
+ * "zindabad", but a match must start and end on a word boundary.
+ */
+const findPhoneticMatches = (words, skeleton) => {
+    if (skeleton.length < MIN_SKELETON_LENGTH) return [];
+    const matches = [];
+
+    words.forEach((word, first) => {
+        let joined = '';
+        for (let last = first; last < words.length && joined.length < skeleton.length; last++) {
+            joined += words[last].skeleton;
+            if (joined === skeleton) {
+                matches.push({ start: word.start, end: words[last].end });
+            }
+            if (!skeleton.startsWith(joined)) break;
+        }
+    });
+
+    return matches;
+};
+
+/*
+ * Sentiment lexicons on the AFINN -5..5 scale, for the `sentiment` package's
+ * registerLanguage(). Negators flip a word's score; in Hindi and Urdu they
+ * usually follow the word ("अच्छा नहीं"), so both neighbours are checked.
+ */
+const SENTIMENT_LEXICONS = {
+    hi: {
+        labels: {
+            'नफरत': -3, 'घृणा': -3, 'दुश्मन': -3, 'गद्दार': -4, 'बर्बाद': -3, 'नष्ट': -3, 'तबाह': -3,
+            'झूठ': -2, 'झूठा': -2, 'झूठे': -2, 'भ्रष्ट': -3, 'मौत': -3, 'मारो': -4, 'आतंक': -3,
+            'आतंकवादी': -4, 'शर्म': -2, 'शर्मनाक': -3, 'बुरा': -2, 'खराब': -2, 'बेकार': -2, 'धोखा': -3,
+            'हिंसा': -3, 'ज़ुल्म': -3, 'जुल्म': -3, 'मुर्दाबाद': -3,
+            'अच्छा': 2, 'अच्छी': 2, 'बढ़िया': 3, 'सुंदर': 3, 'प्यार': 3, 'शांति': 2, 'खुश': 3,
+            'गर्व': 3, 'महान': 3, 'धन्यवाद': 2, 'जीत': 2, 'सम्मान': 2
+        },
+        negators: ['नहीं', 'ना', 'न', 'मत']
+    },
+    ur: {
+        labels: {
+            'نفرت': -3, 'دشمن': -3, 'غدار': -4, 'برباد': -3, 'تباہ': -3, 'جھوٹ': -2, 'جھوٹا': -2,
+            'کرپٹ': -3, 'موت': -3, 'مارو': -4, 'دہشت': -3, 'دہشتگرد': -4, 'ظلم': -3, 'شرم': -2,
+            'برا': -2, 'خراب': -2, 'دھوکہ': -3, 'بیکار': -2, 'مردہ': -2,
+            'اچھا': 2, 'اچھی': 2, 'خوبصورت': 3, 'محبت': 3, 'امن': 2, 'خوش': 3, 'فخر': 3,
+            'شکریہ': 2, 'عزت': 2, 'جیت': 2
+        },
+        negators: ['نہیں', 'نا', 'مت']
+    },
+    // Roman Hindi/Urdu; analysed alongside English because the two mix freely
+    'hi-Latn': {
+        labels: {
+            nafrat: -3, dushman: -3, gaddar: -4, gaddaar: -4, ghaddar: -4, barbad: -3, barbaad: -3,
+            tabah: -3, tabaah: -3, jhooth: -2, jhoot: -2, jhutha: -2, jhootha: -2, bhrasht: -3,
+            maut: -3, maaro: -4, maro: -4, aatanki: -4, atanki: -4, aatankwadi: -4, dehshatgard: -4,
+            zulm: -3, sharm: -2, sharmnak: -3, bura: -2, kharab: -2, kharaab: -2, bekaar: -2, bekar: -2,
+            dhokha: -3, dhoka: -3, murdabad: -3,
+            accha: 2, achha: 2, acha: 2, achi: 2, badhiya: 3, badiya: 3, sundar: 3, pyaar: 3, pyar: 3,
+            mohabbat: 3, shanti: 2, aman: 2, khush: 3, garv: 3, fakhr: 3, mahaan: 3, mahan: 3,
+            shukriya: 2, dhanyavaad: 2, izzat: 2
+        },
+        negators: ['nahi', 'nahin', 'nai', 'na', 'mat']
+    }
+};
+
+// The `sentiment` package splits on spaces after removing Latin punctuation only
+const SCRIPT_PUNCTUATION = /[،؛؟۔।॥]/g;
+
+const sentimentLanguage = (code) => {
+    const { labels, negators } = SENTIMENT_LEXICONS[code];
+    const negatorSet = new Set(negators);
+    return {
+        // registerLanguage() adds emoji scores to the object it is given
+        labels: { ...labels },
+        scoringStrategy: {
+            apply: (tokens, cursor, tokenScore) => (
+                negatorSet.has(tokens[cursor + 1]) || negatorSet.has(tokens[cursor - 1]) ? -tokenScore : tokenScore
+            )
+        }
+    };
+};
+
+/*
+ * Which steps run for each detected language. The classifier only sees
+ * Latin-script text because natural's tokenizer drops other scripts.
+ */
+const PIPELINES = {
+    en: { name: 'english', sentimentLanguages: ['en'], classifier: true },
+    'hi-Latn': { name: 'roman-hindi-urdu', sentimentLanguages: ['en', 'hi-Latn'], classifier: true },
+    hi: { name: 'hindi-devanagari', sentimentLanguages: ['hi'], classifier: false },
+    ur: { name: 'urdu-nastaliq', sentimentLanguages: ['ur'], classifier: false }
+};
+
+// Undetermined text (emoji, numbers) goes through the English pipeline
+const pipelineFor = (code) => PIPELINES[code] || PIPELINES.en;
+
+module.exports = {
+    INVISIBLE_CHARS,
+    PIPELINES,
+    SENTIMENT_LEXICONS,
+    SCRIPT_PUNCTUATION,
+    normalizeText,
+    originalSpan,
+    identifyLanguage,
+    wordSkeleton,
+    skeletonWords,
+    termSkeleton,
+    findPhoneticMatches,
+    sentimentLanguage,
+    pipelineFor
+};
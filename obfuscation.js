@@ -0,0 +1,182 @@
+/**
+ * Matching that sees through the usual tricks for slipping a keyword past a
+ * filter: leetspeak ("d3str0y"), look-alike letters from other alphabets,
+ * accents, letters spaced or punctuated apart ("a n t i", a non-breaking hyphen
+ * in "anti-india", emoji between words) and small misspellings.
+ *
+ * Text is folded into a stream of letters that remembers where each letter
+ * came from; separators are dropped but leave word boundaries behind, and a
+ * match must start and end on one.
+ */
+const { INVISIBLE_CHARS } = require('./multilingual');
+
+// Cyrillic, Greek and other letters that render like Latin ones
+const HOMOGLYPHS = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+    'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ԁ': 'd',
+    'ԛ': 'q', 'ԝ': 'w', 'ү': 'y', 'һ': 'h', 'ɡ': 'g',
+    'α': 'a', 'β': 'b', 'γ': 'y', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+    'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+    'ı': 'i', 'ł': 'l', 'ø': 'o', 'đ': 'd'
+};
+
+const LEET_DIGITS = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g' };
+
+// Symbols that stand for letters only inside a word; at its edges they are punctuation
+const LEET_SYMBOLS = { '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e' };
+
+const LETTER = /[\p{L}\p{M}\p{N}]/u;
+const LATIN = /\p{Script=Latin}/u;
+const SPACE = /\s/u;
+
+/**
+ * Fold text into { letters, folded } where letters[i] = { char, index, length,
+ * technique, boundaryBefore }: the folded character, where it sits in the input,
+ * how it was disguised (if at all) and whether a separator precedes it.
+ */
+const foldText = (text) => {
+    const chars = [...text];
+    const letters = [];
+    let offset = 0;
+    let separated = true;
+
+    chars.forEach((raw, position) => {
+        const index = offset;
+        offset += raw.length;
+
+        const lower = raw.toLowerCase();
+        let char = lower;
+        let technique = null;
+
+        if (HOMOGLYPHS[lower]) {
+            char = HOMOGLYPHS[lower];
+            technique = 'homoglyph';
+        } else if (LEET_DIGITS[lower]) {
+            char = LEET_DIGITS[lower];
+            technique = 'leetspeak';
+        } else if (LEET_SYMBOLS[lower] &&
+            LETTER.test(chars[position - 1] || '') && LETTER.test(chars[position + 1] || '')) {
+            char = LEET_SYMBOLS[lower];
+            technique = 'leetspeak';
+        } else if (LATIN.test(lower)) {
+            const base = lower.normalize('NFD').replace(/\p{M}/gu, '');
+            if (base !== lower) {
+                char = base;
+                technique = 'diacritics';
+            }
+        }
+
+        if (!LETTER.test(char)) {
+            separated = true;
+            return;
+        }
+        letters.push({ char, index, length: raw.length, technique, boundaryBefore: separated });
+        separated = false;
+    });
+
+    return { letters, folded: letters.map(letter => letter.char).join('') };
+};
+
+// Folded form of a lexicon term: its letters only
+const foldTerm = (term) => foldText(term.normalize('NFKC')).folded;
+
+const isStart = (letters, position) => position === 0 || letters[position].boundaryBefore;
+const isEnd = (letters, position) => position === letters.length || letters[position].boundaryBefore;
+
+/*
+ * Lowest edit distance between the pattern and the letters from start to any
+ * word boundary, as { end, edits }, or null if none is within maxEdits.
+ */
+const bestMatchFrom = (letters, start, pattern, maxEdits) => {
+    let column = Array.from({ length: pattern.length + 1 }, (_, i) => i);
+    let best = null;
+
+    for (let j = start; j < letters.length && j - start < pattern.length + maxEdits; j++) {
+        const next = [column[0] + 1];
+        for (let i = 1; i <= pattern.length; i++) {
+            const substitution = column[i - 1] + (pattern[i - 1] === letters[j].char ? 0 : 1);
+            next[i] = Math.min(column[i] + 1, next[i - 1] + 1, substitution);
+        }
+        column = next;
+
+        const edits = column[pattern.length];
+        if (edits <= maxEdits && isEnd(letters, j + 1) && (!best || edits < best.edits)) {
+            best = { end: j + 1, edits };
+        }
+        if (Math.min(...column) > maxEdits) break;
+    }
+
+    return best;
+};
+
+/**
+ * Occurrences of a folded term in folded text, as { start, end, normalized, edits }
+ * where start/end index the input text. Up to maxEdits insertions, deletions or
+ * substitutions are allowed.
+ */
+const findFoldedMatches = ({ letters, folded }, pattern, maxEdits = 0) => {
+    if (!pattern) return [];
+    const matches = [];
+
+    for (let start = 0; start < letters.length; start++) {
+        if (!isStart(letters, start)) continue;
+
+        let match = null;
+        if (folded.startsWith(pattern, start) && isEnd(letters, start + pattern.length)) {
+            match = { end: start + pattern.length, edits: 0 };
+        } else if (maxEdits > 0) {
+            match = bestMatchFrom(letters, start, pattern, maxEdits);
+        }
+        if (!match) continue;
+
+        const last = letters[match.end - 1];
+        matches.push({
+            start: letters[start].index,
+            end: last.index + last.length,
+            normalized: folded.slice(start, match.end),
+            edits: match.edits,
+            techniques: [...new Set(letters.slice(start, match.end).map(letter => letter.technique).filter(Boolean))]
+        });
+        start = match.end - 1;
+    }
+
+    return matches;
+};
+
+const separatorsOf = (text) => {
+    const separators = text.match(/[^\p{L}\p{M}\p{N}]/gu) || [];
+    return {
+        spaces: separators.filter(char => SPACE.test(char)).length,
+        others: separators.filter(char => !SPACE.test(char)).sort().join('')
+    };
+};
+
+/**
+ * The disguises visible in a matched stretch of the original text: the
+ * per-letter ones found while folding, invisible or compatibility characters,
+ * and spaces or punctuation inside it that the term does not have.
+ */
+const describeEvasion = (original, term, match) => {
+    const techniques = new Set(match.techniques);
+
+    const visible = original.replace(INVISIBLE_CHARS, '');
+    if (visible !== original) techniques.add('invisible_characters');
+    if (visible.normalize('NFKC') !== visible) techniques.add('compatibility_characters');
+
+    // Leet symbols inside the match were letters, not separators
+    const text = visible.normalize('NFKC').replace(/(?<=[\p{L}\p{N}])[@$!|+€](?=[\p{L}\p{N}])/gu, 'x');
+    const found = separatorsOf(text);
+    const expected = separatorsOf(term);
+    if (found.spaces > expected.spaces) techniques.add('spacing');
+    if (found.others !== expected.others) techniques.add('separator_characters');
+    if (match.edits > 0) techniques.add('misspelling');
+
+    return [...techniques];
+};
+
+module.exports = {
+    foldText,
+    foldTerm,
+    findFoldedMatches,
+    describeEvasion
+};
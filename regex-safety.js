@@ -0,0 +1,119 @@
+/**
+ * Static check for regular expressions that can backtrack catastrophically.
+ * Lexicon regex terms written by admins run against hostile posts on every
+ * analysis, so a pattern such as (a+)+$ must never reach the detection engine.
+ *
+ * The check is deliberately conservative: it rejects any repeated group that
+ * itself contains a repetition or alternatives, and backreferences. Patterns
+ * it accepts run in time roughly polynomial in the input length.
+ */
+
+const MAX_PATTERN_LENGTH = 256;
+
+// Matches text literally when placed in a pattern
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parses a quantifier starting at index: *, +, ?, {n}, {n,} or {n,m}
+const readQuantifier = (source, index) => {
+    const char = source[index];
+    if (char === '*' || char === '+') return { length: 1, max: Infinity };
+    if (char === '?') return { length: 1, max: 1 };
+    if (char !== '{') return null;
+
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+    if (!match) return null;
+    const max = match[2] === undefined ? Number(match[1]) : match[3] === '' ? Infinity : Number(match[3]);
+    return { length: match[0].length, max };
+};
+
+// Index of the character that closes a [...] class opened at index
+const classEnd = (source, index) => {
+    let i = index + 1;
+    if (source[i] === '^') i++;
+    while (i < source.length && source[i] !== ']') {
+        if (source[i] === '\\') i++;
+        i++;
+    }
+    return i;
+};
+
+// Index of the last character of a group opener such as (, (?:, (?= or (?<name>
+const groupOpenerEnd = (source, index) => {
+    if (source[index + 1] !== '?') return index;
+    if (source[index + 2] === '<' && source[index + 3] !== '=' && source[index + 3] !== '!') {
+        const end = source.indexOf('>', index);
+        return end < 0 ? source.length : end;
+    }
+    return source[index + 2] === '<' ? index + 3 : index + 2;
+};
+
+/**
+ * Why the pattern could take exponential time on a crafted input, or null if it looks safe
+ */
+const unsafeRegexReason = (source) => {
+    if (source.length > MAX_PATTERN_LENGTH) {
+        return `it is longer than ${MAX_PATTERN_LENGTH} characters`;
+    }
+
+    const plainAtom = () => ({ repeats: false, alternatives: false });
+    // What each open group contains so far; the bottom entry is the whole pattern
+    const groups = [plainAtom()];
+    // The atom a following quantifier applies to: null after |, ( or another quantifier
+    let atom = null;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        const current = groups[groups.length - 1];
+
+        if (char === '\\') {
+            const next = source[i + 1];
+            if (/[1-9]/.test(next || '') || next === 'k') {
+                return 'it uses a backreference';
+            }
+            // \p{...}, \P{...} and \u{...} are one atom
+            i = /[pPu]/.test(next || '') && source[i + 2] === '{' ? Math.max(source.indexOf('}', i), i + 1) : i + 1;
+            atom = plainAtom();
+        } else if (char === '[') {
+            i = classEnd(source, i);
+            atom = plainAtom();
+        } else if (char === '(') {
+            groups.push(plainAtom());
+            i = groupOpenerEnd(source, i);
+            atom = null;
+        } else if (char === ')') {
+            const group = groups.length > 1 ? groups.pop() : plainAtom();
+            const parent = groups[groups.length - 1];
+            parent.repeats = parent.repeats || group.repeats;
+            parent.alternatives = parent.alternatives || group.alternatives;
+            atom = group;
+        } else if (char === '|') {
+            current.alternatives = true;
+            atom = null;
+        } else {
+            const quantifier = readQuantifier(source, i);
+            if (!quantifier) {
+                atom = plainAtom();
+                continue;
+            }
+
+            if (quantifier.max > 1 && atom && (atom.repeats || atom.alternatives)) {
+                return 'it repeats a group that itself contains a repetition or alternatives';
+            }
+            if (quantifier.max > 1) {
+                current.repeats = true;
+            }
+            i += quantifier.length - 1;
+            // Lazy quantifiers backtrack just as much
+            if (source[i + 1] === '?') i++;
+            atom = null;
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    MAX_PATTERN_LENGTH,
+    escapeRegExp,
+    unsafeRegexReason
+};
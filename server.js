@@ -1,3 +1,4 @@
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -7,8 +8,46 @@ const winston = require('winston');
 const natural = require('natural');
 const sentiment = require('sentiment');
 const cluster = require('cluster');
+const { WebSocketServer, WebSocket } = require('ws');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { profileAccount } = require('./account-profile');
+const {
+    SENTIMENT_LEXICONS,
+    SCRIPT_PUNCTUATION,
+    normalizeText,
+    originalSpan,
+    identifyLanguage,
+    skeletonWords,
+    termSkeleton,
+    findPhoneticMatches,
+    sentimentLanguage,
+    pipelineFor
+} = require('./multilingual');
+const { foldText, foldTerm, findFoldedMatches, describeEvasion } = require('./obfuscation');
+const { signText, estimateJaccard, bandKeys } = require('./text-similarity');
+const { sendMail } = require('./smtp-client');
+const { CONNECTOR_TYPES } = require('./connectors');
+const { STORAGE_BACKENDS, createStore } = require('./storage');
+const { EXPORT_FORMATS, TLP_MARKINGS, canonicalJSON } = require('./exporters');
+const { escapeRegExp, unsafeRegexReason } = require('./regex-safety');
+const { dashboardSummary, platformStats, riskCountsByBucket, suspiciousNetworks } = require('./dashboard-queries');
 const numCPUs = require('os').cpus().length;
 
+// Where analyses, account activity, users and the audit trail are kept: mongo, memory or file (JSONL under STORAGE_DIR)
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'mongo';
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || 'data');
+if (!STORAGE_BACKENDS.includes(STORAGE_BACKEND)) {
+    console.error(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+    process.exit(1);
+}
+// Everything else (lexicons, models, batches, campaigns, alerts, webhooks, connectors) needs MongoDB
+const MONGO_ENABLED = STORAGE_BACKEND === 'mongo';
+
 // Enhanced logging system
 const logger = winston.createLogger({
     level: 'info',
@@ -30,13 +69,23 @@ const logger = winston.createLogger({
 // Clustering for scalability
 if (cluster.isMaster) {
     console.log(`Master ${process.pid} is running`);
-    for (let i = 0; i < numCPUs; i++) {
+    // The memory and file stores live inside one process, so they get a single worker
+    const workers = MONGO_ENABLED ? numCPUs : 1;
+    for (let i = 0; i < workers; i++) {
         cluster.fork();
     }
     cluster.on('exit', (worker, code, signal) => {
         console.log(`Worker ${worker.process.pid} died`);
         cluster.fork();
     });
+    
+    // Relay real-time events and cache invalidations so every worker sees them
+    const RELAYED_MESSAGE_TYPES = ['ws:broadcast', 'lexicon:changed', 'model:changed', 'alert-rules:changed'];
+    cluster.on('message', (worker, message) => {
+        if (message && RELAYED_MESSAGE_TYPES.includes(message.type)) {
+            Object.values(cluster.workers).forEach(w => w.send(message));
+        }
+    });
 } else {
     const app = express();
     
@@ -45,24 +94,67 @@ if (cluster.isMaster) {
         contentSecurityPolicy: {
             directives: {
                 defaultSrc: ["'self'"],
-                styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+                // No 'unsafe-inline': the dashboard has no inline scripts, handlers or style attributes
+                styleSrc: ["'self'", "https://fonts.googleapis.com"],
                 fontSrc: ["'self'", "https://fonts.gstatic.com"],
-                scriptSrc: ["'self'", "'unsafe-inline'"],
+                scriptSrc: ["'self'"],
+                scriptSrcAttr: ["'none'"],
+                objectSrc: ["'none'"],
+                baseUri: ["'self'"],
                 imgSrc: ["'self'", "data:", "https:"]
             }
         }
     }));
     
-    // Rate limiting
+    // Rate limiting: anonymous callers share a small budget per IP, signed-in users get
+    // their own larger one so a dashboard refreshing its panels is not locked out
+    const API_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT, 10) || 100;
+    const API_RATE_LIMIT_USER = parseInt(process.env.API_RATE_LIMIT_USER, 10) || 1000;
+    
+    // The user a request's access token was issued to, or null; revocation is checked later by authenticate
+    const tokenSubject = (req) => {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme !== 'Bearer' || !token) return null;
+        try {
+            return authService.verifyAccessToken(token).sub || null;
+        } catch (error) {
+            return null;
+        }
+    };
+    
     const limiter = rateLimit({
         windowMs: 15 * 60 * 1000, // 15 minutes
-        max: 100,
+        max: (req) => tokenSubject(req) ? API_RATE_LIMIT_USER : API_RATE_LIMIT,
+        keyGenerator: (req) => {
+            const subject = tokenSubject(req);
+            return subject ? `user:${subject}` : req.ip;
+        },
         message: 'Too many requests from this IP'
     });
     app.use('/api/', limiter);
     
-    app.use(cors());
+    // Stricter limit on credential checks to slow down password guessing
+    const loginLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000,
+        max: 10,
+        message: 'Too many login attempts from this IP'
+    });
+    
+    // Cross-origin access is opt-in; the dashboard itself is served same-origin
+    const allowedOrigins = (process.env.CORS_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+    app.use(cors({
+        origin: allowedOrigins.length > 0 ? allowedOrigins : false,
+        credentials: true
+    }));
     app.use(express.json({ limit: '50mb' }));
+    // Raw uploads for dataset imports and batch analysis
+    const datasetBodyParser = express.text({
+        type: ['text/csv', 'text/tab-separated-values', 'text/plain', 'application/x-ndjson', 'application/jsonl'],
+        limit: '50mb'
+    });
     app.use(express.static('public'));
     
     // Database connection with retry logic
@@ -81,25 +173,297 @@ if (cluster.isMaster) {
             setTimeout(connectDB, 5000);
         }
     };
-    connectDB();
+    if (MONGO_ENABLED) {
+        connectDB();
+    }
+    
+    // Built-in lexicons, used to seed the database and until stored lexicons are loaded
+    const DEFAULT_LEXICONS = [
+        {
+            name: 'default-keywords',
+            kind: 'keyword',
+            description: 'Original built-in keyword list',
+            version: 0,
+            terms: [
+                'anti-india', 'destroy india', 'fake india', 'propaganda india',
+                'indian fake news', 'corrupt india', 'terrorist india'
+            ].map(term => ({ term, language: 'en' })).concat(
+                // Hindi/Urdu keywords
+                ['भारत विरोधी', 'हिंदुस्तान दुश्मन', 'पाकिस्तान जिंदाबाद'].map(term => ({ term, language: 'hi' }))
+            )
+        },
+        {
+            name: 'default-hashtags',
+            kind: 'hashtag',
+            description: 'Original built-in hashtag list',
+            version: 0,
+            terms: ['antiindia', 'destroyindia', 'fakeindia', 'pakistanzindabad', 'indiaexposed']
+                .map(term => ({ term, language: 'en' }))
+        }
+    ];
+    
+    const LEXICON_MATCH_MODES = ['substring', 'whole_word', 'regex'];
+    
+    // Terms in these languages also match their spellings in other scripts
+    const TRANSLITERATED_LANGUAGES = ['hi', 'ur', 'hi-Latn'];
+    
+    // Misspellings tolerated when matching terms of at least FUZZY_MIN_LENGTH letters; 0 disables fuzzy matching
+    const KEYWORD_MAX_EDITS = process.env.KEYWORD_MAX_EDITS !== undefined
+        ? Math.max(0, parseInt(process.env.KEYWORD_MAX_EDITS, 10) || 0)
+        : 1;
+    const FUZZY_MIN_LENGTH = 6;
+    
+    // Turns a lexicon term into a case-insensitive, Unicode-aware pattern; throws on invalid or
+    // catastrophically backtracking regex terms, since they run against hostile text on every analysis
+    const compileLexiconTerm = (term) => {
+        switch (term.matchMode) {
+            case 'regex': {
+                const pattern = new RegExp(term.term, 'iu');
+                const unsafe = unsafeRegexReason(term.term);
+                if (unsafe) {
+                    throw new Error(`Unsafe regular expression ${term.term}: ${unsafe}`);
+                }
+                return pattern;
+            }
+            case 'whole_word':
+                return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}_])${escapeRegExp(term.term)}(?![\\p{L}\\p{M}\\p{N}_])`, 'iu');
+            default:
+                return new RegExp(escapeRegExp(term.term), 'iu');
+        }
+    };
+    
+    /**
+     * RFC 4180 CSV: quoted fields may contain delimiters, doubled quotes and newlines.
+     * Returns { line, fields } per row, where line is the physical line the row starts
+     * on, so it stays right for rows after multi-line fields or blank lines.
+     */
+    const parseCsv = (text, delimiter = ',') => {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+        const input = text.replace(/^\uFEFF/, '');
+        
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            const newline = char === '\n' || (char === '\r' && input[i + 1] !== '\n');
+            
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') continue;
+                row.push(field);
+                rows.push({ line: rowLine, fields: row });
+                row = [];
+                field = '';
+                rowLine = line + 1;
+            } else {
+                field += char;
+            }
+            
+            if (newline) line++;
+        }
+        
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push({ line: rowLine, fields: row });
+        }
+        
+        return rows.filter(r => r.fields.some(value => value.trim() !== ''));
+    };
+    
+    // Picks the candidate that occurs most often in the header row, outside quotes
+    const detectCsvDelimiter = (text) => {
+        const counts = { ',': 0, ';': 0, '\t': 0, '|': 0 };
+        let inQuotes = false;
+        for (const char of text.replace(/^\uFEFF/, '')) {
+            if (char === '"') inQuotes = !inQuotes;
+            else if (!inQuotes && (char === '\n' || char === '\r')) break;
+            else if (!inQuotes && char in counts) counts[char]++;
+        }
+        
+        const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        return count > 0 ? best : ',';
+    };
+    
+    // Normalised text fingerprint used to deduplicate stored content
+    const contentHash = (text) => crypto
+        .createHash('sha256')
+        .update(normalizeText(text).text.toLowerCase().replace(/\s+/g, ' ').trim())
+        .digest('hex');
+    
+    // Relative importance of each detector in the risk score. Weights are normalised,
+    // so only their ratios matter; SIGNAL_WEIGHTS overrides them, e.g. "keywords=0.4,network=0.05"
+    const DEFAULT_SIGNAL_WEIGHTS = {
+        keywords: 0.3,
+        classifier: 0.3,
+        sentiment: 0.15,
+        bot_behavior: 0.1,
+        hashtags: 0.1,
+        network: 0.15
+    };
+    
+    // Comparative sentiment at (or below) which the sentiment signal is at full strength
+    const SENTIMENT_FULL_SCALE = -2;
+    
+    const parseSignalWeights = (spec = '') => spec
+        .split(',')
+        .map(entry => entry.split('=').map(part => part.trim()))
+        .filter(([name]) => name)
+        .reduce((weights, [name, value]) => {
+            const weight = parseFloat(value);
+            if (!(name in DEFAULT_SIGNAL_WEIGHTS) || !(weight >= 0)) {
+                logger.warn(`Ignoring invalid SIGNAL_WEIGHTS entry: ${name}=${value}`);
+                return weights;
+            }
+            return { ...weights, [name]: weight };
+        }, { ...DEFAULT_SIGNAL_WEIGHTS });
+    
+    const clamp01 = (value) => Math.min(1, Math.max(0, value));
+    
+    // Network features: other accounts posting matching content within this window count as synchronised
+    const NETWORK_SYNC_WINDOW_MS = 10 * 60 * 1000;
+    const NETWORK_MIN_SYNC_ACCOUNTS = 3;
+    const NETWORK_FULL_SYNC_ACCOUNTS = 10;
+    // How far back an account's own posts are considered, and how many are needed to judge them
+    const NETWORK_HISTORY_MS = 30 * 24 * 60 * 60 * 1000;
+    const NETWORK_MIN_HISTORY = 3;
+    const NETWORK_MIN_CADENCE_INTERVALS = 5;
+    const NETWORK_FEATURE_WEIGHTS = { synchronization: 0.45, flaggedHistory: 0.35, cadence: 0.2 };
+    // Estimated Jaccard similarity at which two posts count as near-duplicates
+    const NEAR_DUPLICATE_THRESHOLD = 0.7;
+    // Stored posts sharing an LSH band that are compared per analysis
+    const NEAR_DUPLICATE_CANDIDATES = 200;
+    // Other accounts posting the same text before it is flagged as copypasta
+    const COPYPASTA_MIN_ACCOUNTS = 3;
+    
+    // Bot likelihood at which an analysis is flagged as bot behaviour
+    const BOT_FLAG_SCORE = 60;
+    
+    // Post times this far ahead of the server clock are treated as unknown rather than trusted
+    const POSTED_AT_MAX_SKEW_MS = 5 * 60 * 1000;
+    const POSTED_AT_EARLIEST = Date.UTC(2000, 0, 1);
+    
+    // When a post was made according to its metadata (a date, ISO string or epoch seconds or
+    // milliseconds), or null when that is missing or implausible
+    const parsePostedAt = (value, now = new Date()) => {
+        if (value === undefined || value === null || value === '') return null;
+        
+        let date;
+        if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+            const number = Number(value);
+            date = new Date(number < 1e11 ? number * 1000 : number);
+        } else {
+            date = new Date(value);
+        }
+        
+        const time = date.getTime();
+        if (!Number.isFinite(time) || time < POSTED_AT_EARLIEST || time > now.getTime() + POSTED_AT_MAX_SKEW_MS) {
+            return null;
+        }
+        return date;
+    };
+    
+    // Lowercased hashtags without '#', from the metadata list and the text itself
+    const extractHashtags = (content, hashtags = []) => {
+        const tags = (Array.isArray(hashtags) ? hashtags : [])
+            .concat(content.match(/#[\p{L}\p{M}\p{N}_]+/gu) || [])
+            .map(tag => String(tag).replace(/^#/, '').normalize('NFKC').toLowerCase())
+            .filter(Boolean);
+        return [...new Set(tags)];
+    };
     
     // Advanced AI Detection Engine
     class AntiIndiaDetectionEngine {
         constructor() {
-            this.suspiciousKeywords = [
-                'anti-india', 'destroy india', 'fake india', 'propaganda india',
-                'indian fake news', 'corrupt india', 'terrorist india',
-                // Hindi/Urdu keywords
-                'भारत विरोधी', 'हिंदुस्तान दुश्मन', 'पाकिस्तान जिंदाबाद'
-            ];
+            this.lexicons = [];
+            this.loadLexicons(DEFAULT_LEXICONS);
+            this.signalWeights = parseSignalWeights(process.env.SIGNAL_WEIGHTS);
             
             this.sentimentAnalyzer = new sentiment();
+            Object.keys(SENTIMENT_LEXICONS).forEach(code => {
+                this.sentimentAnalyzer.registerLanguage(code, sentimentLanguage(code));
+            });
             this.classifier = new natural.LogisticRegressionClassifier();
+            this.modelVersion = 'builtin-seed';
+            this.modelAlgorithm = 'logistic_regression';
             this.initializeClassifier();
         }
         
+        // Swap in a trained model loaded from storage
+        useClassifier(classifier, version, algorithm) {
+            this.classifier = classifier;
+            this.modelVersion = version;
+            this.modelAlgorithm = algorithm;
+        }
+        
+        // Snapshot of the live model, used as the baseline when evaluating a retrain
+        describeClassifier() {
+            return {
+                version: this.modelVersion,
+                algorithm: this.modelAlgorithm,
+                serialized: JSON.stringify(this.classifier)
+            };
+        }
+        
+        /**
+         * Replace the active keyword and hashtag lexicons. Terms that fail to
+         * compile are skipped so one bad entry cannot disable detection.
+         */
+        loadLexicons(lexicons) {
+            this.lexicons = lexicons
+                .filter(lexicon => lexicon.active !== false)
+                .map(lexicon => ({
+                    name: lexicon.name,
+                    kind: lexicon.kind,
+                    version: lexicon.version,
+                    terms: lexicon.terms
+                        .filter(term => term.enabled !== false)
+                        .map(term => {
+                            try {
+                                const language = term.language || 'any';
+                                return {
+                                    term: term.term,
+                                    weight: term.weight !== undefined ? term.weight : 1,
+                                    language,
+                                    matchMode: term.matchMode || 'substring',
+                                    pattern: compileLexiconTerm(term),
+                                    // Regex terms are matched as written; others also in folded form
+                                    folded: term.matchMode !== 'regex' ? foldTerm(term.term) : null,
+                                    skeleton: TRANSLITERATED_LANGUAGES.includes(language) && term.matchMode !== 'regex'
+                                        ? termSkeleton(term.term)
+                                        : null
+                                };
+                            } catch (error) {
+                                logger.warn(`Skipping lexicon term in ${lexicon.name}: ${error.message}`);
+                                return null;
+                            }
+                        })
+                        .filter(Boolean)
+                }));
+        }
+        
+        // Lexicon versions recorded on every analysis for reproducibility
+        getLexiconVersions() {
+            return this.lexicons.map(lexicon => ({ name: lexicon.name, version: lexicon.version }));
+        }
+        
         initializeClassifier() {
-            // Training data for anti-India content detection
+            // Seed model used only until a trained model has been activated
             const trainingData = [
                 { text: "India is a great nation with rich culture", label: "neutral" },
                 { text: "Destroy India and its economy", label: "anti-india" },
@@ -117,19 +481,40 @@ if (cluster.isMaster) {
         
         async analyzeContent(content, metadata = {}) {
             try {
+                // Detectors see NFKC text without invisible characters; spans are mapped back to content
+                const normalized = normalizeText(content);
+                const language = identifyLanguage(normalized.text);
+                const pipeline = pipelineFor(language.code);
+                
+                // timestamp is when the post reached us; postedAt is when it was made, which is
+                // what posting windows and cadence are measured on
+                const receivedAt = new Date();
                 const analysis = {
                     content: content,
-                    timestamp: new Date(),
+                    timestamp: receivedAt,
+                    postedAt: parsePostedAt(metadata.timestamp, receivedAt) || receivedAt,
                     platform: metadata.platform || 'unknown',
                     riskScore: 0,
                     flags: [],
                     sentiment: {},
                     networkAnalysis: {},
-                    explanation: []
+                    explanation: [],
+                    signals: [],
+                    hashtags: extractHashtags(normalized.text, metadata.hashtags),
+                    contentHash: contentHash(content),
+                    language: language.code,
+                    languageDetection: {
+                        script: language.script,
+                        confidence: language.confidence,
+                        scripts: language.scripts
+                    },
+                    pipeline: pipeline.name,
+                    lexiconVersions: this.getLexiconVersions(),
+                    modelVersion: this.modelVersion
                 };
                 
                 // Sentiment Analysis
-                const sentimentResult = this.sentimentAnalyzer.analyze(content);
+                const sentimentResult = this.analyzeSentiment(normalized.text, pipeline);
                 analysis.sentiment = {
                     score: sentimentResult.score,
                     comparative: sentimentResult.comparative,
@@ -137,53 +522,116 @@ if (cluster.isMaster) {
                     negative: sentimentResult.negative
                 };
                 
+                // Near-duplicates among stored posts: lightly edited copies of the same message
+                const nearDuplicates = await this.findNearDuplicates(normalized.text);
+                analysis.similarity = nearDuplicates.similarity;
+                analysis.duplicateCount = 0;
+                if (nearDuplicates.matches.length > 0) {
+                    const { cluster, retag } = this.planDuplicateCluster(nearDuplicates.matches);
+                    analysis.duplicateCluster = cluster;
+                    // Members are only re-tagged once this analysis is stored; see saveAnalysis
+                    analysis.clusterRetag = retag;
+                    // Counted over the whole cluster as it will be, not just the candidates compared above
+                    analysis.duplicateCount = await analysisStore.count({ $or: [{ duplicateCluster: cluster }, ...retag] });
+                    
+                    const otherAccounts = new Set(nearDuplicates.matches
+                        .map(match => match.userId)
+                        .filter(userId => userId && userId !== metadata.userId));
+                    if (otherAccounts.size >= COPYPASTA_MIN_ACCOUNTS) {
+                        analysis.flags.push('copypasta');
+                        analysis.explanation.push(`Near-identical text posted by ${otherAccounts.size} other accounts`);
+                    }
+                }
+                
                 // Keyword Detection
-                const suspiciousMatches = this.detectSuspiciousKeywords(content);
+                const suspiciousMatches = this.detectSuspiciousKeywords(content, normalized);
+                const keywordWeight = suspiciousMatches.reduce((sum, match) => sum + match.weight, 0);
+                analysis.signals.push({
+                    name: 'keywords',
+                    raw: keywordWeight,
+                    value: clamp01(keywordWeight),
+                    evidence: suspiciousMatches
+                });
                 if (suspiciousMatches.length > 0) {
-                    analysis.riskScore += 40;
                     analysis.flags.push('suspicious_keywords');
-                    analysis.explanation.push(`Suspicious keywords detected: ${suspiciousMatches.join(', ')}`);
+                    analysis.explanation.push(`Suspicious keywords detected: ${suspiciousMatches.map(m => m.term).join(', ')}`);
                 }
                 
-                // ML Classification
-                const classification = this.classifier.classify(content.toLowerCase());
-                if (classification === 'anti-india') {
-                    analysis.riskScore += 35;
-                    analysis.flags.push('ml_classification_positive');
-                    analysis.explanation.push('Machine learning model flagged as anti-India content');
+                // ML Classification; the model only reads Latin-script text
+                if (pipeline.classifier) {
+                    const probability = this.classificationProbability(normalized.text);
+                    analysis.signals.push({
+                        name: 'classifier',
+                        raw: probability,
+                        // Only confidence beyond a coin flip counts towards the score
+                        value: clamp01((probability - 0.5) * 2),
+                        evidence: [{ modelVersion: this.modelVersion, probability }]
+                    });
+                    if (probability > 0.5) {
+                        analysis.flags.push('ml_classification_positive');
+                        analysis.explanation.push('Machine learning model flagged as anti-India content');
+                    }
                 }
                 
                 // Sentiment-based risk assessment
+                analysis.signals.push({
+                    name: 'sentiment',
+                    raw: sentimentResult.comparative,
+                    value: clamp01(sentimentResult.comparative / SENTIMENT_FULL_SCALE),
+                    evidence: sentimentResult.negative
+                });
                 if (sentimentResult.comparative < -0.5) {
-                    analysis.riskScore += 20;
                     analysis.flags.push('negative_sentiment');
                     analysis.explanation.push('Extremely negative sentiment detected');
                 }
                 
-                // Bot behavior detection
-                if (metadata.userId && await this.detectBotBehavior(metadata.userId)) {
-                    analysis.riskScore += 30;
-                    analysis.flags.push('bot_behavior');
-                    analysis.explanation.push('Bot-like behavior patterns detected');
-                }
-                
-                // Hashtag analysis
-                if (metadata.hashtags) {
-                    const suspiciousHashtags = this.analyzeSuspiciousHashtags(metadata.hashtags);
-                    if (suspiciousHashtags.length > 0) {
-                        analysis.riskScore += 25;
-                        analysis.flags.push('suspicious_hashtags');
-                        analysis.explanation.push(`Suspicious hashtags: ${suspiciousHashtags.join(', ')}`);
+                // Bot behavior detection; an account without a stored profile cannot be judged,
+                // so the signal is left out rather than counted as a clean result
+                const botProfile = metadata.userId ? await this.detectBotBehavior(metadata.userId) : null;
+                if (botProfile) {
+                    analysis.signals.push({
+                        name: 'bot_behavior',
+                        raw: botProfile.score,
+                        value: clamp01(botProfile.score / 100),
+                        evidence: botProfile.indicators
+                    });
+                    if (botProfile.score >= BOT_FLAG_SCORE) {
+                        analysis.flags.push('bot_behavior');
+                        analysis.explanation.push('Bot-like behavior patterns detected');
                     }
                 }
                 
-                // Network analysis for coordinated campaigns
-                if (metadata.networkData) {
-                    const networkRisk = await this.analyzeNetworkPatterns(metadata.networkData);
-                    analysis.networkAnalysis = networkRisk;
-                    analysis.riskScore += networkRisk.score;
+                // Hashtag analysis over the metadata tags and those written in the text
+                const suspiciousHashtags = this.analyzeSuspiciousHashtags(analysis.hashtags.map(tag => `#${tag}`));
+                const hashtagWeight = suspiciousHashtags.reduce((sum, match) => sum + match.weight, 0);
+                analysis.signals.push({
+                    name: 'hashtags',
+                    raw: hashtagWeight,
+                    value: clamp01(hashtagWeight),
+                    evidence: suspiciousHashtags
+                });
+                if (suspiciousHashtags.length > 0) {
+                    analysis.flags.push('suspicious_hashtags');
+                    analysis.explanation.push(`Suspicious hashtags: ${suspiciousHashtags.map(m => m.tag).join(', ')}`);
                 }
                 
+                // Network analysis for coordinated campaigns. Features come from stored
+                // history only; client-supplied metadata.networkData is not trusted and ignored.
+                // Synchronisation with other accounts is checked even for posts without a userId.
+                const features = await this.computeNetworkFeatures(
+                    metadata.userId, content, analysis.hashtags, analysis.postedAt
+                );
+                const networkRisk = this.analyzeNetworkPatterns(features);
+                analysis.networkAnalysis = networkRisk;
+                analysis.signals.push({
+                    name: 'network',
+                    raw: networkRisk.score,
+                    value: clamp01(networkRisk.score / 100),
+                    evidence: networkRisk.indicators
+                });
+                
+                analysis.riskScore = this.scoreSignals(analysis.signals);
+                
                 // Final risk categorization
                 analysis.riskLevel = this.categorizeRisk(analysis.riskScore);
                 
@@ -195,79 +643,335 @@ if (cluster.isMaster) {
             }
         }
         
-        detectSuspiciousKeywords(content) {
+        /**
+         * Fill in each signal's weight and contribution and return the 0-100 risk score.
+         * A signal that ran and found nothing counts as 0 at its full weight. Only the
+         * signals that could not run for this item (the classifier for scripts it cannot
+         * read, bot behaviour for accounts without a profile) are left out, and the
+         * weights are normalised over the rest so such items are not capped below 100.
+         */
+        scoreSignals(signals) {
+            const totalWeight = signals.reduce((sum, signal) => sum + this.signalWeights[signal.name], 0);
+            
+            signals.forEach(signal => {
+                signal.weight = totalWeight > 0 ? this.signalWeights[signal.name] / totalWeight : 0;
+                signal.contribution = Math.round(signal.weight * signal.value * 1000) / 10;
+            });
+            
+            const score = signals.reduce((sum, signal) => sum + signal.weight * signal.value, 0);
+            return Math.round(clamp01(score) * 100);
+        }
+        
+        // Probability the live model assigns to the anti-india label
+        classificationProbability(content) {
+            const classifications = this.classifier.getClassifications(content.toLowerCase());
+            const total = classifications.reduce((sum, item) => sum + item.value, 0);
+            const positive = classifications.find(item => item.label === 'anti-india');
+            if (!positive || total <= 0) return 0;
+            return Math.round((positive.value / total) * 1000) / 1000;
+        }
+        
+        lexiconTerms(kind) {
+            return this.lexicons
+                .filter(lexicon => lexicon.kind === kind)
+                .flatMap(lexicon => lexicon.terms.map(term => ({ ...term, lexicon: lexicon.name })));
+        }
+        
+        /**
+         * Sentiment over each lexicon the pipeline uses. Roman Hindi/Urdu is scored
+         * with both the English and the Roman lexicon since posts mix the two.
+         */
+        analyzeSentiment(text, pipeline) {
+            const input = text.replace(SCRIPT_PUNCTUATION, ' ');
+            const results = pipeline.sentimentLanguages
+                .map(language => this.sentimentAnalyzer.analyze(input, { language }));
+            const score = results.reduce((sum, result) => sum + result.score, 0);
+            const tokenCount = results[0].tokens.length;
+            
+            return {
+                score,
+                comparative: tokenCount > 0 ? score / tokenCount : 0,
+                positive: results.flatMap(result => result.positive),
+                negative: results.flatMap(result => result.negative)
+            };
+        }
+        
+        // Edits allowed when fuzzy-matching a folded term
+        maxEditsFor(folded) {
+            return folded.length >= FUZZY_MIN_LENGTH ? KEYWORD_MAX_EDITS : 0;
+        }
+        
+        /**
+         * Lexicon terms found in the normalised text. A term that does not appear as
+         * written is looked for again with obfuscation folded away (leetspeak,
+         * homoglyphs, spacing, punctuation, small misspellings), and Hindi and Urdu
+         * terms are also matched by sound across scripts.
+         *
+         * Every span gives the original text, the normalised form that matched and,
+         * for obfuscated matches, the evasion techniques seen in it.
+         */
+        detectSuspiciousKeywords(content, normalized = normalizeText(content)) {
             const matches = [];
-            const lowerContent = content.toLowerCase();
+            let folded = null;
+            let words = null;
+            
+            // Character offsets of every occurrence in the original content, so clients can highlight them
+            const toSpan = (start, end, extra) => {
+                const span = originalSpan(normalized, start, end);
+                return { ...span, text: content.slice(span.start, span.end), ...extra };
+            };
             
-            this.suspiciousKeywords.forEach(keyword => {
-                if (lowerContent.includes(keyword.toLowerCase())) {
-                    matches.push(keyword);
+            this.lexiconTerms('keyword').forEach(term => {
+                let spans = [];
+                let matchedBy = 'exact';
+                
+                if (term.pattern.test(normalized.text)) {
+                    spans = [...normalized.text.matchAll(new RegExp(term.pattern.source, 'giu'))]
+                        .filter(match => match[0].length > 0)
+                        .map(match => toSpan(match.index, match.index + match[0].length, {
+                            normalized: match[0].toLowerCase()
+                        }));
+                }
+                
+                if (spans.length === 0 && term.folded) {
+                    folded = folded || foldText(normalized.text);
+                    spans = findFoldedMatches(folded, term.folded, this.maxEditsFor(term.folded)).map(match => {
+                        const span = toSpan(match.start, match.end, { normalized: match.normalized, edits: match.edits });
+                        return { ...span, techniques: describeEvasion(span.text, term.term, match) };
+                    });
+                    matchedBy = spans.some(span => span.edits > 0) ? 'fuzzy' : 'obfuscated';
+                }
+                
+                if (spans.length === 0 && term.skeleton) {
+                    words = words || skeletonWords(normalized.text);
+                    spans = findPhoneticMatches(words, term.skeleton)
+                        .map(match => toSpan(match.start, match.end, { normalized: term.skeleton }));
+                    matchedBy = 'transliteration';
                 }
+                
+                if (spans.length === 0) return;
+                
+                matches.push({
+                    term: term.term,
+                    weight: term.weight,
+                    language: term.language,
+                    lexicon: term.lexicon,
+                    matchedBy,
+                    techniques: [...new Set(spans.flatMap(span => span.techniques || []))],
+                    spans
+                });
             });
             
             return matches;
         }
         
         analyzeSuspiciousHashtags(hashtags) {
-            const suspiciousHashtags = [
-                '#antiindia', '#destroyindia', '#fakeindia',
-                '#pakistanzindabad', '#indiaexposed'
-            ];
+            const terms = this.lexiconTerms('hashtag');
+            const matches = [];
             
-            return hashtags.filter(tag => 
-                suspiciousHashtags.some(suspicious => 
-                    tag.toLowerCase().includes(suspicious.replace('#', ''))
-                )
-            );
+            hashtags.forEach(tag => {
+                const text = normalizeText(tag.replace(/^#/, '')).text;
+                let term = terms.find(candidate => candidate.pattern.test(text));
+                let evasion = null;
+                
+                // Disguised tags ("#4nti1ndia", "#fаkeindia" in Cyrillic) are compared folded
+                if (!term) {
+                    const folded = foldText(text);
+                    term = terms.find(candidate => {
+                        if (!candidate.folded) return false;
+                        // Like the written pattern, a folded term may sit anywhere inside the tag
+                        const position = folded.folded.indexOf(candidate.folded);
+                        const match = position !== -1
+                            ? {
+                                normalized: candidate.folded,
+                                edits: 0,
+                                techniques: [...new Set(folded.letters
+                                    .slice(position, position + candidate.folded.length)
+                                    .map(letter => letter.technique)
+                                    .filter(Boolean))]
+                            }
+                            : findFoldedMatches(folded, candidate.folded, this.maxEditsFor(candidate.folded))[0];
+                        if (match) {
+                            evasion = {
+                                matchedBy: match.edits > 0 ? 'fuzzy' : 'obfuscated',
+                                normalized: match.normalized,
+                                techniques: describeEvasion(text, candidate.term, match)
+                                    .filter(technique => technique !== 'separator_characters' && technique !== 'spacing')
+                            };
+                        }
+                        return Boolean(match);
+                    });
+                }
+                
+                if (term) {
+                    matches.push({
+                        tag,
+                        term: term.term,
+                        weight: term.weight,
+                        language: term.language,
+                        lexicon: term.lexicon,
+                        matchedBy: 'exact',
+                        ...evasion
+                    });
+                }
+            });
+            
+            return matches;
+        }
+        
+        /**
+         * Stored posts similar to this text, closest first. Candidates are the posts
+         * sharing an LSH band key with it, so only those likely to be near-duplicates
+         * are compared. Returns the text's signature and band keys for storing too.
+         */
+        async findNearDuplicates(text) {
+            const signature = signText(text);
+            if (!signature) return { similarity: null, matches: [] };
+            
+            const bands = bandKeys(signature);
+            const candidates = await analysisStore.find({ 'similarity.bands': { $in: bands } }, {
+                select: '+similarity.signature userId duplicateCluster',
+                sort: { timestamp: -1 },
+                limit: NEAR_DUPLICATE_CANDIDATES
+            });
+            
+            const matches = candidates
+                .map(candidate => ({
+                    id: candidate._id,
+                    userId: candidate.userId,
+                    duplicateCluster: candidate.duplicateCluster,
+                    similarity: estimateJaccard(signature, candidate.similarity.signature)
+                }))
+                .filter(match => match.similarity >= NEAR_DUPLICATE_THRESHOLD)
+                .sort((a, b) => b.similarity - a.similarity);
+            
+            return { similarity: { signature, bands }, matches };
+        }
+        
+        /**
+         * A post joins the duplicate cluster of its matches. When they belong to
+         * several clusters, the clusters are merged into the one with the lowest id
+         * (so concurrent merges agree) and the others' members are re-tagged. If no
+         * match has a cluster yet, one named after the closest match is started.
+         * Unclustered matches join it either way. Nothing is written here: retag
+         * lists the filters for the posts to move into the cluster once the new
+         * post is stored.
+         */
+        planDuplicateCluster(matches) {
+            const clusters = [...new Set(matches.map(match => match.duplicateCluster).filter(Boolean))].sort();
+            const cluster = clusters.length > 0 ? clusters[0] : String(matches[0].id);
+            const merged = clusters.slice(1);
+            const unclustered = matches.filter(match => !match.duplicateCluster).map(match => match.id);
+            
+            const retag = [];
+            if (unclustered.length > 0) retag.push({ _id: { $in: unclustered }, duplicateCluster: null });
+            if (merged.length > 0) retag.push({ duplicateCluster: { $in: merged } });
+            return { cluster, retag };
         }
         
+        // The account's stored behaviour profile, or null when it has no history yet
         async detectBotBehavior(userId) {
-            // Simulate bot detection logic
-            // In real implementation, this would check posting patterns, account age, etc.
             try {
-                const user = await UserActivity.findOne({ userId });
-                if (!user) return false;
-                
-                const recentPosts = user.posts.filter(post => 
-                    Date.now() - post.timestamp < 24 * 60 * 60 * 1000
-                );
-                
-                // Bot indicators: too many posts in short time, repetitive content
-                return recentPosts.length > 50 || 
-                       this.hasRepetitiveContent(recentPosts);
-                       
+                const account = await activityStore.findOne({ userId }, { select: 'botProfile' });
+                return account && account.botProfile && account.botProfile.updatedAt ? account.botProfile : null;
             } catch (error) {
                 logger.error('Bot detection error:', error);
-                return false;
+                return null;
             }
         }
         
-        hasRepetitiveContent(posts) {
-            const contents = posts.map(post => post.content);
-            const uniqueContents = [...new Set(contents)];
-            return (contents.length - uniqueContents.length) / contents.length > 0.7;
+        /**
+         * Posting-behaviour features for one account, computed from stored analyses:
+         * other accounts posting the same text (or two shared hashtags) around the same
+         * time, how much of this account's recent history was flagged, and its cadence.
+         */
+        async computeNetworkFeatures(userId, content, hashtags, now = new Date()) {
+            const hash = contentHash(content);
+            const [nearby, history] = await Promise.all([
+                analysisStore.find({
+                    postedAt: {
+                        $gte: new Date(now.getTime() - NETWORK_SYNC_WINDOW_MS),
+                        $lte: new Date(now.getTime() + NETWORK_SYNC_WINDOW_MS)
+                    },
+                    userId: { $nin: userId ? [userId, null, ''] : [null, ''] },
+                    $or: [{ contentHash: hash }, ...(hashtags.length > 0 ? [{ hashtags: { $in: hashtags } }] : [])]
+                }, { select: 'userId contentHash hashtags', limit: 1000 }),
+                // A post without an account has no history of its own
+                userId
+                    ? analysisStore.find(
+                        { userId, postedAt: { $gte: new Date(now.getTime() - NETWORK_HISTORY_MS), $lt: now } },
+                        { select: 'postedAt riskScore', sort: { postedAt: 1 }, limit: 1000 }
+                    )
+                    : []
+            ]);
+            
+            const tags = new Set(hashtags);
+            const synchronizedAccounts = [...new Set(nearby
+                .filter(other => other.contentHash === hash ||
+                    (other.hashtags || []).filter(tag => tags.has(tag)).length >= 2)
+                .map(other => other.userId))];
+            
+            const times = history.map(item => new Date(item.postedAt).getTime()).concat(now.getTime());
+            const intervals = times.slice(1).map((time, index) => time - times[index]);
+            const meanInterval = intervals.reduce((sum, value) => sum + value, 0) / (intervals.length || 1);
+            const deviation = Math.sqrt(intervals.reduce((sum, value) => sum + (value - meanInterval) ** 2, 0) / (intervals.length || 1));
+            const sortedIntervals = intervals.slice().sort((a, b) => a - b);
+            
+            return {
+                synchronizedAccounts,
+                historyPosts: history.length,
+                flaggedShare: history.length > 0
+                    ? history.filter(item => item.riskScore > 25).length / history.length
+                    : 0,
+                postsLast24h: times.filter(time => now.getTime() - time <= 24 * 60 * 60 * 1000).length,
+                medianIntervalMinutes: sortedIntervals.length > 0
+                    ? Math.round(sortedIntervals[Math.floor(sortedIntervals.length / 2)] / 60000)
+                    : null,
+                // 1 means clockwork-regular gaps between posts; needs a few intervals to mean anything
+                cadenceRegularity: intervals.length >= NETWORK_MIN_CADENCE_INTERVALS && meanInterval > 0
+                    ? Math.round(clamp01(1 - deviation / meanInterval) * 1000) / 1000
+                    : null,
+                firstSeen: history.length > 0 ? history[0].postedAt : now
+            };
         }
         
-        async analyzeNetworkPatterns(networkData) {
-            // Advanced network analysis for coordinated campaigns
+        // Turns network features into a 0-100 score with named indicators
+        analyzeNetworkPatterns(features) {
             const analysis = {
                 score: 0,
                 indicators: [],
-                suspiciousConnections: []
+                features: { ...features, synchronizedAccounts: features.synchronizedAccounts.length },
+                suspiciousConnections: features.synchronizedAccounts.slice(0, 20)
             };
             
-            // Check for synchronized posting patterns
-            if (networkData.simultaneousPosts && networkData.simultaneousPosts > 10) {
-                analysis.score += 20;
+            const synchronization = clamp01(features.synchronizedAccounts.length / NETWORK_FULL_SYNC_ACCOUNTS);
+            if (features.synchronizedAccounts.length >= NETWORK_MIN_SYNC_ACCOUNTS) {
                 analysis.indicators.push('synchronized_posting');
             }
             
-            // Check for shared suspicious content
-            if (networkData.sharedContent && networkData.sharedContent.suspiciousPercentage > 0.6) {
-                analysis.score += 25;
-                analysis.indicators.push('coordinated_messaging');
+            // Too little history says nothing about the account
+            const flaggedHistory = features.historyPosts >= NETWORK_MIN_HISTORY ? features.flaggedShare : 0;
+            if (flaggedHistory > 0.6) {
+                analysis.indicators.push('flagged_history');
+            }
+            
+            const burst = clamp01(features.postsLast24h / 100);
+            if (features.postsLast24h > 50) {
+                analysis.indicators.push('burst_posting');
+            }
+            const regularity = features.cadenceRegularity !== null && features.cadenceRegularity >= 0.9
+                ? features.cadenceRegularity
+                : 0;
+            if (regularity > 0) {
+                analysis.indicators.push('regular_cadence');
             }
             
+            analysis.score = Math.round(100 * (
+                NETWORK_FEATURE_WEIGHTS.synchronization * synchronization +
+                NETWORK_FEATURE_WEIGHTS.flaggedHistory * flaggedHistory +
+                NETWORK_FEATURE_WEIGHTS.cadence * Math.max(burst, regularity)
+            ));
+            
             return analysis;
         }
         
@@ -280,6 +984,11 @@ if (cluster.isMaster) {
     }
     
     // Database Models
+    // Triage states an analyst can move a detection through; 'pending' means not yet reviewed
+    const REVIEW_STATUSES = ['pending', 'confirmed', 'false_positive', 'escalated', 'resolved'];
+    // Verdicts that close a detection out of the triage queue
+    const CLOSED_REVIEW_STATUSES = ['false_positive', 'resolved'];
+    
     const analysisSchema = new mongoose.Schema({
         content: String,
         platform: String,
@@ -289,13 +998,86 @@ if (cluster.isMaster) {
         sentiment: Object,
         networkAnalysis: Object,
         explanation: [String],
+        hashtags: [String],
+        contentHash: { type: String, index: true },
+        // Detected language (en, hi, ur, hi-Latn or und) and the pipeline that analysed the post
+        language: { type: String, index: true },
+        languageDetection: {
+            script: String,
+            confidence: Number,
+            scripts: mongoose.Schema.Types.Mixed
+        },
+        pipeline: String,
+        // MinHash signature and LSH band keys for near-duplicate lookup; not returned by default
+        similarity: {
+            signature: { type: [Number], select: false },
+            bands: { type: [String], select: false }
+        },
+        duplicateCluster: { type: String, index: true },
+        duplicateCount: Number,
+        // Per-detector breakdown of riskScore: value is 0-1, weight is normalised, contribution is in points
+        signals: [{
+            _id: false,
+            name: String,
+            raw: mongoose.Schema.Types.Mixed,
+            value: Number,
+            weight: Number,
+            contribution: Number,
+            evidence: [mongoose.Schema.Types.Mixed]
+        }],
         timestamp: { type: Date, default: Date.now },
+        // When the post was made, from its metadata; the ingest time when that was missing or implausible.
+        // No default: a default would also stamp analyses stored before this field existed.
+        postedAt: Date,
         userId: String,
-        resolved: { type: Boolean, default: false }
+        submittedBy: String,
+        // The submitter's Idempotency-Key, prefixed with their username, so a resent submission is stored once
+        idempotencyKey: { type: String, select: false },
+        lexiconVersions: [{ _id: false, name: String, version: Number }],
+        modelVersion: String,
+        // Set when the analysis came from a batch upload; line is the item's position in the file
+        batch: {
+            id: { type: mongoose.Schema.Types.ObjectId, index: true },
+            line: Number
+        },
+        // Set when an ingestion connector pulled the post in; sourceId is the item's id at its source
+        source: {
+            connectorId: { type: mongoose.Schema.Types.ObjectId, index: true },
+            connector: String,
+            sourceId: String,
+            url: String,
+            publishedAt: Date
+        },
+        resolved: { type: Boolean, default: false },
+        review: {
+            status: { type: String, enum: REVIEW_STATUSES, default: 'pending' },
+            reviewer: String,
+            note: String,
+            reviewedAt: Date
+        },
+        reviewHistory: [{
+            status: String,
+            reviewer: String,
+            note: String,
+            reviewedAt: Date
+        }]
     });
+    analysisSchema.index({ timestamp: -1 });
+    analysisSchema.index({ 'similarity.bands': 1 });
+    // No stemming or stop words: posts mix English, Hindi, Urdu and Roman Hindi/Urdu
+    analysisSchema.index({ content: 'text' }, { default_language: 'none' });
+    analysisSchema.index({ userId: 1, timestamp: -1 });
+    analysisSchema.index({ postedAt: -1 });
+    analysisSchema.index({ userId: 1, postedAt: -1 });
+    analysisSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+    
+    // Posts kept per account for behaviour profiling; older ones roll off
+    const ACCOUNT_PROFILE_MAX_POSTS = 500;
+    // Profiles are recomputed on a new post at most this often
+    const ACCOUNT_PROFILE_REFRESH_MS = 60 * 1000;
     
     const userActivitySchema = new mongoose.Schema({
-        userId: String,
+        userId: { type: String, index: true },
         posts: [{
             content: String,
             timestamp: { type: Date, default: Date.now },
@@ -304,163 +1086,5209 @@ if (cluster.isMaster) {
         riskProfile: {
             totalRiskScore: { type: Number, default: 0 },
             flaggedPosts: { type: Number, default: 0 }
+        },
+        // Rolling bot likelihood over the stored posts, with the features behind it
+        botProfile: {
+            score: Number,
+            components: mongoose.Schema.Types.Mixed,
+            features: mongoose.Schema.Types.Mixed,
+            indicators: [String],
+            updatedAt: Date
         }
     });
+    userActivitySchema.index({ 'botProfile.score': -1 });
+    
+    // Platform accounts; roles are ordered from least to most privileged
+    const ROLES = ['analyst', 'reviewer', 'admin'];
+    
+    const userSchema = new mongoose.Schema({
+        username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+        passwordHash: { type: String, required: true },
+        role: { type: String, enum: ROLES, default: 'analyst' },
+        active: { type: Boolean, default: true },
+        tokenVersion: { type: Number, default: 0 },
+        lastLoginAt: Date,
+        createdAt: { type: Date, default: Date.now }
+    });
+    
+    // One per sign-in (a browser tab or device). Each refresh replaces refreshId, so a
+    // refresh token works once; signing out deletes only that session
+    const sessionSchema = new mongoose.Schema({
+        _id: String,
+        userId: { type: String, required: true, index: true },
+        refreshId: { type: String, required: true },
+        createdAt: { type: Date, default: Date.now },
+        expiresAt: { type: Date, required: true }
+    }, { versionKey: false });
+    sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    
+    // Keyword and hashtag lexicons; every edit bumps the version and stores a revision snapshot
+    const lexiconTermSchema = new mongoose.Schema({
+        term: { type: String, required: true },
+        weight: { type: Number, default: 1, min: 0, max: 1 },
+        language: { type: String, default: 'any' },
+        matchMode: { type: String, enum: LEXICON_MATCH_MODES, default: 'substring' },
+        enabled: { type: Boolean, default: true }
+    }, { _id: false });
+    
+    const lexiconSchema = new mongoose.Schema({
+        name: { type: String, required: true, unique: true, trim: true },
+        kind: { type: String, enum: ['keyword', 'hashtag'], required: true },
+        description: String,
+        active: { type: Boolean, default: true },
+        version: { type: Number, default: 1 },
+        terms: [lexiconTermSchema],
+        updatedBy: String,
+        updatedAt: { type: Date, default: Date.now }
+    });
+    
+    const lexiconRevisionSchema = new mongoose.Schema({
+        lexiconId: { type: mongoose.Schema.Types.ObjectId, index: true },
+        name: String,
+        kind: String,
+        description: String,
+        active: Boolean,
+        version: Number,
+        terms: [lexiconTermSchema],
+        changeType: { type: String, enum: ['created', 'updated', 'restored', 'deleted'] },
+        changedBy: String,
+        changedAt: { type: Date, default: Date.now }
+    });
+    
+    // Labelled examples for the content classifier, deduplicated by normalised text
+    const CLASSIFIER_LABELS = ['anti-india', 'neutral'];
+    
+    const trainingExampleSchema = new mongoose.Schema({
+        text: { type: String, required: true },
+        textHash: { type: String, required: true, unique: true },
+        label: { type: String, enum: CLASSIFIER_LABELS, required: true },
+        language: String,
+        source: { type: String, default: 'import' },
+        // Analyst feedback waits in a 'pending' queue until a reviewer approves it
+        status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'approved', index: true },
+        previousLabel: String,
+        analysisId: mongoose.Schema.Types.ObjectId,
+        decidedBy: String,
+        decidedAt: Date,
+        importBatch: String,
+        createdBy: String,
+        createdAt: { type: Date, default: Date.now },
+        updatedAt: { type: Date, default: Date.now }
+    });
+    
+    // Trained classifier versions; exactly one ready model may be active at a time
+    const classifierModelSchema = new mongoose.Schema({
+        version: { type: String, required: true, unique: true },
+        algorithm: { type: String, enum: ['bayes', 'logistic_regression'], default: 'bayes' },
+        status: { type: String, enum: ['training', 'ready', 'failed'], default: 'training' },
+        active: { type: Boolean, default: false, index: true },
+        serialized: String,
+        metrics: {
+            accuracy: Number,
+            precision: Number,
+            recall: Number,
+            f1: Number,
+            truePositives: Number,
+            falsePositives: Number,
+            falseNegatives: Number,
+            trainSize: Number,
+            testSize: Number
+        },
+        holdoutRatio: Number,
+        datasetSize: Number,
+        trigger: { type: String, enum: ['manual', 'scheduled'], default: 'manual' },
+        // The model that was live at training time, scored on the same hold-out split
+        baselineVersion: String,
+        baselineMetrics: {
+            accuracy: Number,
+            precision: Number,
+            recall: Number,
+            f1: Number,
+            truePositives: Number,
+            falsePositives: Number,
+            falseNegatives: Number
+        },
+        approvalStatus: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+        approvalNote: String,
+        error: String,
+        trainedBy: String,
+        activatedBy: String,
+        rejectedBy: String,
+        createdAt: { type: Date, default: Date.now },
+        // Refreshed while the training thread runs; a stale one means its process died
+        heartbeatAt: Date,
+        completedAt: Date,
+        activatedAt: Date
+    });
+    
+    const TRAINING_HEARTBEAT_MS = 30 * 1000;
+    const TRAINING_STALE_MS = 3 * TRAINING_HEARTBEAT_MS;
+    
+    const BATCH_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+    
+    // Server-side batch analysis jobs. Results are stored as Analysis documents tagged with the batch id.
+    const batchJobSchema = new mongoose.Schema({
+        fileName: String,
+        format: String,
+        status: { type: String, enum: BATCH_STATUSES, default: 'queued', index: true },
+        total: { type: Number, default: 0 },
+        processed: { type: Number, default: 0 },
+        succeeded: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 },
+        riskLevels: {
+            HIGH: { type: Number, default: 0 },
+            MEDIUM: { type: Number, default: 0 },
+            LOW: { type: Number, default: 0 },
+            MINIMAL: { type: Number, default: 0 }
+        },
+        // Parse and analysis failures by line; capped so a bad file cannot bloat the job
+        itemErrors: [{ _id: false, line: Number, error: String }],
+        error: String,
+        createdBy: String,
+        leaseOwner: String,
+        leaseExpiresAt: Date,
+        createdAt: { type: Date, default: Date.now },
+        startedAt: Date,
+        completedAt: Date
+    });
+    
+    // Items waiting in a batch, one document each so a large upload never nears MongoDB's 16MB
+    // document limit. position runs from 0 to total - 1; items are deleted once the job ends.
+    const batchItemSchema = new mongoose.Schema({
+        batchId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        position: { type: Number, required: true },
+        line: Number,
+        content: String,
+        metadata: Object
+    });
+    batchItemSchema.index({ batchId: 1, position: 1 }, { unique: true });
+    
+    // Groups of accounts posting near-identical text or shared hashtags in lockstep.
+    // Rebuilt periodically from recent analyses; see campaign-clusterer.js.
+    const campaignSchema = new mongoose.Schema({
+        signature: { type: String, required: true, unique: true },
+        accounts: [String],
+        accountCount: Number,
+        postCount: Number,
+        analysisIds: [mongoose.Schema.Types.ObjectId],
+        representativePosts: [{
+            _id: false,
+            analysisId: mongoose.Schema.Types.ObjectId,
+            userId: String,
+            platform: String,
+            content: String,
+            timestamp: Date,
+            riskScore: Number
+        }],
+        hashtags: [String],
+        platforms: [String],
+        firstSeen: Date,
+        lastSeen: Date,
+        coordinationScore: { type: Number, index: true },
+        scoreBreakdown: {
+            textSimilarity: Number,
+            synchrony: Number,
+            accountSpread: Number,
+            risk: Number
+        },
+        detectedAt: { type: Date, default: Date.now },
+        updatedAt: Date
+    });
+    
+    // Server-side alerting: rules say what to watch for, alerts record each time one fired
+    const ALERT_CHANNEL_TYPES = ['websocket', 'webhook', 'email'];
+    const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+    const ALERT_STATUSES = ['open', 'snoozed', 'acknowledged'];
+    // Caps on what one alert keeps while repeated triggers are folded into it
+    const ALERT_MAX_ANALYSES = 50;
+    const ALERT_MAX_NOTIFICATIONS = 50;
+    const ALERT_DELIVERY_TIMEOUT_MS = 10000;
+    
+    const alertRuleSchema = new mongoose.Schema({
+        name: { type: String, required: true, unique: true, trim: true },
+        description: String,
+        active: { type: Boolean, default: true },
+        severity: { type: String, enum: ALERT_SEVERITIES, default: 'warning' },
+        // Every condition that is set must hold; empty ones match any analysis
+        conditions: {
+            riskLevels: [String],
+            platforms: [String],
+            flags: [String],
+            lexicons: [String],
+            minRiskScore: Number
+        },
+        // Fires once this many matching analyses arrive within the window
+        threshold: {
+            count: { type: Number, default: 1, min: 1 },
+            windowMinutes: { type: Number, default: 10, min: 1 }
+        },
+        cooldownMinutes: { type: Number, default: 15, min: 0 },
+        channels: [{
+            _id: false,
+            type: { type: String, enum: ALERT_CHANNEL_TYPES, required: true },
+            target: String
+        }],
+        lastFiredAt: Date,
+        createdBy: String,
+        updatedBy: String,
+        createdAt: { type: Date, default: Date.now },
+        updatedAt: { type: Date, default: Date.now }
+    });
+    
+    const alertSchema = new mongoose.Schema({
+        ruleId: { type: mongoose.Schema.Types.ObjectId, index: true },
+        ruleName: String,
+        severity: String,
+        message: String,
+        status: { type: String, enum: ALERT_STATUSES, default: 'open', index: true },
+        // Set to the rule id while the alert is open or snoozed, so a rule has at most one such alert
+        dedupKey: { type: String, unique: true, sparse: true },
+        // Matching analyses in the window at the latest trigger, and how many triggers were folded in
+        matchCount: Number,
+        occurrences: { type: Number, default: 1 },
+        analyses: [mongoose.Schema.Types.ObjectId],
+        firstTriggeredAt: { type: Date, default: Date.now },
+        lastTriggeredAt: { type: Date, default: Date.now },
+        snoozedUntil: Date,
+        snoozedBy: String,
+        acknowledgedBy: String,
+        acknowledgedAt: Date,
+        lastNotifiedAt: Date,
+        notifications: [{
+            _id: false,
+            channel: String,
+            target: String,
+            sentAt: Date,
+            error: String
+        }]
+    });
+    alertSchema.index({ firstTriggeredAt: -1 });
+    
+    // Outbound webhooks: subscribers choose events and a minimum risk level; each event is a signed delivery
+    const WEBHOOK_EVENTS = ['analysis.created', 'analysis.reviewed', 'campaign.detected'];
+    const WEBHOOK_DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'dead'];
+    const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+    const WEBHOOK_RETENTION_DAYS = parseInt(process.env.WEBHOOK_RETENTION_DAYS, 10) || 30;
+    // Backoff doubles from the base delay after every failed attempt, up to the cap
+    const WEBHOOK_RETRY_BASE_MS = 30 * 1000;
+    const WEBHOOK_RETRY_MAX_MS = 60 * 60 * 1000;
+    const WEBHOOK_TIMEOUT_MS = 10000;
+    // Attempt log entries kept per delivery; error and response bodies are cut to this length
+    const WEBHOOK_MAX_LOGGED_ATTEMPTS = 20;
+    const WEBHOOK_MAX_LOGGED_TEXT = 500;
+    
+    const webhookSubscriptionSchema = new mongoose.Schema({
+        name: { type: String, required: true, unique: true, trim: true },
+        url: { type: String, required: true },
+        events: [{ type: String, enum: WEBHOOK_EVENTS }],
+        // Events for less risky analyses or campaigns than this are not sent
+        minRiskLevel: { type: String, default: 'MINIMAL' },
+        // HMAC-SHA256 key; shown once when created or rotated
+        secret: { type: String, required: true, select: false },
+        active: { type: Boolean, default: true },
+        createdBy: String,
+        updatedBy: String,
+        createdAt: { type: Date, default: Date.now },
+        updatedAt: { type: Date, default: Date.now }
+    });
+    
+    const webhookDeliverySchema = new mongoose.Schema({
+        subscriptionId: { type: mongoose.Schema.Types.ObjectId, index: true },
+        event: String,
+        payload: mongoose.Schema.Types.Mixed,
+        // pending: waiting for its next attempt; dead: out of attempts, kept in the dead-letter log
+        status: { type: String, enum: WEBHOOK_DELIVERY_STATUSES, default: 'pending' },
+        attempts: { type: Number, default: 0 },
+        nextAttemptAt: { type: Date, default: Date.now },
+        attemptLog: [{
+            _id: false,
+            at: Date,
+            statusCode: Number,
+            durationMs: Number,
+            error: String
+        }],
+        lastError: String,
+        leaseOwner: String,
+        leaseExpiresAt: Date,
+        deliveredAt: Date,
+        deadAt: Date,
+        replayedBy: String,
+        replayedAt: Date,
+        createdAt: { type: Date, default: Date.now }
+    });
+    webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+    webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+    // Delivered entries expire; pending and dead ones have no deliveredAt and are kept
+    webhookDeliverySchema.index({ deliveredAt: 1 }, { expireAfterSeconds: WEBHOOK_RETENTION_DAYS * 24 * 60 * 60 });
+    
+    // Ingestion connectors poll outside sources on a schedule; see connectors.js for the source types
+    const CONNECTOR_STATUSES = ['idle', 'running', 'succeeded', 'failed'];
+    const CONNECTOR_FILE_ROOT = path.resolve(process.env.CONNECTOR_FILE_ROOT || 'ingest');
+    // New items analysed per run; a run that stops short checkpoints and continues straight away
+    const CONNECTOR_MAX_ITEMS_PER_RUN = parseInt(process.env.CONNECTOR_MAX_ITEMS_PER_RUN, 10) || 500;
+    const CONNECTOR_MAX_LOGGED_ERRORS = 20;
+    
+    const connectorSchema = new mongoose.Schema({
+        name: { type: String, required: true, unique: true, trim: true },
+        type: { type: String, enum: Object.keys(CONNECTOR_TYPES), required: true },
+        config: { type: mongoose.Schema.Types.Mixed, default: {} },
+        intervalMinutes: { type: Number, min: 1, default: 15 },
+        active: { type: Boolean, default: true },
+        // Where the last run stopped, in the source type's own terms (feed date, API cursor, message ids)
+        cursor: mongoose.Schema.Types.Mixed,
+        status: { type: String, enum: CONNECTOR_STATUSES, default: 'idle' },
+        nextRunAt: { type: Date, default: Date.now },
+        consecutiveFailures: { type: Number, default: 0 },
+        lastRun: {
+            startedAt: Date,
+            finishedAt: Date,
+            fetched: Number,
+            ingested: Number,
+            duplicates: Number,
+            failed: Number,
+            error: String,
+            errors: [{ _id: false, sourceId: String, error: String }]
+        },
+        totals: {
+            runs: { type: Number, default: 0 },
+            ingested: { type: Number, default: 0 },
+            duplicates: { type: Number, default: 0 },
+            failed: { type: Number, default: 0 }
+        },
+        leaseOwner: String,
+        leaseExpiresAt: Date,
+        createdBy: String,
+        updatedBy: String,
+        createdAt: { type: Date, default: Date.now },
+        updatedAt: { type: Date, default: Date.now }
+    });
+    connectorSchema.index({ active: 1, nextRunAt: 1 });
+    
+    // One entry per source item a connector has stored, so re-reading a source never analyses it twice
+    const connectorItemSchema = new mongoose.Schema({
+        connectorId: mongoose.Schema.Types.ObjectId,
+        sourceId: String,
+        analysisId: mongoose.Schema.Types.ObjectId,
+        ingestedAt: { type: Date, default: Date.now }
+    });
+    connectorItemSchema.index({ connectorId: 1, sourceId: 1 }, { unique: true });
+    
+    // Append-only record of who did what. Entries are numbered without gaps and each
+    // one's hash covers the previous entry's hash, so edits and deletions show up on verify.
+    // minimize is off because an empty object dropped on save would no longer match the hash
+    const auditEntrySchema = new mongoose.Schema({
+        seq: { type: Number, required: true, unique: true },
+        at: { type: Date, required: true },
+        actor: { type: String, index: true },
+        role: String,
+        action: { type: String, index: true },
+        targetType: String,
+        targetId: String,
+        details: mongoose.Schema.Types.Mixed,
+        ip: String,
+        prevHash: String,
+        hash: { type: String, required: true }
+    }, { versionKey: false, minimize: false });
+    auditEntrySchema.index({ at: -1 });
+    auditEntrySchema.index({ targetType: 1, targetId: 1 });
+    
+    // The audit chain's head: appends reserve the next seq here before writing their entry
+    const auditSequenceSchema = new mongoose.Schema({
+        _id: String,
+        seq: Number,
+        hash: String
+    }, { versionKey: false });
     
     const Analysis = mongoose.model('Analysis', analysisSchema);
     const UserActivity = mongoose.model('UserActivity', userActivitySchema);
+    const User = mongoose.model('User', userSchema);
+    const Session = mongoose.model('Session', sessionSchema);
+    const Lexicon = mongoose.model('Lexicon', lexiconSchema);
+    const LexiconRevision = mongoose.model('LexiconRevision', lexiconRevisionSchema);
+    const TrainingExample = mongoose.model('TrainingExample', trainingExampleSchema);
+    const ClassifierModel = mongoose.model('ClassifierModel', classifierModelSchema);
+    const BatchJob = mongoose.model('BatchJob', batchJobSchema);
+    const BatchItem = mongoose.model('BatchItem', batchItemSchema);
+    const Campaign = mongoose.model('Campaign', campaignSchema);
+    const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+    const Alert = mongoose.model('Alert', alertSchema);
+    const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+    const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+    const Connector = mongoose.model('Connector', connectorSchema);
+    const ConnectorItem = mongoose.model('ConnectorItem', connectorItemSchema);
+    const AuditEntry = mongoose.model('AuditEntry', auditEntrySchema);
+    const AuditSequence = mongoose.model('AuditSequence', auditSequenceSchema);
     
-    // Initialize detection engine
-    const detectionEngine = new AntiIndiaDetectionEngine();
+    // Analyses, account activity, users, sessions and the audit trail go through these stores so they can live outside MongoDB (see storage.js)
+    const analysisStore = createStore(STORAGE_BACKEND, Analysis, { file: path.join(STORAGE_DIR, 'analyses.jsonl') });
+    const activityStore = createStore(STORAGE_BACKEND, UserActivity, { file: path.join(STORAGE_DIR, 'user-activity.jsonl') });
+    const userStore = createStore(STORAGE_BACKEND, User, { file: path.join(STORAGE_DIR, 'users.jsonl') });
+    const sessionStore = createStore(STORAGE_BACKEND, Session, { file: path.join(STORAGE_DIR, 'sessions.jsonl') });
+    const auditStore = createStore(STORAGE_BACKEND, AuditEntry, { file: path.join(STORAGE_DIR, 'audit-entries.jsonl') });
+    const auditSequenceStore = createStore(STORAGE_BACKEND, AuditSequence, { file: path.join(STORAGE_DIR, 'audit-sequence.jsonl') });
     
-    // API Routes
-    app.post('/api/analyze', async (req, res) => {
+    // Without MongoDB the remaining models must fail at once rather than queue for a connection that never comes
+    if (!MONGO_ENABLED) {
+        mongoose.set('bufferCommands', false);
+        logger.warn(`Storage backend ${STORAGE_BACKEND}: lexicon and model management, training, batches, campaigns, ` +
+            'alerts, webhooks and connectors need MongoDB and are turned off');
+    }
+    
+    // Runs a startup task once the stores can be written: on connection for MongoDB, right away otherwise
+    const whenStorageReady = (task) => {
+        if (MONGO_ENABLED) {
+            mongoose.connection.on('connected', task);
+        } else {
+            task();
+        }
+    };
+    
+    // Analyses stored before postedAt existed count as posted when they were received
+    const backfillPostedAt = async () => {
         try {
-            const { content, metadata = {} } = req.body;
-            
-            if (!content || content.trim().length === 0) {
-                return res.status(400).json({
-                    error: 'Content is required for analysis'
-                });
-            }
-            
-            const analysis = await detectionEngine.analyzeContent(content, metadata);
-            
-            // Save to database
-            const savedAnalysis = new Analysis(analysis);
-            await savedAnalysis.save();
-            
-            // Update user activity if userId provided
-            if (metadata.userId) {
-                await UserActivity.findOneAndUpdate(
-                    { userId: metadata.userId },
-                    {
-                        $push: {
-                            posts: {
-                                content: content,
-                                platform: metadata.platform || 'unknown'
-                            }
-                        },
-                        $inc: {
-                            'riskProfile.totalRiskScore': analysis.riskScore,
-                            'riskProfile.flaggedPosts': analysis.riskScore > 25 ? 1 : 0
-                        }
-                    },
-                    { upsert: true }
-                );
+            const result = await analysisStore.updateMany({ postedAt: null }, [{ $set: { postedAt: '$timestamp' } }]);
+            if (result.modifiedCount > 0) {
+                logger.info(`Post times filled in for ${result.modifiedCount} earlier analyses`);
             }
-            
-            logger.info(`Content analyzed - Risk Level: ${analysis.riskLevel}`, {
-                riskScore: analysis.riskScore,
-                platform: metadata.platform
-            });
-            
-            res.json({
-                success: true,
-                analysis: analysis
-            });
-            
         } catch (error) {
-            logger.error('Analysis API error:', error);
-            res.status(500).json({
-                error: 'Analysis failed',
-                details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-            });
+            logger.error('Post time backfill failed:', error);
         }
+    };
+    whenStorageReady(backfillPostedAt);
+    
+    // Time-limited locks so only one worker runs a scheduled job at a time
+    const jobLeaseSchema = new mongoose.Schema({
+        _id: String,
+        owner: String,
+        expiresAt: Date
     });
+    const JobLease = mongoose.model('JobLease', jobLeaseSchema);
+    const leaseOwner = `${require('os').hostname()}:${process.pid}`;
     
-    app.get('/api/dashboard', async (req, res) => {
+    const acquireLease = async (name, ttlMs) => {
+        const now = new Date();
         try {
-            const { timeframe = '24h', platform = 'all' } = req.query;
-            
-            let timeFilter = {};
-            const now = new Date();
-            
-            switch (timeframe) {
-                case '1h':
-                    timeFilter = { timestamp: { $gte: new Date(now - 60 * 60 * 1000) } };
-                    break;
-                case '24h':
-                    timeFilter = { timestamp: { $gte: new Date(now - 24 * 60 * 60 * 1000) } };
-                    break;
-                case '7d':
-                    timeFilter = { timestamp: { $gte: new Date(now - 7 * 24 * 60 * 60 * 1000) } };
-                    break;
+            await JobLease.findOneAndUpdate(
+                { _id: name, $or: [{ expiresAt: { $lt: now } }, { owner: leaseOwner }] },
+                { $set: { owner: leaseOwner, expiresAt: new Date(now.getTime() + ttlMs) } },
+                { upsert: true }
+            );
+            return true;
+        } catch (error) {
+            // Duplicate key: the lease exists and is held by another worker
+            if (error.code === 11000) return false;
+            throw error;
+        }
+    };
+    
+    const releaseLease = (name) => JobLease.deleteOne({ _id: name, owner: leaseOwner });
+    
+    // Initialize detection engine
+    const detectionEngine = new AntiIndiaDetectionEngine();
+
+    // Authentication and role-based access control
+    class AuthService {
+        constructor() {
+            this.accessSecret = process.env.JWT_SECRET;
+            this.refreshSecret = process.env.JWT_REFRESH_SECRET;
+            this.accessTtl = process.env.JWT_ACCESS_TTL || '15m';
+            this.refreshTtl = process.env.JWT_REFRESH_TTL || '7d';
+            this.saltRounds = 12;
+            // How long each worker trusts its last look at a session and its account's active flag and token version
+            this.sessionCacheMs = parseInt(process.env.AUTH_CACHE_MS, 10) || 5000;
+            this.sessionCache = new Map();
+
+            if (!this.accessSecret || !this.refreshSecret) {
+                if (process.env.NODE_ENV === 'production') {
+                    throw new Error('JWT_SECRET and JWT_REFRESH_SECRET must be set in production');
+                }
+                logger.warn('JWT secrets not configured, using insecure development defaults');
+                this.accessSecret = this.accessSecret || 'development-access-secret';
+                this.refreshSecret = this.refreshSecret || 'development-refresh-secret';
             }
-            
+        }
+
+        hashPassword(password) {
+            return bcrypt.hash(password, this.saltRounds);
+        }
+
+        async verifyCredentials(username, password) {
+            const user = await userStore.findOne({ username: username.toLowerCase() });
+            if (!user || !user.active) return null;
+
+            const valid = await bcrypt.compare(password, user.passwordHash);
+            return valid ? user : null;
+        }
+
+        // Tokens for one session; expiresAt is when the refresh token runs out
+        issueTokens(user, sessionId, refreshId) {
+            const accessToken = jwt.sign(
+                { sub: String(user._id), sid: sessionId, username: user.username, role: user.role, tokenVersion: user.tokenVersion },
+                this.accessSecret,
+                { expiresIn: this.accessTtl }
+            );
+            const refreshToken = jwt.sign(
+                { sub: String(user._id), sid: sessionId, rid: refreshId, tokenVersion: user.tokenVersion, type: 'refresh' },
+                this.refreshSecret,
+                { expiresIn: this.refreshTtl }
+            );
+
+            return {
+                accessToken,
+                refreshToken,
+                user: this.toPublicUser(user),
+                expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+            };
+        }
+
+        // Sign in on a new session, alongside any the user already has open
+        async startSession(user) {
+            const sessionId = crypto.randomUUID();
+            const refreshId = crypto.randomUUID();
+            const { expiresAt, ...tokens } = this.issueTokens(user, sessionId, refreshId);
+
+            // MongoDB drops expired sessions itself; the other backends are tidied here
+            await sessionStore.deleteMany({ expiresAt: { $lt: new Date() } });
+            await sessionStore.create({ _id: sessionId, userId: String(user._id), refreshId, expiresAt });
+            return tokens;
+        }
+
+        verifyAccessToken(token) {
+            return jwt.verify(token, this.accessSecret);
+        }
+
+        /**
+         * An access token only counts while its session exists, its account is active
+         * and the account's sessions have not all been revoked since
+         */
+        async isSessionActive(payload) {
+            const key = `${payload.sub}:${payload.sid}`;
+            const cached = this.sessionCache.get(key);
+            // A newer version than the cached one means this worker missed a change made on another
+            let state = cached && cached.expires > Date.now() &&
+                !(cached.state && payload.tokenVersion > cached.state.tokenVersion) ? cached.state : undefined;
+
+            if (state === undefined) {
+                const [user, session] = await Promise.all([
+                    userStore.findById(payload.sub, { select: 'active tokenVersion' }),
+                    payload.sid ? sessionStore.findOne({ _id: payload.sid, userId: payload.sub }, { select: '_id' }) : null
+                ]);
+                state = user && session ? { active: user.active, tokenVersion: user.tokenVersion } : null;
+                this.sessionCache.set(key, { state, expires: Date.now() + this.sessionCacheMs });
+            }
+
+            return Boolean(state && state.active && state.tokenVersion === payload.tokenVersion);
+        }
+
+        // Drop this worker's cached state for every session of the user
+        forgetSession(userId) {
+            const prefix = `${userId}:`;
+            [...this.sessionCache.keys()].filter(key => key.startsWith(prefix)).forEach(key => this.sessionCache.delete(key));
+        }
+
+        async refresh(refreshToken) {
+            const payload = jwt.verify(refreshToken, this.refreshSecret);
+            if (payload.type !== 'refresh' || !payload.sid) return null;
+
+            const user = await userStore.findById(payload.sub);
+            if (!user || !user.active || user.tokenVersion !== payload.tokenVersion) return null;
+
+            // Rotate this session only: the presented refresh token can no longer be used, even by a concurrent refresh
+            const refreshId = crypto.randomUUID();
+            const { expiresAt, ...tokens } = this.issueTokens(user, payload.sid, refreshId);
+            const session = await sessionStore.findOneAndUpdate(
+                { _id: payload.sid, userId: payload.sub, refreshId: payload.rid, expiresAt: { $gt: new Date() } },
+                { $set: { refreshId, expiresAt } }
+            );
+            return session ? tokens : null;
+        }
+
+        // Sign out one session; the user's others stay signed in
+        async endSession(userId, sessionId) {
+            await sessionStore.deleteOne({ _id: sessionId, userId: String(userId) });
+            this.forgetSession(userId);
+        }
+
+        // Sign out everywhere; deactivating or changing an account does the same through tokenVersion
+        async revokeSessions(userId) {
+            await userStore.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+            await sessionStore.deleteMany({ userId: String(userId) });
+            this.forgetSession(userId);
+        }
+
+        hasRole(role, requiredRole) {
+            return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+        }
+
+        toPublicUser(user) {
+            return {
+                id: String(user._id),
+                username: user.username,
+                role: user.role,
+                active: user.active,
+                lastLoginAt: user.lastLoginAt,
+                createdAt: user.createdAt
+            };
+        }
+
+        async ensureBootstrapAdmin() {
+            const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+            if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return;
+
+            try {
+                if (await userStore.count() > 0) return;
+
+                await userStore.create({
+                    username: ADMIN_USERNAME,
+                    passwordHash: await this.hashPassword(ADMIN_PASSWORD),
+                    role: 'admin'
+                });
+                logger.info(`Bootstrap admin account created: ${ADMIN_USERNAME}`);
+            } catch (error) {
+                // Another worker may have created it first
+                if (error.code !== 11000) {
+                    logger.error('Bootstrap admin creation failed:', error);
+                }
+            }
+        }
+    }
+
+    const authService = new AuthService();
+    whenStorageReady(() => authService.ensureBootstrapAdmin());
+
+    const authenticate = async (req, res, next) => {
+        const header = req.headers.authorization || '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        let payload;
+        try {
+            payload = authService.verifyAccessToken(token);
+        } catch (error) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+
+        try {
+            // Deactivated accounts and signed-out or changed sessions lose access at once, not when the token expires
+            if (!await authService.isSessionActive(payload)) {
+                return res.status(401).json({ error: 'Session has been revoked' });
+            }
+        } catch (error) {
+            logger.error('Session check error:', error);
+            return res.status(503).json({ error: 'Authentication temporarily unavailable' });
+        }
+
+        req.user = payload;
+        next();
+    };
+
+    // Requires at least the given role, e.g. requireRole('reviewer') also admits admins
+    const requireRole = (role) => [
+        authenticate,
+        (req, res, next) => {
+            if (!authService.hasRole(req.user.role, role)) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            next();
+        }
+    ];
+
+    const validate = (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array({ onlyFirstError: true }).map(e => ({ field: e.path, message: e.msg }))
+            });
+        }
+        next();
+    };
+
+    // The first entry's prevHash
+    const AUDIT_GENESIS_HASH = '0'.repeat(64);
+    const AUDIT_SEQUENCE_ID = 'audit';
+    // Actions that only show data inside the dashboard. Their audit write is best effort; any other
+    // action's write must succeed, and before the action, for the request to go ahead. Exports are
+    // not in here: the trail has to show who took data out
+    const AUDIT_READ_ACTIONS = new Set([
+        'analysis.view', 'analysis.search', 'account.view', 'campaign.view', 'alert.view', 'auth.login_failed'
+    ]);
+    
+    // Canonical JSON sorts object keys, so an entry hashes the same after a round trip through MongoDB
+    const auditHash = (entry) => crypto.createHash('sha256').update(canonicalJSON({
+        seq: entry.seq,
+        at: new Date(entry.at).toISOString(),
+        actor: entry.actor,
+        role: entry.role,
+        action: entry.action,
+        targetType: entry.targetType,
+        targetId: entry.targetId,
+        details: entry.details,
+        ip: entry.ip,
+        prevHash: entry.prevHash
+    })).digest('hex');
+    
+    /**
+     * Tamper-evident audit trail. Workers append concurrently: each hashes its entry
+     * on top of the head in the audit sequence document and writes it with the next
+     * seq. The unique index on seq lets one writer take each number, so an append that
+     * loses the race retries against the new head, and a write that fails leaves no
+     * gap. The head only moves once its entry is stored.
+     */
+    class AuditTrail {
+        constructor() {
+            this.maxAttempts = 10;
+            this.verifyPageSize = 1000;
+            // Appends from this worker go one at a time so they never race each other
+            this.appending = Promise.resolve();
+        }
+        
+        /**
+         * Record an action by the request's user (or actor, for logins). target is
+         * { type, id }; details is any JSON. Call it once a change has been checked
+         * and just before it is made: a failed write is logged and rethrown, so the
+         * request fails with nothing changed. Writes for AUDIT_READ_ACTIONS are only logged.
+         */
+        async record(req, action, { target = {}, details, actor } = {}) {
+            const fields = {
+                at: new Date(),
+                actor: actor || (req.user && req.user.username),
+                role: req.user && req.user.role,
+                action,
+                targetType: target.type,
+                targetId: target.id === undefined ? undefined : String(target.id),
+                // Plain JSON only: ids and dates as strings, undefined values dropped
+                details: details === undefined ? undefined : JSON.parse(JSON.stringify(details)),
+                ip: req.ip
+            };
+            
+            const append = this.appending.then(() => this.append(fields));
+            this.appending = append.catch(() => {});
+            try {
+                await append;
+            } catch (error) {
+                logger.error(`Audit write failed for ${action}:`, error);
+                if (!AUDIT_READ_ACTIONS.has(action)) throw error;
+            }
+        }
+        
+        async append(fields) {
+            for (let attempt = 1; ; attempt++) {
+                const head = await this.head();
+                const entry = { ...fields, seq: head.seq + 1, prevHash: head.hash };
+                entry.hash = auditHash(entry);
+                
+                try {
+                    const created = await auditStore.create(entry);
+                    await this.advance(created);
+                    return created;
+                } catch (error) {
+                    if (error.code !== 11000) throw error;
+                }
+                
+                // Another worker stored this seq first, or the head fell behind: catch up and retry
+                await this.advance(await auditStore.findOne({}, { sort: { seq: -1 }, select: 'seq hash' }));
+                if (attempt >= this.maxAttempts) throw new Error('Audit trail is too busy to append');
+                await new Promise(resolve => setTimeout(resolve, Math.random() * 20 * attempt));
+            }
+        }
+        
+        // Move the head up to a stored entry; never back. A failure only leaves the head
+        // behind, which the next append corrects, so it is logged rather than thrown
+        async advance(entry) {
+            try {
+                await auditSequenceStore.updateOne(
+                    { _id: AUDIT_SEQUENCE_ID, seq: { $lt: entry.seq } },
+                    { $set: { seq: entry.seq, hash: entry.hash } }
+                );
+            } catch (error) {
+                logger.error(`Audit head update failed at entry ${entry.seq}:`, error);
+            }
+        }
+        
+        // The current head, created from the stored chain on the first append
+        async head() {
+            const sequence = await auditSequenceStore.findById(AUDIT_SEQUENCE_ID);
+            if (sequence) return sequence;
+            
+            const last = await auditStore.findOne({}, { sort: { seq: -1 }, select: 'seq hash' });
+            try {
+                return await auditSequenceStore.create({
+                    _id: AUDIT_SEQUENCE_ID,
+                    seq: last ? last.seq : 0,
+                    hash: last ? last.hash : AUDIT_GENESIS_HASH
+                });
+            } catch (error) {
+                // Another worker created it first
+                if (error.code !== 11000) throw error;
+                return auditSequenceStore.findById(AUDIT_SEQUENCE_ID);
+            }
+        }
+        
+        /**
+         * Walk the whole chain in order. Returns the first entry that is missing,
+         * out of place or altered, or the head so it can be noted down elsewhere:
+         * the chain alone cannot show that entries were cut off the end.
+         */
+        async verify() {
+            let previous = null;
+            let checked = 0;
+            
+            // In pages by seq, which every storage backend can do
+            for (;;) {
+                const page = await auditStore.find(
+                    previous ? { seq: { $gt: previous.seq } } : {},
+                    { sort: { seq: 1 }, limit: this.verifyPageSize }
+                );
+                
+                for (const entry of page) {
+                    const expectedSeq = previous ? previous.seq + 1 : 1;
+                    let problem = null;
+                    if (entry.seq !== expectedSeq) {
+                        problem = `Entries ${expectedSeq} to ${entry.seq - 1} are missing`;
+                    } else if (entry.prevHash !== (previous ? previous.hash : AUDIT_GENESIS_HASH)) {
+                        problem = 'Does not link to the previous entry';
+                    } else if (auditHash(entry) !== entry.hash) {
+                        problem = 'Contents do not match the stored hash';
+                    }
+                    
+                    if (problem) {
+                        return { valid: false, checked, brokenAt: { seq: entry.seq, problem } };
+                    }
+                    previous = entry;
+                    checked++;
+                }
+                
+                if (page.length < this.verifyPageSize) break;
+            }
+            
+            return {
+                valid: true,
+                checked,
+                head: previous ? { seq: previous.seq, hash: previous.hash, at: previous.at } : null
+            };
+        }
+    }
+    
+    const auditTrail = new AuditTrail();
+    
+    // Real-time push hub backing the dashboard's /ws connection
+    class RealTimeHub {
+        constructor() {
+            this.wss = null;
+            this.metricsTimer = null;
+            this.tailTimer = null;
+            this.metricsInterval = parseInt(process.env.WS_METRICS_INTERVAL_MS, 10) || 15000;
+
+            // The built-in cluster master relays broadcasts between workers.
+            // PM2 owns the master process instead, so there each worker tails
+            // the analyses collection to pick up detections saved by siblings.
+            this.relayThroughMaster = cluster.isWorker && !process.env.pm_id;
+            this.tailFromDatabase = Boolean(process.env.pm_id);
+            this.lastTailAt = new Date();
+            this.seenDetections = new Map();
+        }
+
+        attach(server) {
+            this.wss = new WebSocketServer({
+                server,
+                path: '/ws',
+                verifyClient: (info, done) => this.verifyClient(info, done)
+            });
+
+            this.wss.on('connection', (socket, request) => {
+                socket.isAlive = true;
+                socket.paused = false;
+                socket.user = request.user;
+
+                socket.on('pong', () => {
+                    socket.isAlive = true;
+                });
+
+                socket.on('message', (raw) => this.handleClientMessage(socket, raw));
+
+                socket.on('error', (error) => {
+                    logger.error('WebSocket client error:', error);
+                });
+
+                this.send(socket, { type: 'system_status', status: this.currentStatus() });
+                this.sendMetrics(socket);
+            });
+
+            if (this.relayThroughMaster) {
+                process.on('message', (message) => {
+                    if (message && message.type === 'ws:broadcast') {
+                        this.broadcastLocal(message.payload);
+                    }
+                });
+            }
+
+            mongoose.connection.on('connected', () => this.publishStatus('online'));
+            mongoose.connection.on('disconnected', () => this.publishStatus('error'));
+
+            this.metricsTimer = setInterval(() => {
+                this.heartbeat();
+                this.pushMetrics();
+            }, this.metricsInterval);
+
+            if (this.tailFromDatabase) {
+                this.tailTimer = setInterval(() => this.tailDetections(), 2000);
+            }
+        }
+
+        // Browsers cannot set headers on WebSocket upgrades, so the access token travels in the query string
+        verifyClient(info, done) {
+            let payload;
+            try {
+                const url = new URL(info.req.url, 'http://localhost');
+                payload = authService.verifyAccessToken(url.searchParams.get('token') || '');
+            } catch (error) {
+                return done(false, 401, 'Unauthorized');
+            }
+
+            authService.isSessionActive(payload)
+                .then((active) => {
+                    info.req.user = payload;
+                    done(active, 401, 'Unauthorized');
+                })
+                .catch((error) => {
+                    logger.error('WebSocket session check error:', error);
+                    done(false, 503, 'Service Unavailable');
+                });
+        }
+
+        handleClientMessage(socket, raw) {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                return;
+            }
+
+            switch (message.action) {
+                case 'pause_monitoring':
+                    socket.paused = true;
+                    break;
+                case 'resume_monitoring':
+                    socket.paused = false;
+                    this.sendMetrics(socket);
+                    break;
+                default:
+                    logger.warn(`Unknown WebSocket action: ${message.action}`);
+            }
+        }
+
+        currentStatus() {
+            return analysisStore.ready ? 'online' : 'error';
+        }
+
+        toDetection(analysis) {
+            const source = typeof analysis.toObject === 'function' ? analysis.toObject() : analysis;
+            return {
+                _id: source._id,
+                content: source.content,
+                platform: source.platform,
+                riskScore: source.riskScore,
+                riskLevel: source.riskLevel,
+                flags: source.flags,
+                explanation: source.explanation,
+                userId: source.userId,
+                review: source.review,
+                timestamp: source.timestamp
+            };
+        }
+
+        publishDetection(analysis) {
+            const detection = this.toDetection(analysis);
+            this.markSeen(detection._id);
+            this.publish({ type: 'new_detection', detection });
+        }
+
+        publishAlert(alert) {
+            this.markSeen(`alert:${alert._id}@${new Date(alert.notifiedAt).getTime()}`);
+            this.publish({ type: 'alert_fired', alert });
+        }
+
+        publishStatus(status) {
+            this.broadcastLocal({ type: 'system_status', status });
+        }
+
+        publish(payload) {
+            if (this.relayThroughMaster) {
+                process.send({ type: 'ws:broadcast', payload });
+            } else {
+                this.broadcastLocal(payload);
+            }
+        }
+
+        broadcastLocal(payload) {
+            if (!this.wss) return;
+
+            const message = JSON.stringify(payload);
+            this.wss.clients.forEach(socket => {
+                if (socket.readyState === WebSocket.OPEN && !socket.paused) {
+                    socket.send(message);
+                }
+            });
+        }
+
+        send(socket, payload) {
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(payload));
+            }
+        }
+
+        async sendMetrics(socket) {
+            try {
+                const metrics = await this.collectMetrics();
+                this.send(socket, { type: 'metrics_update', metrics });
+            } catch (error) {
+                logger.error('WebSocket metrics error:', error);
+            }
+        }
+
+        async pushMetrics() {
+            if (!this.wss || this.wss.clients.size === 0) return;
+
+            try {
+                const metrics = await this.collectMetrics();
+                this.broadcastLocal({ type: 'metrics_update', metrics });
+            } catch (error) {
+                logger.error('WebSocket metrics error:', error);
+            }
+        }
+
+        async collectMetrics() {
+            const filter = { timestamp: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } };
+            return {
+                summary: await dashboardSummary(analysisStore, filter),
+                timeframe: '24h',
+                platform: 'all'
+            };
+        }
+
+        heartbeat() {
+            this.wss.clients.forEach(socket => {
+                if (!socket.isAlive) {
+                    socket.terminate();
+                    return;
+                }
+                socket.isAlive = false;
+                socket.ping();
+            });
+        }
+
+        markSeen(id) {
+            if (!id) return;
+            this.seenDetections.set(String(id), Date.now());
+        }
+
+        async tailDetections() {
+            if (this.wss.clients.size === 0 || mongoose.connection.readyState !== 1) return;
+
+            try {
+                // Look back a few seconds so slow saves from sibling workers are not missed
+                const since = new Date(this.lastTailAt.getTime() - 10000);
+                this.lastTailAt = new Date();
+
+                const recent = await analysisStore.find({ timestamp: { $gte: since } }, { sort: { timestamp: 1 }, limit: 100 });
+
+                recent.forEach(analysis => {
+                    if (this.seenDetections.has(String(analysis._id))) return;
+                    this.markSeen(analysis._id);
+                    this.broadcastLocal({ type: 'new_detection', detection: this.toDetection(analysis) });
+                });
+
+                // Alerts a sibling worker pushed to its own clients
+                const alerts = await Alert.find({ lastNotifiedAt: { $gte: since }, 'notifications.channel': 'websocket' })
+                    .sort({ lastNotifiedAt: 1 })
+                    .limit(100);
+
+                alerts.forEach(alert => {
+                    const key = `alert:${alert._id}@${alert.lastNotifiedAt.getTime()}`;
+                    if (this.seenDetections.has(key)) return;
+                    this.markSeen(key);
+                    this.broadcastLocal({ type: 'alert_fired', alert: { ...alertEngine.toPayload(alert), notifiedAt: alert.lastNotifiedAt } });
+                });
+
+                const cutoff = Date.now() - 60000;
+                this.seenDetections.forEach((seenAt, id) => {
+                    if (seenAt < cutoff) this.seenDetections.delete(id);
+                });
+            } catch (error) {
+                logger.error('WebSocket detection tail error:', error);
+            }
+        }
+    }
+
+    const realTimeHub = new RealTimeHub();
+
+    // Keeps the detection engine's lexicons in sync with the database on every worker
+    class LexiconStore {
+        constructor(engine) {
+            this.engine = engine;
+            this.signature = null;
+            this.refreshInterval = parseInt(process.env.LEXICON_REFRESH_MS, 10) || 10000;
+            this.relayThroughMaster = cluster.isWorker && !process.env.pm_id;
+        }
+
+        watch() {
+            mongoose.connection.on('connected', async () => {
+                await this.seedDefaults();
+                await this.reload();
+            });
+
+            if (this.relayThroughMaster) {
+                process.on('message', (message) => {
+                    if (message && message.type === 'lexicon:changed') {
+                        this.reload();
+                    }
+                });
+            }
+
+            // Polling also covers PM2, where there is no master to relay change notices
+            setInterval(() => this.reload(), this.refreshInterval);
+        }
+
+        async seedDefaults() {
+            try {
+                if (await Lexicon.countDocuments() > 0) return;
+
+                for (const lexicon of DEFAULT_LEXICONS) {
+                    const created = await Lexicon.create({ ...lexicon, version: 1, updatedBy: 'system' });
+                    await this.recordRevision(created, 'created', 'system');
+                }
+                logger.info('Default lexicons seeded');
+            } catch (error) {
+                // Another worker may have seeded them first
+                if (error.code !== 11000) {
+                    logger.error('Lexicon seeding failed:', error);
+                }
+            }
+        }
+
+        async reload() {
+            if (mongoose.connection.readyState !== 1) return;
+
+            try {
+                const versions = await Lexicon.find().select('version').lean();
+                const signature = versions
+                    .map(lexicon => `${lexicon._id}@${lexicon.version}`)
+                    .sort()
+                    .join(',');
+
+                if (signature === this.signature) return;
+
+                const lexicons = await Lexicon.find().lean();
+                this.engine.loadLexicons(lexicons);
+                this.signature = signature;
+                logger.info(`Lexicons loaded: ${this.engine.getLexiconVersions().map(l => `${l.name}@${l.version}`).join(', ')}`);
+            } catch (error) {
+                logger.error('Lexicon reload failed:', error);
+            }
+        }
+
+        // Apply a change on this worker immediately and tell the others
+        async notifyChanged() {
+            await this.reload();
+            if (this.relayThroughMaster) {
+                process.send({ type: 'lexicon:changed' });
+            }
+        }
+
+        recordRevision(lexicon, changeType, username) {
+            return LexiconRevision.create({
+                lexiconId: lexicon._id,
+                name: lexicon.name,
+                kind: lexicon.kind,
+                description: lexicon.description,
+                active: lexicon.active,
+                version: lexicon.version,
+                terms: lexicon.terms,
+                changeType,
+                changedBy: username
+            });
+        }
+    }
+
+    const lexiconStore = new LexiconStore(detectionEngine);
+    if (MONGO_ENABLED) {
+        lexiconStore.watch();
+    }
+
+    // Trains classifier versions off the request path and keeps every worker on the active one
+    class ModelRegistry {
+        constructor(engine) {
+            this.engine = engine;
+            this.refreshInterval = parseInt(process.env.MODEL_REFRESH_MS, 10) || 30000;
+            this.relayThroughMaster = cluster.isWorker && !process.env.pm_id;
+            this.maxSerializedBytes = 15 * 1024 * 1024;
+        }
+
+        watch() {
+            mongoose.connection.on('connected', () => this.loadActive());
+
+            if (this.relayThroughMaster) {
+                process.on('message', (message) => {
+                    if (message && message.type === 'model:changed') {
+                        this.loadActive();
+                    }
+                });
+            }
+
+            setInterval(() => this.loadActive(), this.refreshInterval);
+        }
+
+        restore(model) {
+            const data = JSON.parse(model.serialized);
+            return model.algorithm === 'logistic_regression'
+                ? natural.LogisticRegressionClassifier.restore(data)
+                : natural.BayesClassifier.restore(data);
+        }
+
+        async loadActive() {
+            if (mongoose.connection.readyState !== 1) return;
+
+            try {
+                const active = await ClassifierModel.findOne({ active: true, status: 'ready' }).select('version');
+                if (!active || active.version === this.engine.modelVersion) return;
+
+                const model = await ClassifierModel.findById(active._id);
+                this.engine.useClassifier(this.restore(model), model.version, model.algorithm);
+                logger.info(`Classifier model loaded: ${model.version}`);
+            } catch (error) {
+                logger.error('Classifier model load failed:', error);
+            }
+        }
+
+        // beforeChange, when given, runs once the checks pass and just before the model is written;
+        // if it throws, nothing changes. Routes use it to audit the change first.
+        async startTraining({ algorithm = 'bayes', holdoutRatio = 0.2, trigger = 'manual' }, username, beforeChange) {
+            // A run whose process stopped sending heartbeats (a crash or restart) will never finish
+            const staleBefore = new Date(Date.now() - TRAINING_STALE_MS);
+            await ClassifierModel.updateMany(
+                { status: 'training', $or: [{ heartbeatAt: { $lt: staleBefore } }, { heartbeatAt: null, createdAt: { $lt: staleBefore } }] },
+                { $set: { status: 'failed', error: 'Training stopped without finishing', completedAt: new Date() } }
+            );
+
+            const running = await ClassifierModel.exists({ status: 'training' });
+            if (running) {
+                const error = new Error('A training run is already in progress');
+                error.status = 409;
+                throw error;
+            }
+
+            const examples = await TrainingExample.find({ status: { $nin: ['pending', 'rejected'] } })
+                .select('text label -_id')
+                .lean();
+            const labels = new Set(examples.map(example => example.label));
+            if (examples.length < 10 || labels.size < CLASSIFIER_LABELS.length) {
+                const error = new Error('At least 10 labelled examples covering every label are required');
+                error.status = 400;
+                throw error;
+            }
+
+            const draft = {
+                _id: new mongoose.Types.ObjectId(),
+                version: `model-${new Date().toISOString().replace(/[-:.TZ]/g, '')}-${crypto.randomBytes(2).toString('hex')}`,
+                algorithm,
+                holdoutRatio,
+                datasetSize: examples.length,
+                trigger,
+                baselineVersion: this.engine.modelVersion,
+                trainedBy: username
+            };
+            if (beforeChange) await beforeChange(draft);
+            const model = await ClassifierModel.create({ ...draft, heartbeatAt: new Date() });
+
+            this.runTraining(model, examples);
+            return model;
+        }
+
+        runTraining(model, examples) {
+            const baseline = this.engine.describeClassifier();
+            const worker = new Worker(path.join(__dirname, 'model-trainer.js'), {
+                workerData: {
+                    examples,
+                    algorithm: model.algorithm,
+                    holdoutRatio: model.holdoutRatio,
+                    seed: model.createdAt.getTime(),
+                    baseline: { algorithm: baseline.algorithm, serialized: baseline.serialized }
+                }
+            });
+
+            const heartbeat = setInterval(() => {
+                ClassifierModel.updateOne({ _id: model._id, status: 'training' }, { $set: { heartbeatAt: new Date() } })
+                    .catch(error => logger.error('Classifier training heartbeat failed:', error));
+            }, TRAINING_HEARTBEAT_MS);
+
+            const finish = async (update) => {
+                clearInterval(heartbeat);
+                try {
+                    await ClassifierModel.updateOne({ _id: model._id }, { ...update, completedAt: new Date() });
+                } catch (error) {
+                    logger.error('Classifier model update failed:', error);
+                }
+            };
+
+            worker.once('message', (result) => {
+                if (result.error) {
+                    logger.error(`Classifier training failed: ${model.version}`, { error: result.error });
+                    return finish({ status: 'failed', error: result.error });
+                }
+                if (Buffer.byteLength(result.serialized) > this.maxSerializedBytes) {
+                    return finish({ status: 'failed', error: 'Trained model is too large to store' });
+                }
+
+                logger.info(`Classifier trained: ${model.version}`, result.metrics);
+                finish({
+                    status: 'ready',
+                    serialized: result.serialized,
+                    metrics: result.metrics,
+                    baselineMetrics: result.baselineMetrics
+                }).then(() => {
+                    // Ask admins to compare and approve before the model goes live
+                    realTimeHub.publish({
+                        type: 'model_pending_approval',
+                        model: {
+                            _id: model._id,
+                            version: model.version,
+                            trigger: model.trigger,
+                            metrics: result.metrics,
+                            baselineVersion: model.baselineVersion,
+                            baselineMetrics: result.baselineMetrics
+                        }
+                    });
+                });
+            });
+
+            worker.once('error', (error) => {
+                logger.error(`Classifier training crashed: ${model.version}`, error);
+                finish({ status: 'failed', error: error.message });
+            });
+        }
+
+        async activate(id, username, { override = false } = {}, beforeChange) {
+            const model = await ClassifierModel.findOne({ _id: id, status: 'ready' });
+            if (!model) return null;
+
+            if (model.approvalStatus === 'rejected' && !override) {
+                const error = new Error('This model was rejected; activate it with override set to true to use it anyway');
+                error.status = 409;
+                throw error;
+            }
+
+            if (beforeChange) await beforeChange(model);
+            await ClassifierModel.updateMany({ active: true }, { $set: { active: false } });
+            model.active = true;
+            model.approvalStatus = 'approved';
+            model.activatedBy = username;
+            model.activatedAt = new Date();
+            await model.save();
+
+            await this.loadActive();
+            if (this.relayThroughMaster) {
+                process.send({ type: 'model:changed' });
+            }
+
+            return model;
+        }
+
+        async reject(id, username, note, beforeChange) {
+            const filter = { _id: id, status: 'ready', active: false };
+            if (beforeChange) {
+                const model = await ClassifierModel.findOne(filter).select('version');
+                if (!model) return null;
+                await beforeChange(model);
+            }
+            return ClassifierModel.findOneAndUpdate(
+                filter,
+                { $set: { approvalStatus: 'rejected', rejectedBy: username, approvalNote: note } },
+                { new: true }
+            ).select('-serialized');
+        }
+
+        /**
+         * Periodically retrain when approved feedback has arrived since the
+         * last model. The result still needs an admin's approval to go live.
+         */
+        scheduleRetraining() {
+            const intervalHours = parseFloat(process.env.RETRAIN_INTERVAL_HOURS || '24');
+            if (!(intervalHours > 0)) return;
+
+            const intervalMs = intervalHours * 60 * 60 * 1000;
+            const checkEvery = Math.min(intervalMs, 60 * 60 * 1000);
+
+            setInterval(async () => {
+                if (mongoose.connection.readyState !== 1) return;
+
+                try {
+                    const lastModel = await ClassifierModel.findOne().sort({ createdAt: -1 }).select('createdAt');
+                    if (lastModel && Date.now() - lastModel.createdAt.getTime() < intervalMs) return;
+
+                    const newExamples = await TrainingExample.countDocuments({
+                        status: 'approved',
+                        ...(lastModel ? { updatedAt: { $gt: lastModel.createdAt } } : {})
+                    });
+                    if (newExamples === 0) return;
+
+                    if (!await acquireLease('scheduled-retrain', checkEvery)) return;
+
+                    const model = await this.startTraining({ trigger: 'scheduled' }, 'scheduler');
+                    logger.info(`Scheduled retrain started: ${model.version} (${newExamples} new examples)`);
+                } catch (error) {
+                    if (!error.status) {
+                        logger.error('Scheduled retrain failed:', error);
+                    }
+                }
+            }, checkEvery);
+        }
+    }
+
+    const modelRegistry = new ModelRegistry(detectionEngine);
+    if (MONGO_ENABLED) {
+        modelRegistry.watch();
+        modelRegistry.scheduleRetraining();
+    }
+    
+    // Seeded on first start so high-risk detections still raise the dashboard banner
+    const DEFAULT_ALERT_RULES = [{
+        name: 'High-risk detection',
+        description: 'Any analysis scored HIGH risk',
+        severity: 'critical',
+        conditions: { riskLevels: ['HIGH'] },
+        threshold: { count: 1, windowMinutes: 10 },
+        cooldownMinutes: 5,
+        channels: [{ type: 'websocket' }]
+    }];
+    
+    /**
+     * Evaluates alert rules against every saved analysis. A rule fires once
+     * threshold.count analyses matching its conditions arrived within
+     * threshold.windowMinutes. While the rule has an open or snoozed alert, new
+     * triggers are folded into that alert instead of opening another. A rule
+     * notifies at most once per cooldown across all workers, so an open alert
+     * that keeps triggering is re-sent once each cooldown has passed.
+     */
+    class AlertEngine {
+        constructor() {
+            this.rules = [];
+            this.refreshInterval = parseInt(process.env.ALERT_RULE_REFRESH_MS, 10) || 10000;
+            this.relayThroughMaster = cluster.isWorker && !process.env.pm_id;
+            this.smtp = {
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS,
+                from: process.env.ALERT_EMAIL_FROM || `alerts@${require('os').hostname()}`
+            };
+            
+            // Delivery channels by type; each gets the alert payload and the rule's target for it
+            this.channels = {
+                websocket: async (payload) => realTimeHub.publishAlert(payload),
+                webhook: (payload, target) => this.postWebhook(payload, target),
+                email: (payload, target) => this.sendEmail(payload, target)
+            };
+        }
+        
+        watch() {
+            mongoose.connection.on('connected', async () => {
+                await this.seedDefaults();
+                await this.reload();
+            });
+            
+            if (this.relayThroughMaster) {
+                process.on('message', (message) => {
+                    if (message && message.type === 'alert-rules:changed') {
+                        this.reload();
+                    }
+                });
+            }
+            
+            setInterval(() => this.reload(), this.refreshInterval);
+        }
+        
+        async seedDefaults() {
+            try {
+                if (await AlertRule.countDocuments() > 0) return;
+                
+                await AlertRule.insertMany(DEFAULT_ALERT_RULES.map(rule => ({ ...rule, createdBy: 'system', updatedBy: 'system' })));
+                logger.info('Default alert rules seeded');
+            } catch (error) {
+                // Another worker may have seeded them first
+                if (error.code !== 11000) {
+                    logger.error('Alert rule seeding failed:', error);
+                }
+            }
+        }
+        
+        async reload() {
+            if (mongoose.connection.readyState !== 1) return;
+            
+            try {
+                this.rules = await AlertRule.find({ active: true }).lean();
+            } catch (error) {
+                logger.error('Alert rule reload failed:', error);
+            }
+        }
+        
+        // Apply a change on this worker immediately and tell the others
+        async notifyChanged() {
+            await this.reload();
+            if (this.relayThroughMaster) {
+                process.send({ type: 'alert-rules:changed' });
+            }
+        }
+        
+        matches(rule, analysis) {
+            const conditions = rule.conditions || {};
+            const listed = (values) => Array.isArray(values) && values.length > 0;
+            
+            if (listed(conditions.riskLevels) && !conditions.riskLevels.includes(analysis.riskLevel)) return false;
+            if (listed(conditions.platforms) && !conditions.platforms.includes(analysis.platform)) return false;
+            if (listed(conditions.flags) && !conditions.flags.every(flag => (analysis.flags || []).includes(flag))) return false;
+            if (typeof conditions.minRiskScore === 'number' && analysis.riskScore < conditions.minRiskScore) return false;
+            if (listed(conditions.lexicons)) {
+                const hit = (analysis.signals || []).some(signal => (signal.evidence || [])
+                    .some(evidence => evidence && conditions.lexicons.includes(evidence.lexicon)));
+                if (!hit) return false;
+            }
+            return true;
+        }
+        
+        // The same conditions as a query, for counting matches inside the window
+        conditionFilter(rule) {
+            const conditions = rule.conditions || {};
+            const filter = {};
+            if (conditions.riskLevels && conditions.riskLevels.length > 0) filter.riskLevel = { $in: conditions.riskLevels };
+            if (conditions.platforms && conditions.platforms.length > 0) filter.platform = { $in: conditions.platforms };
+            if (conditions.flags && conditions.flags.length > 0) filter.flags = { $all: conditions.flags };
+            if (typeof conditions.minRiskScore === 'number') filter.riskScore = { $gte: conditions.minRiskScore };
+            if (conditions.lexicons && conditions.lexicons.length > 0) filter['signals.evidence.lexicon'] = { $in: conditions.lexicons };
+            return filter;
+        }
+        
+        // Never throws: a failing rule must not fail the analysis that triggered it
+        async evaluate(analysis) {
+            for (const rule of this.rules.filter(candidate => this.matches(candidate, analysis))) {
+                try {
+                    await this.trigger(rule, analysis);
+                } catch (error) {
+                    logger.error(`Alert rule ${rule.name} failed:`, error);
+                }
+            }
+        }
+        
+        async trigger(rule, analysis, now = new Date()) {
+            const windowStart = new Date(now.getTime() - rule.threshold.windowMinutes * 60 * 1000);
+            const count = rule.threshold.count > 1
+                ? await analysisStore.count({ ...this.conditionFilter(rule), timestamp: { $gte: windowStart, $lte: now } })
+                : 1;
+            if (count < rule.threshold.count) return null;
+            
+            const message = this.describe(rule, count, analysis);
+            const dedupKey = String(rule._id);
+            
+            const existing = await Alert.findOneAndUpdate(
+                { dedupKey },
+                {
+                    $inc: { occurrences: 1 },
+                    $set: { lastTriggeredAt: now, matchCount: count, message },
+                    $push: { analyses: { $each: [analysis._id], $slice: -ALERT_MAX_ANALYSES } }
+                },
+                { new: true }
+            );
+            
+            if (existing) {
+                // Snoozed alerts stay quiet until the snooze runs out; open ones remind once per cooldown
+                if (existing.status === 'snoozed' && existing.snoozedUntil > now) return existing;
+                if (!await this.claimCooldown(rule, now)) return existing;
+                
+                if (existing.status !== 'snoozed') {
+                    this.dispatch(rule, existing, analysis);
+                    return existing;
+                }
+                
+                const reopened = await Alert.findOneAndUpdate(
+                    { _id: existing._id, status: 'snoozed' },
+                    { $set: { status: 'open' }, $unset: { snoozedUntil: 1, snoozedBy: 1 } },
+                    { new: true }
+                );
+                if (reopened) this.dispatch(rule, reopened, analysis);
+                return reopened || existing;
+            }
+            
+            if (!await this.claimCooldown(rule, now)) return null;
+            
+            try {
+                const alert = await Alert.create({
+                    ruleId: rule._id,
+                    ruleName: rule.name,
+                    severity: rule.severity,
+                    message,
+                    dedupKey,
+                    matchCount: count,
+                    analyses: [analysis._id],
+                    firstTriggeredAt: now,
+                    lastTriggeredAt: now
+                });
+                this.dispatch(rule, alert, analysis);
+                return alert;
+            } catch (error) {
+                // Another worker opened this rule's alert first
+                if (error.code === 11000) return null;
+                throw error;
+            }
+        }
+        
+        // Atomically take the rule's next notification; false while it is cooling down
+        async claimCooldown(rule, now) {
+            const cutoff = new Date(now.getTime() - rule.cooldownMinutes * 60 * 1000);
+            const claimed = await AlertRule.findOneAndUpdate(
+                { _id: rule._id, $or: [{ lastFiredAt: null }, { lastFiredAt: { $lte: cutoff } }] },
+                { $set: { lastFiredAt: now } }
+            );
+            return Boolean(claimed);
+        }
+        
+        describe(rule, count, analysis) {
+            return rule.threshold.count > 1
+                ? `${count} matching detections in the last ${rule.threshold.windowMinutes} minutes`
+                : `${analysis.riskLevel} risk detection on ${analysis.platform || 'unknown platform'} (score ${analysis.riskScore})`;
+        }
+        
+        toPayload(alert, analysis) {
+            return {
+                _id: alert._id,
+                ruleId: alert.ruleId,
+                ruleName: alert.ruleName,
+                severity: alert.severity,
+                status: alert.status,
+                message: alert.message,
+                matchCount: alert.matchCount,
+                occurrences: alert.occurrences,
+                firstTriggeredAt: alert.firstTriggeredAt,
+                lastTriggeredAt: alert.lastTriggeredAt,
+                analysis: analysis ? {
+                    _id: analysis._id,
+                    platform: analysis.platform,
+                    riskLevel: analysis.riskLevel,
+                    riskScore: analysis.riskScore,
+                    userId: analysis.userId,
+                    content: String(analysis.content || '').slice(0, 280)
+                } : undefined
+            };
+        }
+        
+        /**
+         * Deliver to every channel of the rule and log each attempt on the alert.
+         * Runs in the background; delivery failures are recorded, not thrown.
+         */
+        async dispatch(rule, alert, analysis) {
+            const notifiedAt = new Date();
+            const payload = { ...this.toPayload(alert, analysis), notifiedAt };
+            
+            const notifications = await Promise.all((rule.channels || []).map(async (channel) => {
+                const notification = { channel: channel.type, target: channel.target, sentAt: new Date() };
+                try {
+                    const deliver = this.channels[channel.type];
+                    if (!deliver) throw new Error(`Unknown alert channel: ${channel.type}`);
+                    await deliver(payload, channel.target);
+                } catch (error) {
+                    notification.error = error.message;
+                    logger.warn(`Alert ${alert._id} delivery via ${channel.type} failed: ${error.message}`);
+                }
+                return notification;
+            }));
+            
+            try {
+                await Alert.updateOne({ _id: alert._id }, {
+                    $set: { lastNotifiedAt: notifiedAt },
+                    $push: { notifications: { $each: notifications, $slice: -ALERT_MAX_NOTIFICATIONS } }
+                });
+            } catch (error) {
+                logger.error('Alert notification log failed:', error);
+            }
+            logger.info(`Alert fired: ${rule.name}`, { alertId: String(alert._id), channels: notifications.length });
+        }
+        
+        async postWebhook(payload, url) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ event: 'alert.fired', alert: payload }),
+                signal: AbortSignal.timeout(ALERT_DELIVERY_TIMEOUT_MS)
+            });
+            if (!response.ok) {
+                throw new Error(`Webhook responded with HTTP ${response.status}`);
+            }
+        }
+        
+        sendEmail(payload, recipients) {
+            const lines = [
+                `${payload.ruleName}: ${payload.message}`,
+                '',
+                `Severity: ${payload.severity}`,
+                `First triggered: ${new Date(payload.firstTriggeredAt).toISOString()}`,
+                `Occurrences: ${payload.occurrences}`
+            ];
+            if (payload.analysis) {
+                lines.push('', `Latest post (${payload.analysis.platform}, ${payload.analysis.riskLevel} ${payload.analysis.riskScore}):`, payload.analysis.content);
+            }
+            
+            return sendMail({
+                ...this.smtp,
+                to: String(recipients || '').split(',').map(address => address.trim()).filter(Boolean),
+                subject: `[${payload.severity.toUpperCase()}] ${payload.ruleName}`,
+                text: lines.join('\n'),
+                timeoutMs: ALERT_DELIVERY_TIMEOUT_MS
+            });
+        }
+    }
+    
+    const alertEngine = new AlertEngine();
+    if (MONGO_ENABLED) {
+        alertEngine.watch();
+    }
+    
+    /**
+     * Pushes events to webhook subscribers. publish() stores one delivery per
+     * matching subscription, and a poller on every worker claims due deliveries
+     * under a lease (as batch jobs are claimed) and posts them signed with the
+     * subscription's secret. Failed attempts are retried with exponential
+     * backoff; after WEBHOOK_MAX_ATTEMPTS a delivery is dead-lettered until
+     * someone replays it.
+     */
+    class WebhookDispatcher {
+        constructor() {
+            this.pollInterval = parseInt(process.env.WEBHOOK_POLL_MS, 10) || 2000;
+            this.leaseMs = WEBHOOK_TIMEOUT_MS * 3;
+            this.busy = false;
+        }
+        
+        start() {
+            setInterval(() => this.poll(), this.pollInterval);
+        }
+        
+        // Never throws: a webhook problem must not fail the request that raised the event
+        async publish(event, data, riskLevel) {
+            // Subscriptions live in MongoDB only
+            if (!MONGO_ENABLED) return;
+            
+            try {
+                const subscriptions = await WebhookSubscription.find({ active: true, events: event }).lean();
+                const deliveries = subscriptions
+                    .filter(subscription => this.meetsRiskLevel(riskLevel, subscription.minRiskLevel))
+                    .map(subscription => ({ subscriptionId: subscription._id, event, payload: data }));
+                
+                if (deliveries.length > 0) {
+                    await WebhookDelivery.insertMany(deliveries);
+                }
+            } catch (error) {
+                logger.error(`Webhook publish failed for ${event}:`, error);
+            }
+        }
+        
+        // RISK_LEVELS runs from most to least risky
+        meetsRiskLevel(level, minimum) {
+            const required = RISK_LEVELS.indexOf(minimum);
+            const rank = RISK_LEVELS.indexOf(level);
+            return required === -1 || (rank !== -1 && rank <= required);
+        }
+        
+        async poll() {
+            if (this.busy || mongoose.connection.readyState !== 1) return;
+            
+            this.busy = true;
+            try {
+                let delivery;
+                while ((delivery = await this.claim())) {
+                    await this.attempt(delivery);
+                }
+            } catch (error) {
+                logger.error('Webhook dispatcher error:', error);
+            } finally {
+                this.busy = false;
+            }
+        }
+        
+        claim() {
+            const now = new Date();
+            return WebhookDelivery.findOneAndUpdate(
+                { $or: [{ status: 'pending', nextAttemptAt: { $lte: now } }, { status: 'sending', leaseExpiresAt: { $lt: now } }] },
+                { $set: { status: 'sending', leaseOwner, leaseExpiresAt: new Date(now.getTime() + this.leaseMs) } },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            );
+        }
+        
+        /**
+         * Receivers verify X-Webhook-Signature by computing HMAC-SHA256 over
+         * "<X-Webhook-Timestamp>.<raw body>" with the subscription secret.
+         */
+        sign(secret, timestamp, body) {
+            return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        }
+        
+        async attempt(delivery) {
+            const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret').lean();
+            if (!subscription || !subscription.active) {
+                await this.record(delivery, { at: new Date(), error: subscription ? 'Subscription is disabled' : 'Subscription was deleted' }, true);
+                return;
+            }
+            
+            const startedAt = Date.now();
+            const timestamp = Math.floor(startedAt / 1000);
+            const body = JSON.stringify({ id: delivery._id, event: delivery.event, createdAt: delivery.createdAt, data: delivery.payload });
+            const entry = { at: new Date(startedAt) };
+            
+            try {
+                const response = await fetch(subscription.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Webhook-Id': String(delivery._id),
+                        'X-Webhook-Event': delivery.event,
+                        'X-Webhook-Timestamp': String(timestamp),
+                        'X-Webhook-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+                    },
+                    body,
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+                });
+                entry.statusCode = response.status;
+                if (!response.ok) {
+                    const text = await response.text().catch(() => '');
+                    entry.error = `HTTP ${response.status}${text ? `: ${text}` : ''}`.slice(0, WEBHOOK_MAX_LOGGED_TEXT);
+                }
+            } catch (error) {
+                entry.error = String(error.message).slice(0, WEBHOOK_MAX_LOGGED_TEXT);
+            }
+            
+            entry.durationMs = Date.now() - startedAt;
+            await this.record(delivery, entry);
+        }
+        
+        // Only applies while this worker still holds the lease
+        record(delivery, entry, giveUp = false) {
+            const attempts = delivery.attempts + 1;
+            const update = {
+                $set: { attempts },
+                $unset: { leaseOwner: 1, leaseExpiresAt: 1 },
+                $push: { attemptLog: { $each: [entry], $slice: -WEBHOOK_MAX_LOGGED_ATTEMPTS } }
+            };
+            
+            if (!entry.error) {
+                update.$set.status = 'delivered';
+                update.$set.deliveredAt = new Date();
+                update.$unset.lastError = 1;
+            } else if (giveUp || attempts >= WEBHOOK_MAX_ATTEMPTS) {
+                update.$set.status = 'dead';
+                update.$set.deadAt = new Date();
+                update.$set.lastError = entry.error;
+                logger.warn(`Webhook delivery ${delivery._id} dead-lettered after ${attempts} attempts: ${entry.error}`);
+            } else {
+                update.$set.status = 'pending';
+                update.$set.lastError = entry.error;
+                update.$set.nextAttemptAt = new Date(Date.now() + this.backoff(attempts));
+            }
+            
+            return WebhookDelivery.updateOne({ _id: delivery._id, status: 'sending', leaseOwner }, update);
+        }
+        
+        // Jittered by ±20% so deliveries that failed together do not all retry together
+        backoff(attempts) {
+            const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_MS);
+            return Math.round(delay * (0.8 + Math.random() * 0.4));
+        }
+        
+        // A replayed delivery starts a fresh round of attempts; its attempt log is kept
+        replay(deliveryId, username) {
+            const now = new Date();
+            return WebhookDelivery.findOneAndUpdate(
+                { _id: deliveryId, status: 'dead' },
+                { $set: { status: 'pending', attempts: 0, nextAttemptAt: now, replayedBy: username, replayedAt: now } },
+                { new: true, projection: { payload: 0 } }
+            );
+        }
+    }
+    
+    const webhookDispatcher = new WebhookDispatcher();
+    if (MONGO_ENABLED) {
+        webhookDispatcher.start();
+    }
+    
+    // Recompute and store an account's behaviour profile from its stored posts
+    const refreshAccountProfile = async (userId) => {
+        const account = await activityStore.findOne({ userId }, { select: { posts: { $slice: -ACCOUNT_PROFILE_MAX_POSTS } } });
+        if (!account) return null;
+        
+        const profile = profileAccount(account.posts);
+        const botProfile = {
+            score: profile.botLikelihood,
+            components: profile.components,
+            features: profile.features,
+            indicators: profile.indicators,
+            updatedAt: new Date()
+        };
+        await activityStore.updateOne({ _id: account._id }, { $set: { botProfile } });
+        return botProfile;
+    };
+    
+    // Persist an analysis, pull its near-duplicates into its cluster and fold it into the posting account's activity history
+    const saveAnalysis = async (analysis, metadata, submittedBy, batch) => {
+        const { clusterRetag, ...fields } = analysis;
+        const savedAnalysis = await analysisStore.create({ ...fields, userId: metadata.userId, submittedBy, batch });
+        
+        // Only now that the post exists do other posts join or merge into its cluster
+        if (clusterRetag && clusterRetag.length > 0) {
+            await analysisStore.updateMany({ $or: clusterRetag }, { $set: { duplicateCluster: savedAnalysis.duplicateCluster } });
+        }
+        
+        if (metadata.userId) {
+            const account = await activityStore.findOneAndUpdate(
+                { userId: metadata.userId },
+                {
+                    $push: {
+                        posts: {
+                            $each: [{
+                                content: analysis.content,
+                                timestamp: analysis.postedAt,
+                                platform: metadata.platform || 'unknown'
+                            }],
+                            $slice: -ACCOUNT_PROFILE_MAX_POSTS
+                        }
+                    },
+                    $inc: {
+                        'riskProfile.totalRiskScore': analysis.riskScore,
+                        'riskProfile.flaggedPosts': analysis.riskScore > 25 ? 1 : 0
+                    }
+                },
+                { upsert: true, select: { 'botProfile.updatedAt': 1 } }
+            );
+            
+            // Batches can add many posts per account in quick succession; profile at most once a minute
+            const updatedAt = account.botProfile && account.botProfile.updatedAt;
+            if (!updatedAt || Date.now() - new Date(updatedAt).getTime() > ACCOUNT_PROFILE_REFRESH_MS) {
+                await refreshAccountProfile(metadata.userId);
+            }
+        }
+        
+        await alertEngine.evaluate(savedAnalysis);
+        await webhookDispatcher.publish('analysis.created', realTimeHub.toDetection(savedAnalysis), savedAnalysis.riskLevel);
+        return savedAnalysis;
+    };
+    
+    /**
+     * Works through queued batch jobs in the background. Any worker may claim a
+     * job; the claim is a lease that is renewed after every chunk, so a job left
+     * behind by a crashed worker is picked up again once its lease expires.
+     */
+    class BatchQueue {
+        constructor(engine) {
+            this.engine = engine;
+            this.pollInterval = parseInt(process.env.BATCH_POLL_MS, 10) || 2000;
+            this.leaseMs = 60 * 1000;
+            this.chunkSize = 25;
+            this.maxErrors = 500;
+            this.busy = false;
+        }
+        
+        start() {
+            setInterval(() => this.poll(), this.pollInterval);
+        }
+        
+        async poll() {
+            if (this.busy || mongoose.connection.readyState !== 1) return;
+            
+            this.busy = true;
+            try {
+                let job;
+                while ((job = await this.claim())) {
+                    await this.process(job);
+                }
+            } catch (error) {
+                logger.error('Batch queue error:', error);
+            } finally {
+                this.busy = false;
+            }
+        }
+        
+        claim() {
+            const now = new Date();
+            return BatchJob.findOneAndUpdate(
+                { $or: [{ status: 'queued' }, { status: 'running', leaseExpiresAt: { $lt: now } }] },
+                { $set: { status: 'running', leaseOwner, leaseExpiresAt: new Date(now.getTime() + this.leaseMs) } },
+                { sort: { createdAt: 1 }, new: true }
+            );
+        }
+        
+        async process(job) {
+            if (!job.startedAt) {
+                await BatchJob.updateOne({ _id: job._id }, { $set: { startedAt: new Date() } });
+            }
+            logger.info(`Batch ${job._id} processing from item ${job.processed} of ${job.total}`);
+            
+            for (let index = job.processed; index < job.total; index += this.chunkSize) {
+                const chunk = await BatchItem.find({ batchId: job._id, position: { $gte: index, $lt: index + this.chunkSize } })
+                    .sort({ position: 1 })
+                    .lean();
+                
+                // A job resumed after a crash may have saved part of this chunk already
+                const saved = await analysisStore.find(
+                    { 'batch.id': job._id, 'batch.line': { $in: chunk.map(item => item.line) } },
+                    { select: 'batch.line riskLevel' }
+                );
+                const savedLevels = new Map(saved.map(analysis => [analysis.batch.line, analysis.riskLevel]));
+                
+                const increments = { processed: chunk.length, succeeded: 0, failed: 0 };
+                const errors = [];
+                
+                for (const item of chunk) {
+                    try {
+                        let riskLevel = savedLevels.get(item.line);
+                        if (!riskLevel) {
+                            const analysis = await this.engine.analyzeContent(item.content, item.metadata);
+                            await saveAnalysis(analysis, item.metadata, job.createdBy, { id: job._id, line: item.line });
+                            riskLevel = analysis.riskLevel;
+                        }
+                        increments.succeeded++;
+                        increments[`riskLevels.${riskLevel}`] = (increments[`riskLevels.${riskLevel}`] || 0) + 1;
+                    } catch (error) {
+                        increments.failed++;
+                        errors.push({ line: item.line, error: error.message });
+                    }
+                }
+                
+                const updated = await BatchJob.findOneAndUpdate(
+                    { _id: job._id, status: 'running', leaseOwner },
+                    {
+                        $inc: increments,
+                        $push: { itemErrors: { $each: errors, $slice: this.maxErrors } },
+                        $set: { leaseExpiresAt: new Date(Date.now() + this.leaseMs) }
+                    },
+                    { new: true }
+                );
+                
+                // Cancelled, or the lease was lost to another worker
+                if (!updated) return;
+                this.publishProgress(updated);
+                
+                // Let pending requests run between chunks
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            
+            const finished = await BatchJob.findOneAndUpdate(
+                { _id: job._id, status: 'running', leaseOwner },
+                { $set: { status: 'completed', completedAt: new Date() }, $unset: { leaseOwner: 1, leaseExpiresAt: 1 } },
+                { new: true }
+            );
+            
+            if (finished) {
+                // Items are no longer needed once every result is stored
+                await BatchItem.deleteMany({ batchId: job._id });
+                logger.info(`Batch ${job._id} completed`, { succeeded: finished.succeeded, failed: finished.failed });
+                this.publishProgress(finished);
+            }
+        }
+        
+        publishProgress(job) {
+            realTimeHub.publish({
+                type: 'batch_progress',
+                batch: {
+                    _id: job._id,
+                    status: job.status,
+                    total: job.total,
+                    processed: job.processed,
+                    succeeded: job.succeeded,
+                    failed: job.failed
+                }
+            });
+        }
+    }
+    
+    const batchQueue = new BatchQueue(detectionEngine);
+    if (MONGO_ENABLED) {
+        batchQueue.start();
+    }
+    
+    /**
+     * Runs ingestion connectors when they fall due. A run is claimed with a
+     * lease on the connector document, so one worker polls each source; the
+     * cursor is checkpointed after every chunk, and items already ingested are
+     * skipped by source id, so a run interrupted by a crash resumes cleanly.
+     */
+    class ConnectorRunner {
+        constructor(engine) {
+            this.engine = engine;
+            this.pollInterval = parseInt(process.env.CONNECTOR_POLL_MS, 10) || 15000;
+            this.leaseMs = 5 * 60 * 1000;
+            this.chunkSize = 25;
+            this.watchers = new Map();
+            this.busy = false;
+        }
+        
+        start() {
+            setInterval(() => this.poll(), this.pollInterval);
+        }
+        
+        get context() {
+            return {
+                fileRoot: CONNECTOR_FILE_ROOT,
+                parseFile: (data, fileName) => {
+                    const format = inferBatchFormat('', fileName);
+                    if (!format) throw new Error(`Unsupported file type: ${fileName}`);
+                    return parseBatchItems(data, format);
+                }
+            };
+        }
+        
+        async poll() {
+            if (this.busy || mongoose.connection.readyState !== 1) return;
+            
+            this.busy = true;
+            try {
+                await this.syncWatchers();
+                let connector;
+                while ((connector = await this.claim())) {
+                    await this.run(connector);
+                }
+            } catch (error) {
+                logger.error('Connector runner error:', error);
+            } finally {
+                this.busy = false;
+            }
+        }
+        
+        claim() {
+            const now = new Date();
+            return Connector.findOneAndUpdate(
+                { active: true, nextRunAt: { $lte: now }, $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }] },
+                { $set: { status: 'running', leaseOwner, leaseExpiresAt: new Date(now.getTime() + this.leaseMs) } },
+                { sort: { nextRunAt: 1 }, new: true }
+            );
+        }
+        
+        // Bring forward the next run of a connector, e.g. when files are dropped or an admin asks
+        async runSoon(connectorId) {
+            const connector = await Connector.findOneAndUpdate(
+                { _id: connectorId, active: true },
+                { $set: { nextRunAt: new Date() } },
+                { new: true }
+            );
+            if (connector) this.poll();
+            return connector;
+        }
+        
+        // Source types that can watch for changes (file drops) get a watcher on every worker
+        async syncWatchers() {
+            const connectors = await Connector.find({
+                active: true,
+                type: { $in: Object.keys(CONNECTOR_TYPES).filter(type => CONNECTOR_TYPES[type].watch) }
+            }).select('name type config').lean();
+            
+            const wanted = new Map(connectors.map(connector => [`${connector._id}:${JSON.stringify(connector.config)}`, connector]));
+            
+            for (const [key, watcher] of this.watchers) {
+                if (!wanted.has(key)) {
+                    if (watcher) watcher.close();
+                    this.watchers.delete(key);
+                }
+            }
+            
+            for (const [key, connector] of wanted) {
+                if (this.watchers.has(key)) continue;
+                try {
+                    this.watchers.set(key, CONNECTOR_TYPES[connector.type].watch(connector.config || {}, this.context, () => {
+                        this.runSoon(connector._id).catch(error => logger.error(`Connector ${connector.name} trigger failed:`, error));
+                    }));
+                } catch (error) {
+                    // Not retried until the configuration changes; scheduled runs still happen
+                    logger.warn(`Connector ${connector.name} cannot watch its directory: ${error.message}`);
+                    this.watchers.set(key, null);
+                }
+            }
+        }
+        
+        async run(connector) {
+            const adapter = CONNECTOR_TYPES[connector.type];
+            const run = { startedAt: new Date(), fetched: 0, ingested: 0, duplicates: 0, failed: 0, errors: [] };
+            const logError = (entry) => {
+                if (run.errors.length < CONNECTOR_MAX_LOGGED_ERRORS) run.errors.push(entry);
+            };
+            
+            let cursor = connector.cursor;
+            let more = false;
+            
+            try {
+                const result = await adapter.fetch(connector.config || {}, connector.cursor, this.context);
+                (result.errors || []).forEach(logError);
+                run.fetched = result.items.length;
+                
+                const fresh = await this.unseen(connector._id, result.items);
+                run.duplicates = result.items.length - fresh.length;
+                const selected = fresh.slice(0, CONNECTOR_MAX_ITEMS_PER_RUN);
+                more = fresh.length > selected.length;
+                
+                for (let index = 0; index < selected.length; index += this.chunkSize) {
+                    const chunk = selected.slice(index, index + this.chunkSize);
+                    
+                    for (const item of chunk) {
+                        try {
+                            await this.ingest(connector, item);
+                            run.ingested++;
+                        } catch (error) {
+                            run.failed++;
+                            logError({ sourceId: item.sourceId, error: error.message });
+                        }
+                    }
+                    
+                    const last = chunk[chunk.length - 1];
+                    if (last.cursor !== undefined) cursor = last.cursor;
+                    
+                    const renewed = await Connector.updateOne(
+                        { _id: connector._id, leaseOwner },
+                        { $set: { cursor, leaseExpiresAt: new Date(Date.now() + this.leaseMs) } }
+                    );
+                    // Deleted, or the lease was lost to another worker
+                    if (renewed.matchedCount === 0) return;
+                    
+                    await new Promise(resolve => setImmediate(resolve));
+                }
+                
+                // A run that stopped short only got as far as its last selected item
+                if (!more) {
+                    cursor = result.cursor;
+                }
+                if (result.commit) {
+                    await result.commit(more ? result.items.indexOf(selected[selected.length - 1]) + 1 : result.items.length);
+                }
+                
+                await this.finish(connector, run, { cursor, more });
+                logger.info(`Connector ${connector.name} ran`, { fetched: run.fetched, ingested: run.ingested, duplicates: run.duplicates, failed: run.failed });
+                
+            } catch (error) {
+                run.error = error.message;
+                await this.finish(connector, run, { cursor, failed: true });
+                logger.warn(`Connector ${connector.name} failed: ${error.message}`);
+            }
+        }
+        
+        // Items whose source ids have not been ingested yet, also dropping repeats within the fetch
+        async unseen(connectorId, items) {
+            const seen = new Set();
+            for (let index = 0; index < items.length; index += 1000) {
+                const sourceIds = items.slice(index, index + 1000).map(item => item.sourceId);
+                const stored = await ConnectorItem.find({ connectorId, sourceId: { $in: sourceIds } }).distinct('sourceId');
+                stored.forEach(sourceId => seen.add(sourceId));
+            }
+            
+            return items.filter(item => {
+                if (seen.has(item.sourceId)) return false;
+                seen.add(item.sourceId);
+                return true;
+            });
+        }
+        
+        async ingest(connector, item) {
+            // The source's publication time is the post time; without it the post counts as made on arrival
+            const metadata = { ...item.metadata };
+            if (item.publishedAt) metadata.timestamp = item.publishedAt;
+            const analysis = await this.engine.analyzeContent(item.content, metadata);
+            analysis.source = {
+                connectorId: connector._id,
+                connector: connector.name,
+                sourceId: item.sourceId,
+                url: item.url,
+                publishedAt: item.publishedAt
+            };
+            
+            const savedAnalysis = await saveAnalysis(analysis, metadata, `connector:${connector.name}`);
+            realTimeHub.publishDetection(savedAnalysis);
+            await ConnectorItem.create({ connectorId: connector._id, sourceId: item.sourceId, analysisId: savedAnalysis._id });
+        }
+        
+        // Failing connectors back off to at most eight times their interval
+        async finish(connector, run, { cursor, more = false, failed = false }) {
+            const now = new Date();
+            const failures = failed ? connector.consecutiveFailures + 1 : 0;
+            const delay = more ? 0 : connector.intervalMinutes * 60 * 1000 * 2 ** Math.min(failures, 3);
+            
+            const updated = await Connector.findOneAndUpdate(
+                { _id: connector._id, leaseOwner },
+                {
+                    $set: {
+                        cursor,
+                        status: failed ? 'failed' : 'succeeded',
+                        consecutiveFailures: failures,
+                        nextRunAt: new Date(now.getTime() + delay),
+                        lastRun: { ...run, finishedAt: now }
+                    },
+                    $inc: {
+                        'totals.runs': 1,
+                        'totals.ingested': run.ingested,
+                        'totals.duplicates': run.duplicates,
+                        'totals.failed': run.failed
+                    },
+                    $unset: { leaseOwner: 1, leaseExpiresAt: 1 }
+                },
+                { new: true }
+            );
+            
+            if (updated) {
+                realTimeHub.publish({
+                    type: 'connector_run',
+                    connector: { _id: updated._id, name: updated.name, status: updated.status, lastRun: updated.lastRun }
+                });
+            }
+        }
+    }
+    
+    const connectorRunner = new ConnectorRunner(detectionEngine);
+    if (MONGO_ENABLED) {
+        connectorRunner.start();
+    }
+    
+    /**
+     * Periodically clusters recent posts into coordinated campaigns. One worker
+     * per interval does the work (via a job lease) in a worker thread and stores
+     * the result, which every worker then serves from the database. Scheduled
+     * and on-demand runs also hold a lease for as long as they run, so two runs
+     * never replace each other's campaigns.
+     */
+    class CampaignDetector {
+        constructor() {
+            this.refreshInterval = parseInt(process.env.CAMPAIGN_REFRESH_MS, 10) || 5 * 60 * 1000;
+            this.windowMs = (parseFloat(process.env.CAMPAIGN_WINDOW_HOURS) || 72) * 60 * 60 * 1000;
+            this.maxPosts = parseInt(process.env.CAMPAIGN_MAX_POSTS, 10) || 20000;
+            this.options = {
+                similarityThreshold: 0.6,
+                hashtagWindowMs: 15 * 60 * 1000,
+                minSharedHashtags: 2,
+                syncWindowMs: 10 * 60 * 1000,
+                minAccounts: parseInt(process.env.CAMPAIGN_MIN_ACCOUNTS, 10) || 3,
+                maxMembers: 500,
+                maxCampaigns: 200
+            };
+            this.running = null;
+            // How long a run's lease lasts without renewal; renewed at a third of this while running
+            this.runLeaseMs = 2 * 60 * 1000;
+        }
+
+        schedule() {
+            setInterval(async () => {
+                if (mongoose.connection.readyState !== 1) return;
+
+                try {
+                    if (!await acquireLease('campaign-clustering', this.refreshInterval)) return;
+                    await this.run();
+                } catch (error) {
+                    // 409: an on-demand run is already doing this interval's work
+                    if (error.status !== 409) {
+                        logger.error('Campaign clustering failed:', error);
+                    }
+                }
+            }, this.refreshInterval);
+        }
+
+        // Concurrent callers in this process share the run already in progress
+        run() {
+            if (!this.running) {
+                this.running = this.runExclusively().finally(() => {
+                    this.running = null;
+                });
+            }
+            return this.running;
+        }
+
+        // Fails with 409 while another worker is clustering
+        async runExclusively() {
+            if (!await acquireLease('campaign-clustering:running', this.runLeaseMs)) {
+                throw Object.assign(new Error('Campaign clustering is already running'), { status: 409 });
+            }
+
+            const renewal = setInterval(() => {
+                acquireLease('campaign-clustering:running', this.runLeaseMs)
+                    .catch(error => logger.error('Campaign clustering lease renewal failed:', error));
+            }, this.runLeaseMs / 3);
+            try {
+                return await this.cluster();
+            } finally {
+                clearInterval(renewal);
+                await releaseLease('campaign-clustering:running')
+                    .catch(error => logger.error('Campaign clustering lease release failed:', error));
+            }
+        }
+
+        async cluster() {
+            const startedAt = new Date();
+            // Posts received within the window, so an imported archive is clustered too; the
+            // synchrony checks then compare the times the posts were made
+            const analyses = await analysisStore.find({
+                timestamp: { $gte: new Date(startedAt - this.windowMs) },
+                userId: { $nin: [null, ''] }
+            }, {
+                select: 'content userId hashtags timestamp postedAt riskScore platform',
+                sort: { timestamp: -1 },
+                limit: this.maxPosts
+            });
+
+            const posts = analyses.map(analysis => ({
+                id: String(analysis._id),
+                userId: analysis.userId,
+                content: analysis.content || '',
+                hashtags: analysis.hashtags || [],
+                timestamp: new Date(analysis.postedAt || analysis.timestamp).getTime(),
+                riskScore: analysis.riskScore,
+                platform: analysis.platform
+            }));
+
+            // The current campaigns, so the clusterer can carry their signatures over
+            const previous = (await Campaign.find().select('signature analysisIds').lean())
+                .map(campaign => ({ signature: campaign.signature, analysisIds: (campaign.analysisIds || []).map(String) }));
+
+            const campaigns = await new Promise((resolve, reject) => {
+                const worker = new Worker(path.join(__dirname, 'campaign-clusterer.js'), {
+                    workerData: { posts, previous, options: this.options }
+                });
+                worker.once('message', (result) => (result.error ? reject(new Error(result.error)) : resolve(result.campaigns)));
+                worker.once('error', reject);
+            });
+
+            if (campaigns.length > 0) {
+                const result = await Campaign.bulkWrite(campaigns.map(campaign => ({
+                    updateOne: {
+                        filter: { signature: campaign.signature },
+                        update: { $set: { ...campaign, updatedAt: startedAt }, $setOnInsert: { detectedAt: startedAt } },
+                        upsert: true
+                    }
+                })), { ordered: false });
+
+                // Upserts that inserted are campaigns this run found for the first time
+                for (const [index, id] of Object.entries(result.upsertedIds || {})) {
+                    const campaign = campaigns[index];
+                    await webhookDispatcher.publish(
+                        'campaign.detected',
+                        { _id: id, ...campaign, detectedAt: startedAt },
+                        detectionEngine.categorizeRisk(Math.round((campaign.scoreBreakdown.risk || 0) * 100))
+                    );
+                }
+            }
+            // Campaigns not seen in this run have dissolved or aged out of the window
+            await Campaign.deleteMany({ updatedAt: { $lt: startedAt } });
+
+            logger.info(`Campaign clustering complete: ${campaigns.length} campaigns from ${posts.length} posts`);
+            realTimeHub.publish({ type: 'campaigns_updated', count: campaigns.length });
+            return campaigns.length;
+        }
+    }
+
+    const campaignDetector = new CampaignDetector();
+    if (MONGO_ENABLED) {
+        campaignDetector.schedule();
+    }
+    
+    // API Routes
+    // Features whose data only MongoDB can hold answer 503 on the other storage backends
+    const MONGO_ONLY_ROUTES = [
+        '/api/lexicons', '/api/training', '/api/models', '/api/batches', '/api/campaigns', '/api/analyses/:id/promote',
+        '/api/alerts', '/api/alert-rules', '/api/webhooks', '/api/webhook-deliveries', '/api/connectors'
+    ];
+    if (!MONGO_ENABLED) {
+        app.use(MONGO_ONLY_ROUTES, (req, res) => {
+            res.status(503).json({ error: `Not available with the ${STORAGE_BACKEND} storage backend; this feature needs MongoDB` });
+        });
+    }
+    
+    app.post('/api/auth/login', loginLimiter, [
+        body('username', 'Username is required').isString().trim().notEmpty(),
+        body('password', 'Password is required').isString().notEmpty()
+    ], validate, async (req, res) => {
+        try {
+            const user = await authService.verifyCredentials(req.body.username, req.body.password);
+            if (!user) {
+                logger.warn(`Failed login attempt for ${req.body.username}`);
+                await auditTrail.record(req, 'auth.login_failed', { actor: req.body.username });
+                return res.status(401).json({ error: 'Invalid username or password' });
+            }
+            
+            await auditTrail.record(req, 'auth.login', { actor: user.username, target: { type: 'user', id: user._id } });
+            
+            user.lastLoginAt = new Date();
+            await userStore.updateOne({ _id: user._id }, { $set: { lastLoginAt: user.lastLoginAt } });
+            logger.info(`User logged in: ${user.username}`);
+            res.json({ success: true, ...await authService.startSession(user) });
+            
+        } catch (error) {
+            logger.error('Login API error:', error);
+            res.status(500).json({ error: 'Login failed' });
+        }
+    });
+    
+    app.post('/api/auth/refresh', [
+        body('refreshToken', 'Refresh token is required').isString().notEmpty()
+    ], validate, async (req, res) => {
+        try {
+            const session = await authService.refresh(req.body.refreshToken);
+            if (!session) {
+                return res.status(401).json({ error: 'Invalid refresh token' });
+            }
+            
+            res.json({ success: true, ...session });
+            
+        } catch (error) {
+            res.status(401).json({ error: 'Invalid refresh token' });
+        }
+    });
+    
+    // Ends the caller's session; { everywhere: true } ends all of the user's sessions
+    app.post('/api/auth/logout', authenticate, async (req, res) => {
+        try {
+            const everywhere = req.body.everywhere === true;
+            await auditTrail.record(req, 'auth.logout', { target: { type: 'user', id: req.user.sub }, details: { everywhere } });
+            if (everywhere) {
+                await authService.revokeSessions(req.user.sub);
+            } else {
+                await authService.endSession(req.user.sub, req.user.sid);
+            }
+            res.json({ success: true });
+        } catch (error) {
+            logger.error('Logout API error:', error);
+            res.status(500).json({ error: 'Logout failed' });
+        }
+    });
+    
+    app.get('/api/auth/me', authenticate, async (req, res) => {
+        try {
+            const user = await userStore.findById(req.user.sub);
+            if (!user || !user.active) {
+                return res.status(401).json({ error: 'Account not available' });
+            }
+            
+            res.json({ success: true, user: authService.toPublicUser(user) });
+            
+        } catch (error) {
+            logger.error('Profile API error:', error);
+            res.status(500).json({ error: 'Profile retrieval failed' });
+        }
+    });
+    
+    app.get('/api/users', requireRole('admin'), async (req, res) => {
+        try {
+            const users = await userStore.find({}, { sort: { username: 1 } });
+            res.json({ success: true, users: users.map(user => authService.toPublicUser(user)) });
+        } catch (error) {
+            logger.error('User list API error:', error);
+            res.status(500).json({ error: 'User retrieval failed' });
+        }
+    });
+    
+    app.post('/api/users', requireRole('admin'), [
+        body('username', 'Username must be 3-64 characters').isString().trim().isLength({ min: 3, max: 64 }),
+        body('password', 'Password must be at least 12 characters').isString().isLength({ min: 12 }),
+        body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+    ], validate, async (req, res) => {
+        try {
+            const username = req.body.username.toLowerCase();
+            if (await userStore.findOne({ username }, { select: '_id' })) {
+                return res.status(409).json({ error: 'Username already exists' });
+            }
+            
+            const id = new mongoose.Types.ObjectId();
+            const role = req.body.role || 'analyst';
+            await auditTrail.record(req, 'user.create', { target: { type: 'user', id }, details: { username, role } });
+            
+            const user = await userStore.create({
+                _id: id,
+                username,
+                passwordHash: await authService.hashPassword(req.body.password),
+                role
+            });
+            logger.info(`User created: ${user.username} (${user.role}) by ${req.user.username}`);
+            res.status(201).json({ success: true, user: authService.toPublicUser(user) });
+            
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'Username already exists' });
+            }
+            logger.error('User creation API error:', error);
+            res.status(500).json({ error: 'User creation failed' });
+        }
+    });
+    
+    app.patch('/api/users/:id', requireRole('admin'), [
+        body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+        body('active').optional().isBoolean().withMessage('Active must be a boolean'),
+        body('password', 'Password must be at least 12 characters').optional().isString().isLength({ min: 12 })
+    ], validate, async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) && await userStore.findById(req.params.id, { select: 'username' });
+            if (!existing) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            
+            const changes = {};
+            if (req.body.role !== undefined) changes.role = req.body.role;
+            if (req.body.active !== undefined) changes.active = req.body.active;
+            if (req.body.password !== undefined) {
+                changes.passwordHash = await authService.hashPassword(req.body.password);
+            }
+            
+            await auditTrail.record(req, 'user.update', {
+                target: { type: 'user', id: existing._id },
+                details: {
+                    username: existing.username,
+                    role: req.body.role,
+                    active: req.body.active,
+                    passwordChanged: req.body.password !== undefined
+                }
+            });
+            
+            // Any account change ends the user's sessions, access tokens included
+            const user = await userStore.findOneAndUpdate(
+                { _id: existing._id },
+                { $set: changes, $inc: { tokenVersion: 1 } }
+            );
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            authService.forgetSession(user._id);
+            logger.info(`User updated: ${user.username} by ${req.user.username}`);
+            res.json({ success: true, user: authService.toPublicUser(user) });
+            
+        } catch (error) {
+            logger.error('User update API error:', error);
+            res.status(500).json({ error: 'User update failed' });
+        }
+    });
+    
+    // Audit trail, newest first. action takes a comma list; a bare prefix such as "lexicon" matches all its actions
+    app.get('/api/audit', requireRole('admin'), async (req, res) => {
+        try {
+            const filter = {};
+            if (req.query.actor) filter.actor = String(req.query.actor);
+            if (req.query.targetType) filter.targetType = String(req.query.targetType);
+            if (req.query.targetId) filter.targetId = String(req.query.targetId);
+            
+            const actions = queryList(req.query.action);
+            if (actions.length > 0) {
+                filter.$or = actions.map(action => (action.includes('.')
+                    ? { action }
+                    : { action: { $regex: `^${escapeRegExp(action)}\\.` } }));
+            }
+            
+            const from = req.query.from ? new Date(req.query.from) : null;
+            const to = req.query.to ? new Date(req.query.to) : null;
+            if ((from && isNaN(from)) || (to && isNaN(to))) {
+                return res.status(400).json({ error: 'from and to must be dates' });
+            }
+            if (from || to) {
+                filter.at = {};
+                if (from) filter.at.$gte = from;
+                if (to) filter.at.$lte = to;
+            }
+            
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+            const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+            
+            const [entries, total] = await Promise.all([
+                auditStore.find(filter, { sort: { seq: -1 }, skip: (page - 1) * limit, limit }),
+                auditStore.count(filter)
+            ]);
+            
+            res.json({ success: true, entries, total, page, limit, hasMore: page * limit < total });
+            
+        } catch (error) {
+            logger.error('Audit log API error:', error);
+            res.status(500).json({ error: 'Audit log retrieval failed' });
+        }
+    });
+    
+    // Recomputes every hash; the returned head is what to keep somewhere the database's owners cannot edit
+    app.get('/api/audit/verify', requireRole('admin'), async (req, res) => {
+        try {
+            const result = await auditTrail.verify();
+            if (!result.valid) {
+                logger.warn(`Audit trail verification failed at entry ${result.brokenAt.seq}: ${result.brokenAt.problem}`);
+            }
+            res.json({ success: true, ...result });
+            
+        } catch (error) {
+            logger.error('Audit verification API error:', error);
+            res.status(500).json({ error: 'Audit verification failed' });
+        }
+    });
+    
+    // Submissions being analysed on this worker by idempotency key, so a resend waits for the first
+    const pendingSubmissions = new Map();
+    
+    const findSubmission = (idempotencyKey) => analysisStore.findOne({ idempotencyKey });
+    
+    // Analyse and store one submission; a key seen before returns the stored analysis instead
+    const submitAnalysis = async (req, content, metadata, idempotencyKey) => {
+        if (idempotencyKey) {
+            const previous = await findSubmission(idempotencyKey);
+            if (previous) return { duplicate: true, analysis: previous };
+        }
+        
+        const analysis = await detectionEngine.analyzeContent(content, metadata);
+        const id = new mongoose.Types.ObjectId();
+        await auditTrail.record(req, 'analysis.submit', {
+            target: { type: 'analysis', id },
+            details: { platform: analysis.platform, riskLevel: analysis.riskLevel, riskScore: analysis.riskScore }
+        });
+        
+        // Save to database
+        let savedAnalysis;
+        try {
+            savedAnalysis = await saveAnalysis({ ...analysis, _id: id, idempotencyKey }, metadata, req.user.username);
+        } catch (error) {
+            // Another worker stored the same submission first
+            const previous = error.code === 11000 && idempotencyKey ? await findSubmission(idempotencyKey) : null;
+            if (!previous) throw error;
+            return { duplicate: true, analysis: previous };
+        }
+        realTimeHub.publishDetection(savedAnalysis);
+        
+        logger.info(`Content analyzed - Risk Level: ${analysis.riskLevel}`, {
+            riskScore: analysis.riskScore,
+            platform: metadata.platform
+        });
+        
+        // The similarity signature is only for lookups, and the cluster re-tagging is done
+        const { similarity, clusterRetag, ...result } = analysis;
+        return { duplicate: false, analysis: { ...result, _id: savedAnalysis._id, review: savedAnalysis.review } };
+    };
+    
+    app.post('/api/analyze', requireRole('analyst'), async (req, res) => {
+        try {
+            const { content, metadata = {} } = req.body;
+            
+            if (!content || content.trim().length === 0) {
+                return res.status(400).json({
+                    error: 'Content is required for analysis'
+                });
+            }
+            
+            // Clients that may send twice (the dashboard's offline outbox) pass a key; a repeat gets the first result
+            const key = req.get('Idempotency-Key');
+            if (key !== undefined && !/^[\w-]{8,128}$/.test(key)) {
+                return res.status(400).json({ error: 'Idempotency-Key must be 8 to 128 letters, digits, _ or -' });
+            }
+            const idempotencyKey = key && `${req.user.username}:${key}`;
+            
+            const pending = idempotencyKey && pendingSubmissions.get(idempotencyKey);
+            if (pending) {
+                const first = await pending;
+                return res.json({ success: true, duplicate: true, analysis: first.analysis });
+            }
+            
+            const submission = submitAnalysis(req, content, metadata, idempotencyKey);
+            if (idempotencyKey) {
+                pendingSubmissions.set(idempotencyKey, submission);
+                submission.catch(() => {}).finally(() => pendingSubmissions.delete(idempotencyKey));
+            }
+            
+            const { duplicate, analysis } = await submission;
+            res.json(duplicate ? { success: true, duplicate, analysis } : { success: true, analysis });
+            
+        } catch (error) {
+            logger.error('Analysis API error:', error);
+            res.status(500).json({
+                error: 'Analysis failed',
+                details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    });
+    
+    const BATCH_FORMATS = ['csv', 'tsv', 'json', 'jsonl', 'txt'];
+    const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 10000;
+    // Header names recognised for each item field when no column mapping is given
+    const BATCH_COLUMN_ALIASES = {
+        content: ['content', 'text', 'message', 'post', 'tweet'],
+        platform: ['platform', 'source'],
+        userId: ['userid', 'user_id', 'user', 'author'],
+        hashtags: ['hashtags', 'tags'],
+        timestamp: ['timestamp', 'date', 'created_at', 'time']
+    };
+    
+    const splitHashtags = (value) => (Array.isArray(value) ? value : String(value).split(/[\s,;]+/))
+        .map(tag => String(tag).trim())
+        .filter(Boolean);
+    
+    // Normalise one uploaded record to { line, content, metadata }, or { line, error }
+    const toBatchItem = (row, line) => {
+        if (!row || typeof row !== 'object') {
+            return { line, error: 'Item must be an object' };
+        }
+        
+        const content = [row.content, row.text, row.message].find(value => typeof value === 'string' && value.trim());
+        if (!content) {
+            return { line, error: 'Missing content' };
+        }
+        
+        const metadata = row.metadata && typeof row.metadata === 'object' ? { ...row.metadata } : {};
+        ['platform', 'userId', 'timestamp'].forEach(field => {
+            if (row[field] !== undefined && row[field] !== '') metadata[field] = String(row[field]);
+        });
+        if (row.hashtags) metadata.hashtags = row.hashtags;
+        if (metadata.hashtags) metadata.hashtags = splitHashtags(metadata.hashtags);
+        
+        return { line, content: content.trim(), metadata };
+    };
+    
+    /**
+     * Turn an uploaded file into batch items. CSV/TSV columns come from the
+     * explicit `columns` mapping ({ content: 'Tweet', ... }) or from the header names.
+     */
+    const parseBatchItems = (data, format, { delimiter, columns } = {}) => {
+        if (format === 'json') {
+            const parsed = JSON.parse(data);
+            return (Array.isArray(parsed) ? parsed : [parsed]).map((row, index) => toBatchItem(row, index + 1));
+        }
+        
+        if (format === 'jsonl') {
+            return data.split(/\r?\n/)
+                .map((line, index) => ({ line, number: index + 1 }))
+                .filter(({ line }) => line.trim())
+                .map(({ line, number }) => {
+                    try {
+                        return toBatchItem(JSON.parse(line), number);
+                    } catch (error) {
+                        return { line: number, error: 'Invalid JSON' };
+                    }
+                });
+        }
+        
+        if (format === 'txt') {
+            return data.split(/\r?\n/)
+                .map((line, index) => ({ line: index + 1, content: line.trim(), metadata: {} }))
+                .filter(item => item.content);
+        }
+        
+        const [header, ...records] = parseCsv(data, delimiter || (format === 'tsv' ? '\t' : ','));
+        const headerNames = header ? header.fields.map(column => column.trim()) : [];
+        // With an explicit mapping, fields left out of it are not imported
+        const mapping = columns || suggestBatchColumns(headerNames);
+        const fieldIndexes = {};
+        Object.keys(BATCH_COLUMN_ALIASES).forEach(field => {
+            const index = mapping[field] === undefined ? -1 : headerNames.indexOf(mapping[field]);
+            if (index !== -1) fieldIndexes[field] = index;
+        });
+        
+        if (fieldIndexes.content === undefined) {
+            throw new Error(columns
+                ? `Content column not found: ${columns.content || '(none selected)'}`
+                : 'CSV header must include a content (or text/message) column');
+        }
+        
+        return records.map(record => {
+            const row = {};
+            Object.entries(fieldIndexes).forEach(([field, columnIndex]) => {
+                row[field] = record.fields[columnIndex];
+            });
+            return toBatchItem(row, record.line);
+        });
+    };
+    
+    // The header column each batch item field is read from when no mapping is given
+    const suggestBatchColumns = (headerNames) => {
+        const columns = {};
+        Object.entries(BATCH_COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const column = headerNames.find(name => aliases.includes(name.toLowerCase()));
+            if (column !== undefined) columns[field] = column;
+        });
+        return columns;
+    };
+    
+    const inferBatchFormat = (contentType, fileName) => {
+        const extension = path.extname(fileName || '').slice(1).toLowerCase();
+        if (BATCH_FORMATS.includes(extension)) return extension;
+        if (/tab-separated/.test(contentType)) return 'tsv';
+        if (/csv/.test(contentType)) return 'csv';
+        if (/ndjson|jsonl/.test(contentType)) return 'jsonl';
+        if (/text\/plain/.test(contentType)) return 'txt';
+        return null;
+    };
+    
+    // Analysts see their own batches; reviewers and admins see everyone's
+    const canAccessBatch = (user, job) => job.createdBy === user.username || authService.hasRole(user.role, 'reviewer');
+    
+    // Rows a column-mapping preview returns
+    const BATCH_PREVIEW_ROWS = 5;
+    
+    // Header, suggested mapping and first rows of a CSV/TSV upload, parsed exactly as the batch will be
+    app.post('/api/batches/preview', requireRole('analyst'), datasetBodyParser, (req, res) => {
+        try {
+            const isText = typeof req.body === 'string';
+            const options = isText ? req.query : req.body;
+            const data = isText ? req.body : req.body.data;
+            const format = String(options.format || 'csv').toLowerCase();
+            
+            if (typeof data !== 'string' || data.trim().length === 0) {
+                return res.status(400).json({ error: 'Upload is empty' });
+            }
+            if (format !== 'csv' && format !== 'tsv') {
+                return res.status(400).json({ error: 'Only CSV and TSV uploads have a column mapping' });
+            }
+            
+            const delimiter = typeof options.delimiter === 'string' && options.delimiter.length === 1
+                ? options.delimiter
+                : (format === 'tsv' ? '\t' : detectCsvDelimiter(data));
+            const [header, ...records] = parseCsv(data, delimiter);
+            const headers = header ? header.fields.map(column => column.trim()) : [];
+            
+            res.json({
+                success: true,
+                delimiter,
+                headers,
+                suggested: suggestBatchColumns(headers),
+                rows: records.slice(0, BATCH_PREVIEW_ROWS),
+                total: records.length
+            });
+            
+        } catch (error) {
+            logger.error('Batch preview API error:', error);
+            res.status(500).json({ error: 'Batch preview failed' });
+        }
+    });
+    
+    app.post('/api/batches', requireRole('analyst'), datasetBodyParser, async (req, res) => {
+        try {
+            const isText = typeof req.body === 'string';
+            const options = isText ? req.query : req.body;
+            const fileName = options.fileName ? String(options.fileName).slice(0, 255) : undefined;
+            let format;
+            let items;
+            
+            if (!isText && Array.isArray(req.body.items)) {
+                // Records already parsed and mapped by the client
+                format = 'json';
+                items = req.body.items.map((row, index) => toBatchItem(row, index + 1));
+            } else {
+                const data = isText ? req.body : req.body.data;
+                format = String(options.format || inferBatchFormat(req.headers['content-type'] || '', fileName) || '').toLowerCase();
+                
+                if (typeof data !== 'string' || data.trim().length === 0) {
+                    return res.status(400).json({ error: 'Upload is empty' });
+                }
+                if (!BATCH_FORMATS.includes(format)) {
+                    return res.status(400).json({ error: `Format must be one of: ${BATCH_FORMATS.join(', ')}` });
+                }
+                
+                try {
+                    items = parseBatchItems(data, format, {
+                        delimiter: typeof options.delimiter === 'string' && options.delimiter.length === 1 ? options.delimiter : undefined,
+                        columns: options.columns && typeof options.columns === 'object' ? options.columns : undefined
+                    });
+                } catch (error) {
+                    return res.status(400).json({ error: `Could not parse ${format.toUpperCase()}: ${error.message}` });
+                }
+            }
+            
+            const validItems = items.filter(item => !item.error);
+            const itemErrors = items.filter(item => item.error);
+            
+            if (validItems.length === 0) {
+                return res.status(400).json({ error: 'No analysable items found', itemErrors: itemErrors.slice(0, 50) });
+            }
+            if (validItems.length > BATCH_MAX_ITEMS) {
+                return res.status(413).json({ error: `Batches are limited to ${BATCH_MAX_ITEMS} items` });
+            }
+            
+            // Items are stored before the job exists, so the queue never claims a job with items missing
+            const batchId = new mongoose.Types.ObjectId();
+            await auditTrail.record(req, 'batch.submit', {
+                target: { type: 'batch', id: batchId },
+                details: { fileName, format, items: validItems.length, rejected: itemErrors.length }
+            });
+            
+            let job;
+            try {
+                await BatchItem.insertMany(validItems.map((item, position) => ({
+                    batchId,
+                    position,
+                    line: item.line,
+                    content: item.content,
+                    metadata: item.metadata
+                })));
+                job = await BatchJob.create({
+                    _id: batchId,
+                    fileName,
+                    format,
+                    total: validItems.length,
+                    itemErrors: itemErrors.slice(0, 500),
+                    createdBy: req.user.username
+                });
+            } catch (error) {
+                await BatchItem.deleteMany({ batchId }).catch(() => {});
+                throw error;
+            }
+            
+            logger.info(`Batch queued by ${req.user.username}`, { batchId: job._id, items: job.total, rejected: itemErrors.length });
+            
+            res.status(202).json({
+                success: true,
+                batch: job,
+                rejectedCount: itemErrors.length
+            });
+            
+        } catch (error) {
+            logger.error('Batch create API error:', error);
+            res.status(500).json({ error: 'Batch creation failed' });
+        }
+    });
+    
+    app.get('/api/batches', requireRole('analyst'), async (req, res) => {
+        try {
+            const filter = authService.hasRole(req.user.role, 'reviewer') ? {} : { createdBy: req.user.username };
+            const batches = await BatchJob.find(filter)
+                .select('-itemErrors')
+                .sort({ createdAt: -1 })
+                .limit(Math.min(parseInt(req.query.limit, 10) || 20, 100));
+            
+            res.json({ success: true, batches });
+            
+        } catch (error) {
+            logger.error('Batch list API error:', error);
+            res.status(500).json({ error: 'Batch retrieval failed' });
+        }
+    });
+    
+    app.get('/api/batches/:id', requireRole('analyst'), async (req, res) => {
+        try {
+            const job = mongoose.isValidObjectId(req.params.id) &&
+                await BatchJob.findById(req.params.id);
+            if (!job || !canAccessBatch(req.user, job)) {
+                return res.status(404).json({ error: 'Batch not found' });
+            }
+            
+            res.json({
+                success: true,
+                batch: job,
+                progress: job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100
+            });
+            
+        } catch (error) {
+            logger.error('Batch status API error:', error);
+            res.status(500).json({ error: 'Batch retrieval failed' });
+        }
+    });
+    
+    // Results so far, highest risk first; available while the batch is still running
+    app.get('/api/batches/:id/results', requireRole('analyst'), async (req, res) => {
+        try {
+            const job = mongoose.isValidObjectId(req.params.id) &&
+                await BatchJob.findById(req.params.id).select('createdBy');
+            if (!job || !canAccessBatch(req.user, job)) {
+                return res.status(404).json({ error: 'Batch not found' });
+            }
+            
+            const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+            const filter = { 'batch.id': job._id };
+            if (req.query.riskLevel) filter.riskLevel = String(req.query.riskLevel).toUpperCase();
+            
+            const [results, total] = await Promise.all([
+                analysisStore.find(filter, {
+                    select: '-reviewHistory',
+                    sort: { riskScore: -1, 'batch.line': 1 },
+                    skip: (page - 1) * limit,
+                    limit
+                }),
+                analysisStore.count(filter)
+            ]);
+            
+            res.json({ success: true, results, total, page, limit });
+            
+        } catch (error) {
+            logger.error('Batch results API error:', error);
+            res.status(500).json({ error: 'Batch results retrieval failed' });
+        }
+    });
+    
+    app.delete('/api/batches/:id', requireRole('analyst'), async (req, res) => {
+        try {
+            const job = mongoose.isValidObjectId(req.params.id) &&
+                await BatchJob.findById(req.params.id).select('createdBy status');
+            if (!job || !canAccessBatch(req.user, job)) {
+                return res.status(404).json({ error: 'Batch not found' });
+            }
+            if (!['queued', 'running'].includes(job.status)) {
+                return res.status(409).json({ error: `Batch is already ${job.status}` });
+            }
+            
+            await auditTrail.record(req, 'batch.cancel', { target: { type: 'batch', id: job._id } });
+            const cancelled = await BatchJob.findOneAndUpdate(
+                { _id: job._id, status: { $in: ['queued', 'running'] } },
+                { $set: { status: 'cancelled', completedAt: new Date() } },
+                { new: true }
+            );
+            if (!cancelled) {
+                return res.status(409).json({ error: `Batch is already ${job.status}` });
+            }
+            await BatchItem.deleteMany({ batchId: job._id });
+            
+            logger.info(`Batch ${job._id} cancelled by ${req.user.username}`);
+            batchQueue.publishProgress(cancelled);
+            res.json({ success: true, batch: cancelled });
+            
+        } catch (error) {
+            logger.error('Batch cancel API error:', error);
+            res.status(500).json({ error: 'Batch cancellation failed' });
+        }
+    });
+    
+    // Dashboard timeframes and the time-series bucket size each one defaults to
+    const DASHBOARD_TIMEFRAMES = {
+        '1h': { durationMs: 60 * 60 * 1000, interval: 'minute' },
+        '24h': { durationMs: 24 * 60 * 60 * 1000, interval: 'hour' },
+        '7d': { durationMs: 7 * 24 * 60 * 60 * 1000, interval: 'day' }
+    };
+    const TIMESERIES_INTERVALS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+    const RISK_LEVELS = ['HIGH', 'MEDIUM', 'LOW', 'MINIMAL'];
+    // Keeps a fine interval over a long timeframe from producing thousands of points
+    const MAX_TIMESERIES_BUCKETS = 1000;
+    
+    // Unknown timeframes mean "all time", as before; own keys only, so constructor and the like are unknown
+    const dashboardTimeFilter = (timeframe, now = new Date(), field = 'timestamp') => (Object.hasOwn(DASHBOARD_TIMEFRAMES, timeframe)
+        ? { [field]: { $gte: new Date(now - DASHBOARD_TIMEFRAMES[timeframe].durationMs) } }
+        : {});
+    
+    app.get('/api/dashboard', requireRole('analyst'), async (req, res) => {
+        try {
+            const { timeframe = '24h', platform = 'all', reviewStatus = 'all' } = req.query;
+            
+            const timeFilter = dashboardTimeFilter(timeframe);
+            
             let platformFilter = platform === 'all' ? {} : { platform: platform };
             
-            const filter = { ...timeFilter, ...platformFilter };
+            const filter = { ...timeFilter, ...platformFilter };
+            
+            // The triage queue can be narrowed by review state without affecting the counters
+            const queueFilter = REVIEW_STATUSES.includes(reviewStatus)
+                ? { ...filter, 'review.status': reviewStatus === 'pending' ? { $in: ['pending', null] } : reviewStatus }
+                : filter;
+            
+            const [summary, recentAnalyses] = await Promise.all([
+                dashboardSummary(analysisStore, filter),
+                analysisStore.find(queueFilter, {
+                    select: 'content riskLevel riskScore flags timestamp platform explanation userId review',
+                    sort: { timestamp: -1 },
+                    limit: 10
+                })
+            ]);
+            
+            res.json({
+                success: true,
+                dashboard: {
+                    summary,
+                    platformStats: await platformStats(analysisStore, timeFilter),
+                    recentAnalyses,
+                    timeframe,
+                    platform,
+                    reviewStatus
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Dashboard API error:', error);
+            res.status(500).json({
+                error: 'Dashboard data retrieval failed'
+            });
+        }
+    });
+    
+    /**
+     * Detection counts per risk level in fixed time buckets, zero-filled so charts
+     * get a continuous series, plus average risk per platform over the same window.
+     */
+    app.get('/api/dashboard/timeseries', requireRole('analyst'), async (req, res) => {
+        try {
+            const timeframe = String(req.query.timeframe || '24h');
+            const platform = String(req.query.platform || 'all');
+            const interval = String(req.query.interval ||
+                (Object.hasOwn(DASHBOARD_TIMEFRAMES, timeframe) ? DASHBOARD_TIMEFRAMES[timeframe].interval : 'day'));
+            
+            if (!Object.hasOwn(TIMESERIES_INTERVALS, interval)) {
+                return res.status(400).json({ error: `Interval must be one of: ${Object.keys(TIMESERIES_INTERVALS).join(', ')}` });
+            }
+            const bucketMs = TIMESERIES_INTERVALS[interval];
+            
+            // Trends follow when posts were made, so an imported archive lands in the buckets it belongs to
+            const now = new Date();
+            const timeFilter = dashboardTimeFilter(timeframe, now, 'postedAt');
+            const filter = platform === 'all' ? timeFilter : { ...timeFilter, platform };
+            
+            const [counts, platforms] = await Promise.all([
+                riskCountsByBucket(analysisStore, filter, bucketMs),
+                platformStats(analysisStore, timeFilter)
+            ]);
+            
+            const end = now.getTime() - (now.getTime() % bucketMs);
+            const earliest = counts.reduce((min, item) => Math.min(min, item._id.bucket), end);
+            const start = timeFilter.postedAt
+                ? timeFilter.postedAt.$gte.getTime() - (timeFilter.postedAt.$gte.getTime() % bucketMs)
+                : earliest;
+            
+            if ((end - start) / bucketMs >= MAX_TIMESERIES_BUCKETS) {
+                return res.status(400).json({ error: `Too many ${interval} buckets for this timeframe; choose a coarser interval` });
+            }
+            
+            const buckets = new Map();
+            for (let time = start; time <= end; time += bucketMs) {
+                buckets.set(time, { start: new Date(time), total: 0, ...Object.fromEntries(RISK_LEVELS.map(level => [level, 0])) });
+            }
+            counts.forEach(({ _id, count }) => {
+                const bucket = buckets.get(_id.bucket);
+                if (!bucket) return;
+                const level = RISK_LEVELS.includes(_id.riskLevel) ? _id.riskLevel : 'MINIMAL';
+                bucket[level] += count;
+                bucket.total += count;
+            });
+            
+            res.json({
+                success: true,
+                timeframe,
+                platform,
+                interval,
+                series: [...buckets.values()],
+                platforms: platforms.map(stat => ({
+                    platform: stat._id || 'unknown',
+                    count: stat.count,
+                    avgRisk: Math.round((stat.avgRisk || 0) * 10) / 10
+                }))
+            });
+            
+        } catch (error) {
+            logger.error('Timeseries API error:', error);
+            res.status(500).json({ error: 'Timeseries retrieval failed' });
+        }
+    });
+    
+    // Verdicts that map directly onto a classifier label
+    const VERDICT_LABELS = { confirmed: 'anti-india', false_positive: 'neutral' };
+    
+    /**
+     * Queue an analysis as a pending labelled example. A conflicting label on an
+     * existing example sends it back to the queue for a reviewer to settle.
+     */
+    const enqueueFeedback = async (analysis, label, username, source) => {
+        const textHash = contentHash(analysis.content);
+        const existing = await TrainingExample.findOne({ textHash });
+        
+        if (existing && existing.status === 'approved' && existing.label === label) {
+            return { example: existing, queued: false };
+        }
+        
+        const example = await TrainingExample.findOneAndUpdate(
+            { textHash },
+            {
+                $set: {
+                    label,
+                    status: 'pending',
+                    source,
+                    analysisId: analysis._id,
+                    previousLabel: existing && existing.status === 'approved' ? existing.label : undefined,
+                    updatedAt: new Date()
+                },
+                $setOnInsert: { text: analysis.content, createdBy: username, createdAt: new Date() }
+            },
+            { upsert: true, new: true }
+        );
+        
+        return { example, queued: true };
+    };
+    
+    app.patch('/api/analyses/:id/review', requireRole('reviewer'), [
+        body('status').isIn(REVIEW_STATUSES.filter(status => status !== 'pending'))
+            .withMessage('Status must be one of: confirmed, false_positive, escalated, resolved'),
+        body('note', 'Note must be at most 2000 characters').optional().isString().isLength({ max: 2000 })
+    ], validate, async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) &&
+                await analysisStore.findById(req.params.id, { select: '_id' });
+            if (!existing) {
+                return res.status(404).json({ error: 'Analysis not found' });
+            }
+            
+            const review = {
+                status: req.body.status,
+                reviewer: req.user.username,
+                note: (req.body.note || '').trim(),
+                reviewedAt: new Date()
+            };
+            
+            await auditTrail.record(req, 'analysis.review', {
+                target: { type: 'analysis', id: existing._id },
+                details: { status: review.status, note: review.note }
+            });
+            const analysis = await analysisStore.findOneAndUpdate(
+                { _id: req.params.id },
+                {
+                    $set: { review, resolved: CLOSED_REVIEW_STATUSES.includes(review.status) },
+                    $push: { reviewHistory: review }
+                }
+            );
+            
+            if (!analysis) {
+                return res.status(404).json({ error: 'Analysis not found' });
+            }
+            
+            logger.info(`Detection reviewed - ${review.status}`, {
+                analysisId: req.params.id,
+                reviewer: review.reviewer
+            });
+            
+            // The training queue lives in MongoDB only
+            if (VERDICT_LABELS[review.status] && MONGO_ENABLED) {
+                try {
+                    await enqueueFeedback(analysis, VERDICT_LABELS[review.status], review.reviewer, 'review');
+                } catch (error) {
+                    logger.error('Feedback queue error:', error);
+                }
+            }
+            
+            realTimeHub.publish({
+                type: 'detection_reviewed',
+                detection: realTimeHub.toDetection(analysis)
+            });
+            await webhookDispatcher.publish('analysis.reviewed', realTimeHub.toDetection(analysis), analysis.riskLevel);
+            
+            res.json({
+                success: true,
+                analysis
+            });
+            
+        } catch (error) {
+            logger.error('Review API error:', error);
+            res.status(500).json({
+                error: 'Review update failed'
+            });
+        }
+    });
+    
+    app.post('/api/analyses/:id/promote', requireRole('reviewer'), [
+        body('label', `Label must be one of: ${CLASSIFIER_LABELS.join(', ')}`).optional().isIn(CLASSIFIER_LABELS)
+    ], validate, async (req, res) => {
+        try {
+            const analysis = mongoose.isValidObjectId(req.params.id) && await analysisStore.findById(req.params.id);
+            if (!analysis) {
+                return res.status(404).json({ error: 'Analysis not found' });
+            }
+            
+            const label = req.body.label || VERDICT_LABELS[analysis.review && analysis.review.status];
+            if (!label) {
+                return res.status(400).json({
+                    error: 'Choose a label, or review the detection as confirmed or false positive first'
+                });
+            }
+            
+            await auditTrail.record(req, 'analysis.promote', {
+                target: { type: 'analysis', id: analysis._id },
+                details: { label }
+            });
+            const { example, queued } = await enqueueFeedback(analysis, label, req.user.username, 'promotion');
+            
+            logger.info(`Analysis promoted to training data - ${label}`, {
+                analysisId: req.params.id,
+                user: req.user.username
+            });
+            
+            res.status(queued ? 201 : 200).json({ success: true, queued, example });
+            
+        } catch (error) {
+            logger.error('Promote API error:', error);
+            res.status(500).json({ error: 'Promotion to training data failed' });
+        }
+    });
+    
+    app.get('/api/analyses/:id/reviews', requireRole('analyst'), async (req, res) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(404).json({ error: 'Analysis not found' });
+            }
+            
+            const analysis = await analysisStore.findById(req.params.id, { select: 'review reviewHistory' });
+            if (!analysis) {
+                return res.status(404).json({ error: 'Analysis not found' });
+            }
+            
+            res.json({
+                success: true,
+                review: analysis.review,
+                history: analysis.reviewHistory
+            });
+            
+        } catch (error) {
+            logger.error('Review history API error:', error);
+            res.status(500).json({
+                error: 'Review history retrieval failed'
+            });
+        }
+    });
+    
+    const ANALYSIS_SORTS = {
+        newest: { timestamp: -1 },
+        oldest: { timestamp: 1 },
+        risk: { riskScore: -1, timestamp: -1 },
+        relevance: { score: { $meta: 'textScore' }, timestamp: -1 }
+    };
+    
+    // Comma-separated query values, e.g. riskLevel=HIGH,MEDIUM
+    const queryList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+    
+    // Search and browse stored analyses, newest first unless sorted otherwise
+    /**
+     * The archive's search filters as a store filter and sort name; shared by the
+     * listing and the exports. Throws an error with status 400 for bad input.
+     */
+    const analysisQuery = (params) => {
+        const filter = {};
+        const query = String(params.q || '').trim();
+        if (query) filter.$text = { $search: query };
+        
+        const riskLevels = queryList(params.riskLevel).map(level => level.toUpperCase()).filter(level => RISK_LEVELS.includes(level));
+        if (riskLevels.length > 0) filter.riskLevel = { $in: riskLevels };
+        const flags = queryList(params.flags);
+        if (flags.length > 0) filter.flags = { $all: flags };
+        if (params.platform && params.platform !== 'all') filter.platform = String(params.platform);
+        if (params.userId) filter.userId = String(params.userId);
+        if (params.language) filter.language = String(params.language);
+        if (REVIEW_STATUSES.includes(params.reviewStatus)) {
+            filter['review.status'] = params.reviewStatus === 'pending' ? { $in: ['pending', null] } : params.reviewStatus;
+        }
+        
+        const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+        const from = params.from ? new Date(params.from) : null;
+        const to = params.to ? new Date(params.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            throw badRequest('from and to must be dates');
+        }
+        if (from || to) {
+            filter.timestamp = {};
+            if (from) filter.timestamp.$gte = from;
+            if (to) filter.timestamp.$lte = to;
+        }
+        
+        const sortName = ANALYSIS_SORTS[params.sort] ? params.sort : (query ? 'relevance' : 'newest');
+        if (sortName === 'relevance' && !query) {
+            throw badRequest('Sorting by relevance needs a search query');
+        }
+        
+        return { filter, sortName };
+    };
+    
+    app.get('/api/analyses', requireRole('analyst'), async (req, res) => {
+        try {
+            const { filter, sortName } = analysisQuery(req.query);
+            
+            const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+            const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+            
+            const fields = ['content', 'riskLevel', 'riskScore', 'flags', 'timestamp', 'platform', 'userId', 'language', 'review', 'duplicateCount'];
+            const select = sortName === 'relevance'
+                ? { ...Object.fromEntries(fields.map(field => [field, 1])), score: { $meta: 'textScore' } }
+                : fields.join(' ');
+            
+            const [analyses, total] = await Promise.all([
+                analysisStore.find(filter, { select, sort: ANALYSIS_SORTS[sortName], skip: (page - 1) * limit, limit }),
+                analysisStore.count(filter)
+            ]);
+            
+            // Later pages of the same search are scrolling, not a new search
+            if (page === 1) {
+                const { page: _page, limit: _limit, ...criteria } = req.query;
+                await auditTrail.record(req, 'analysis.search', { details: { ...criteria, total } });
+            }
+            
+            res.json({
+                success: true,
+                analyses,
+                total,
+                page,
+                limit,
+                sort: sortName,
+                hasMore: page * limit < total
+            });
+            
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            logger.error('Analysis search API error:', error);
+            res.status(500).json({ error: 'Analysis search failed' });
+        }
+    });
+    
+    // Exports: CSV, JSONL, STIX 2.1 bundles and printable HTML reports, sent as downloads
+    const EXPORT_MAX_ANALYSES = parseInt(process.env.EXPORT_MAX_ANALYSES, 10) || 5000;
+    const EXPORT_TLP = Object.hasOwn(TLP_MARKINGS, process.env.EXPORT_TLP || '') ? process.env.EXPORT_TLP : 'amber';
+    const EXPORT_PRODUCER = process.env.EXPORT_PRODUCER || 'Anti-India Campaign Detector';
+    const EXPORT_FORMAT_ERROR = `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+    
+    // Own keys only, so names such as constructor are rejected like any other unknown value
+    const exportOptions = (req) => {
+        const format = String(req.query.format || '');
+        const tlp = String(req.query.tlp || '').toLowerCase();
+        return {
+            format: Object.hasOwn(EXPORT_FORMATS, format) ? format : null,
+            tlp: Object.hasOwn(TLP_MARKINGS, tlp) ? tlp : EXPORT_TLP,
+            limit: Math.min(parseInt(req.query.limit, 10) || EXPORT_MAX_ANALYSES, EXPORT_MAX_ANALYSES)
+        };
+    };
+    
+    const sendExport = (res, format, fileName, context) => {
+        const { contentType, extension, render } = EXPORT_FORMATS[format];
+        const body = render({ generatedAt: new Date(), producer: EXPORT_PRODUCER, ...context });
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${fileName}.${extension}"`,
+            // How many analyses matched and how many made it under the export limit
+            'X-Total-Count': String(context.total),
+            'X-Exported-Count': String(context.analyses.length)
+        });
+        res.send(body);
+    };
+    
+    // Same filters as the archive listing, plus format, tlp and limit
+    app.get('/api/analyses/export', requireRole('analyst'), async (req, res) => {
+        try {
+            const { format, tlp, limit } = exportOptions(req);
+            if (!format) {
+                return res.status(400).json({ error: EXPORT_FORMAT_ERROR });
+            }
+            
+            const { filter, sortName } = analysisQuery(req.query);
+            const [analyses, total] = await Promise.all([
+                analysisStore.find(filter, {
+                    select: sortName === 'relevance' ? { score: { $meta: 'textScore' } } : undefined,
+                    sort: ANALYSIS_SORTS[sortName],
+                    limit
+                }),
+                analysisStore.count(filter)
+            ]);
+            
+            const { format: _format, tlp: _tlp, limit: _limit, ...filters } = req.query;
+            await auditTrail.record(req, 'export.analyses', { details: { format, tlp, filters, exported: analyses.length, total } });
+            logger.info(`Analyses exported as ${format} by ${req.user.username}`, { exported: analyses.length, total });
+            
+            sendExport(res, format, `analyses-${new Date().toISOString().slice(0, 10)}`, {
+                analyses,
+                total,
+                filters,
+                generatedBy: req.user.username,
+                tlp
+            });
+            
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            logger.error('Analysis export API error:', error);
+            res.status(500).json({ error: 'Analysis export failed' });
+        }
+    });
+    
+    app.get('/api/analyses/:id', requireRole('analyst'), async (req, res) => {
+        try {
+            const analysis = mongoose.isValidObjectId(req.params.id) && await analysisStore.findById(req.params.id);
+            if (!analysis) {
+                return res.status(404).json({ error: 'Analysis not found' });
+            }
+            
+            await auditTrail.record(req, 'analysis.view', { target: { type: 'analysis', id: analysis._id } });
+            res.json({ success: true, analysis });
+            
+        } catch (error) {
+            logger.error('Analysis detail API error:', error);
+            res.status(500).json({ error: 'Analysis retrieval failed' });
+        }
+    });
+    
+    // Stored posts that are near-duplicates of this one or in its duplicate cluster
+    app.get('/api/analyses/:id/similar', requireRole('analyst'), async (req, res) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(404).json({ error: 'Analysis not found' });
+            }
+            
+            const analysis = await analysisStore.findById(req.params.id, {
+                select: 'content duplicateCluster duplicateCount +similarity.signature +similarity.bands'
+            });
+            if (!analysis) {
+                return res.status(404).json({ error: 'Analysis not found' });
+            }
+            
+            // Analyses stored before signatures were kept are signed on the fly
+            const signature = (analysis.similarity && analysis.similarity.signature && analysis.similarity.signature.length > 0)
+                ? analysis.similarity.signature
+                : signText(normalizeText(analysis.content).text);
+            const minSimilarity = Math.min(Math.max(parseFloat(req.query.minSimilarity) || NEAR_DUPLICATE_THRESHOLD, 0), 1);
+            const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+            
+            const related = [];
+            if (signature) related.push({ 'similarity.bands': { $in: bandKeys(signature) } });
+            if (analysis.duplicateCluster) related.push({ duplicateCluster: analysis.duplicateCluster });
+            
+            const candidates = related.length === 0 ? [] : await analysisStore.find({ _id: { $ne: analysis._id }, $or: related }, {
+                select: 'content userId platform timestamp riskScore riskLevel duplicateCluster +similarity.signature',
+                sort: { timestamp: -1 },
+                limit: NEAR_DUPLICATE_CANDIDATES
+            });
+            
+            const similar = candidates
+                .map(({ similarity, ...candidate }) => ({
+                    ...candidate,
+                    similarity: Math.round(estimateJaccard(signature,
+                        similarity && similarity.signature && similarity.signature.length > 0
+                            ? similarity.signature
+                            : signText(normalizeText(candidate.content).text)) * 1000) / 1000
+                }))
+                .filter(candidate => candidate.similarity >= minSimilarity ||
+                    (analysis.duplicateCluster && candidate.duplicateCluster === analysis.duplicateCluster))
+                .sort((a, b) => b.similarity - a.similarity);
+            
+            res.json({
+                success: true,
+                duplicateCluster: analysis.duplicateCluster || null,
+                duplicateCount: analysis.duplicateCount || 0,
+                total: similar.length,
+                similar: similar.slice(0, limit)
+            });
+            
+        } catch (error) {
+            logger.error('Similar analyses API error:', error);
+            res.status(500).json({ error: 'Similar analysis retrieval failed' });
+        }
+    });
+    
+    // What stops a term from compiling, or null
+    const lexiconTermProblem = (term) => {
+        try {
+            compileLexiconTerm(term);
+            return null;
+        } catch (error) {
+            return error instanceof SyntaxError ? `Invalid regular expression: ${term.term}` : error.message;
+        }
+    };
+    
+    const lexiconValidators = [
+        body('description', 'Description must be at most 500 characters').optional().isString().isLength({ max: 500 }),
+        body('active', 'Active must be a boolean').optional().isBoolean(),
+        body('terms', 'Terms must be an array').isArray(),
+        body('terms.*.term', 'Each term needs non-empty text').isString().trim().notEmpty(),
+        body('terms.*.weight', 'Weight must be between 0 and 1').optional().isFloat({ min: 0, max: 1 }),
+        body('terms.*.language', 'Language must be a short tag such as en, hi or ur').optional().isString().isLength({ max: 16 }),
+        body('terms.*.matchMode', `Match mode must be one of: ${LEXICON_MATCH_MODES.join(', ')}`).optional().isIn(LEXICON_MATCH_MODES),
+        body('terms.*.enabled', 'Enabled must be a boolean').optional().isBoolean(),
+        body('terms').custom(terms => {
+            terms.forEach(term => {
+                const problem = lexiconTermProblem(term);
+                if (problem) throw new Error(problem);
+            });
+            return true;
+        })
+    ];
+    
+    app.get('/api/lexicons', requireRole('analyst'), async (req, res) => {
+        try {
+            const filter = {};
+            if (req.query.kind) filter.kind = String(req.query.kind);
+            if (req.query.language) filter['terms.language'] = String(req.query.language);
+            
+            const lexicons = await Lexicon.find(filter).sort({ name: 1 });
+            
+            res.json({
+                success: true,
+                lexicons,
+                active: detectionEngine.getLexiconVersions()
+            });
+            
+        } catch (error) {
+            logger.error('Lexicon list API error:', error);
+            res.status(500).json({ error: 'Lexicon retrieval failed' });
+        }
+    });
+    
+    app.get('/api/lexicons/:id', requireRole('analyst'), async (req, res) => {
+        try {
+            const lexicon = mongoose.isValidObjectId(req.params.id) && await Lexicon.findById(req.params.id);
+            if (!lexicon) {
+                return res.status(404).json({ error: 'Lexicon not found' });
+            }
+            
+            res.json({ success: true, lexicon });
+            
+        } catch (error) {
+            logger.error('Lexicon API error:', error);
+            res.status(500).json({ error: 'Lexicon retrieval failed' });
+        }
+    });
+    
+    app.post('/api/lexicons', requireRole('admin'), [
+        body('name', 'Name must be 1-64 characters').isString().trim().isLength({ min: 1, max: 64 }),
+        body('kind', 'Kind must be keyword or hashtag').isIn(['keyword', 'hashtag']),
+        ...lexiconValidators
+    ], validate, async (req, res) => {
+        try {
+            if (await Lexicon.exists({ name: req.body.name })) {
+                return res.status(409).json({ error: 'A lexicon with this name already exists' });
+            }
+            
+            const id = new mongoose.Types.ObjectId();
+            await auditTrail.record(req, 'lexicon.create', {
+                target: { type: 'lexicon', id },
+                details: { name: req.body.name, kind: req.body.kind, version: 1, terms: req.body.terms.length }
+            });
+            const lexicon = await Lexicon.create({
+                _id: id,
+                name: req.body.name,
+                kind: req.body.kind,
+                description: req.body.description,
+                active: req.body.active,
+                terms: req.body.terms,
+                version: 1,
+                updatedBy: req.user.username
+            });
+            await lexiconStore.recordRevision(lexicon, 'created', req.user.username);
+            await lexiconStore.notifyChanged();
+            
+            logger.info(`Lexicon created: ${lexicon.name} by ${req.user.username}`);
+            res.status(201).json({ success: true, lexicon });
+            
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'A lexicon with this name already exists' });
+            }
+            logger.error('Lexicon creation API error:', error);
+            res.status(500).json({ error: 'Lexicon creation failed' });
+        }
+    });
+    
+    app.put('/api/lexicons/:id', requireRole('admin'), [
+        body('version', 'Version must be an integer').optional().isInt(),
+        ...lexiconValidators
+    ], validate, async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) &&
+                await Lexicon.findById(req.params.id).select('name version active').lean();
+            if (!existing) {
+                return res.status(404).json({ error: 'Lexicon not found' });
+            }
+            
+            // When the client sends the version it edited, reject the write if someone else saved first
+            const filter = { _id: req.params.id };
+            if (req.body.version !== undefined) {
+                if (Number(req.body.version) !== existing.version) {
+                    return res.status(409).json({ error: 'Lexicon was modified by someone else, reload and retry' });
+                }
+                filter.version = req.body.version;
+            }
+            
+            const update = { terms: req.body.terms, updatedBy: req.user.username, updatedAt: new Date() };
+            if (req.body.description !== undefined) update.description = req.body.description;
+            if (req.body.active !== undefined) update.active = req.body.active;
+            
+            await auditTrail.record(req, 'lexicon.update', {
+                target: { type: 'lexicon', id: existing._id },
+                details: {
+                    name: existing.name,
+                    version: existing.version + 1,
+                    terms: req.body.terms.length,
+                    active: update.active !== undefined ? update.active : existing.active
+                }
+            });
+            const lexicon = await Lexicon.findOneAndUpdate(
+                filter,
+                { $set: update, $inc: { version: 1 } },
+                { new: true, runValidators: true }
+            );
+            
+            if (!lexicon) {
+                const exists = await Lexicon.exists({ _id: req.params.id });
+                return exists
+                    ? res.status(409).json({ error: 'Lexicon was modified by someone else, reload and retry' })
+                    : res.status(404).json({ error: 'Lexicon not found' });
+            }
+            
+            await lexiconStore.recordRevision(lexicon, 'updated', req.user.username);
+            await lexiconStore.notifyChanged();
+            
+            logger.info(`Lexicon updated: ${lexicon.name}@${lexicon.version} by ${req.user.username}`);
+            res.json({ success: true, lexicon });
+            
+        } catch (error) {
+            logger.error('Lexicon update API error:', error);
+            res.status(500).json({ error: 'Lexicon update failed' });
+        }
+    });
+    
+    app.delete('/api/lexicons/:id', requireRole('admin'), async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) &&
+                await Lexicon.findById(req.params.id).select('name version').lean();
+            if (!existing) {
+                return res.status(404).json({ error: 'Lexicon not found' });
+            }
+            
+            // The deletion gets its own version number so earlier revisions stay restorable
+            await auditTrail.record(req, 'lexicon.delete', {
+                target: { type: 'lexicon', id: existing._id },
+                details: { name: existing.name, version: existing.version + 1 }
+            });
+            const lexicon = await Lexicon.findByIdAndDelete(req.params.id);
+            if (!lexicon) {
+                return res.status(404).json({ error: 'Lexicon not found' });
+            }
+            
+            lexicon.version += 1;
+            await lexiconStore.recordRevision(lexicon, 'deleted', req.user.username);
+            await lexiconStore.notifyChanged();
+            
+            logger.info(`Lexicon deleted: ${lexicon.name} by ${req.user.username}`);
+            res.json({ success: true });
+            
+        } catch (error) {
+            logger.error('Lexicon deletion API error:', error);
+            res.status(500).json({ error: 'Lexicon deletion failed' });
+        }
+    });
+    
+    app.get('/api/lexicons/:id/revisions', requireRole('analyst'), async (req, res) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(404).json({ error: 'Lexicon not found' });
+            }
+            
+            const revisions = await LexiconRevision.find({ lexiconId: req.params.id }).sort({ version: -1 });
+            res.json({ success: true, revisions });
+            
+        } catch (error) {
+            logger.error('Lexicon revisions API error:', error);
+            res.status(500).json({ error: 'Lexicon revision retrieval failed' });
+        }
+    });
+    
+    // Roll a lexicon back to an earlier revision; this creates a new version rather than rewriting history
+    app.post('/api/lexicons/:id/revisions/:version/restore', requireRole('admin'), async (req, res) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(404).json({ error: 'Lexicon not found' });
+            }
+            
+            const revision = await LexiconRevision.findOne({
+                lexiconId: req.params.id,
+                version: parseInt(req.params.version, 10)
+            });
+            if (!revision || revision.changeType === 'deleted') {
+                return res.status(404).json({ error: 'Revision not found' });
+            }
+            
+            // Revisions saved before a term check was added are not restored as they are
+            const problem = revision.terms.map(lexiconTermProblem).find(Boolean);
+            if (problem) {
+                return res.status(400).json({ error: problem });
+            }
+            
+            const restored = {
+                name: revision.name,
+                kind: revision.kind,
+                description: revision.description,
+                active: revision.active,
+                terms: revision.terms,
+                updatedBy: req.user.username,
+                updatedAt: new Date()
+            };
+            
+            await auditTrail.record(req, 'lexicon.restore', {
+                target: { type: 'lexicon', id: revision.lexiconId },
+                details: { name: revision.name, restoredVersion: revision.version }
+            });
+            let lexicon = await Lexicon.findByIdAndUpdate(
+                req.params.id,
+                { $set: restored, $inc: { version: 1 } },
+                { new: true }
+            );
+            
+            // Restoring a deleted lexicon recreates it under its original id
+            if (!lexicon) {
+                const latest = await LexiconRevision.findOne({ lexiconId: req.params.id }).sort({ version: -1 });
+                lexicon = await Lexicon.create({ _id: req.params.id, ...restored, version: latest.version + 1 });
+            }
+            
+            await lexiconStore.recordRevision(lexicon, 'restored', req.user.username);
+            await lexiconStore.notifyChanged();
+            
+            logger.info(`Lexicon restored: ${lexicon.name} to revision ${req.params.version} by ${req.user.username}`);
+            res.json({ success: true, lexicon });
+            
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'Another lexicon already uses this name' });
+            }
+            logger.error('Lexicon restore API error:', error);
+            res.status(500).json({ error: 'Lexicon restore failed' });
+        }
+    });
+    
+    // Accepts common spellings of the two classifier labels in imported datasets
+    const normalizeTrainingLabel = (label) => {
+        const value = String(label || '').trim().toLowerCase();
+        if (['anti-india', 'anti_india', 'antiindia', '1', 'true', 'positive', 'yes'].includes(value)) return 'anti-india';
+        if (['neutral', '0', 'false', 'negative', 'no'].includes(value)) return 'neutral';
+        return null;
+    };
+    
+    const parseTrainingDataset = (data, format) => {
+        const rows = [];
+        
+        if (format === 'jsonl') {
+            data.split(/\r?\n/).forEach((line, index) => {
+                if (!line.trim()) return;
+                try {
+                    rows.push({ line: index + 1, ...JSON.parse(line) });
+                } catch (error) {
+                    rows.push({ line: index + 1, error: 'Invalid JSON' });
+                }
+            });
+            return rows;
+        }
+        
+        const [header, ...records] = parseCsv(data);
+        const columns = header ? header.fields.map(column => column.trim().toLowerCase()) : [];
+        const textIndex = columns.findIndex(column => ['text', 'content', 'message'].includes(column));
+        const labelIndex = columns.indexOf('label');
+        const languageIndex = columns.indexOf('language');
+        
+        if (textIndex === -1 || labelIndex === -1) {
+            throw new Error('CSV header must include a text (or content) column and a label column');
+        }
+        
+        records.forEach(record => {
+            rows.push({
+                line: record.line,
+                text: record.fields[textIndex],
+                label: record.fields[labelIndex],
+                language: languageIndex !== -1 ? record.fields[languageIndex] : undefined
+            });
+        });
+        return rows;
+    };
+    
+    app.post('/api/training/examples/import', requireRole('admin'), datasetBodyParser, async (req, res) => {
+        try {
+            const isText = typeof req.body === 'string';
+            const data = isText ? req.body : req.body.data;
+            const contentType = req.headers['content-type'] || '';
+            const format = (req.query.format || (!isText && req.body.format) ||
+                (/ndjson|jsonl/.test(contentType) ? 'jsonl' : 'csv')).toLowerCase();
+            
+            if (typeof data !== 'string' || data.trim().length === 0) {
+                return res.status(400).json({ error: 'Dataset is empty' });
+            }
+            if (!['csv', 'jsonl'].includes(format)) {
+                return res.status(400).json({ error: 'Format must be csv or jsonl' });
+            }
+            
+            let rows;
+            try {
+                rows = parseTrainingDataset(data, format);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            
+            const importBatch = `import-${Date.now()}`;
+            const rejected = [];
+            const operations = [];
+            
+            rows.forEach(row => {
+                const text = typeof row.text === 'string' ? row.text.trim() : (row.content || '').trim();
+                const label = normalizeTrainingLabel(row.label);
+                
+                if (row.error || !text || !label) {
+                    rejected.push({ line: row.line, error: row.error || (!text ? 'Missing text' : `Unknown label: ${row.label}`) });
+                    return;
+                }
+                
+                operations.push({
+                    updateOne: {
+                        filter: { textHash: contentHash(text) },
+                        update: {
+                            $set: { label, language: row.language, source: 'import', importBatch, updatedAt: new Date() },
+                            $setOnInsert: { text, createdBy: req.user.username, createdAt: new Date() }
+                        },
+                        upsert: true
+                    }
+                });
+            });
+            
+            await auditTrail.record(req, 'training.import', {
+                details: { importBatch, format, accepted: operations.length, rejected: rejected.length }
+            });
+            const result = operations.length > 0
+                ? await TrainingExample.bulkWrite(operations, { ordered: false })
+                : { upsertedCount: 0, modifiedCount: 0 };
+            
+            logger.info(`Training data imported by ${req.user.username}`, {
+                importBatch,
+                inserted: result.upsertedCount,
+                updated: result.modifiedCount,
+                rejected: rejected.length
+            });
+            
+            res.json({
+                success: true,
+                importBatch,
+                inserted: result.upsertedCount,
+                updated: result.modifiedCount,
+                rejectedCount: rejected.length,
+                rejected: rejected.slice(0, 50)
+            });
+            
+        } catch (error) {
+            logger.error('Training import API error:', error);
+            res.status(500).json({ error: 'Training data import failed' });
+        }
+    });
+    
+    app.get('/api/training/examples', requireRole('reviewer'), async (req, res) => {
+        try {
+            const filter = {};
+            if (CLASSIFIER_LABELS.includes(req.query.label)) filter.label = req.query.label;
+            if (req.query.source) filter.source = String(req.query.source);
+            
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+            const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+            
+            const [examples, total, byLabel] = await Promise.all([
+                TrainingExample.find(filter).sort({ updatedAt: -1 }).skip((page - 1) * limit).limit(limit),
+                TrainingExample.countDocuments(filter),
+                TrainingExample.aggregate([{ $group: { _id: '$label', count: { $sum: 1 } } }])
+            ]);
+            
+            res.json({ success: true, examples, total, page, limit, byLabel });
+            
+        } catch (error) {
+            logger.error('Training examples API error:', error);
+            res.status(500).json({ error: 'Training example retrieval failed' });
+        }
+    });
+    
+    app.get('/api/training/queue', requireRole('reviewer'), async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+            const [items, total] = await Promise.all([
+                TrainingExample.find({ status: 'pending' }).sort({ updatedAt: 1 }).limit(limit),
+                TrainingExample.countDocuments({ status: 'pending' })
+            ]);
+            
+            res.json({ success: true, items, total });
+            
+        } catch (error) {
+            logger.error('Training queue API error:', error);
+            res.status(500).json({ error: 'Training queue retrieval failed' });
+        }
+    });
+    
+    app.post('/api/training/queue/:id/:decision', requireRole('reviewer'), [
+        body('label', `Label must be one of: ${CLASSIFIER_LABELS.join(', ')}`).optional().isIn(CLASSIFIER_LABELS)
+    ], validate, async (req, res) => {
+        try {
+            const { decision } = req.params;
+            if (!['approve', 'reject'].includes(decision)) {
+                return res.status(404).json({ error: 'Unknown queue action' });
+            }
+            
+            const example = mongoose.isValidObjectId(req.params.id) &&
+                await TrainingExample.findOne({ _id: req.params.id, status: 'pending' });
+            if (!example) {
+                return res.status(404).json({ error: 'Pending training item not found' });
+            }
+            
+            if (decision === 'approve') {
+                example.status = 'approved';
+                if (req.body.label) example.label = req.body.label;
+            } else if (example.previousLabel) {
+                // Rejecting a conflicting verdict keeps the previously approved label
+                example.status = 'approved';
+                example.label = example.previousLabel;
+            } else {
+                example.status = 'rejected';
+            }
+            example.previousLabel = undefined;
+            example.decidedBy = req.user.username;
+            example.decidedAt = new Date();
+            example.updatedAt = new Date();
+            
+            await auditTrail.record(req, `training.${decision}`, {
+                target: { type: 'training_example', id: example._id },
+                details: { status: example.status, label: example.label }
+            });
+            await example.save();
+            
+            logger.info(`Training item ${decision}d by ${req.user.username}`, { exampleId: req.params.id });
+            res.json({ success: true, example });
+            
+        } catch (error) {
+            logger.error('Training queue decision API error:', error);
+            res.status(500).json({ error: 'Training queue update failed' });
+        }
+    });
+    
+    app.delete('/api/training/examples/:id', requireRole('admin'), async (req, res) => {
+        try {
+            const example = mongoose.isValidObjectId(req.params.id) &&
+                await TrainingExample.findById(req.params.id).select('label source').lean();
+            if (!example) {
+                return res.status(404).json({ error: 'Training example not found' });
+            }
+            
+            await auditTrail.record(req, 'training.delete', {
+                target: { type: 'training_example', id: example._id },
+                details: { label: example.label, source: example.source }
+            });
+            await TrainingExample.deleteOne({ _id: example._id });
+            res.json({ success: true });
+            
+        } catch (error) {
+            logger.error('Training example deletion API error:', error);
+            res.status(500).json({ error: 'Training example deletion failed' });
+        }
+    });
+    
+    app.get('/api/models', requireRole('analyst'), async (req, res) => {
+        try {
+            const filter = {};
+            const approval = String(req.query.approval || '');
+            if (['pending', 'approved', 'rejected'].includes(approval)) {
+                filter.approvalStatus = approval;
+                filter.status = 'ready';
+            }
+            
+            const models = await ClassifierModel.find(filter).select('-serialized').sort({ createdAt: -1 }).limit(50);
+            res.json({ success: true, models, activeVersion: detectionEngine.modelVersion });
+        } catch (error) {
+            logger.error('Model list API error:', error);
+            res.status(500).json({ error: 'Model retrieval failed' });
+        }
+    });
+    
+    app.get('/api/models/:id', requireRole('analyst'), async (req, res) => {
+        try {
+            const model = mongoose.isValidObjectId(req.params.id) &&
+                await ClassifierModel.findById(req.params.id).select('-serialized');
+            if (!model) {
+                return res.status(404).json({ error: 'Model not found' });
+            }
+            
+            res.json({ success: true, model });
+            
+        } catch (error) {
+            logger.error('Model API error:', error);
+            res.status(500).json({ error: 'Model retrieval failed' });
+        }
+    });
+    
+    app.post('/api/models/train', requireRole('admin'), [
+        body('algorithm', 'Algorithm must be bayes or logistic_regression').optional().isIn(['bayes', 'logistic_regression']),
+        body('holdoutRatio', 'Hold-out ratio must be between 0.05 and 0.5').optional().isFloat({ min: 0.05, max: 0.5 })
+    ], validate, async (req, res) => {
+        try {
+            const model = await modelRegistry.startTraining({
+                algorithm: req.body.algorithm,
+                holdoutRatio: req.body.holdoutRatio
+            }, req.user.username, draft => auditTrail.record(req, 'model.train', {
+                target: { type: 'model', id: draft._id },
+                details: { version: draft.version, algorithm: draft.algorithm, holdoutRatio: req.body.holdoutRatio }
+            }));
+            
+            logger.info(`Classifier training started: ${model.version} by ${req.user.username}`);
+            res.status(202).json({ success: true, model: { ...model.toObject(), serialized: undefined } });
+            
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            logger.error('Model training API error:', error);
+            res.status(500).json({ error: 'Model training failed to start' });
+        }
+    });
+    
+    // Rejected models only go live with { "override": true }
+    app.post('/api/models/:id/activate', requireRole('admin'), [
+        body('override', 'Override must be a boolean').optional().isBoolean()
+    ], validate, async (req, res) => {
+        try {
+            const override = req.body.override === true || req.body.override === 'true';
+            const model = mongoose.isValidObjectId(req.params.id) &&
+                await modelRegistry.activate(req.params.id, req.user.username, { override }, found => auditTrail.record(req, 'model.activate', {
+                    target: { type: 'model', id: found._id },
+                    details: { version: found.version, ...(override ? { override } : {}) }
+                }));
+            if (!model) {
+                return res.status(404).json({ error: 'No trained model with this id' });
+            }
+            
+            logger.info(`Classifier model activated: ${model.version} by ${req.user.username}`);
+            res.json({ success: true, model: { ...model.toObject(), serialized: undefined } });
+            
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            logger.error('Model activation API error:', error);
+            res.status(500).json({ error: 'Model activation failed' });
+        }
+    });
+    
+    app.post('/api/models/:id/reject', requireRole('admin'), [
+        body('note', 'Note must be at most 2000 characters').optional().isString().isLength({ max: 2000 })
+    ], validate, async (req, res) => {
+        try {
+            const model = mongoose.isValidObjectId(req.params.id) &&
+                await modelRegistry.reject(req.params.id, req.user.username, req.body.note, found => auditTrail.record(req, 'model.reject', {
+                    target: { type: 'model', id: found._id },
+                    details: { version: found.version, note: req.body.note }
+                }));
+            if (!model) {
+                return res.status(404).json({ error: 'No inactive trained model with this id' });
+            }
+            
+            logger.info(`Classifier model rejected: ${model.version} by ${req.user.username}`);
+            res.json({ success: true, model });
+            
+        } catch (error) {
+            logger.error('Model rejection API error:', error);
+            res.status(500).json({ error: 'Model rejection failed' });
+        }
+    });
+    
+    app.get('/api/campaigns', requireRole('analyst'), async (req, res) => {
+        try {
+            const filter = {};
+            if (req.query.minScore) filter.coordinationScore = { $gte: parseFloat(req.query.minScore) || 0 };
+            if (req.query.platform && req.query.platform !== 'all') filter.platforms = String(req.query.platform);
+            if (req.query.hashtag) filter.hashtags = String(req.query.hashtag).replace(/^#/, '').toLowerCase();
+            if (req.query.account) filter.accounts = String(req.query.account);
+            
+            const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+            const [campaigns, total] = await Promise.all([
+                Campaign.find(filter)
+                    .select('-analysisIds')
+                    .sort({ coordinationScore: -1, lastSeen: -1 })
+                    .limit(limit),
+                Campaign.countDocuments(filter)
+            ]);
+            
+            res.json({ success: true, campaigns, total });
+            
+        } catch (error) {
+            logger.error('Campaigns API error:', error);
+            res.status(500).json({ error: 'Campaign retrieval failed' });
+        }
+    });
+    
+    app.get('/api/campaigns/:id', requireRole('analyst'), async (req, res) => {
+        try {
+            const campaign = mongoose.isValidObjectId(req.params.id) && await Campaign.findById(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+            
+            await auditTrail.record(req, 'campaign.view', { target: { type: 'campaign', id: campaign._id } });
+            const posts = await analysisStore.find({ _id: { $in: campaign.analysisIds } }, {
+                select: 'content userId platform timestamp riskScore riskLevel hashtags review',
+                sort: { timestamp: 1 },
+                limit: 200
+            });
+            
+            res.json({ success: true, campaign, posts });
+            
+        } catch (error) {
+            logger.error('Campaign detail API error:', error);
+            res.status(500).json({ error: 'Campaign retrieval failed' });
+        }
+    });
+    
+    app.get('/api/campaigns/:id/export', requireRole('analyst'), async (req, res) => {
+        try {
+            const { format, tlp, limit } = exportOptions(req);
+            if (!format) {
+                return res.status(400).json({ error: EXPORT_FORMAT_ERROR });
+            }
+            
+            const campaign = mongoose.isValidObjectId(req.params.id) && await Campaign.findById(req.params.id).lean();
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+            
+            const analyses = await analysisStore.find({ _id: { $in: campaign.analysisIds } }, { sort: { timestamp: 1 }, limit });
+            const total = campaign.analysisIds.length;
+            
+            await auditTrail.record(req, 'export.campaign', {
+                target: { type: 'campaign', id: campaign._id },
+                details: { format, tlp, exported: analyses.length, total }
+            });
+            logger.info(`Campaign ${campaign._id} exported as ${format} by ${req.user.username}`);
+            
+            sendExport(res, format, `campaign-${campaign._id}`, {
+                analyses,
+                campaign,
+                total,
+                filters: { campaign: String(campaign._id) },
+                generatedBy: req.user.username,
+                tlp
+            });
+            
+        } catch (error) {
+            logger.error('Campaign export API error:', error);
+            res.status(500).json({ error: 'Campaign export failed' });
+        }
+    });
+    
+    // Recluster now instead of waiting for the next scheduled run
+    app.post('/api/campaigns/refresh', requireRole('reviewer'), async (req, res) => {
+        try {
+            const count = await campaignDetector.run();
+            res.json({ success: true, count });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            logger.error('Campaign refresh API error:', error);
+            res.status(500).json({ error: 'Campaign clustering failed' });
+        }
+    });
+    
+    // Accounts with the highest bot likelihood
+    app.get('/api/accounts', requireRole('analyst'), async (req, res) => {
+        try {
+            const filter = { 'botProfile.score': { $gte: parseFloat(req.query.minScore) || 0 } };
+            const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+            const accounts = await activityStore.find(filter, {
+                select: 'userId botProfile riskProfile',
+                sort: { 'botProfile.score': -1 },
+                limit
+            });
+            
+            res.json({ success: true, accounts });
+            
+        } catch (error) {
+            logger.error('Accounts API error:', error);
+            res.status(500).json({ error: 'Account retrieval failed' });
+        }
+    });
+    
+    app.get('/api/accounts/:userId', requireRole('analyst'), async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const account = await activityStore.findOne({ userId }, { select: 'userId botProfile riskProfile' });
+            if (!account) {
+                return res.status(404).json({ error: 'Account not found' });
+            }
+            
+            // Accounts from before profiling existed are profiled on first view
+            if (!account.botProfile || !account.botProfile.updatedAt || req.query.refresh === 'true') {
+                account.botProfile = await refreshAccountProfile(userId);
+            }
+            
+            await auditTrail.record(req, 'account.view', { target: { type: 'account', id: userId } });
+            const [recentAnalyses, campaigns] = await Promise.all([
+                analysisStore.find({ userId }, {
+                    select: 'content platform timestamp riskScore riskLevel flags',
+                    sort: { timestamp: -1 },
+                    limit: 10
+                }),
+                // Campaigns are only clustered with MongoDB
+                MONGO_ENABLED
+                    ? Campaign.find({ accounts: userId })
+                        .select('hashtags coordinationScore accountCount postCount lastSeen')
+                        .sort({ coordinationScore: -1 })
+                        .limit(5)
+                    : []
+            ]);
+            
+            res.json({ success: true, account, recentAnalyses, campaigns });
+            
+        } catch (error) {
+            logger.error('Account profile API error:', error);
+            res.status(500).json({ error: 'Account retrieval failed' });
+        }
+    });
+    
+    // Alert rules and fired alerts
+    const isAlertRecipientList = (value) => String(value || '').split(',')
+        .map(address => address.trim())
+        .every(address => /^[^\s@<>,]+@[^\s@<>,]+$/.test(address));
+    
+    const alertRuleValidators = [
+        body('description', 'Description must be at most 500 characters').optional().isString().isLength({ max: 500 }),
+        body('active', 'Active must be a boolean').optional().isBoolean(),
+        body('severity', `Severity must be one of: ${ALERT_SEVERITIES.join(', ')}`).optional().isIn(ALERT_SEVERITIES),
+        body('conditions.riskLevels', 'Risk levels must be an array').optional().isArray(),
+        body('conditions.riskLevels.*', `Risk levels must be one of: ${RISK_LEVELS.join(', ')}`).isIn(RISK_LEVELS),
+        body(['conditions.platforms', 'conditions.flags', 'conditions.lexicons'], 'Platforms, flags and lexicons must be arrays').optional().isArray(),
+        body(['conditions.platforms.*', 'conditions.flags.*', 'conditions.lexicons.*'], 'Condition values must be non-empty strings').isString().trim().notEmpty(),
+        body('conditions.minRiskScore', 'Minimum risk score must be 0-100').optional({ values: 'null' }).isFloat({ min: 0, max: 100 }),
+        body('threshold.count', 'Threshold count must be 1-10000').optional().isInt({ min: 1, max: 10000 }),
+        body('threshold.windowMinutes', 'Window must be 1-10080 minutes').optional().isInt({ min: 1, max: 10080 }),
+        body('cooldownMinutes', 'Cooldown must be 0-10080 minutes').optional().isInt({ min: 0, max: 10080 }),
+        body('channels', 'Channels must be an array').optional().isArray(),
+        body('channels.*.type', `Channel type must be one of: ${ALERT_CHANNEL_TYPES.join(', ')}`).isIn(ALERT_CHANNEL_TYPES),
+        body('channels').optional().custom(channels => {
+            channels.forEach(channel => {
+                if (channel.type === 'webhook') {
+                    let url;
+                    try {
+                        url = new URL(channel.target);
+                    } catch (error) {
+                        throw new Error('Webhook channels need an http(s) URL target');
+                    }
+                    if (!['http:', 'https:'].includes(url.protocol)) {
+                        throw new Error('Webhook channels need an http(s) URL target');
+                    }
+                }
+                if (channel.type === 'email' && (!channel.target || !isAlertRecipientList(channel.target))) {
+                    throw new Error('Email channels need a comma-separated list of addresses as target');
+                }
+            });
+            return true;
+        })
+    ];
+    
+    const ALERT_RULE_FIELDS = ['name', 'description', 'active', 'severity', 'conditions', 'threshold', 'cooldownMinutes', 'channels'];
+    
+    const pickAlertRuleFields = (source) => ALERT_RULE_FIELDS.reduce((fields, key) => {
+        if (source[key] !== undefined) fields[key] = source[key];
+        return fields;
+    }, {});
+    
+    // Channel targets can be webhook URLs with embedded tokens, so the audit trail keeps only their types
+    const auditedRuleFields = (source) => {
+        const fields = pickAlertRuleFields(source);
+        if (fields.channels) fields.channels = fields.channels.map(channel => channel.type);
+        return fields;
+    };
+    
+    app.get('/api/alert-rules', requireRole('analyst'), async (req, res) => {
+        try {
+            const rules = await AlertRule.find().sort({ name: 1 });
+            res.json({ success: true, rules });
+            
+        } catch (error) {
+            logger.error('Alert rule list API error:', error);
+            res.status(500).json({ error: 'Alert rule retrieval failed' });
+        }
+    });
+    
+    app.post('/api/alert-rules', requireRole('admin'), [
+        body('name', 'Name must be 1-64 characters').isString().trim().isLength({ min: 1, max: 64 }),
+        ...alertRuleValidators
+    ], validate, async (req, res) => {
+        try {
+            if (await AlertRule.exists({ name: req.body.name })) {
+                return res.status(409).json({ error: 'An alert rule with this name already exists' });
+            }
+            
+            const id = new mongoose.Types.ObjectId();
+            await auditTrail.record(req, 'alert_rule.create', { target: { type: 'alert_rule', id }, details: auditedRuleFields(req.body) });
+            const rule = await AlertRule.create({
+                _id: id,
+                ...pickAlertRuleFields(req.body),
+                createdBy: req.user.username,
+                updatedBy: req.user.username
+            });
+            await alertEngine.notifyChanged();
+            
+            logger.info(`Alert rule created: ${rule.name} by ${req.user.username}`);
+            res.status(201).json({ success: true, rule });
+            
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'An alert rule with this name already exists' });
+            }
+            logger.error('Alert rule creation API error:', error);
+            res.status(500).json({ error: 'Alert rule creation failed' });
+        }
+    });
+    
+    app.put('/api/alert-rules/:id', requireRole('admin'), [
+        body('name', 'Name must be 1-64 characters').optional().isString().trim().isLength({ min: 1, max: 64 }),
+        ...alertRuleValidators
+    ], validate, async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) && await AlertRule.exists({ _id: req.params.id });
+            if (!existing) {
+                return res.status(404).json({ error: 'Alert rule not found' });
+            }
+            if (req.body.name !== undefined && await AlertRule.exists({ name: req.body.name, _id: { $ne: existing._id } })) {
+                return res.status(409).json({ error: 'An alert rule with this name already exists' });
+            }
+            
+            await auditTrail.record(req, 'alert_rule.update', { target: { type: 'alert_rule', id: existing._id }, details: auditedRuleFields(req.body) });
+            const rule = await AlertRule.findByIdAndUpdate(
+                req.params.id,
+                { $set: { ...pickAlertRuleFields(req.body), updatedBy: req.user.username, updatedAt: new Date() } },
+                { new: true, runValidators: true }
+            );
+            if (!rule) {
+                return res.status(404).json({ error: 'Alert rule not found' });
+            }
+            await alertEngine.notifyChanged();
+            
+            logger.info(`Alert rule updated: ${rule.name} by ${req.user.username}`);
+            res.json({ success: true, rule });
+            
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'An alert rule with this name already exists' });
+            }
+            logger.error('Alert rule update API error:', error);
+            res.status(500).json({ error: 'Alert rule update failed' });
+        }
+    });
+    
+    app.delete('/api/alert-rules/:id', requireRole('admin'), async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) && await AlertRule.findById(req.params.id).select('name').lean();
+            if (!existing) {
+                return res.status(404).json({ error: 'Alert rule not found' });
+            }
+            
+            await auditTrail.record(req, 'alert_rule.delete', { target: { type: 'alert_rule', id: existing._id }, details: { name: existing.name } });
+            const rule = await AlertRule.findByIdAndDelete(req.params.id);
+            if (!rule) {
+                return res.status(404).json({ error: 'Alert rule not found' });
+            }
+            await alertEngine.notifyChanged();
+            
+            logger.info(`Alert rule deleted: ${rule.name} by ${req.user.username}`);
+            res.json({ success: true });
+            
+        } catch (error) {
+            logger.error('Alert rule deletion API error:', error);
+            res.status(500).json({ error: 'Alert rule deletion failed' });
+        }
+    });
+    
+    // An expired snooze counts as open again until the rule next triggers
+    const alertStatusFilter = (status, now = new Date()) => {
+        switch (status) {
+            case 'open':
+                return { $or: [{ status: 'open' }, { status: 'snoozed', snoozedUntil: { $lte: now } }] };
+            case 'snoozed':
+                return { status: 'snoozed', snoozedUntil: { $gt: now } };
+            case 'acknowledged':
+                return { status: 'acknowledged' };
+            case 'active':
+                return { status: { $ne: 'acknowledged' } };
+            default:
+                return {};
+        }
+    };
+    
+    app.get('/api/alerts', requireRole('analyst'), async (req, res) => {
+        try {
+            const filter = alertStatusFilter(req.query.status);
+            if (req.query.ruleId) {
+                if (!mongoose.isValidObjectId(req.query.ruleId)) {
+                    return res.status(400).json({ error: 'Invalid rule id' });
+                }
+                filter.ruleId = req.query.ruleId;
+            }
+            if (ALERT_SEVERITIES.includes(req.query.severity)) filter.severity = req.query.severity;
+            
+            const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+            const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
             
-            const [totalAnalyses, highRiskCount, mediumRiskCount, lowRiskCount, recentAnalyses] = await Promise.all([
-                Analysis.countDocuments(filter),
-                Analysis.countDocuments({ ...filter, riskLevel: 'HIGH' }),
-                Analysis.countDocuments({ ...filter, riskLevel: 'MEDIUM' }),
-                Analysis.countDocuments({ ...filter, riskLevel: 'LOW' }),
-                Analysis.find(filter)
-                    .sort({ timestamp: -1 })
-                    .limit(10)
-                    .select('content riskLevel riskScore flags timestamp platform explanation')
+            const [alerts, total] = await Promise.all([
+                Alert.find(filter)
+                    .select('-analyses')
+                    .sort({ lastTriggeredAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                Alert.countDocuments(filter)
             ]);
             
-            const platformStats = await Analysis.aggregate([
-                { $match: timeFilter },
-                { $group: { _id: '$platform', count: { $sum: 1 }, avgRisk: { $avg: '$riskScore' } } }
+            res.json({ success: true, alerts, total, page, limit });
+            
+        } catch (error) {
+            logger.error('Alert list API error:', error);
+            res.status(500).json({ error: 'Alert retrieval failed' });
+        }
+    });
+    
+    app.get('/api/alerts/:id', requireRole('analyst'), async (req, res) => {
+        try {
+            const alert = mongoose.isValidObjectId(req.params.id) && await Alert.findById(req.params.id);
+            if (!alert) {
+                return res.status(404).json({ error: 'Alert not found' });
+            }
+            
+            await auditTrail.record(req, 'alert.view', { target: { type: 'alert', id: alert._id } });
+            const analyses = await analysisStore.find({ _id: { $in: alert.analyses } }, {
+                select: 'content platform userId timestamp riskScore riskLevel flags',
+                sort: { timestamp: -1 }
+            });
+            
+            res.json({ success: true, alert, analyses });
+            
+        } catch (error) {
+            logger.error('Alert API error:', error);
+            res.status(500).json({ error: 'Alert retrieval failed' });
+        }
+    });
+    
+    // Acknowledging closes the alert; the rule's next trigger opens a new one
+    app.post('/api/alerts/:id/acknowledge', requireRole('analyst'), async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) &&
+                await Alert.findById(req.params.id).select('ruleName status').lean();
+            if (!existing) {
+                return res.status(404).json({ error: 'Alert not found' });
+            }
+            if (existing.status === 'acknowledged') {
+                return res.status(409).json({ error: 'Alert is already acknowledged' });
+            }
+            
+            await auditTrail.record(req, 'alert.acknowledge', { target: { type: 'alert', id: existing._id }, details: { ruleName: existing.ruleName } });
+            const alert = await Alert.findOneAndUpdate(
+                { _id: req.params.id, status: { $ne: 'acknowledged' } },
+                {
+                    $set: { status: 'acknowledged', acknowledgedBy: req.user.username, acknowledgedAt: new Date() },
+                    $unset: { dedupKey: 1, snoozedUntil: 1, snoozedBy: 1 }
+                },
+                { new: true, projection: { analyses: 0 } }
+            );
+            if (!alert) {
+                const exists = await Alert.exists({ _id: req.params.id });
+                return exists
+                    ? res.status(409).json({ error: 'Alert is already acknowledged' })
+                    : res.status(404).json({ error: 'Alert not found' });
+            }
+            
+            realTimeHub.publish({ type: 'alert_updated', alert });
+            logger.info(`Alert acknowledged: ${alert.ruleName} by ${req.user.username}`);
+            res.json({ success: true, alert });
+            
+        } catch (error) {
+            logger.error('Alert acknowledge API error:', error);
+            res.status(500).json({ error: 'Alert acknowledgement failed' });
+        }
+    });
+    
+    // Snoozing keeps the alert open but silent: triggers are folded in without notifying
+    app.post('/api/alerts/:id/snooze', requireRole('analyst'), [
+        body('minutes', 'Snooze must be 1-10080 minutes').isInt({ min: 1, max: 10080 })
+    ], validate, async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) &&
+                await Alert.findById(req.params.id).select('ruleName status').lean();
+            if (!existing) {
+                return res.status(404).json({ error: 'Alert not found' });
+            }
+            if (existing.status === 'acknowledged') {
+                return res.status(409).json({ error: 'Acknowledged alerts cannot be snoozed' });
+            }
+            
+            const snoozedUntil = new Date(Date.now() + parseInt(req.body.minutes, 10) * 60 * 1000);
+            await auditTrail.record(req, 'alert.snooze', {
+                target: { type: 'alert', id: existing._id },
+                details: { ruleName: existing.ruleName, snoozedUntil }
+            });
+            const alert = await Alert.findOneAndUpdate(
+                { _id: req.params.id, status: { $ne: 'acknowledged' } },
+                { $set: { status: 'snoozed', snoozedUntil, snoozedBy: req.user.username } },
+                { new: true, projection: { analyses: 0 } }
+            );
+            if (!alert) {
+                const exists = await Alert.exists({ _id: req.params.id });
+                return exists
+                    ? res.status(409).json({ error: 'Acknowledged alerts cannot be snoozed' })
+                    : res.status(404).json({ error: 'Alert not found' });
+            }
+            
+            realTimeHub.publish({ type: 'alert_updated', alert });
+            logger.info(`Alert snoozed until ${snoozedUntil.toISOString()}: ${alert.ruleName} by ${req.user.username}`);
+            res.json({ success: true, alert });
+            
+        } catch (error) {
+            logger.error('Alert snooze API error:', error);
+            res.status(500).json({ error: 'Alert snooze failed' });
+        }
+    });
+    
+    // Webhook subscriptions and their delivery log
+    const webhookValidators = [
+        body('url').optional().custom(value => {
+            let url;
+            try {
+                url = new URL(value);
+            } catch (error) {
+                throw new Error('URL must be an http(s) URL');
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw new Error('URL must be an http(s) URL');
+            }
+            return true;
+        }),
+        body('events', `Events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`).optional().isArray({ min: 1 }),
+        body('events.*', `Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`).isIn(WEBHOOK_EVENTS),
+        body('minRiskLevel', `Minimum risk level must be one of: ${RISK_LEVELS.join(', ')}`).optional().isIn(RISK_LEVELS),
+        body('active', 'Active must be a boolean').optional().isBoolean()
+    ];
+    
+    const WEBHOOK_FIELDS = ['name', 'url', 'events', 'minRiskLevel', 'active'];
+    
+    const pickWebhookFields = (source) => WEBHOOK_FIELDS.reduce((fields, key) => {
+        if (source[key] !== undefined) fields[key] = source[key];
+        return fields;
+    }, {});
+    
+    const generateWebhookSecret = () => crypto.randomBytes(32).toString('hex');
+    
+    app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+        try {
+            const [subscriptions, counts] = await Promise.all([
+                WebhookSubscription.find().sort({ name: 1 }).lean(),
+                WebhookDelivery.aggregate([
+                    { $group: { _id: { subscriptionId: '$subscriptionId', status: '$status' }, count: { $sum: 1 } } }
+                ])
             ]);
             
+            // Delivery totals per subscription and status
+            const deliveries = {};
+            counts.forEach(({ _id, count }) => {
+                const key = String(_id.subscriptionId);
+                deliveries[key] = deliveries[key] || {};
+                deliveries[key][_id.status] = count;
+            });
+            
             res.json({
                 success: true,
-                dashboard: {
-                    summary: {
-                        totalAnalyses,
-                        highRiskCount,
-                        mediumRiskCount,
-                        lowRiskCount,
-                        riskDistribution: {
-                            high: ((highRiskCount / totalAnalyses) * 100).toFixed(2),
-                            medium: ((mediumRiskCount / totalAnalyses) * 100).toFixed(2),
-                            low: ((lowRiskCount / totalAnalyses) * 100).toFixed(2)
-                        }
-                    },
-                    platformStats,
-                    recentAnalyses,
-                    timeframe,
-                    platform
-                }
+                subscriptions: subscriptions.map(subscription => ({
+                    ...subscription,
+                    deliveries: deliveries[String(subscription._id)] || {}
+                })),
+                events: WEBHOOK_EVENTS
             });
             
         } catch (error) {
-            logger.error('Dashboard API error:', error);
-            res.status(500).json({
-                error: 'Dashboard data retrieval failed'
+            logger.error('Webhook list API error:', error);
+            res.status(500).json({ error: 'Webhook retrieval failed' });
+        }
+    });
+    
+    app.post('/api/webhooks', requireRole('admin'), [
+        body('name', 'Name must be 1-64 characters').isString().trim().isLength({ min: 1, max: 64 }),
+        body('url', 'URL is required').isString().notEmpty(),
+        body('events', 'Events are required').isArray({ min: 1 }),
+        ...webhookValidators
+    ], validate, async (req, res) => {
+        try {
+            if (await WebhookSubscription.exists({ name: req.body.name })) {
+                return res.status(409).json({ error: 'A webhook with this name already exists' });
+            }
+            
+            const id = new mongoose.Types.ObjectId();
+            await auditTrail.record(req, 'webhook.create', {
+                target: { type: 'webhook', id },
+                details: { name: req.body.name, host: new URL(req.body.url).host, events: req.body.events }
             });
+            const secret = generateWebhookSecret();
+            const subscription = await WebhookSubscription.create({
+                _id: id,
+                ...pickWebhookFields(req.body),
+                secret,
+                createdBy: req.user.username,
+                updatedBy: req.user.username
+            });
+            
+            const created = subscription.toObject();
+            delete created.secret;
+            
+            logger.info(`Webhook created: ${subscription.name} by ${req.user.username}`);
+            // The secret is only ever returned here and on rotation
+            res.status(201).json({ success: true, subscription: created, secret });
+            
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'A webhook with this name already exists' });
+            }
+            logger.error('Webhook creation API error:', error);
+            res.status(500).json({ error: 'Webhook creation failed' });
         }
     });
     
-    app.get('/api/network-analysis', async (req, res) => {
+    app.put('/api/webhooks/:id', requireRole('admin'), [
+        body('name', 'Name must be 1-64 characters').optional().isString().trim().isLength({ min: 1, max: 64 }),
+        ...webhookValidators
+    ], validate, async (req, res) => {
         try {
-            const suspiciousNetworks = await Analysis.aggregate([
-                {
-                    $match: {
-                        'networkAnalysis.indicators': { $exists: true, $ne: [] },
-                        timestamp: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
-                    }
-                },
-                {
-                    $group: {
-                        _id: '$userId',
-                        posts: { $push: '$content' },
-                        totalRisk: { $sum: '$riskScore' },
-                        indicators: { $push: '$networkAnalysis.indicators' }
-                    }
-                },
-                { $sort: { totalRisk: -1 } },
-                { $limit: 20 }
+            const existing = mongoose.isValidObjectId(req.params.id) &&
+                await WebhookSubscription.findById(req.params.id).select('name').lean();
+            if (!existing) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            if (req.body.name !== undefined && await WebhookSubscription.exists({ name: req.body.name, _id: { $ne: existing._id } })) {
+                return res.status(409).json({ error: 'A webhook with this name already exists' });
+            }
+            
+            const fields = pickWebhookFields(req.body);
+            await auditTrail.record(req, 'webhook.update', {
+                target: { type: 'webhook', id: existing._id },
+                details: { name: fields.name || existing.name, fields: Object.keys(fields) }
+            });
+            const subscription = await WebhookSubscription.findByIdAndUpdate(
+                req.params.id,
+                { $set: { ...fields, updatedBy: req.user.username, updatedAt: new Date() } },
+                { new: true, runValidators: true }
+            );
+            if (!subscription) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            
+            logger.info(`Webhook updated: ${subscription.name} by ${req.user.username}`);
+            res.json({ success: true, subscription });
+            
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'A webhook with this name already exists' });
+            }
+            logger.error('Webhook update API error:', error);
+            res.status(500).json({ error: 'Webhook update failed' });
+        }
+    });
+    
+    app.delete('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) &&
+                await WebhookSubscription.findById(req.params.id).select('name').lean();
+            if (!existing) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            
+            await auditTrail.record(req, 'webhook.delete', { target: { type: 'webhook', id: existing._id }, details: { name: existing.name } });
+            const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+            if (!subscription) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            await WebhookDelivery.deleteMany({ subscriptionId: subscription._id });
+            
+            logger.info(`Webhook deleted: ${subscription.name} by ${req.user.username}`);
+            res.json({ success: true });
+            
+        } catch (error) {
+            logger.error('Webhook deletion API error:', error);
+            res.status(500).json({ error: 'Webhook deletion failed' });
+        }
+    });
+    
+    app.post('/api/webhooks/:id/rotate-secret', requireRole('admin'), async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) &&
+                await WebhookSubscription.findById(req.params.id).select('name').lean();
+            if (!existing) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            
+            await auditTrail.record(req, 'webhook.rotate_secret', { target: { type: 'webhook', id: existing._id }, details: { name: existing.name } });
+            const secret = generateWebhookSecret();
+            const subscription = await WebhookSubscription.findByIdAndUpdate(
+                req.params.id,
+                { $set: { secret, updatedBy: req.user.username, updatedAt: new Date() } },
+                { new: true }
+            );
+            if (!subscription) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            
+            logger.info(`Webhook secret rotated: ${subscription.name} by ${req.user.username}`);
+            res.json({ success: true, subscription, secret });
+            
+        } catch (error) {
+            logger.error('Webhook secret rotation API error:', error);
+            res.status(500).json({ error: 'Webhook secret rotation failed' });
+        }
+    });
+    
+    // Delivery attempts for one subscription, newest first
+    app.get('/api/webhooks/:id/deliveries', requireRole('admin'), async (req, res) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            
+            const filter = { subscriptionId: req.params.id };
+            if (WEBHOOK_DELIVERY_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+            
+            const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+            const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+            
+            const [deliveries, total] = await Promise.all([
+                WebhookDelivery.find(filter)
+                    .select('-payload')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                WebhookDelivery.countDocuments(filter)
+            ]);
+            
+            res.json({ success: true, deliveries, total, page, limit });
+            
+        } catch (error) {
+            logger.error('Webhook delivery list API error:', error);
+            res.status(500).json({ error: 'Webhook delivery retrieval failed' });
+        }
+    });
+    
+    // The dead-letter log: deliveries that ran out of attempts, across all subscriptions
+    app.get('/api/webhook-deliveries/dead', requireRole('admin'), async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+            const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+            
+            const [deliveries, total] = await Promise.all([
+                WebhookDelivery.find({ status: 'dead' })
+                    .sort({ deadAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                WebhookDelivery.countDocuments({ status: 'dead' })
             ]);
             
+            const subscriptions = await WebhookSubscription.find({ _id: { $in: deliveries.map(delivery => delivery.subscriptionId) } })
+                .select('name')
+                .lean();
+            const names = new Map(subscriptions.map(subscription => [String(subscription._id), subscription.name]));
+            
+            res.json({
+                success: true,
+                deliveries: deliveries.map(delivery => ({ ...delivery, subscriptionName: names.get(String(delivery.subscriptionId)) })),
+                total,
+                page,
+                limit
+            });
+            
+        } catch (error) {
+            logger.error('Webhook dead-letter API error:', error);
+            res.status(500).json({ error: 'Webhook dead-letter retrieval failed' });
+        }
+    });
+    
+    app.post('/api/webhook-deliveries/:id/replay', requireRole('admin'), async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) &&
+                await WebhookDelivery.findById(req.params.id).select('subscriptionId event status').lean();
+            if (!existing) {
+                return res.status(404).json({ error: 'Delivery not found' });
+            }
+            if (existing.status !== 'dead') {
+                return res.status(409).json({ error: 'Only dead-lettered deliveries can be replayed' });
+            }
+            
+            await auditTrail.record(req, 'webhook_delivery.replay', {
+                target: { type: 'webhook_delivery', id: req.params.id },
+                details: { subscriptionId: existing.subscriptionId, event: existing.event }
+            });
+            const delivery = await webhookDispatcher.replay(req.params.id, req.user.username);
+            if (!delivery) {
+                return res.status(409).json({ error: 'Only dead-lettered deliveries can be replayed' });
+            }
+            
+            logger.info(`Webhook delivery ${delivery._id} replayed by ${req.user.username}`);
+            res.json({ success: true, delivery });
+            
+        } catch (error) {
+            logger.error('Webhook replay API error:', error);
+            res.status(500).json({ error: 'Webhook replay failed' });
+        }
+    });
+    
+    // Ingestion connectors; file paths in their configs are relative to CONNECTOR_FILE_ROOT
+    const connectorValidators = [
+        body('type', `Type must be one of: ${Object.keys(CONNECTOR_TYPES).join(', ')}`).optional().isIn(Object.keys(CONNECTOR_TYPES)),
+        body('config', 'Config must be an object').optional().isObject({ strict: true }),
+        body('intervalMinutes', 'Interval must be 1-10080 minutes').optional().isInt({ min: 1, max: 10080 }),
+        body('active', 'Active must be a boolean').optional().isBoolean(),
+        body('resetCursor', 'Reset cursor must be a boolean').optional().isBoolean()
+    ];
+    
+    const CONNECTOR_FIELDS = ['name', 'type', 'config', 'intervalMinutes', 'active'];
+    
+    const pickConnectorFields = (source) => CONNECTOR_FIELDS.reduce((fields, key) => {
+        if (source[key] !== undefined) fields[key] = source[key];
+        return fields;
+    }, {});
+    
+    // What is wrong with a connector's source settings, or null
+    const checkConnectorConfig = (type, config) => CONNECTOR_TYPES[type].validate(config || {}, connectorRunner.context);
+    
+    app.get('/api/connectors', requireRole('admin'), async (req, res) => {
+        try {
+            const connectors = await Connector.find().select('-leaseOwner -leaseExpiresAt').sort({ name: 1 });
+            
+            res.json({
+                success: true,
+                connectors,
+                types: Object.entries(CONNECTOR_TYPES).map(([type, { label, description, example }]) => ({ type, label, description, example }))
+            });
+            
+        } catch (error) {
+            logger.error('Connector list API error:', error);
+            res.status(500).json({ error: 'Connector retrieval failed' });
+        }
+    });
+    
+    app.post('/api/connectors', requireRole('admin'), [
+        body('name', 'Name must be 1-64 characters').isString().trim().isLength({ min: 1, max: 64 }),
+        body('type', 'Type is required').notEmpty(),
+        body('config', 'Config is required').notEmpty(),
+        ...connectorValidators
+    ], validate, async (req, res) => {
+        try {
+            const problem = checkConnectorConfig(req.body.type, req.body.config);
+            if (problem) {
+                return res.status(400).json({ error: problem });
+            }
+            
+            if (await Connector.exists({ name: req.body.name })) {
+                return res.status(409).json({ error: 'A connector with this name already exists' });
+            }
+            
+            const id = new mongoose.Types.ObjectId();
+            await auditTrail.record(req, 'connector.create', {
+                target: { type: 'connector', id },
+                details: { name: req.body.name, type: req.body.type, active: req.body.active !== false }
+            });
+            const connector = await Connector.create({
+                _id: id,
+                ...pickConnectorFields(req.body),
+                createdBy: req.user.username,
+                updatedBy: req.user.username
+            });
+            if (connector.active) connectorRunner.poll();
+            
+            logger.info(`Connector created: ${connector.name} (${connector.type}) by ${req.user.username}`);
+            res.status(201).json({ success: true, connector });
+            
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'A connector with this name already exists' });
+            }
+            logger.error('Connector creation API error:', error);
+            res.status(500).json({ error: 'Connector creation failed' });
+        }
+    });
+    
+    app.put('/api/connectors/:id', requireRole('admin'), [
+        body('name', 'Name must be 1-64 characters').optional().isString().trim().isLength({ min: 1, max: 64 }),
+        ...connectorValidators
+    ], validate, async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) && await Connector.findById(req.params.id).select('name type config').lean();
+            if (!existing) {
+                return res.status(404).json({ error: 'Connector not found' });
+            }
+            if (req.body.name !== undefined && await Connector.exists({ name: req.body.name, _id: { $ne: existing._id } })) {
+                return res.status(409).json({ error: 'A connector with this name already exists' });
+            }
+            
+            const fields = pickConnectorFields(req.body);
+            const sourceChanged = fields.type !== undefined || fields.config !== undefined;
+            if (sourceChanged) {
+                const problem = checkConnectorConfig(fields.type || existing.type, fields.config || existing.config);
+                if (problem) {
+                    return res.status(400).json({ error: problem });
+                }
+            }
+            
+            const update = { $set: { ...fields, updatedBy: req.user.username, updatedAt: new Date() } };
+            // The old checkpoint means nothing for a different source; ingested ids are kept, so nothing is analysed twice
+            if (sourceChanged || req.body.resetCursor === true) {
+                update.$unset = { cursor: 1 };
+                update.$set.nextRunAt = new Date();
+            }
+            
+            await auditTrail.record(req, 'connector.update', {
+                target: { type: 'connector', id: existing._id },
+                details: { name: fields.name || existing.name, fields: Object.keys(fields), resetCursor: Boolean(update.$unset) }
+            });
+            const connector = await Connector.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+            if (!connector) {
+                return res.status(404).json({ error: 'Connector not found' });
+            }
+            
+            logger.info(`Connector updated: ${connector.name} by ${req.user.username}`);
+            res.json({ success: true, connector });
+            
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'A connector with this name already exists' });
+            }
+            logger.error('Connector update API error:', error);
+            res.status(500).json({ error: 'Connector update failed' });
+        }
+    });
+    
+    app.delete('/api/connectors/:id', requireRole('admin'), async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) && await Connector.findById(req.params.id).select('name').lean();
+            if (!existing) {
+                return res.status(404).json({ error: 'Connector not found' });
+            }
+            
+            await auditTrail.record(req, 'connector.delete', { target: { type: 'connector', id: existing._id }, details: { name: existing.name } });
+            const connector = await Connector.findByIdAndDelete(req.params.id);
+            if (!connector) {
+                return res.status(404).json({ error: 'Connector not found' });
+            }
+            // Stored analyses keep their source details; only the dedup record goes
+            await ConnectorItem.deleteMany({ connectorId: connector._id });
+            
+            logger.info(`Connector deleted: ${connector.name} by ${req.user.username}`);
+            res.json({ success: true });
+            
+        } catch (error) {
+            logger.error('Connector deletion API error:', error);
+            res.status(500).json({ error: 'Connector deletion failed' });
+        }
+    });
+    
+    app.post('/api/connectors/:id/run', requireRole('admin'), async (req, res) => {
+        try {
+            const existing = mongoose.isValidObjectId(req.params.id) && await Connector.findById(req.params.id).select('name active').lean();
+            if (!existing) {
+                return res.status(404).json({ error: 'Connector not found' });
+            }
+            if (!existing.active) {
+                return res.status(409).json({ error: 'Paused connectors cannot be run' });
+            }
+            
+            await auditTrail.record(req, 'connector.run', { target: { type: 'connector', id: existing._id }, details: { name: existing.name } });
+            const connector = await connectorRunner.runSoon(req.params.id);
+            if (!connector) {
+                return res.status(409).json({ error: 'Paused connectors cannot be run' });
+            }
+            
+            logger.info(`Connector run requested: ${connector.name} by ${req.user.username}`);
+            res.status(202).json({ success: true, connector });
+            
+        } catch (error) {
+            logger.error('Connector run API error:', error);
+            res.status(500).json({ error: 'Connector run failed' });
+        }
+    });
+    
+    app.get('/api/network-analysis', requireRole('analyst'), async (req, res) => {
+        try {
             res.json({
                 success: true,
-                suspiciousNetworks
+                suspiciousNetworks: await suspiciousNetworks(analysisStore, new Date(Date.now() - 24 * 60 * 60 * 1000))
             });
             
         } catch (error) {
@@ -481,8 +6309,10 @@ if (cluster.isMaster) {
     });
     
     const PORT = process.env.PORT || 3000;
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
         logger.info(`Server running on port ${PORT}`);
         console.log(`Worker ${process.pid} started`);
     });
+    
+    realTimeHub.attach(server);
 }
@@ -1,23 +1,139 @@
-const CACHE_NAME = 'anti-india-detector-v2.0.0';
-const urlsToCache = [
-  '/',
-  '/styles.css',
-  '/app.js',
-  'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
+/**
+ * Offline support for the dashboard.
+ *
+ * - The app shell is precached on install and served stale-while-revalidate:
+ *   pages load from the cache at once while a fresh copy is fetched for next
+ *   time, and open pages are told when a deployment changed a file so they
+ *   can offer a reload.
+ * - API reads are network-first. Successful responses are kept so the
+ *   dashboard still has data offline. Anything answered without the server
+ *   carries an X-Offline header: "cached" for a stored copy, "no-copy" on the
+ *   503 sent when there is none. Sign-in, audit and export responses are
+ *   never stored, and the page clears the stored ones when a user signs in
+ *   or out.
+ * - Writes are never intercepted. Analyses submitted offline are queued by
+ *   the page in IndexedDB; a background sync just asks open pages to send them.
+ *
+ * Bumping CACHE_VERSION installs a new worker. It waits until the page
+ * accepts the update prompt, and then removes the caches of older versions.
+ */
+const CACHE_VERSION = '2.1.0';
+const CACHE_PREFIX = 'anti-india-detector-';
+const ASSET_CACHE = `${CACHE_PREFIX}assets-${CACHE_VERSION}`;
+const API_CACHE = `${CACHE_PREFIX}api-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    '/',
+    '/styles.css',
+    '/app.js',
+    '/manifest.webmanifest',
+    '/icon.svg'
 ];
 
+// API reads that must always come from the server
+const UNCACHED_API = [/^\/api\/auth\//, /^\/api\/audit(\/|$)/, /\/export$/];
+
+const OUTBOX_SYNC_TAG = 'analysis-outbox';
+
 self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => cache.addAll(urlsToCache))
-  );
+    event.waitUntil(
+        caches.open(ASSET_CACHE).then(cache => cache.addAll(APP_SHELL))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== ASSET_CACHE && name !== API_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    const type = event.data && event.data.type;
+    if (type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (type === 'CLEAR_API_CACHE') {
+        event.waitUntil(caches.delete(API_CACHE));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(notifyClients({ type: 'FLUSH_OUTBOX' }));
+    }
+});
+
+const notifyClients = async (message) => {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+};
+
+const offlineResponse = () => new Response(JSON.stringify({ error: 'You are offline' }), {
+    status: 503,
+    headers: { 'Content-Type': 'application/json', 'X-Offline': 'no-copy' }
 });
 
+const networkFirst = async (request) => {
+    const cache = await caches.open(API_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok && !/no-store/.test(response.headers.get('Cache-Control') || '')) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (!cached) return offlineResponse();
+
+        const headers = new Headers(cached.headers);
+        headers.set('X-Offline', 'cached');
+        return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+    }
+};
+
+// Files differ when the server's validators for them do
+const changed = (cached, fresh) => {
+    const validator = response => response.headers.get('ETag') || response.headers.get('Last-Modified');
+    return validator(cached) !== validator(fresh);
+};
+
+const staleWhileRevalidate = async (event, request) => {
+    const cache = await caches.open(ASSET_CACHE);
+    // Every page of the single-page dashboard is the app shell
+    const key = request.mode === 'navigate' ? '/' : request;
+    const cached = await cache.match(key);
+
+    const refresh = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(key, response.clone());
+            if (cached && changed(cached, response)) {
+                await notifyClients({ type: 'ASSETS_UPDATED' });
+            }
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh.catch(() => new Response('Offline', { status: 503, statusText: 'Offline' }));
+};
+
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        return response || fetch(event.request);
-      })
-  );
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Writes, fonts and anything else cross-origin go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith('/api/')) {
+        if (UNCACHED_API.some(pattern => pattern.test(url.pathname))) return;
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
 });
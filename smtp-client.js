@@ -0,0 +1,202 @@
+/**
+ * Just enough SMTP to send alert mail without a mail library: a plain or
+ * implicit-TLS connection, STARTTLS when the server offers it, AUTH PLAIN and
+ * a single UTF-8 plain-text message per connection.
+ *
+ * Credentials are never sent over an unencrypted connection.
+ */
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Header values must not be able to start a new header line
+const headerSafe = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+// RFC 2047 encoded-word for anything that is not plain printable ASCII
+const encodeHeader = (value) => {
+    const safe = headerSafe(value);
+    return /^[\x20-\x7e]*$/.test(safe) ? safe : `=?UTF-8?B?${Buffer.from(safe, 'utf8').toString('base64')}?=`;
+};
+
+/*
+ * The body is sent base64-encoded, which also means no line can start with a
+ * dot and need stuffing before the terminating "."
+ */
+const formatMessage = ({ from, to, subject, text }) => {
+    const domain = from.split('@')[1] || os.hostname();
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${headerSafe(from)}`,
+        `To: ${to.map(headerSafe).join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${headerSafe(domain)}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+};
+
+// Reads whole (possibly multi-line) replies from whichever socket is attached
+class SmtpSession {
+    constructor(timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.socket = null;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiting = null;
+        this.failure = null;
+        this.onData = (chunk) => this.receive(chunk);
+        this.onError = (error) => this.fail(error);
+        this.onClose = () => this.fail(new Error('SMTP connection closed'));
+    }
+
+    attach(socket) {
+        this.detach();
+        this.socket = socket;
+        socket.on('data', this.onData);
+        socket.on('error', this.onError);
+        socket.on('close', this.onClose);
+        socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP server timed out')));
+    }
+
+    detach() {
+        if (!this.socket) return;
+        this.socket.removeListener('data', this.onData);
+        this.socket.removeListener('error', this.onError);
+        this.socket.removeListener('close', this.onClose);
+        this.socket.setTimeout(0);
+    }
+
+    receive(chunk) {
+        this.buffer += chunk.toString('utf8');
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, newline).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(newline + 1);
+            this.lines.push(line);
+
+            // "250-..." continues a reply, "250 ..." ends it
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines.map(text => text.slice(4)) };
+                this.lines = [];
+                this.replies.push(reply);
+            }
+        }
+        this.settle();
+    }
+
+    fail(error) {
+        if (!this.failure) this.failure = error;
+        this.settle();
+    }
+
+    settle() {
+        if (!this.waiting) return;
+        const { resolve, reject } = this.waiting;
+        if (this.replies.length > 0) {
+            this.waiting = null;
+            resolve(this.replies.shift());
+        } else if (this.failure) {
+            this.waiting = null;
+            reject(this.failure);
+        }
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.settle();
+        });
+    }
+
+    async expect(codes, step) {
+        const reply = await this.read();
+        if (!codes.includes(reply.code)) {
+            throw new Error(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+
+    command(line, codes, step = line.split(' ')[0]) {
+        this.socket.write(`${line}\r\n`);
+        return this.expect(codes, step);
+    }
+}
+
+const connect = ({ host, port, secure }) => new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+        socket.removeListener('error', reject);
+        resolve(socket);
+    });
+    socket.once('error', reject);
+});
+
+const upgrade = (socket, host) => new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host });
+    secured.once('secureConnect', () => {
+        secured.removeListener('error', reject);
+        resolve(secured);
+    });
+    secured.once('error', reject);
+});
+
+/**
+ * Send one message. options: { host, port, secure, user, pass, from, to,
+ * subject, text, timeoutMs }; to is an address or a list of them. Resolves
+ * once the server has accepted the message, rejects with the failing step.
+ */
+const sendMail = async (options) => {
+    const to = [].concat(options.to).filter(Boolean);
+    if (!options.host) throw new Error('SMTP host is not configured');
+    if (to.length === 0) throw new Error('No recipients');
+
+    const secure = Boolean(options.secure);
+    const port = options.port || (secure ? 465 : 587);
+    const session = new SmtpSession(options.timeoutMs || DEFAULT_TIMEOUT_MS);
+    session.attach(await connect({ host: options.host, port, secure }));
+
+    try {
+        await session.expect([220], 'greeting');
+        const hello = `EHLO ${os.hostname()}`;
+        const features = await session.command(hello, [250]);
+
+        let encrypted = secure;
+        if (!encrypted && features.lines.some(line => /^STARTTLS\b/i.test(line))) {
+            await session.command('STARTTLS', [220]);
+            const plain = session.socket;
+            session.detach();
+            session.attach(await upgrade(plain, options.host));
+            await session.command(hello, [250]);
+            encrypted = true;
+        }
+
+        if (options.user) {
+            if (!encrypted) throw new Error('SMTP server does not offer STARTTLS; not sending credentials in the clear');
+            const credentials = Buffer.from(`\0${options.user}\0${options.pass || ''}`, 'utf8').toString('base64');
+            await session.command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+
+        await session.command(`MAIL FROM:<${headerSafe(options.from)}>`, [250]);
+        for (const recipient of to) {
+            await session.command(`RCPT TO:<${headerSafe(recipient)}>`, [250, 251]);
+        }
+        await session.command('DATA', [354]);
+        await session.command(`${formatMessage({ ...options, to })}\r\n.`, [250], 'message');
+        await session.command('QUIT', [221]).catch(() => {});
+    } finally {
+        session.detach();
+        session.socket.destroy();
+    }
+};
+
+module.exports = {
+    sendMail
+};
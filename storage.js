@@ -0,0 +1,795 @@
+/**
+ * Stores for the collections the server can keep outside MongoDB: analyses,
+ * account activity, users, sign-in sessions and the audit trail.
+ * Three backends share one interface:
+ *
+ *   mongo   the mongoose model, as before
+ *   memory  documents held in the process, gone on restart
+ *   file    the memory store plus an append-only JSONL log replayed on start
+ *
+ * Every store takes the subset of the MongoDB query language the server uses:
+ * filters (comparison, $in/$nin/$all/$exists/$regex, $or/$and, $text),
+ * mongoose-style select strings, sorts, update operators ($set, $unset, $inc,
+ * $push with $each/$slice, $setOnInsert), update pipelines of $set stages and
+ * $match/$group/$sort/$skip/$limit pipelines. The memory and file stores also
+ * enforce the schema's unique indexes, failing writes with code 11000.
+ * Routes and dashboard aggregations therefore run unchanged on each backend.
+ * Documents always come back as plain objects.
+ *
+ * The memory and file stores are private to one process; run a single worker
+ * with them.
+ */
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const STORAGE_BACKENDS = ['mongo', 'memory', 'file'];
+
+// The file store rewrites its log once it holds this many more records than documents
+const COMPACT_MIN_RECORDS = 10000;
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !isObjectId(value);
+
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => key.startsWith('$'));
+
+// Values as they compare: ids by their hex string, dates by their time
+const comparable = (value) => {
+    if (isObjectId(value)) return value.toHexString();
+    if (value instanceof Date) return value.getTime();
+    return value;
+};
+
+// Dates and ids are immutable here, so they are shared rather than copied
+const clone = (value) => {
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).filter(([, item]) => item !== undefined).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+};
+
+const equals = (a, b) => {
+    const left = comparable(a);
+    const right = comparable(b);
+    if (Array.isArray(left) || Array.isArray(right)) {
+        return Array.isArray(left) && Array.isArray(right) && left.length === right.length &&
+            left.every((item, index) => equals(item, right[index]));
+    }
+    if (isPlainObject(left) && isPlainObject(right)) {
+        const keys = Object.keys(left);
+        return keys.length === Object.keys(right).length && keys.every(key => equals(left[key], right[key]));
+    }
+    return left === right || (left == null && right == null);
+};
+
+// MongoDB's order for mixed types, as far as stored analyses need it: missing and null, numbers, strings, rest
+const compareValues = (a, b) => {
+    const left = comparable(a);
+    const right = comparable(b);
+    const rank = (value) => (value == null ? 0 : typeof value === 'number' ? 1 : typeof value === 'string' ? 2 : 3);
+    if (rank(left) !== rank(right)) return rank(left) - rank(right);
+    if (rank(left) === 0) return 0;
+    return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const getPath = (doc, fieldPath) => fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, fieldPath, value) => {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => {
+        if (!isPlainObject(target[key]) && !Array.isArray(target[key])) target[key] = {};
+        return target[key];
+    }, doc);
+    parent[last] = value;
+};
+
+const unsetPath = (doc, fieldPath) => {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    const parent = keys.length > 0 ? getPath(doc, keys.join('.')) : doc;
+    if (parent && typeof parent === 'object') delete parent[last];
+};
+
+// Every value a dotted path reaches, descending into arrays the way MongoDB does
+const valuesAt = (value, keys) => {
+    if (keys.length === 0) return [value];
+    if (Array.isArray(value)) {
+        return /^\d+$/.test(keys[0])
+            ? valuesAt(value[Number(keys[0])], keys.slice(1))
+            : value.flatMap(item => valuesAt(item, keys));
+    }
+    if (!isPlainObject(value)) return [];
+    return valuesAt(value[keys[0]], keys.slice(1));
+};
+
+// Operand lists of $in and $nin as sets, built once per query rather than once per document
+const operandSets = new WeakMap();
+const operandSet = (operand) => {
+    if (!operandSets.has(operand)) {
+        operandSets.set(operand, operand.every(item => !isPlainObject(item) && !Array.isArray(item))
+            ? new Set(operand.map(comparable))
+            : null);
+    }
+    return operandSets.get(operand);
+};
+
+const matchesValue = (candidates, operand) => (operand === null
+    ? candidates.length === 0 || candidates.some(candidate => candidate === null)
+    : candidates.some(candidate => equals(candidate, operand)));
+
+const matchesAny = (candidates, operand) => {
+    if (!Array.isArray(operand)) throw new Error('$in and $nin need an array');
+    const set = operandSet(operand);
+    if (set && !operand.includes(null)) return candidates.some(candidate => set.has(comparable(candidate)));
+    return operand.some(item => matchesValue(candidates, item));
+};
+
+const inRange = (test) => (candidates, operand) => candidates.some(candidate => !Array.isArray(candidate) &&
+    candidate != null && typeof comparable(candidate) === typeof comparable(operand) && test(compareValues(candidate, operand)));
+
+// (candidates, operand, found): candidates include the elements of array values, found does not
+const OPERATORS = {
+    $eq: (candidates, operand) => matchesValue(candidates, operand),
+    $ne: (candidates, operand) => !matchesValue(candidates, operand),
+    $in: matchesAny,
+    $nin: (candidates, operand) => !matchesAny(candidates, operand),
+    $gt: inRange(order => order > 0),
+    $gte: inRange(order => order >= 0),
+    $lt: inRange(order => order < 0),
+    $lte: inRange(order => order <= 0),
+    $exists: (candidates, operand, found) => (found.length > 0) === Boolean(operand),
+    $all: (candidates, operand) => operand.every(item => matchesValue(candidates, item)),
+    $regex: (candidates, operand) => candidates.some(candidate => typeof candidate === 'string' && operand.test(candidate))
+};
+
+const matchesField = (doc, fieldPath, condition) => {
+    const found = valuesAt(doc, fieldPath.split('.')).filter(value => value !== undefined);
+    const candidates = found.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+
+    if (!isOperatorObject(condition)) return matchesValue(candidates, condition);
+    return Object.entries(condition).every(([operator, operand]) => {
+        // $options only qualifies $regex
+        if (operator === '$options') return true;
+        if (!OPERATORS[operator]) throw new Error(`Unsupported query operator: ${operator}`);
+        const value = operator === '$regex' && !(operand instanceof RegExp) ? new RegExp(operand, condition.$options) : operand;
+        return OPERATORS[operator](candidates, value, found);
+    });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(part => matches(doc, part));
+    if (key === '$and') return condition.every(part => matches(doc, part));
+    if (key.startsWith('$')) throw new Error(`Unsupported query operator: ${key}`);
+    return matchesField(doc, key, condition);
+});
+
+/*
+ * $text as a text index with default_language "none" treats it: no stemming or
+ * stop words, case and Latin accents ignored. Any term may match; "quoted
+ * phrases" must all appear and -terms must not.
+ */
+const tokenize = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .normalize('NFC')
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+
+const parseSearch = (search) => {
+    const phrases = [...String(search).matchAll(/"([^"]+)"/g)].map(([, phrase]) => tokenize(phrase)).filter(words => words.length > 0);
+    const words = String(search).replace(/"[^"]*"/g, ' ').split(/\s+/).filter(Boolean);
+    return {
+        phrases,
+        terms: [...new Set(words.filter(word => !word.startsWith('-')).flatMap(tokenize).concat(phrases.flat()))],
+        excluded: words.filter(word => word.startsWith('-')).flatMap(word => tokenize(word.slice(1)))
+    };
+};
+
+const containsPhrase = (tokens, phrase) => tokens.some((token, index) => phrase.every((word, offset) => tokens[index + offset] === word));
+
+// Roughly MongoDB's relevance: more of the query terms, more often, in shorter text
+const textScore = (text, search) => {
+    const tokens = tokenize(text);
+    if (search.excluded.some(word => tokens.includes(word))) return 0;
+    if (!search.phrases.every(phrase => containsPhrase(tokens, phrase))) return 0;
+
+    return search.terms.reduce((score, term) => {
+        const count = tokens.filter(token => token === term).length;
+        return count > 0 ? score + 0.5 + count / (2 * tokens.length) : score;
+    }, 0);
+};
+
+// { include, exclude, force, slices, meta } from a mongoose select string or projection object
+const parseSelect = (select) => {
+    const spec = { include: [], exclude: [], force: [], slices: {}, meta: null };
+    if (typeof select === 'string') {
+        select.split(/\s+/).filter(Boolean).forEach(token => {
+            if (token.startsWith('-')) spec.exclude.push(token.slice(1));
+            else if (token.startsWith('+')) spec.force.push(token.slice(1));
+            else spec.include.push(token);
+        });
+    } else if (select) {
+        Object.entries(select).forEach(([fieldPath, value]) => {
+            if (isPlainObject(value) && value.$slice !== undefined) spec.slices[fieldPath] = value.$slice;
+            else if (isPlainObject(value) && value.$meta) spec.meta = fieldPath;
+            else (value ? spec.include : spec.exclude).push(fieldPath);
+        });
+    }
+    return spec;
+};
+
+const sliceArray = (array, count) => (count < 0 ? array.slice(count) : array.slice(0, count));
+
+const compareBySort = (sort) => {
+    const keys = Object.entries(sort || {});
+    return (a, b) => {
+        for (const [fieldPath, direction] of keys) {
+            const order = isPlainObject(direction)
+                // { $meta: 'textScore' } sorts best matches first
+                ? b.score - a.score
+                : direction * compareValues(valuesAt(a.doc, fieldPath.split('.'))[0], valuesAt(b.doc, fieldPath.split('.'))[0]);
+            if (order !== 0) return order;
+        }
+        return 0;
+    };
+};
+
+const applyUpdate = (doc, update, inserting = false) => {
+    // An update pipeline: $set stages whose values are expressions over the document
+    if (Array.isArray(update)) {
+        update.forEach(stage => Object.entries(stage).forEach(([operator, fields]) => {
+            if (operator !== '$set') throw new Error(`Unsupported update pipeline stage: ${operator}`);
+            Object.entries(fields).forEach(([fieldPath, expression]) => setPath(doc, fieldPath, clone(evaluate(expression, doc))));
+        }));
+        return doc;
+    }
+    Object.entries(update).forEach(([operator, fields]) => {
+        if (!operator.startsWith('$')) {
+            // Like mongoose, a bare field is a $set
+            setPath(doc, operator, clone(fields));
+            return;
+        }
+        Object.entries(fields).forEach(([fieldPath, value]) => {
+            switch (operator) {
+                case '$set':
+                    setPath(doc, fieldPath, clone(value));
+                    break;
+                case '$setOnInsert':
+                    if (inserting) setPath(doc, fieldPath, clone(value));
+                    break;
+                case '$unset':
+                    unsetPath(doc, fieldPath);
+                    break;
+                case '$inc':
+                    setPath(doc, fieldPath, (getPath(doc, fieldPath) || 0) + value);
+                    break;
+                case '$push': {
+                    const current = Array.isArray(getPath(doc, fieldPath)) ? getPath(doc, fieldPath) : [];
+                    const modifiers = isPlainObject(value) && value.$each !== undefined ? value : { $each: [value] };
+                    const pushed = current.concat(clone(modifiers.$each));
+                    setPath(doc, fieldPath, modifiers.$slice === undefined ? pushed : sliceArray(pushed, modifiers.$slice));
+                    break;
+                }
+                default:
+                    throw new Error(`Unsupported update operator: ${operator}`);
+            }
+        });
+    });
+    return doc;
+};
+
+// Aggregation expressions: field paths and the arithmetic used for time buckets
+const evaluate = (expression, doc) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return valuesAt(doc, expression.slice(1).split('.'))[0];
+    }
+    if (!isPlainObject(expression)) return expression;
+
+    const [operator] = Object.keys(expression);
+    if (!operator || !operator.startsWith('$')) {
+        return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(value, doc) ?? null]));
+    }
+
+    const args = [].concat(expression[operator]).map(arg => comparable(evaluate(arg, doc)));
+    if (args.some(arg => arg == null)) return null;
+    switch (operator) {
+        case '$toLong': return Math.trunc(Number(args[0]));
+        case '$subtract': return args[0] - args[1];
+        case '$add': return args.reduce((sum, arg) => sum + arg, 0);
+        case '$mod': return args[0] % args[1];
+        default: throw new Error(`Unsupported aggregation expression: ${operator}`);
+    }
+};
+
+const ACCUMULATORS = {
+    $sum: (state, value) => (typeof value === 'number' ? (state || 0) + value : state || 0),
+    $avg: (state = { total: 0, count: 0 }, value) => (typeof value === 'number'
+        ? { total: state.total + value, count: state.count + 1 }
+        : state),
+    $push: (state = [], value) => (value === undefined ? state : state.concat([value])),
+    $min: (state, value) => (value == null || (state !== undefined && compareValues(state, value) <= 0) ? state : value),
+    $max: (state, value) => (value == null || (state !== undefined && compareValues(state, value) >= 0) ? state : value),
+    $first: (state, value) => (state === undefined ? value ?? null : state),
+    $last: (state, value) => value ?? null
+};
+
+const groupKey = (value) => JSON.stringify(value, (key, item) => (isObjectId(item) ? item.toHexString() : item));
+
+const group = (docs, spec) => {
+    const groups = new Map();
+    const fields = Object.entries(spec).filter(([field]) => field !== '_id').map(([field, accumulator]) => {
+        const [operator] = Object.keys(accumulator);
+        if (!ACCUMULATORS[operator]) throw new Error(`Unsupported group accumulator: ${operator}`);
+        return { field, operator, expression: accumulator[operator] };
+    });
+
+    docs.forEach(doc => {
+        const id = evaluate(spec._id, doc) ?? null;
+        const key = groupKey(id);
+        if (!groups.has(key)) groups.set(key, { _id: id, state: {} });
+        const entry = groups.get(key);
+        fields.forEach(({ field, operator, expression }) => {
+            entry.state[field] = ACCUMULATORS[operator](entry.state[field], evaluate(expression, doc));
+        });
+    });
+
+    return [...groups.values()].map(({ _id, state }) => {
+        const result = { _id };
+        fields.forEach(({ field, operator }) => {
+            const value = state[field];
+            if (operator === '$avg') result[field] = value && value.count > 0 ? value.total / value.count : null;
+            else result[field] = value ?? (operator === '$sum' ? 0 : operator === '$push' ? [] : null);
+        });
+        return result;
+    });
+};
+
+class MongoStore {
+    constructor(Model) {
+        this.Model = Model;
+    }
+
+    get ready() {
+        return this.Model.db.readyState === 1;
+    }
+
+    query(query, { select, sort, skip, limit } = {}) {
+        if (select) query.select(select);
+        if (sort) query.sort(sort);
+        if (skip) query.skip(skip);
+        if (limit) query.limit(limit);
+        return query.lean();
+    }
+
+    find(filter = {}, options) {
+        return this.query(this.Model.find(filter), options);
+    }
+
+    findOne(filter = {}, options) {
+        return this.query(this.Model.findOne(filter), options);
+    }
+
+    findById(id, options) {
+        return this.query(this.Model.findById(id), options);
+    }
+
+    count(filter = {}) {
+        return this.Model.countDocuments(filter);
+    }
+
+    async create(data) {
+        const doc = await this.Model.create(data);
+        return doc.toObject();
+    }
+
+    updateOne(filter, update) {
+        return this.Model.updateOne(filter, update);
+    }
+
+    updateMany(filter, update) {
+        return this.Model.updateMany(filter, update);
+    }
+
+    // Returns the document as updated (or inserted), or null
+    findOneAndUpdate(filter, update, { upsert = false, select } = {}) {
+        return this.Model.findOneAndUpdate(filter, update, { new: true, upsert, projection: select }).lean();
+    }
+
+    deleteOne(filter) {
+        return this.Model.deleteOne(filter);
+    }
+
+    deleteMany(filter) {
+        return this.Model.deleteMany(filter);
+    }
+
+    aggregate(pipeline) {
+        return this.Model.aggregate(pipeline);
+    }
+}
+
+class MemoryStore {
+    constructor(Model) {
+        this.Model = Model;
+        this.docs = new Map();
+        // Fields the schema hides unless selected with +path
+        this.hidden = Object.keys(Model.schema.paths).filter(fieldPath => Model.schema.path(fieldPath).options.select === false);
+        // Fields in the schema's text index
+        this.textFields = Model.schema.indexes()
+            .flatMap(([fields]) => Object.entries(fields).filter(([, kind]) => kind === 'text').map(([field]) => field));
+        // Unique indexes, each with a map from key to the id of the document holding it
+        this.uniqueIndexes = Model.schema.indexes()
+            .filter(([, options]) => options && options.unique)
+            .map(([fields, options]) => ({ fields: Object.keys(fields), sparse: Boolean(options.sparse), ids: new Map() }));
+    }
+
+    // A document's key in a unique index, or null when a sparse index leaves it out
+    uniqueKey(index, doc) {
+        const values = index.fields.map(fieldPath => getPath(doc, fieldPath));
+        if (index.sparse && values.every(value => value === undefined)) return null;
+        return groupKey(values.map(value => value ?? null));
+    }
+
+    // Throws the duplicate key error MongoDB would if doc took a key another document holds
+    checkUnique(doc) {
+        const id = String(comparable(doc._id));
+        this.uniqueIndexes.forEach(index => {
+            const key = this.uniqueKey(index, doc);
+            const holder = key === null ? undefined : index.ids.get(key);
+            if (holder !== undefined && holder !== id) {
+                const error = new Error(`Duplicate key on ${index.fields.join(', ')}: ${key}`);
+                error.code = 11000;
+                throw error;
+            }
+        });
+    }
+
+    // Store a document (replacing the one with its id) and keep the unique indexes in step
+    put(doc) {
+        const id = String(comparable(doc._id));
+        this.remove(id);
+        this.docs.set(id, doc);
+        this.uniqueIndexes.forEach(index => {
+            const key = this.uniqueKey(index, doc);
+            if (key !== null) index.ids.set(key, id);
+        });
+    }
+
+    remove(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return;
+        this.docs.delete(id);
+        this.uniqueIndexes.forEach(index => {
+            const key = this.uniqueKey(index, doc);
+            if (key !== null && index.ids.get(key) === id) index.ids.delete(key);
+        });
+    }
+
+    get ready() {
+        return true;
+    }
+
+    // Schema defaults, casting and ids, exactly as mongoose would apply them
+    cast(data) {
+        return new this.Model(data).toObject({ depopulate: true, versionKey: false });
+    }
+
+    // Subclasses persist changes here
+    persist() {
+        return Promise.resolve();
+    }
+
+    search(filter = {}) {
+        const { $text, ...rest } = filter;
+        const query = $text ? parseSearch($text.$search) : null;
+        const direct = rest._id !== undefined && !isOperatorObject(rest._id);
+        const docs = direct ? [this.docs.get(String(comparable(rest._id)))].filter(Boolean) : this.docs.values();
+
+        const results = [];
+        for (const doc of docs) {
+            if (!matches(doc, rest)) continue;
+            const score = query ? textScore(this.textFields.map(field => getPath(doc, field)).join(' '), query) : 0;
+            if (query && score === 0) continue;
+            results.push({ doc, score });
+        }
+        return results;
+    }
+
+    project({ doc, score }, select) {
+        const spec = parseSelect(select);
+        let result;
+
+        if (spec.include.length > 0) {
+            result = {};
+            ['_id', ...spec.include, ...spec.force].forEach(fieldPath => {
+                const value = getPath(doc, fieldPath);
+                if (value !== undefined && !spec.exclude.includes(fieldPath)) setPath(result, fieldPath, clone(value));
+            });
+        } else {
+            result = clone(doc);
+            this.hidden.filter(fieldPath => !spec.force.includes(fieldPath)).concat(spec.exclude)
+                .forEach(fieldPath => unsetPath(result, fieldPath));
+        }
+
+        Object.entries(spec.slices).forEach(([fieldPath, count]) => {
+            const value = getPath(result, fieldPath);
+            if (Array.isArray(value)) setPath(result, fieldPath, sliceArray(value, count));
+        });
+        if (spec.meta) result[spec.meta] = score;
+        return result;
+    }
+
+    async find(filter, { select, sort, skip = 0, limit } = {}) {
+        const results = this.search(filter);
+        if (sort) results.sort(compareBySort(sort));
+        return results.slice(skip, limit ? skip + limit : undefined).map(result => this.project(result, select));
+    }
+
+    async findOne(filter, { select, sort } = {}) {
+        const results = this.search(filter);
+        if (sort) results.sort(compareBySort(sort));
+        return results.length > 0 ? this.project(results[0], select) : null;
+    }
+
+    findById(id, options) {
+        return this.findOne({ _id: id }, options);
+    }
+
+    async count(filter) {
+        return this.search(filter).length;
+    }
+
+    async create(data) {
+        const doc = this.cast(data);
+        const id = String(comparable(doc._id));
+        if (this.docs.has(id)) {
+            const error = new Error(`Duplicate _id ${id}`);
+            error.code = 11000;
+            throw error;
+        }
+        this.checkUnique(doc);
+        this.put(doc);
+        await this.persist({ op: 'insert', doc });
+        return clone(doc);
+    }
+
+    /*
+     * Apply an update to stored documents, re-casting them so pushed subdocuments
+     * get their defaults. Like MongoDB, documents before one that would break a
+     * unique index stay updated and the error is thrown after them.
+     */
+    async modify(docs, update) {
+        const updated = [];
+        let failure = null;
+        for (const doc of docs) {
+            const next = this.cast(applyUpdate(clone(doc), update));
+            try {
+                this.checkUnique(next);
+            } catch (error) {
+                failure = error;
+                break;
+            }
+            this.put(next);
+            updated.push(String(comparable(doc._id)));
+        }
+        if (updated.length > 0) {
+            await this.persist({ op: 'update', ids: updated, update });
+        }
+        if (failure) throw failure;
+    }
+
+    async updateOne(filter, update) {
+        const docs = this.search(filter).slice(0, 1).map(({ doc }) => doc);
+        await this.modify(docs, update);
+        return { matchedCount: docs.length, modifiedCount: docs.length };
+    }
+
+    async updateMany(filter, update) {
+        const docs = this.search(filter).map(({ doc }) => doc);
+        await this.modify(docs, update);
+        return { matchedCount: docs.length, modifiedCount: docs.length };
+    }
+
+    async findOneAndUpdate(filter, update, { upsert = false, select } = {}) {
+        const [found] = this.search(filter);
+        if (found) {
+            await this.modify([found.doc], update);
+            return this.project({ doc: this.docs.get(String(comparable(found.doc._id))) }, select);
+        }
+        if (!upsert) return null;
+
+        // An upsert starts from the filter's plain equality conditions
+        const seed = {};
+        Object.entries(filter).forEach(([fieldPath, value]) => {
+            if (!fieldPath.startsWith('$') && !isOperatorObject(value)) setPath(seed, fieldPath, clone(value));
+        });
+        const created = await this.create(applyUpdate(seed, update, true));
+        return this.project({ doc: created }, select);
+    }
+
+    async deleteMany(filter, limit) {
+        const ids = this.search(filter).slice(0, limit).map(({ doc }) => String(comparable(doc._id)));
+        ids.forEach(id => this.remove(id));
+        if (ids.length > 0) {
+            await this.persist({ op: 'delete', ids });
+        }
+        return { deletedCount: ids.length };
+    }
+
+    deleteOne(filter) {
+        return this.deleteMany(filter, 1);
+    }
+
+    async aggregate(pipeline) {
+        let docs = [...this.docs.values()];
+        for (const stage of pipeline) {
+            const [name] = Object.keys(stage);
+            const value = stage[name];
+            switch (name) {
+                case '$match':
+                    if (value.$text) throw new Error('$text is only supported in find queries');
+                    docs = docs.filter(doc => matches(doc, value));
+                    break;
+                case '$group':
+                    docs = group(docs, value);
+                    break;
+                case '$sort':
+                    docs = docs.map(doc => ({ doc })).sort(compareBySort(value)).map(({ doc }) => doc);
+                    break;
+                case '$skip':
+                    docs = docs.slice(value);
+                    break;
+                case '$limit':
+                    docs = docs.slice(0, value);
+                    break;
+                default:
+                    throw new Error(`Unsupported aggregation stage: ${name}`);
+            }
+        }
+        return clone(docs);
+    }
+}
+
+// JSON has no dates or ids; the log tags them so they come back as they went in
+function encodeValue(key, value) {
+    const original = this[key];
+    if (original instanceof Date) return { $date: Number.isNaN(original.getTime()) ? null : original.toISOString() };
+    if (isObjectId(original)) return { $oid: original.toHexString() };
+    return value;
+}
+
+const decodeValue = (key, value) => {
+    if (isPlainObject(value) && Object.keys(value).length === 1) {
+        if (value.$date !== undefined) return value.$date === null ? new Date(NaN) : new Date(value.$date);
+        if (typeof value.$oid === 'string') return new mongoose.Types.ObjectId(value.$oid);
+    }
+    return value;
+};
+
+/**
+ * The memory store, persisted as a log of inserts, updates and deletes in a JSONL file.
+ * Writes are appended in order and acknowledged once on disk; the log is
+ * replayed on start and compacted to one record per document when it grows.
+ * A lock file keeps a second process from opening the same log.
+ */
+class FileStore extends MemoryStore {
+    constructor(Model, filePath) {
+        super(Model);
+        this.filePath = path.resolve(filePath);
+        this.records = 0;
+        this.writing = Promise.resolve();
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.lock();
+        this.load();
+        if (this.records > this.docs.size) this.compact();
+    }
+
+    lock() {
+        const lockPath = `${this.filePath}.lock`;
+        try {
+            const owner = parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+            if (owner && owner !== process.pid) {
+                // Signal 0 only checks that the process exists
+                process.kill(owner, 0);
+                throw new Error(`${this.filePath} is in use by process ${owner}`);
+            }
+        } catch (error) {
+            if (!['ENOENT', 'ESRCH'].includes(error.code)) throw error;
+        }
+        fs.writeFileSync(lockPath, String(process.pid));
+        process.once('exit', () => fs.rmSync(lockPath, { force: true }));
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            let record;
+            try {
+                record = JSON.parse(line, decodeValue);
+            } catch (error) {
+                // A crash can leave the last record half-written; anything else is corruption
+                if (index >= lines.length - 2) return;
+                throw new Error(`${this.filePath} line ${index + 1} is not valid JSON`);
+            }
+
+            if (record.op === 'insert') {
+                this.put(record.doc);
+            } else if (record.op === 'update') {
+                record.ids.forEach(id => {
+                    const doc = this.docs.get(id);
+                    if (doc) this.put(this.cast(applyUpdate(doc, record.update)));
+                });
+            } else if (record.op === 'delete') {
+                record.ids.forEach(id => this.remove(id));
+            }
+            this.records++;
+        });
+    }
+
+    append(text) {
+        const write = this.writing.then(() => fs.promises.appendFile(this.filePath, text));
+        this.writing = write.catch(() => {});
+        return write;
+    }
+
+    persist(record) {
+        this.records++;
+        const write = this.append(`${JSON.stringify(record, encodeValue)}\n`);
+        if (this.records > Math.max(COMPACT_MIN_RECORDS, this.docs.size * 2)) this.compact();
+        return write;
+    }
+
+    /*
+     * The snapshot is taken now, before later changes, and written in turn
+     * with the appends, so records queued after it land in the new file.
+     */
+    compact() {
+        const snapshot = [...this.docs.values()].map(doc => `${JSON.stringify({ op: 'insert', doc }, encodeValue)}\n`).join('');
+        const temporary = `${this.filePath}.${process.pid}.tmp`;
+        this.records = this.docs.size;
+
+        const write = this.writing.then(async () => {
+            await fs.promises.writeFile(temporary, snapshot);
+            await fs.promises.rename(temporary, this.filePath);
+        });
+        this.writing = write.catch(() => {});
+        return write;
+    }
+
+    // Resolves once everything written so far is on disk
+    flush() {
+        return this.writing;
+    }
+}
+
+/**
+ * A store for the model on the given backend. The file backend keeps its log
+ * at options.file.
+ */
+const createStore = (backend, Model, options = {}) => {
+    switch (backend) {
+        case 'mongo':
+            return new MongoStore(Model);
+        case 'memory':
+            return new MemoryStore(Model);
+        case 'file':
+            return new FileStore(Model, options.file);
+        default:
+            throw new Error(`Storage backend must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+    }
+};
+
+module.exports = {
+    STORAGE_BACKENDS,
+    createStore
+};
@@ -0,0 +1,168 @@
+/**
+ * @jest-environment jsdom
+ */
+const { AntiIndiaCampaignDetector } = require('../app');
+
+const PAYLOADS = [
+    '<img src=x onerror=alert(1)>',
+    '<svg onload=alert(1)>',
+    '<script>alert(1)</script>',
+    '"><img src=x onerror=alert(1)>',
+    "' onmouseover='alert(1)' x='",
+    '" autofocus onfocus="alert(1)',
+    '`><iframe src=javascript:alert(1)>`',
+    '</div><a href="javascript:alert(1)">x</a>'
+];
+
+// Stands in for the payload to give the shape the markup should have
+const PLAIN = 'plain text';
+
+const CONTAINERS = [
+    'recent-detections', 'suspicious-networks', 'results-section', 'analysis-results', 'archive-results',
+    'alert-list', 'webhook-list', 'webhook-deliveries', 'connector-list'
+];
+
+// Every element in order, as its tag and sorted attribute names; values are left out
+const shape = (root) => [...root.querySelectorAll('*')]
+    .map(element => `${element.tagName}[${element.getAttributeNames().sort().join(' ')}]`);
+
+const analysis = (text) => ({
+    _id: text,
+    content: text,
+    riskLevel: 'HIGH',
+    riskScore: 80,
+    timestamp: new Date().toISOString(),
+    platform: text,
+    language: text,
+    pipeline: text,
+    userId: text,
+    flags: [text],
+    signals: [
+        {
+            name: 'keywords',
+            contribution: 40,
+            value: 0.8,
+            weight: 0.5,
+            // Highlighting slices the text, here through the middle of any tag in it
+            evidence: [{ term: text, matchedBy: 'leetspeak', techniques: [text], spans: [{ start: 1, end: 6, text }] }]
+        },
+        { name: 'hashtags', contribution: 10, value: 0.5, weight: 0.2, evidence: [{ tag: text, term: text, matchedBy: 'homoglyph', techniques: [text] }] }
+    ],
+    sentiment: { score: -3, comparative: -0.5, positive: [text], negative: [text] },
+    networkAnalysis: { score: 40, indicators: [text] },
+    explanation: [text],
+    duplicateCount: 2,
+    duplicateCluster: text,
+    review: { status: text, reviewer: text, note: text, reviewedAt: new Date().toISOString() }
+});
+
+// Each renderer fills the page from fixtures built around one string
+const RENDERERS = {
+    generateResultsHTML: (detector, text) => {
+        document.getElementById('analysis-results').innerHTML = detector.generateResultsHTML(analysis(text));
+    },
+    updateRecentDetections: (detector, text) => detector.updateRecentDetections([analysis(text)]),
+    updateNetworkAnalysis: (detector, text) => detector.updateNetworkAnalysis([
+        { _id: text, totalRisk: 120, posts: [text, text], indicators: [[text], [text]] }
+    ]),
+    displayBatchResults: (detector, text) => detector.displayBatchResults(
+        {
+            riskLevels: { HIGH: 1, MEDIUM: 0, LOW: 0, MINIMAL: 0 },
+            succeeded: 1,
+            failed: 1,
+            itemErrors: [{ line: 2, error: text }]
+        },
+        [analysis(text)]
+    ),
+    archive: (detector, text) => {
+        document.getElementById('archive-results').innerHTML = detector.generateArchiveItemHTML(analysis(text));
+    },
+    alerts: (detector, text) => detector.updateAlertList([{
+        _id: text,
+        ruleName: text,
+        severity: text,
+        status: 'snoozed',
+        snoozedUntil: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        snoozedBy: text,
+        message: text,
+        firstTriggeredAt: new Date().toISOString(),
+        lastTriggeredAt: new Date().toISOString(),
+        occurrences: 3,
+        notifications: [{ channel: text, error: text }]
+    }], 5),
+    webhooks: (detector, text) => detector.updateWebhookList([{
+        _id: text,
+        name: text,
+        url: text,
+        active: true,
+        events: [text],
+        minRiskLevel: text,
+        deliveries: { delivered: 1, pending: 1, dead: 1 }
+    }]),
+    webhookDeliveries: (detector, text) => detector.updateWebhookDeliveries([{
+        _id: text,
+        event: text,
+        status: 'dead',
+        subscriptionName: text,
+        createdAt: new Date().toISOString(),
+        attempts: 2,
+        replayedBy: text,
+        attemptLog: [{ at: new Date().toISOString(), statusCode: 500, durationMs: 12, error: text }]
+    }], 3),
+    connectors: (detector, text) => {
+        detector.connectorTypes = [{ type: 'rss', label: text }];
+        detector.updateConnectorList([{
+            _id: text,
+            name: text,
+            type: text,
+            active: true,
+            status: text,
+            intervalMinutes: 15,
+            nextRunAt: new Date().toISOString(),
+            lastRun: {
+                startedAt: new Date().toISOString(),
+                fetched: 2,
+                error: text,
+                errors: [{ sourceId: text, error: text }]
+            },
+            totals: { ingested: 2, runs: 1 }
+        }]);
+    }
+};
+
+describe('rendering hostile server data', () => {
+    let detector;
+
+    beforeAll(() => {
+        jest.spyOn(AntiIndiaCampaignDetector.prototype, 'init').mockImplementation(() => {});
+        Element.prototype.scrollIntoView = () => {};
+        jest.useFakeTimers();
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = CONTAINERS.map(id => `<div id="${id}"></div>`).join('');
+        detector = new AntiIndiaCampaignDetector();
+        // Reviewers see the most markup: review and training actions
+        detector.session = { user: { username: 'reviewer', role: 'admin' } };
+    });
+
+    const cases = Object.keys(RENDERERS).flatMap(name => PAYLOADS.map(payload => [name, payload]));
+
+    test.each(cases)('%s creates no element or attribute from %p', (name, payload) => {
+        RENDERERS[name](detector, PLAIN);
+        const expected = shape(document.body);
+
+        document.body.innerHTML = CONTAINERS.map(id => `<div id="${id}"></div>`).join('');
+        RENDERERS[name](detector, payload);
+
+        expect(shape(document.body)).toEqual(expected);
+        expect(document.body.textContent).toContain(payload);
+        document.body.querySelectorAll('*').forEach(element => {
+            expect(element.getAttributeNames().filter(attribute => attribute.startsWith('on'))).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,20 @@
+const { compareCursor } = require('../connectors');
+
+describe('compareCursor', () => {
+    test.each([
+        ['99', '100'],
+        ['9007199254740993', '10000000000000000000'],
+        ['007', '8'],
+        [99, '100'],
+        [1.5, 2],
+        ['2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z'],
+        ['abc', 'abd']
+    ])('orders %p before %p', (older, newer) => {
+        expect(compareCursor(older, newer)).toBeLessThan(0);
+        expect(compareCursor(newer, older)).toBeGreaterThan(0);
+    });
+
+    test('treats equal ids as equal whatever their form', () => {
+        expect(compareCursor('0100', 100)).toBe(0);
+    });
+});
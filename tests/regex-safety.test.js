@@ -0,0 +1,30 @@
+const { unsafeRegexReason } = require('../regex-safety');
+
+describe('unsafeRegexReason', () => {
+    test.each([
+        '(a+)+$',
+        '(a|a)*',
+        '(\\w+\\s?)*x',
+        '((a+)b){2,}',
+        '(?:a{1,3})+',
+        '(?:x|y)+?z',
+        '(a)\\1',
+        '(?<word>a+)\\k<word>',
+        'a'.repeat(300)
+    ])('rejects %s', (pattern) => {
+        expect(unsafeRegexReason(pattern)).toEqual(expect.any(String));
+    });
+
+    test.each([
+        'anti[-\\s]?india',
+        '(boycott|ban)\\s+india',
+        'free\\s+kashmir',
+        '(?:ab)+',
+        '\\p{L}+stan',
+        '[(+|]+x',
+        'a{2,5}b*',
+        '(?<=#)\\w+'
+    ])('accepts %s', (pattern) => {
+        expect(unsafeRegexReason(pattern)).toBeNull();
+    });
+});
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { createStore } = require('../storage');
+const { dashboardSummary, platformStats, riskCountsByBucket, suspiciousNetworks } = require('../dashboard-queries');
+
+// The analysis fields the dashboard reads, plus the sparse unique key submissions carry
+const analysisSchema = new mongoose.Schema({
+    content: String,
+    platform: String,
+    userId: String,
+    riskScore: Number,
+    riskLevel: String,
+    timestamp: Date,
+    postedAt: Date,
+    networkAnalysis: { indicators: [String] },
+    idempotencyKey: { type: String, unique: true, sparse: true }
+}, { collection: 'storage_test_analyses' });
+const Analysis = mongoose.model('StorageTestAnalysis', analysisSchema);
+
+const NOW = new Date('2024-03-10T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const at = (time) => new Date(`2024-03-${time}Z`);
+
+const FIXTURES = [
+    { content: 'First post', platform: 'twitter', userId: 'a', riskScore: 80, riskLevel: 'HIGH', postedAt: at('10T10:05:00'), timestamp: at('10T11:00:00'), networkAnalysis: { indicators: ['burst'] } },
+    { content: 'Second post', platform: 'twitter', userId: 'a', riskScore: 50, riskLevel: 'MEDIUM', postedAt: at('10T10:40:00'), timestamp: at('10T11:10:00'), networkAnalysis: { indicators: [] } },
+    { content: 'Shared link', platform: 'facebook', userId: 'b', riskScore: 20, riskLevel: 'LOW', postedAt: at('10T11:15:00'), timestamp: at('10T11:20:00'), networkAnalysis: { indicators: ['shared-link'] } },
+    { content: 'SHARED again', platform: 'facebook', userId: 'c', riskScore: 90, riskLevel: 'HIGH', postedAt: at('10T11:50:00'), timestamp: at('10T11:30:00'), networkAnalysis: { indicators: ['burst', 'shared-link'] } },
+    { content: 'Old post', platform: 'telegram', userId: 'b', riskScore: 5, riskLevel: 'MINIMAL', postedAt: at('08T09:00:00'), timestamp: at('08T09:00:00'), networkAnalysis: { indicators: ['burst'] } }
+];
+
+const DAY_FILTER = { timestamp: { $gte: new Date(NOW.getTime() - 24 * HOUR) } };
+
+const backends = ['memory', 'file', ...(process.env.MONGODB_URI ? ['mongo'] : [])];
+
+describe.each(backends)('dashboard queries on the %s backend', (backend) => {
+    let store;
+    let directory;
+
+    beforeAll(async () => {
+        if (backend === 'mongo') {
+            await mongoose.connect(process.env.MONGODB_URI);
+            await Analysis.deleteMany({});
+            await Analysis.init();
+        }
+        if (backend === 'file') {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+        }
+        store = createStore(backend, Analysis, { file: directory && path.join(directory, 'analyses.jsonl') });
+        for (const fixture of FIXTURES) {
+            await store.create(fixture);
+        }
+    });
+
+    afterAll(async () => {
+        if (backend === 'mongo') {
+            await Analysis.collection.drop();
+            await mongoose.disconnect();
+        }
+        if (directory) {
+            await store.flush();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('counts risk levels', async () => {
+        expect(await dashboardSummary(store, DAY_FILTER)).toEqual({
+            totalAnalyses: 4,
+            highRiskCount: 2,
+            mediumRiskCount: 1,
+            lowRiskCount: 1,
+            riskDistribution: { high: '50.00', medium: '25.00', low: '25.00' }
+        });
+    });
+
+    test('averages risk per platform, riskiest first', async () => {
+        expect(await platformStats(store, DAY_FILTER)).toEqual([
+            { _id: 'twitter', count: 2, avgRisk: 65 },
+            { _id: 'facebook', count: 2, avgRisk: 55 }
+        ]);
+    });
+
+    test('buckets risk levels by post time', async () => {
+        const filter = { postedAt: { $gte: new Date(NOW.getTime() - 24 * HOUR) } };
+        const counts = await riskCountsByBucket(store, filter, HOUR);
+        const rows = counts
+            .map(({ _id, count }) => [new Date(_id.bucket).toISOString(), _id.riskLevel, count])
+            .sort((a, b) => a.join().localeCompare(b.join()));
+
+        expect(rows).toEqual([
+            ['2024-03-10T10:00:00.000Z', 'HIGH', 1],
+            ['2024-03-10T10:00:00.000Z', 'MEDIUM', 1],
+            ['2024-03-10T11:00:00.000Z', 'HIGH', 1],
+            ['2024-03-10T11:00:00.000Z', 'LOW', 1]
+        ]);
+    });
+
+    test('ranks accounts with network indicators by total risk', async () => {
+        const networks = await suspiciousNetworks(store, new Date(NOW.getTime() - 24 * HOUR));
+        expect(networks).toEqual([
+            { _id: 'c', posts: ['SHARED again'], totalRisk: 90, indicators: [['burst', 'shared-link']] },
+            { _id: 'a', posts: ['First post'], totalRisk: 80, indicators: [['burst']] },
+            { _id: 'b', posts: ['Shared link'], totalRisk: 20, indicators: [['shared-link']] }
+        ]);
+    });
+
+    test('matches $regex with $options', async () => {
+        const found = await store.find({ content: { $regex: '^shared', $options: 'i' } }, { sort: { riskScore: 1 } });
+        expect(found.map(analysis => analysis.content)).toEqual(['Shared link', 'SHARED again']);
+    });
+
+    test('enforces unique indexes, skipping documents a sparse index leaves out', async () => {
+        const first = await store.create({ content: 'Keyed', idempotencyKey: 'user:key-1', timestamp: at('01T00:00:00') });
+        await expect(store.create({ content: 'Keyed twice', idempotencyKey: 'user:key-1' }))
+            .rejects.toMatchObject({ code: 11000 });
+
+        const second = await store.create({ content: 'Keyed other', idempotencyKey: 'user:key-2', timestamp: at('01T00:00:00') });
+        await expect(store.updateOne({ _id: second._id }, { $set: { idempotencyKey: 'user:key-1' } }))
+            .rejects.toMatchObject({ code: 11000 });
+
+        // A rejected update leaves the document as it was
+        expect(await store.findById(second._id, { select: '+idempotencyKey' })).toMatchObject({ idempotencyKey: 'user:key-2' });
+        expect(await store.count({ _id: first._id })).toBe(1);
+    });
+
+    test('deletes documents and frees their unique keys', async () => {
+        await store.create({ content: 'Short lived', idempotencyKey: 'user:key-3', timestamp: at('01T00:00:00') });
+        expect(await store.deleteOne({ idempotencyKey: 'user:key-3' })).toMatchObject({ deletedCount: 1 });
+        expect(await store.count({ content: 'Short lived' })).toBe(0);
+
+        await store.create({ content: 'Short lived', idempotencyKey: 'user:key-3', timestamp: at('01T00:00:00') });
+        expect(await store.deleteMany({ content: 'Short lived' })).toMatchObject({ deletedCount: 1 });
+    });
+
+    if (backend === 'file') {
+        test('replays the log into the same answers and indexes', async () => {
+            await store.flush();
+            const reopened = createStore('file', Analysis, { file: path.join(directory, 'analyses.jsonl') });
+
+            expect(await dashboardSummary(reopened, DAY_FILTER)).toEqual(await dashboardSummary(store, DAY_FILTER));
+            expect(await platformStats(reopened, DAY_FILTER)).toEqual(await platformStats(store, DAY_FILTER));
+            await expect(reopened.create({ content: 'Replayed key', idempotencyKey: 'user:key-1' }))
+                .rejects.toMatchObject({ code: 11000 });
+            expect(await reopened.count({ content: 'Short lived' })).toBe(0);
+            // The deletes left more records than documents, so opening compacts the log
+            await reopened.flush();
+        });
+    }
+});
@@ -0,0 +1,96 @@
+/**
+ * Text fingerprints for spotting near-identical posts: word shingles, MinHash
+ * signatures and LSH band keys. Signatures use a fixed hash family, so they
+ * can be stored and compared across runs and processes.
+ */
+
+const SIGNATURE_SIZE = 64;
+// 16 bands of 4 rows: pairs above ~0.6 Jaccard similarity almost always share a band
+const BAND_COUNT = 16;
+
+const fnv1a = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, index) => fnv1a(`minhash-seed-${index}`));
+
+// Murmur3 finaliser over the shingle hash xor a per-function seed
+const mix = (hash, seed) => {
+    let value = (hash ^ seed) >>> 0;
+    value = Math.imul(value ^ (value >>> 16), 0x85ebca6b);
+    value = Math.imul(value ^ (value >>> 13), 0xc2b2ae35);
+    return (value ^ (value >>> 16)) >>> 0;
+};
+
+// Lowercased words with links, mentions and punctuation removed; hashtags keep their word
+const tokenize = (text) => String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/@[\p{L}\p{N}_]+/gu, ' ')
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+const shingles = (text, size = 3) => {
+    const words = tokenize(text);
+    if (words.length === 0) return new Set();
+    if (words.length < size) return new Set([words.join(' ')]);
+
+    const result = new Set();
+    for (let i = 0; i <= words.length - size; i++) {
+        result.add(words.slice(i, i + size).join(' '));
+    }
+    return result;
+};
+
+// Returns null for text with no words, which should never match anything
+const minHash = (shingleSet) => {
+    if (shingleSet.size === 0) return null;
+
+    const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+    shingleSet.forEach(shingle => {
+        const hash = fnv1a(shingle);
+        for (let i = 0; i < SIGNATURE_SIZE; i++) {
+            const value = mix(hash, SEEDS[i]);
+            if (value < signature[i]) signature[i] = value;
+        }
+    });
+    return signature;
+};
+
+const signText = (text) => minHash(shingles(text));
+
+const estimateJaccard = (a, b) => {
+    if (!a || !b) return 0;
+    let matches = 0;
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+        if (a[i] === b[i]) matches++;
+    }
+    return matches / SIGNATURE_SIZE;
+};
+
+// Signatures that share any band key are candidate near-duplicates
+const bandKeys = (signature) => {
+    const rows = SIGNATURE_SIZE / BAND_COUNT;
+    const keys = [];
+    for (let band = 0; band < BAND_COUNT; band++) {
+        keys.push(`${band}:${signature.slice(band * rows, (band + 1) * rows).join('.')}`);
+    }
+    return keys;
+};
+
+module.exports = {
+    SIGNATURE_SIZE,
+    tokenize,
+    shingles,
+    minHash,
+    signText,
+    estimateJaccard,
+    bandKeys
+};